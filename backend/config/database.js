@@ -31,4 +31,18 @@ const execute = (sql, params = []) => {
     });
 };
 
-module.exports = { execute };
+// Runs fn inside one transaction, rolled back if it throws. Queries resolve synchronously, so no
+// other request can interleave with fn as long as it only awaits database calls.
+const transaction = async (fn) => {
+    db.exec('BEGIN IMMEDIATE');
+    try {
+        const result = await fn();
+        db.exec('COMMIT');
+        return result;
+    } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+    }
+};
+
+module.exports = { execute, transaction };
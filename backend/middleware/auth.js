@@ -1,8 +1,15 @@
 const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const { isInTeam } = require('../services/hierarchy');
+const { hasPermission } = require('../services/permissions');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'default-secret-key';
 
-const authenticateToken = (req, res, next) => {
+/**
+ * Verifies the bearer token and loads the account's current state into req.user. An account on a
+ * temporary password is refused everything but changing it, unless allowPasswordChangePending.
+ */
+const authenticate = ({ allowPasswordChangePending = false } = {}) => (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
@@ -10,20 +17,80 @@ const authenticateToken = (req, res, next) => {
         return res.status(401).json({ success: false, message: 'Access token required' });
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
+    jwt.verify(token, JWT_SECRET, async (err, user) => {
         if (err) {
             return res.status(401).json({ success: false, message: 'Invalid or expired token' });
         }
-        req.user = user;
+
+        // Tokens outlive deactivation and role changes, so check the account on every request
+        try {
+            const [users] = await pool.execute(
+                'SELECT is_active, role, organization_id, must_change_password FROM users WHERE id = ?',
+                [user.id]
+            );
+            // Tokens issued before organizations existed carry no organization_id
+            if (users.length === 0 || users[0].organization_id !== user.organization_id) {
+                return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+            }
+            if (!users[0].is_active) {
+                return res.status(401).json({ success: false, message: 'Account is deactivated' });
+            }
+            if (users[0].must_change_password && !allowPasswordChangePending) {
+                return res.status(403).json({ success: false, message: 'Change your temporary password first' });
+            }
+            req.user = { ...user, role: users[0].role };
+        } catch (error) {
+            console.error('Auth lookup error:', error);
+            return res.status(500).json({ success: false, message: 'Authentication failed' });
+        }
+
         next();
     });
 };
 
-const requireManager = (req, res, next) => {
-    if (req.user.role !== 'manager') {
-        return res.status(403).json({ success: false, message: 'Manager access required' });
+const authenticateToken = authenticate();
+
+// For changing a temporary password, the one thing such an account may do
+const authenticatePasswordChange = authenticate({ allowPasswordChangePending: true });
+
+// EventSource cannot send headers, so streaming endpoints accept the token as ?token=
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers['authorization'] && typeof req.query.token === 'string') {
+        req.headers['authorization'] = `Bearer ${req.query.token}`;
+    }
+    next();
+};
+
+// Allows the request only if the user's role grants every listed permission
+const requirePermission = (...permissions) => (req, res, next) => {
+    const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
+
+    if (missing.length > 0) {
+        return res.status(403).json({ success: false, message: `Permission required: ${missing.join(', ')}` });
     }
     next();
 };
 
-module.exports = { authenticateToken, requireManager };
+// Team views cover the manager's whole reporting tree; ?team_id= narrows them to a manager below them
+const scopeToTeam = async (req, res, next) => {
+    const teamId = Number(req.query.team_id);
+
+    if (!req.query.team_id || teamId === req.user.id) {
+        req.teamRootId = req.user.id;
+        return next();
+    }
+
+    try {
+        if (!(await isInTeam(req.user.id, teamId))) {
+            return res.status(403).json({ success: false, message: 'team_id is not part of your team' });
+        }
+    } catch (error) {
+        console.error('Team scope error:', error);
+        return res.status(500).json({ success: false, message: 'Failed to resolve team' });
+    }
+
+    req.teamRootId = teamId;
+    next();
+};
+
+module.exports = { authenticateToken, authenticatePasswordChange, tokenFromQuery, requirePermission, scopeToTeam };
@@ -0,0 +1,54 @@
+const multer = require('multer');
+const { parseCsv } = require('../utils/csv');
+
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+const MAX_ROWS = 5000;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: 1 }
+}).single('file');
+
+/**
+ * Accepts a CSV upload in the multipart field "file" and exposes its data rows as
+ * req.csvRows = [{ row, values }], where row is the spreadsheet line number and
+ * values is keyed by lower-cased header. Rejects files missing any required header.
+ */
+const handleCsvUpload = (requiredHeaders) => (req, res, next) => {
+    upload(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? 'CSV file must be 2 MB or smaller'
+                : 'Upload a single CSV file in the "file" field';
+            return res.status(400).json({ success: false, message });
+        }
+        if (err) return next(err);
+
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'Upload a CSV file in the "file" field' });
+        }
+
+        const [header, ...rows] = parseCsv(req.file.buffer.toString('utf8'));
+        const headers = (header || []).map((name) => name.trim().toLowerCase());
+        const missing = requiredHeaders.filter((name) => !headers.includes(name));
+
+        if (missing.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `CSV is missing required columns: ${missing.join(', ')}`
+            });
+        }
+
+        if (rows.length > MAX_ROWS) {
+            return res.status(400).json({ success: false, message: `Import at most ${MAX_ROWS} rows at a time` });
+        }
+
+        req.csvRows = rows.map((cells, index) => ({
+            row: index + 2,
+            values: Object.fromEntries(headers.map((name, i) => [name, (cells[i] || '').trim()]))
+        }));
+        next();
+    });
+};
+
+module.exports = { handleCsvUpload };
@@ -0,0 +1,440 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { isValidDate, todayDate } = require('../utils/datetime');
+const { handleCsvUpload } = require('../middleware/csvUpload');
+const { inTeamOf } = require('../services/hierarchy');
+const { toCsv } = require('../utils/csv');
+const { auditContext, snapshot, recordAudit } = require('../services/audit');
+const { readVisitFrequency } = require('../services/visitFrequency');
+const {
+    findOverlappingAssignment,
+    createAssignment,
+    endAssignment,
+    ASSIGNMENT_CSV_HEADERS,
+    ASSIGNMENT_EXPORT_COLUMNS,
+    planAssignmentImport,
+    applyAssignmentImport
+} = require('../services/assignments');
+
+const router = express.Router();
+
+const MAX_BULK_PAIRS = 500;
+
+// Filters for ?status=; "current" (active or upcoming) is what an export round-trips
+const STATUS_CONDITIONS = {
+    active: " AND ec.assigned_date <= DATE('now') AND (ec.end_date IS NULL OR ec.end_date >= DATE('now'))",
+    upcoming: " AND ec.assigned_date > DATE('now')",
+    current: " AND (ec.end_date IS NULL OR ec.end_date >= DATE('now'))",
+    ended: " AND ec.end_date < DATE('now')",
+    all: ''
+};
+
+const STATUS_ERROR = 'status must be one of active, upcoming, current, ended, all';
+
+const toIdList = (value) => (Array.isArray(value)
+    ? [...new Set(value.map(Number).filter((id) => Number.isInteger(id) && id > 0))]
+    : []);
+
+// Resolves optional start/end dates; returns { startDate, endDate } or { error }
+const readDateRange = (body) => {
+    const startDate = body.start_date || todayDate();
+    const endDate = body.end_date || null;
+
+    if (!isValidDate(startDate) || (endDate !== null && !isValidDate(endDate))) {
+        return { error: 'start_date and end_date must be YYYY-MM-DD' };
+    }
+    if (endDate !== null && endDate < startDate) {
+        return { error: 'end_date must not be before start_date' };
+    }
+    return { startDate, endDate };
+};
+
+// Members of the manager's reporting tree among employeeIds; deactivated ones only with includeInactive
+const findTeamMembers = async (manager, employeeIds, { includeInactive = false } = {}) => {
+    if (employeeIds.length === 0) return [];
+    const [rows] = await pool.execute(
+        `SELECT id, name, is_active FROM users
+         WHERE organization_id = ? AND ${inTeamOf('id')}${includeInactive ? '' : ' AND is_active = 1'}
+           AND id IN (${employeeIds.map(() => '?').join(', ')})`,
+        [manager.organization_id, manager.id, ...employeeIds]
+    );
+    return rows;
+};
+
+const findActiveClients = async (organizationId, clientIds) => {
+    if (clientIds.length === 0) return [];
+    const [rows] = await pool.execute(
+        `SELECT id, name FROM clients
+         WHERE organization_id = ? AND archived_at IS NULL AND id IN (${clientIds.map(() => '?').join(', ')})`,
+        [organizationId, ...clientIds]
+    );
+    return rows;
+};
+
+const findTeamAssignment = async (manager, assignmentId) => {
+    const [rows] = await pool.execute(
+        `SELECT ec.* FROM employee_clients ec
+         INNER JOIN users u ON ec.employee_id = u.id
+         WHERE ec.id = ? AND ec.organization_id = ? AND ${inTeamOf('u.id')}`,
+        [assignmentId, manager.organization_id, manager.id]
+    );
+    return rows[0] || null;
+};
+
+const fetchTeamAssignments = async (manager, status, { employee_id, client_id }) => {
+    let query = `
+        SELECT ec.id, ec.employee_id, u.name AS employee_name, u.email AS employee_email,
+               ec.client_id, c.name AS client_name, c.external_code AS client_code,
+               c.address AS client_address, c.archived_at AS client_archived_at,
+               ec.assigned_date AS start_date, ec.end_date, ec.assigned_by,
+               ec.visit_frequency_days, c.visit_frequency_days AS client_visit_frequency_days
+        FROM employee_clients ec
+        INNER JOIN users u ON ec.employee_id = u.id
+        INNER JOIN clients c ON ec.client_id = c.id
+        WHERE ec.organization_id = ? AND ${inTeamOf('u.id')}${STATUS_CONDITIONS[status]}`;
+    const params = [manager.organization_id, manager.id];
+
+    if (employee_id) {
+        query += ' AND ec.employee_id = ?';
+        params.push(employee_id);
+    }
+    if (client_id) {
+        query += ' AND ec.client_id = ?';
+        params.push(client_id);
+    }
+
+    query += ' ORDER BY u.name, c.name, ec.assigned_date';
+
+    const [assignments] = await pool.execute(query, params);
+    return assignments;
+};
+
+// List the team's assignments; status is active (default), upcoming, current, ended or all
+router.get('/', authenticateToken, requirePermission('assignments:manage'), async (req, res) => {
+    try {
+        const status = req.query.status || 'active';
+
+        if (!(status in STATUS_CONDITIONS)) {
+            return res.status(400).json({ success: false, message: STATUS_ERROR });
+        }
+
+        const assignments = await fetchTeamAssignments(req.user, status, req.query);
+
+        res.json({ success: true, data: assignments });
+    } catch (error) {
+        console.error('List assignments error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch assignments' });
+    }
+});
+
+// CSV in the import format; same filters as the list, defaulting to current and upcoming assignments
+router.get('/export', authenticateToken, requirePermission('assignments:manage'), async (req, res) => {
+    try {
+        const status = req.query.status || 'current';
+
+        if (!(status in STATUS_CONDITIONS)) {
+            return res.status(400).json({ success: false, message: STATUS_ERROR });
+        }
+
+        const assignments = await fetchTeamAssignments(req.user, status, req.query);
+
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': 'attachment; filename="assignments.csv"'
+        });
+        res.send(toCsv(ASSIGNMENT_EXPORT_COLUMNS, assignments));
+    } catch (error) {
+        console.error('Export assignments error:', error);
+        res.status(500).json({ success: false, message: 'Failed to export assignments' });
+    }
+});
+
+// Upsert assignments from CSV keyed on employee_email, client_code and start_date;
+// ?dry_run=true only validates. Nothing is written unless every row is valid.
+router.post(
+    '/import',
+    authenticateToken,
+    requirePermission('assignments:manage'),
+    handleCsvUpload(ASSIGNMENT_CSV_HEADERS),
+    async (req, res) => {
+        try {
+            const dryRun = req.query.dry_run === 'true';
+            const { operations, errors } = await planAssignmentImport(req.user, req.csvRows);
+            const summary = {
+                dry_run: dryRun,
+                total_rows: req.csvRows.length,
+                created: operations.filter((op) => op.action === 'create').length,
+                updated: operations.filter((op) => op.action === 'update').length,
+                unchanged: operations.filter((op) => op.action === 'unchanged').length,
+                errors
+            };
+
+            if (!dryRun && errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${errors.length} row(s) have errors; nothing was imported`,
+                    data: summary
+                });
+            }
+
+            if (!dryRun) {
+                await applyAssignmentImport(auditContext(req), operations);
+            }
+
+            res.json({ success: true, data: summary });
+        } catch (error) {
+            console.error('Import assignments error:', error);
+            res.status(500).json({ success: false, message: 'Failed to import assignments' });
+        }
+    }
+);
+
+// Bulk assign: every listed client to every listed team member, optionally with a visit_frequency_days override
+router.post('/', authenticateToken, requirePermission('assignments:manage'), async (req, res) => {
+    try {
+        const employeeIds = toIdList(req.body.employee_ids);
+        const clientIds = toIdList(req.body.client_ids);
+
+        if (employeeIds.length === 0 || clientIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'employee_ids and client_ids must be non-empty arrays'
+            });
+        }
+
+        if (employeeIds.length * clientIds.length > MAX_BULK_PAIRS) {
+            return res.status(400).json({
+                success: false,
+                message: `At most ${MAX_BULK_PAIRS} assignments can be created at once`
+            });
+        }
+
+        const range = readDateRange(req.body);
+        if (range.error) {
+            return res.status(400).json({ success: false, message: range.error });
+        }
+
+        const visitFrequency = readVisitFrequency(req.body.visit_frequency_days);
+        if (visitFrequency.error) {
+            return res.status(400).json({ success: false, message: visitFrequency.error });
+        }
+
+        const employees = await findTeamMembers(req.user, employeeIds);
+        if (employees.length !== employeeIds.length) {
+            return res.status(403).json({ success: false, message: 'Some employees are not active members of your team' });
+        }
+
+        const clients = await findActiveClients(req.user.organization_id, clientIds);
+        if (clients.length !== clientIds.length) {
+            return res.status(400).json({ success: false, message: 'Some clients do not exist or are archived' });
+        }
+
+        const created = [];
+        const skipped = [];
+
+        for (const employee of employees) {
+            for (const client of clients) {
+                const result = await createAssignment(auditContext(req), {
+                    employeeId: employee.id,
+                    clientId: client.id,
+                    startDate: range.startDate,
+                    endDate: range.endDate,
+                    visitFrequencyDays: visitFrequency.frequency
+                });
+
+                if (result.conflict) {
+                    skipped.push({
+                        employee_id: employee.id,
+                        client_id: client.id,
+                        reason: `Already assigned from ${result.conflict.assigned_date}` +
+                            (result.conflict.end_date ? ` to ${result.conflict.end_date}` : '')
+                    });
+                } else {
+                    created.push({ id: result.id, employee_id: employee.id, client_id: client.id });
+                }
+            }
+        }
+
+        res.status(created.length > 0 ? 201 : 200).json({ success: true, data: { created, skipped } });
+    } catch (error) {
+        console.error('Bulk assign error:', error);
+        res.status(500).json({ success: false, message: 'Failed to assign clients' });
+    }
+});
+
+// Move clients from one rep to another from an effective date (default: all of their current clients, today)
+router.post('/reassign', authenticateToken, requirePermission('assignments:manage'), async (req, res) => {
+    try {
+        const fromId = Number(req.body.from_employee_id);
+        const toId = Number(req.body.to_employee_id);
+        const clientIds = toIdList(req.body.client_ids);
+        const effectiveDate = req.body.effective_date || todayDate();
+
+        if (!fromId || !toId || fromId === toId) {
+            return res.status(400).json({
+                success: false,
+                message: 'from_employee_id and to_employee_id must be two different employees'
+            });
+        }
+
+        if (!isValidDate(effectiveDate)) {
+            return res.status(400).json({ success: false, message: 'effective_date must be YYYY-MM-DD' });
+        }
+
+        // The source may have left already; their clients still need a new rep
+        const employees = await findTeamMembers(req.user, [fromId, toId], { includeInactive: true });
+        const target = employees.find((employee) => employee.id === toId);
+        if (employees.length !== 2) {
+            return res.status(403).json({ success: false, message: 'Both employees must be members of your team' });
+        }
+        if (!target.is_active) {
+            return res.status(403).json({ success: false, message: 'to_employee_id must be an active member of your team' });
+        }
+
+        // Assignments of the source rep still in effect on or after the effective date
+        let query = `
+            SELECT ec.* FROM employee_clients ec
+            INNER JOIN clients c ON ec.client_id = c.id
+            WHERE ec.employee_id = ? AND ec.organization_id = ? AND c.archived_at IS NULL
+              AND (ec.end_date IS NULL OR ec.end_date >= ?)`;
+        const params = [fromId, req.user.organization_id, effectiveDate];
+
+        if (clientIds.length > 0) {
+            query += ` AND ec.client_id IN (${clientIds.map(() => '?').join(', ')})`;
+            params.push(...clientIds);
+        }
+
+        const [sourceAssignments] = await pool.execute(query, params);
+
+        if (sourceAssignments.length === 0) {
+            return res.status(404).json({ success: false, message: 'No matching assignments to move' });
+        }
+
+        const moved = [];
+        const skipped = [];
+
+        for (const assignment of sourceAssignments) {
+            // Keep the original end date, and never start the new assignment before the old one would have
+            const startDate = assignment.assigned_date > effectiveDate ? assignment.assigned_date : effectiveDate;
+            const result = await createAssignment(auditContext(req), {
+                employeeId: toId,
+                clientId: assignment.client_id,
+                startDate,
+                endDate: assignment.end_date,
+                visitFrequencyDays: assignment.visit_frequency_days
+            });
+
+            // The source keeps the client so it is never left without coverage
+            if (result.conflict) {
+                skipped.push({ client_id: assignment.client_id, reason: 'Target employee already has this client' });
+                continue;
+            }
+
+            await endAssignment(auditContext(req), assignment, startDate);
+            moved.push({ client_id: assignment.client_id, new_assignment_id: result.id });
+        }
+
+        res.json({ success: true, data: { effective_date: effectiveDate, moved, skipped } });
+    } catch (error) {
+        console.error('Reassign clients error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reassign clients' });
+    }
+});
+
+// Change an assignment's effective dates or visit frequency (null falls back to the client's)
+router.put('/:id', authenticateToken, requirePermission('assignments:manage'), async (req, res) => {
+    try {
+        const assignment = await findTeamAssignment(req.user, req.params.id);
+        if (!assignment) {
+            return res.status(404).json({ success: false, message: 'Assignment not found' });
+        }
+
+        const range = readDateRange({
+            start_date: req.body.start_date || assignment.assigned_date,
+            end_date: req.body.end_date === undefined ? assignment.end_date : req.body.end_date
+        });
+        if (range.error) {
+            return res.status(400).json({ success: false, message: range.error });
+        }
+
+        const visitFrequency = readVisitFrequency(
+            req.body.visit_frequency_days === undefined ? assignment.visit_frequency_days : req.body.visit_frequency_days
+        );
+        if (visitFrequency.error) {
+            return res.status(400).json({ success: false, message: visitFrequency.error });
+        }
+
+        const overlap = await findOverlappingAssignment(
+            assignment.employee_id,
+            assignment.client_id,
+            range.startDate,
+            range.endDate,
+            assignment.id
+        );
+
+        if (overlap) {
+            return res.status(409).json({
+                success: false,
+                message: 'These dates overlap another assignment of the same client'
+            });
+        }
+
+        await pool.execute(
+            'UPDATE employee_clients SET assigned_date = ?, end_date = ?, visit_frequency_days = ? WHERE id = ?',
+            [range.startDate, range.endDate, visitFrequency.frequency, assignment.id]
+        );
+        await recordAudit(auditContext(req), {
+            action: 'assignment.update',
+            entityId: assignment.id,
+            before: assignment,
+            after: await snapshot('assignment', assignment.id)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                id: assignment.id,
+                start_date: range.startDate,
+                end_date: range.endDate,
+                visit_frequency_days: visitFrequency.frequency
+            }
+        });
+    } catch (error) {
+        console.error('Update assignment error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update assignment' });
+    }
+});
+
+// Unassign from ?effective_date (default today); the assignment's last day is the day before
+router.delete('/:id', authenticateToken, requirePermission('assignments:manage'), async (req, res) => {
+    try {
+        const assignment = await findTeamAssignment(req.user, req.params.id);
+        if (!assignment) {
+            return res.status(404).json({ success: false, message: 'Assignment not found' });
+        }
+
+        const effectiveDate = req.query.effective_date || todayDate();
+        if (!isValidDate(effectiveDate)) {
+            return res.status(400).json({ success: false, message: 'effective_date must be YYYY-MM-DD' });
+        }
+
+        const outcome = await endAssignment(auditContext(req), assignment, effectiveDate);
+        const messages = {
+            removed: 'Assignment removed',
+            ended: 'Assignment ended',
+            unchanged: 'Assignment already ends before that date'
+        };
+
+        res.json({
+            success: true,
+            message: messages[outcome],
+            data: { id: assignment.id, outcome }
+        });
+    } catch (error) {
+        console.error('Unassign client error:', error);
+        res.status(500).json({ success: false, message: 'Failed to unassign client' });
+    }
+});
+
+module.exports = router;
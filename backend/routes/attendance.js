@@ -0,0 +1,126 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { isValidCoordinate, parseAccuracy } = require('../utils/geo');
+const { resolveCaptureTime } = require('../utils/datetime');
+const {
+    workDateOf,
+    currentWorkDate,
+    shiftSettings,
+    findLastPunch,
+    isPunchedIn,
+    fetchAttendance
+} = require('../services/attendance');
+const { auditContext, snapshot, recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// The signed-in employee's working day so far: whether they are punched in, their punches and hours.
+// A shift still open from before midnight is shown as the day it started.
+router.get('/today', authenticateToken, async (req, res) => {
+    try {
+        const lastPunch = await findLastPunch(req.user.id);
+        const punchedIn = isPunchedIn(lastPunch);
+        const date = punchedIn ? workDateOf(lastPunch.punch_time) : currentWorkDate();
+        const [day] = await fetchAttendance(req.user.organization_id, {
+            employeeId: req.user.id,
+            startDate: date,
+            endDate: date
+        });
+
+        res.json({
+            success: true,
+            data: {
+                date,
+                punched_in: punchedIn,
+                shift: shiftSettings(date),
+                summary: day || null
+            }
+        });
+    } catch (error) {
+        console.error('Attendance today error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch attendance' });
+    }
+});
+
+// Records a start or end punch at the employee's location; captured_at allows a punch taken offline
+const recordPunch = (punchType) => async (req, res) => {
+    try {
+        const { latitude, longitude } = req.body;
+
+        if (!isValidCoordinate(latitude, longitude)) {
+            return res.status(400).json({ success: false, message: 'Valid latitude and longitude are required' });
+        }
+
+        const captureTime = resolveCaptureTime(req.body.captured_at);
+        if (captureTime.error) {
+            return res.status(400).json({ success: false, message: captureTime.error });
+        }
+
+        // Judged at the capture time, so a punch queued offline and synced later sees the day as it was
+        const lastPunch = await findLastPunch(req.user.id);
+        const punchedIn = isPunchedIn(lastPunch, new Date(`${captureTime.effective.replace(' ', 'T')}Z`).getTime());
+
+        if (punchType === 'start' && punchedIn) {
+            return res.status(409).json({ success: false, message: 'Your day has already started' });
+        }
+        if (punchType === 'end' && !punchedIn) {
+            return res.status(409).json({ success: false, message: 'Start your day before ending it' });
+        }
+        if (lastPunch && captureTime.effective < lastPunch.punch_time) {
+            return res.status(400).json({ success: false, message: 'captured_at is before your last punch' });
+        }
+
+        if (punchType === 'end') {
+            const [active] = await pool.execute(
+                "SELECT id FROM checkins WHERE employee_id = ? AND status = 'checked_in'",
+                [req.user.id]
+            );
+            if (active.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Check out of your current visit before ending your day'
+                });
+            }
+        }
+
+        const [result] = await pool.execute(
+            `INSERT INTO attendance_punches (organization_id, employee_id, punch_type, punch_time, captured_at,
+                                             latitude, longitude, accuracy)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                req.user.organization_id,
+                req.user.id,
+                punchType,
+                captureTime.effective,
+                captureTime.captured,
+                Number(latitude),
+                Number(longitude),
+                parseAccuracy(req.body.accuracy)
+            ]
+        );
+
+        await recordAudit(auditContext(req), {
+            action: `attendance.${punchType}`,
+            entityId: result.insertId,
+            after: await snapshot('attendance', result.insertId)
+        });
+
+        res.status(201).json({
+            success: true,
+            message: punchType === 'start' ? 'Day started' : 'Day ended',
+            data: { id: result.insertId, punch_type: punchType, punch_time: captureTime.effective }
+        });
+    } catch (error) {
+        console.error('Attendance punch error:', error);
+        res.status(500).json({ success: false, message: 'Failed to record punch' });
+    }
+};
+
+// Start the working day
+router.post('/start', authenticateToken, requirePermission('checkins:create'), recordPunch('start'));
+
+// End the working day; any visit must be checked out first
+router.post('/end', authenticateToken, requirePermission('checkins:create'), recordPunch('end'));
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { isValidDate } = require('../utils/datetime');
+const { inTeamOf } = require('../services/hierarchy');
+const { AUDITED_TABLES, parseEntry } = require('../services/audit');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Entries visible to the caller: their own changes, their reporting tree's, and system changes to the tree's check-ins
+const VISIBLE_ENTRIES = `a.organization_id = ?
+    AND (
+        a.actor_id = ?
+        OR ${inTeamOf('a.actor_id')}
+        OR (a.actor_id IS NULL AND a.entity_type = 'checkin'
+            AND a.entity_id IN (SELECT ch.id FROM checkins ch WHERE ${inTeamOf('ch.employee_id')}))
+    )`;
+
+// Browse the audit log, newest first; filter by entity_type, entity_id, action, actor_id and a date range
+router.get('/', authenticateToken, requirePermission('audit:read'), async (req, res) => {
+    try {
+        const { entity_type, entity_id, action, actor_id, start_date, end_date } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        if (entity_type && !AUDITED_TABLES[entity_type]) {
+            return res.status(400).json({
+                success: false,
+                message: `entity_type must be one of ${Object.keys(AUDITED_TABLES).join(', ')}`
+            });
+        }
+
+        if ((start_date && !isValidDate(start_date)) || (end_date && !isValidDate(end_date))) {
+            return res.status(400).json({ success: false, message: 'start_date and end_date must be YYYY-MM-DD' });
+        }
+
+        let where = `WHERE ${VISIBLE_ENTRIES}`;
+        const params = [req.user.organization_id, req.user.id, req.user.id, req.user.id];
+
+        if (entity_type) {
+            where += ' AND a.entity_type = ?';
+            params.push(entity_type);
+        }
+        if (entity_id) {
+            where += ' AND a.entity_id = ?';
+            params.push(entity_id);
+        }
+        if (action) {
+            where += ' AND a.action = ?';
+            params.push(action);
+        }
+        if (actor_id === 'system') {
+            where += ' AND a.actor_id IS NULL';
+        } else if (actor_id) {
+            where += ' AND a.actor_id = ?';
+            params.push(actor_id);
+        }
+        if (start_date) {
+            where += ' AND DATE(a.created_at) >= ?';
+            params.push(start_date);
+        }
+        if (end_date) {
+            where += ' AND DATE(a.created_at) <= ?';
+            params.push(end_date);
+        }
+
+        const [[{ total }]] = await pool.execute(`SELECT COUNT(*) AS total FROM audit_log a ${where}`, params);
+        const [entries] = await pool.execute(
+            `SELECT a.*, u.name AS actor_name
+             FROM audit_log a
+             LEFT JOIN users u ON a.actor_id = u.id
+             ${where}
+             ORDER BY a.id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, limit, (page - 1) * limit]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                entries: entries.map(parseEntry),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    total_pages: Math.max(Math.ceil(total / limit), 1)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch audit log' });
+    }
+});
+
+module.exports = router;
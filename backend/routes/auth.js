@@ -2,6 +2,10 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
+const { authenticatePasswordChange } = require('../middleware/auth');
+const { MIN_PASSWORD_LENGTH, hashPassword, normalizeEmail } = require('../services/users');
+const { permissionsFor } = require('../services/permissions');
+const { auditContext, recordAudit } = require('../services/audit');
 
 const router = express.Router();
 
@@ -15,8 +19,11 @@ router.post('/login', async (req, res) => {
         }
 
         const [users] = await pool.execute(
-            'SELECT * FROM users WHERE email = ?',
-            [email]
+            `SELECT u.*, o.name AS organization_name
+             FROM users u
+             INNER JOIN organizations o ON o.id = u.organization_id
+             WHERE u.email = ?`,
+            [normalizeEmail(email)]
         );
 
         if (users.length === 0) {
@@ -31,8 +38,13 @@ router.post('/login', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Invalid credentials' });
         }
 
+        // Checked after the password so the response does not reveal which emails exist
+        if (!user.is_active) {
+            return res.status(403).json({ success: false, message: 'This account has been deactivated' });
+        }
+
         const token = jwt.sign(
-            { id: user.id, email: user.email, role: user.role, name: user.name },
+            { id: user.id, email: user.email, role: user.role, name: user.name, organization_id: user.organization_id },
             process.env.JWT_SECRET,
             { expiresIn: '24h' }
         );
@@ -45,7 +57,11 @@ router.post('/login', async (req, res) => {
                     id: user.id,
                     name: user.name,
                     email: user.email,
-                    role: user.role
+                    role: user.role,
+                    permissions: permissionsFor(user.role),
+                    organization_id: user.organization_id,
+                    organization_name: user.organization_name,
+                    must_change_password: user.must_change_password === 1
                 }
             }
         });
@@ -67,18 +83,56 @@ router.get('/me', async (req, res) => {
     try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const [users] = await pool.execute(
-            'SELECT id, name, email, role FROM users WHERE id = ?',
-            [decoded.id]
+            `SELECT u.id, u.name, u.email, u.role, u.is_active, u.organization_id, o.name AS organization_name
+             FROM users u
+             INNER JOIN organizations o ON o.id = u.organization_id
+             WHERE u.id = ? AND u.organization_id = ?`,
+            [decoded.id, decoded.organization_id]
         );
 
-        if (users.length === 0) {
+        if (users.length === 0 || !users[0].is_active) {
             return res.status(404).json({ success: false, message: 'User not found' });
         }
 
-        res.json({ success: true, data: users[0] });
+        const { is_active, ...profile } = users[0];
+        res.json({ success: true, data: { ...profile, permissions: permissionsFor(profile.role) } });
     } catch (error) {
         res.status(401).json({ success: false, message: 'Invalid token' });
     }
 });
 
+// Change own password; clears the temporary-password flag set by a manager
+router.post('/change-password', authenticatePasswordChange, async (req, res) => {
+    try {
+        const { current_password, new_password } = req.body;
+
+        if (typeof new_password !== 'string' || new_password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters`
+            });
+        }
+
+        const [users] = await pool.execute('SELECT password FROM users WHERE id = ?', [req.user.id]);
+
+        if (typeof current_password !== 'string' || !(await bcrypt.compare(current_password, users[0].password))) {
+            return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+        }
+
+        await pool.execute(
+            `UPDATE users SET password = ?, must_change_password = 0, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [await hashPassword(new_password), req.user.id]
+        );
+
+        // The entry records that the password changed, never the password itself
+        await recordAudit(auditContext(req), { action: 'user.change_password', entityId: req.user.id });
+
+        res.json({ success: true, message: 'Password changed' });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ success: false, message: 'Failed to change password' });
+    }
+});
+
 module.exports = router;
@@ -1,19 +1,126 @@
 const express = require('express');
+const multer = require('multer');
 const pool = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getDistanceInMeters, isValidCoordinate, parseAccuracy } = require('../utils/geo');
+const { resolveCaptureTime } = require('../utils/datetime');
+const { publishCheckinEvent } = require('../services/realtime');
+const { detectSuspiciousCheckin } = require('../services/spoofDetection');
+const { findVisibleCheckin } = require('../services/access');
+const { fetchCheckinHistory } = require('../services/checkins');
+const { auditContext, snapshot, recordAudit } = require('../services/audit');
+const { ACTIVE_ASSIGNMENT } = require('../services/assignments');
+const { ALLOWED_MIME_TYPES, preparePhoto, savePhoto, listPhotos } = require('../services/photos');
+const { decodeSignature, signatureKey, saveSignature } = require('../services/signatures');
+const { resolveForm, findForm, validateAnswers, saveAnswers } = require('../services/visitForms');
+const { parseCorrection, findPendingCorrection, readCorrectionRequest } = require('../services/corrections');
+const { matchCheckinToPlan } = require('../services/plans');
+const { MANAGER_CHAIN } = require('../services/hierarchy');
+const storage = require('../services/storage');
 
 const router = express.Router();
 
+// 'flag' records out-of-range check-ins, 'reject' refuses them unless an override reason is given
+const GEOFENCE_MODE = process.env.GEOFENCE_MODE === 'reject' ? 'reject' : 'flag';
+
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+// Clients send a unique key per logical request so offline replays never duplicate rows
+const getIdempotencyKey = (req) => {
+    const key = req.get('Idempotency-Key') || req.body.idempotency_key;
+    if (key === undefined || key === null || key === '') return { key: null };
+    if (!IDEMPOTENCY_KEY_PATTERN.test(String(key))) {
+        return { error: 'Idempotency key must be 8-100 letters, digits, dashes or underscores' };
+    }
+    return { key: String(key) };
+};
+
+const MAX_PHOTOS_PER_CHECKIN = 10;
+
+const photoUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024, files: 5 },
+    fileFilter: (req, file, cb) => {
+        if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+            return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+        cb(null, true);
+    }
+}).array('photos');
+
+// Turns multer's errors into the API's 400 response shape
+const handlePhotoUpload = (req, res, next) => {
+    photoUpload(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? 'Each photo must be 10 MB or smaller'
+                : err.code === 'LIMIT_FILE_COUNT'
+                    ? 'Upload at most 5 photos at a time'
+                    : 'Photos must be JPEG, PNG or WebP images sent in the "photos" field';
+            return res.status(400).json({ success: false, message });
+        }
+        next(err);
+    });
+};
+
+const isUniqueViolation = (error) => error && error.code === 'SQLITE_CONSTRAINT_UNIQUE';
+
+const MAX_VISIT_TYPE_LENGTH = 50;
+
+const checkinResult = (row) => ({
+    id: row.id,
+    checkin_time: row.checkin_time,
+    distance_from_client: row.distance_from_client,
+    within_geofence: row.within_geofence,
+    form_id: row.form_id,
+    message: row.within_geofence === 0
+        ? 'Checked in outside the client geofence'
+        : 'Checked in successfully'
+});
+
+const checkoutResult = (row) => ({
+    id: row.id,
+    checkout_time: row.checkout_time,
+    checkout_distance_from_client: row.checkout_distance_from_client,
+    checkout_within_geofence: row.checkout_within_geofence,
+    signed: Boolean(row.signature_key)
+});
+
+const checkoutMessage = (row) => (row.checkout_within_geofence === 0
+    ? 'Checked out away from the client location'
+    : 'Checked out successfully');
+
+const findByIdempotencyKey = async (column, employeeId, key) => {
+    const [rows] = await pool.execute(
+        `SELECT * FROM checkins WHERE employee_id = ? AND ${column} = ?`,
+        [employeeId, key]
+    );
+    return rows[0] || null;
+};
+
 // Get assigned clients for employee
 router.get('/clients', authenticateToken, async (req, res) => {
     try {
         const [clients] = await pool.execute(
             `SELECT c.* FROM clients c
              INNER JOIN employee_clients ec ON c.id = ec.client_id
-             WHERE ec.employee_id = ?`,
+             WHERE ec.employee_id = ? AND ec.organization_id = ? AND c.archived_at IS NULL AND ${ACTIVE_ASSIGNMENT}`,
+            [req.user.id, req.user.organization_id]
+        );
+
+        // Visit types offered at check-in are the ones managers above the employee have attached forms to
+        const [forms] = await pool.execute(
+            `SELECT DISTINCT client_id, visit_type FROM visit_forms
+             WHERE manager_id IN (SELECT id FROM ${MANAGER_CHAIN}) AND is_active = 1 AND visit_type IS NOT NULL`,
             [req.user.id]
         );
 
+        clients.forEach((client) => {
+            client.visit_types = [...new Set(forms
+                .filter((f) => f.client_id === null || f.client_id === client.id)
+                .map((f) => f.visit_type))].sort();
+        });
+
         res.json({ success: true, data: clients });
     } catch (error) {
         console.error('Get clients error:', error);
@@ -22,18 +129,52 @@ router.get('/clients', authenticateToken, async (req, res) => {
 });
 
 // Create new check-in
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('checkins:create'), async (req, res) => {
     try {
-        const { client_id, latitude, longitude, distance_from_client, notes } = req.body;
+        const { client_id, latitude, longitude, notes } = req.body;
+        const overrideReason = req.body.override_reason ? String(req.body.override_reason).trim() : '';
+        const visitType = req.body.visit_type ? String(req.body.visit_type).trim() : '';
 
         if (!client_id) {
             return res.status(400).json({ success: false, message: 'Client ID is required' });
         }
 
+        if (!isValidCoordinate(latitude, longitude)) {
+            return res.status(400).json({ success: false, message: 'Valid latitude and longitude are required' });
+        }
+
+        if (visitType.length > MAX_VISIT_TYPE_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `visit_type may be at most ${MAX_VISIT_TYPE_LENGTH} characters`
+            });
+        }
+
+        const idempotency = getIdempotencyKey(req);
+        if (idempotency.error) {
+            return res.status(400).json({ success: false, message: idempotency.error });
+        }
+
+        const captureTime = resolveCaptureTime(req.body.captured_at);
+        if (captureTime.error) {
+            return res.status(400).json({ success: false, message: captureTime.error });
+        }
+
+        if (idempotency.key) {
+            const existing = await findByIdempotencyKey('checkin_idempotency_key', req.user.id, idempotency.key);
+            if (existing) {
+                return res.json({ success: true, replayed: true, data: checkinResult(existing) });
+            }
+        }
+
         // Check if employee is assigned to this client
         const [assignments] = await pool.execute(
-            'SELECT * FROM employee_clients WHERE employee_id = ? AND client_id = ?',
-            [req.user.id, client_id]
+            `SELECT c.latitude, c.longitude, c.geofence_radius
+             FROM employee_clients ec
+             INNER JOIN clients c ON ec.client_id = c.id
+             WHERE ec.employee_id = ? AND ec.client_id = ? AND ec.organization_id = ? AND c.archived_at IS NULL
+               AND ${ACTIVE_ASSIGNMENT}`,
+            [req.user.id, client_id, req.user.organization_id]
         );
 
         if (assignments.length === 0) {
@@ -53,18 +194,94 @@ router.post('/', authenticateToken, async (req, res) => {
             });
         }
 
-        const [result] = await pool.execute(
-            `INSERT INTO checkins (employee_id, client_id, latitude, longitude, distance_from_client, notes, status)
-             VALUES (?, ?, ?, ?, ?, ?, 'checked_in')`,
-            [req.user.id, client_id, latitude, longitude, distance_from_client, notes || null]
-        );
+        // Distance is always computed here; the browser's own figure is never trusted
+        const client = assignments[0];
+        let distanceFromClient = null;
+        let withinGeofence = null;
+
+        if (isValidCoordinate(client.latitude, client.longitude)) {
+            distanceFromClient = getDistanceInMeters(
+                Number(latitude), Number(longitude), client.latitude, client.longitude
+            );
+            withinGeofence = distanceFromClient <= client.geofence_radius ? 1 : 0;
+        }
+
+        if (withinGeofence === 0 && GEOFENCE_MODE === 'reject' && !overrideReason) {
+            return res.status(403).json({
+                success: false,
+                message: `You are ${Math.round(distanceFromClient)} m from the client, outside the allowed ${client.geofence_radius} m. Provide an override reason to check in anyway.`,
+                data: {
+                    distance_from_client: distanceFromClient,
+                    geofence_radius: client.geofence_radius
+                }
+            });
+        }
+
+        const accuracy = parseAccuracy(req.body.accuracy);
+        const suspiciousFlags = await detectSuspiciousCheckin({
+            employeeId: req.user.id,
+            latitude: Number(latitude),
+            longitude: Number(longitude),
+            accuracy,
+            checkinTime: captureTime.effective,
+            client
+        });
+
+        // The form is fixed at check-in so the checkout screen knows what to ask
+        const form = await resolveForm(req.user.id, Number(client_id), visitType);
+
+        let result;
+        try {
+            [result] = await pool.execute(
+                `INSERT INTO checkins (organization_id, employee_id, client_id, checkin_time, checkin_captured_at,
+                                       checkin_idempotency_key, latitude, longitude, accuracy, distance_from_client,
+                                       within_geofence, override_reason, suspicious_flags, visit_type, form_id, notes, status)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'checked_in')`,
+                [
+                    req.user.organization_id,
+                    req.user.id,
+                    client_id,
+                    captureTime.effective,
+                    captureTime.captured,
+                    idempotency.key,
+                    Number(latitude),
+                    Number(longitude),
+                    accuracy,
+                    distanceFromClient,
+                    withinGeofence,
+                    withinGeofence === 0 && overrideReason ? overrideReason : null,
+                    suspiciousFlags.length > 0 ? JSON.stringify(suspiciousFlags) : null,
+                    visitType || null,
+                    form ? form.id : null,
+                    notes || null
+                ]
+            );
+        } catch (error) {
+            // A concurrent retry with the same key won the race
+            if (idempotency.key && isUniqueViolation(error)) {
+                const existing = await findByIdempotencyKey('checkin_idempotency_key', req.user.id, idempotency.key);
+                return res.json({ success: true, replayed: true, data: checkinResult(existing) });
+            }
+            throw error;
+        }
+
+        await matchCheckinToPlan(result.insertId);
+        await recordAudit(auditContext(req), {
+            action: 'checkin.create',
+            entityId: result.insertId,
+            after: await snapshot('checkin', result.insertId)
+        });
+        publishCheckinEvent('checkin', result.insertId);
 
         res.status(201).json({
             success: true,
-            data: {
+            data: checkinResult({
                 id: result.insertId,
-                message: 'Checked in successfully'
-            }
+                checkin_time: captureTime.effective,
+                distance_from_client: distanceFromClient,
+                within_geofence: withinGeofence,
+                form_id: form ? form.id : null
+            })
         });
     } catch (error) {
         console.error('Check-in error:', error);
@@ -73,10 +290,43 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // Checkout from current location
-router.put('/checkout', authenticateToken, async (req, res) => {
+router.put('/checkout', authenticateToken, requirePermission('checkins:create'), async (req, res) => {
     try {
+        const { latitude, longitude, accuracy } = req.body;
+
+        if (!isValidCoordinate(latitude, longitude)) {
+            return res.status(400).json({ success: false, message: 'Valid latitude and longitude are required' });
+        }
+
+        const idempotency = getIdempotencyKey(req);
+        if (idempotency.error) {
+            return res.status(400).json({ success: false, message: idempotency.error });
+        }
+
+        const captureTime = resolveCaptureTime(req.body.captured_at);
+        if (captureTime.error) {
+            return res.status(400).json({ success: false, message: captureTime.error });
+        }
+
+        if (idempotency.key) {
+            const existing = await findByIdempotencyKey('checkout_idempotency_key', req.user.id, idempotency.key);
+            if (existing) {
+                return res.json({
+                    success: true,
+                    replayed: true,
+                    message: checkoutMessage(existing),
+                    data: checkoutResult(existing)
+                });
+            }
+        }
+
         const [activeCheckins] = await pool.execute(
-            'SELECT * FROM checkins WHERE employee_id = ? ORDER BY checkin_time DESC LIMIT 1',
+            `SELECT ch.id, ch.checkin_time, ch.form_id, c.latitude AS client_lat, c.longitude AS client_lng,
+                    c.geofence_radius, c.require_signature
+             FROM checkins ch
+             INNER JOIN clients c ON ch.client_id = c.id
+             WHERE ch.employee_id = ? AND ch.status = 'checked_in'
+             ORDER BY ch.checkin_time DESC LIMIT 1`,
             [req.user.id]
         );
 
@@ -84,43 +334,347 @@ router.put('/checkout', authenticateToken, async (req, res) => {
             return res.status(404).json({ success: false, message: 'No active check-in found' });
         }
 
-        await pool.execute(
-            "UPDATE checkins SET checkout_time = datetime('now'), status = 'checked_out' WHERE id = ?",
-            [activeCheckins[0].id]
+        const active = activeCheckins[0];
+        const signerName = req.body.signer_name ? String(req.body.signer_name).trim() : '';
+        const signerDesignation = req.body.signer_designation ? String(req.body.signer_designation).trim() : '';
+        let signature = null;
+
+        if (req.body.signature) {
+            try {
+                signature = await decodeSignature(req.body.signature);
+            } catch (error) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            if (!signerName) {
+                return res.status(400).json({ success: false, message: 'Signer name is required with a signature' });
+            }
+        } else if (active.require_signature) {
+            return res.status(400).json({
+                success: false,
+                message: 'This client requires a signature at checkout'
+            });
+        }
+
+        let formAnswers = [];
+        if (active.form_id) {
+            const form = await findForm(active.form_id);
+            const validation = validateAnswers(form, req.body.form_answers);
+            if (validation.errors) {
+                return res.status(400).json({
+                    success: false,
+                    message: validation.errors[0].message,
+                    errors: validation.errors
+                });
+            }
+            formAnswers = validation.answers;
+        }
+
+        let checkoutDistance = null;
+        let checkoutWithinGeofence = null;
+
+        if (isValidCoordinate(active.client_lat, active.client_lng)) {
+            checkoutDistance = getDistanceInMeters(
+                Number(latitude), Number(longitude), active.client_lat, active.client_lng
+            );
+            checkoutWithinGeofence = checkoutDistance <= active.geofence_radius ? 1 : 0;
+        }
+
+        // A queued checkout can never end a visit before it started
+        const checkoutTime = captureTime.effective < active.checkin_time ? active.checkin_time : captureTime.effective;
+        const storedSignatureKey = signature ? signatureKey(active.id) : null;
+        const before = await snapshot('checkin', active.id);
+
+        const [update] = await pool.execute(
+            `UPDATE checkins
+             SET checkout_time = ?,
+                 checkout_captured_at = ?,
+                 checkout_received_at = datetime('now'),
+                 checkout_idempotency_key = ?,
+                 checkout_latitude = ?,
+                 checkout_longitude = ?,
+                 checkout_accuracy = ?,
+                 checkout_distance_from_client = ?,
+                 checkout_within_geofence = ?,
+                 signature_key = ?,
+                 signer_name = ?,
+                 signer_designation = ?,
+                 signed_at = ?,
+                 status = 'checked_out'
+             WHERE id = ? AND status = 'checked_in'`,
+            [
+                checkoutTime,
+                captureTime.captured,
+                idempotency.key,
+                Number(latitude),
+                Number(longitude),
+                parseAccuracy(accuracy),
+                checkoutDistance,
+                checkoutWithinGeofence,
+                storedSignatureKey,
+                signature ? signerName : null,
+                signature ? signerDesignation || null : null,
+                signature ? checkoutTime : null,
+                active.id
+            ]
         );
 
-        res.json({ success: true, message: 'Checked out successfully' });
+        // A concurrent checkout, auto-close or replay got there first: nothing of this request is stored
+        if (update.affectedRows === 0) {
+            const replayed = idempotency.key
+                ? await findByIdempotencyKey('checkout_idempotency_key', req.user.id, idempotency.key)
+                : null;
+            if (replayed) {
+                return res.json({
+                    success: true,
+                    replayed: true,
+                    message: checkoutMessage(replayed),
+                    data: checkoutResult(replayed)
+                });
+            }
+            return res.status(409).json({ success: false, message: 'This visit has already been checked out' });
+        }
+
+        if (signature) {
+            try {
+                await saveSignature(active.id, signature);
+            } catch (error) {
+                // Never leave the visit pointing at a signature that was not stored
+                await pool.execute(
+                    `UPDATE checkins
+                     SET signature_key = NULL, signer_name = NULL, signer_designation = NULL, signed_at = NULL
+                     WHERE id = ?`,
+                    [active.id]
+                );
+                throw error;
+            }
+        }
+        if (formAnswers.length > 0) {
+            await saveAnswers(active.id, active.form_id, formAnswers);
+        }
+        await recordAudit(auditContext(req), {
+            action: 'checkin.checkout',
+            entityId: active.id,
+            before,
+            after: await snapshot('checkin', active.id)
+        });
+        publishCheckinEvent('checkout', active.id);
+
+        const checkedOut = {
+            id: active.id,
+            checkout_time: checkoutTime,
+            checkout_distance_from_client: checkoutDistance,
+            checkout_within_geofence: checkoutWithinGeofence,
+            signature_key: storedSignatureKey
+        };
+
+        res.json({
+            success: true,
+            message: checkoutMessage(checkedOut),
+            data: checkoutResult(checkedOut)
+        });
     } catch (error) {
         console.error('Checkout error:', error);
         res.status(500).json({ success: false, message: 'Checkout failed' });
     }
 });
 
-// Get check-in history
-router.get('/history', authenticateToken, async (req, res) => {
+// Attach proof-of-visit photos to one of the employee's own check-ins
+router.post('/:id/photos', authenticateToken, requirePermission('checkins:create'), handlePhotoUpload, async (req, res) => {
     try {
-        const { start_date, end_date } = req.query;
+        const [checkins] = await pool.execute(
+            'SELECT id FROM checkins WHERE id = ? AND employee_id = ?',
+            [req.params.id, req.user.id]
+        );
 
-        let query = `
-            SELECT ch.*, c.name as client_name, c.address as client_address
-            FROM checkins ch
-            INNER JOIN clients c ON ch.client_id = c.id
-            WHERE ch.employee_id = ?
-        `;
-        const params = [req.user.id];
+        if (checkins.length === 0) {
+            return res.status(404).json({ success: false, message: 'Check-in not found' });
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ success: false, message: 'At least one photo is required' });
+        }
+
+        const existing = await listPhotos(checkins[0].id);
+        if (existing.length + req.files.length > MAX_PHOTOS_PER_CHECKIN) {
+            return res.status(400).json({
+                success: false,
+                message: `A check-in can have at most ${MAX_PHOTOS_PER_CHECKIN} photos`
+            });
+        }
+
+        // Decode every file before storing any, so a bad file never leaves a partial upload
+        const prepared = [];
+        for (const file of req.files) {
+            try {
+                prepared.push(await preparePhoto(file));
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Could not read ${file.originalname || 'photo'} as an image`
+                });
+            }
+        }
+
+        for (const photo of prepared) {
+            await savePhoto(checkins[0].id, req.user.id, photo);
+        }
+
+        const photos = await listPhotos(checkins[0].id);
+        await recordAudit(auditContext(req), {
+            action: 'checkin.add_photos',
+            entityId: checkins[0].id,
+            before: { photo_ids: existing.map((photo) => photo.id) },
+            after: { photo_ids: photos.map((photo) => photo.id) }
+        });
+
+        res.status(201).json({ success: true, data: photos });
+    } catch (error) {
+        console.error('Photo upload error:', error);
+        res.status(500).json({ success: false, message: 'Failed to upload photos' });
+    }
+});
+
+// List photo metadata for a check-in the caller may see
+router.get('/:id/photos', authenticateToken, async (req, res) => {
+    try {
+        const checkin = await findVisibleCheckin(req.user, Number(req.params.id));
+
+        if (!checkin) {
+            return res.status(404).json({ success: false, message: 'Check-in not found' });
+        }
+
+        res.json({ success: true, data: await listPhotos(checkin.id) });
+    } catch (error) {
+        console.error('Photo list error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch photos' });
+    }
+});
+
+// Download the client's checkout signature for a visible check-in
+router.get('/:id/signature', authenticateToken, async (req, res) => {
+    try {
+        const checkin = await findVisibleCheckin(req.user, Number(req.params.id));
+
+        if (!checkin || !checkin.signature_key) {
+            return res.status(404).json({ success: false, message: 'Signature not found' });
+        }
+
+        const stream = await storage.getStream(checkin.signature_key);
+        res.set({ 'Content-Type': 'image/png', 'Cache-Control': 'private, max-age=3600' });
+        stream.on('error', (error) => {
+            console.error('Signature stream error:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Signature download error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch signature' });
+    }
+});
+
+// Visit form answers recorded at checkout
+router.get('/:id/form-responses', authenticateToken, async (req, res) => {
+    try {
+        const checkin = await findVisibleCheckin(req.user, Number(req.params.id));
 
-        if (start_date) {
-            query += " AND DATE(ch.checkin_time) >= ?";
-            params.push(start_date);
+        if (!checkin) {
+            return res.status(404).json({ success: false, message: 'Check-in not found' });
         }
-        if (end_date) {
-            query += " AND DATE(ch.checkin_time) <= ?";
-            params.push(end_date);
+
+        const [responses] = await pool.execute(
+            `SELECT r.field_key, r.field_label, r.field_type, r.value, f.name AS form_name
+             FROM visit_form_responses r
+             INNER JOIN visit_forms f ON r.form_id = f.id
+             WHERE r.checkin_id = ?
+             ORDER BY r.id`,
+            [checkin.id]
+        );
+
+        res.json({ success: true, data: responses });
+    } catch (error) {
+        console.error('Form responses error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch form responses' });
+    }
+});
+
+// Ask a manager to correct the client, times or notes of one of the employee's own check-ins
+router.post('/:id/corrections', authenticateToken, requirePermission('checkins:create'), async (req, res) => {
+    try {
+        const [checkins] = await pool.execute(
+            'SELECT * FROM checkins WHERE id = ? AND employee_id = ? AND organization_id = ?',
+            [req.params.id, req.user.id, req.user.organization_id]
+        );
+
+        if (checkins.length === 0) {
+            return res.status(404).json({ success: false, message: 'Check-in not found' });
+        }
+
+        if (await findPendingCorrection(checkins[0].id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'A correction for this check-in is already waiting for approval'
+            });
+        }
+
+        const { changes, reason, error } = await readCorrectionRequest(checkins[0], req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const [result] = await pool.execute(
+            `INSERT INTO checkin_corrections (organization_id, checkin_id, requested_by, changes, reason)
+             VALUES (?, ?, ?, ?, ?)`,
+            [req.user.organization_id, checkins[0].id, req.user.id, JSON.stringify(changes), reason]
+        );
+
+        await recordAudit(auditContext(req), {
+            action: 'checkin_correction.request',
+            entityId: result.insertId,
+            after: await snapshot('checkin_correction', result.insertId)
+        });
+
+        const [rows] = await pool.execute('SELECT * FROM checkin_corrections WHERE id = ?', [result.insertId]);
+        res.status(201).json({ success: true, data: parseCorrection(rows[0]) });
+    } catch (error) {
+        console.error('Correction request error:', error);
+        res.status(500).json({ success: false, message: 'Failed to request correction' });
+    }
+});
+
+// Correction requests for a visible check-in, newest first
+router.get('/:id/corrections', authenticateToken, async (req, res) => {
+    try {
+        const checkin = await findVisibleCheckin(req.user, Number(req.params.id));
+
+        if (!checkin) {
+            return res.status(404).json({ success: false, message: 'Check-in not found' });
         }
 
-        query += ' ORDER BY ch.checkin_time DESC';
+        const [corrections] = await pool.execute(
+            `SELECT cc.*, r.name AS reviewer_name
+             FROM checkin_corrections cc
+             LEFT JOIN users r ON cc.reviewed_by = r.id
+             WHERE cc.checkin_id = ?
+             ORDER BY cc.id DESC`,
+            [checkin.id]
+        );
+
+        res.json({ success: true, data: corrections.map(parseCorrection) });
+    } catch (error) {
+        console.error('Correction list error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch corrections' });
+    }
+});
 
-        const [checkins] = await pool.execute(query, params);
+// Get check-in history
+router.get('/history', authenticateToken, async (req, res) => {
+    try {
+        const { start_date, end_date } = req.query;
+
+        const checkins = await fetchCheckinHistory(req.user.organization_id, req.user.id, {
+            startDate: start_date,
+            endDate: end_date
+        });
 
         res.json({ success: true, data: checkins });
     } catch (error) {
@@ -137,7 +691,9 @@ router.get('/active', authenticateToken, async (req, res) => {
             ch.*,
             c.name AS client_name,
             c.latitude  AS client_lat,
-            c.longitude  AS client_lng
+            c.longitude  AS client_lng,
+            c.geofence_radius,
+            c.require_signature
             FROM checkins ch
             INNER JOIN clients c ON ch.client_id = c.id
             WHERE ch.employee_id = ? 
@@ -147,9 +703,14 @@ router.get('/active', authenticateToken, async (req, res) => {
             [req.user.id]
         );
 
+        const active = checkins.length > 0 ? checkins[0] : null;
+        if (active) {
+            active.form = active.form_id ? await findForm(active.form_id) : null;
+        }
+
         res.json({
             success: true,
-            data: checkins.length > 0 ? checkins[0] : null
+            data: active
         });
     } catch (error) {
         console.error('Active checkin error:', error);
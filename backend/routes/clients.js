@@ -0,0 +1,293 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { handleCsvUpload } = require('../middleware/csvUpload');
+const { toCsv } = require('../utils/csv');
+const { auditContext, recordAudit } = require('../services/audit');
+const {
+    CLIENT_BODY_FIELDS,
+    readClientBody,
+    findDuplicateName,
+    findClient,
+    insertClient,
+    updateClient,
+    CLIENT_CSV_HEADERS,
+    CLIENT_EXPORT_COLUMNS,
+    planClientImport,
+    applyClientImport
+} = require('../services/clients');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const isUniqueViolation = (error) => error && error.code === 'SQLITE_CONSTRAINT_UNIQUE';
+
+const duplicateCodeResponse = (res) => res.status(409).json({
+    success: false,
+    message: 'Another client already uses this external_code'
+});
+
+// List clients with search (name or address) and pagination
+router.get('/', authenticateToken, requirePermission('clients:read'), async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+
+        let where = req.query.include_archived === 'true'
+            ? 'WHERE organization_id = ?'
+            : 'WHERE organization_id = ? AND archived_at IS NULL';
+        const params = [req.user.organization_id];
+
+        if (search) {
+            where += " AND (name LIKE ? ESCAPE '\\' OR address LIKE ? ESCAPE '\\' OR external_code LIKE ? ESCAPE '\\')";
+            const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+            params.push(pattern, pattern, pattern);
+        }
+
+        const [[{ total }]] = await pool.execute(`SELECT COUNT(*) AS total FROM clients ${where}`, params);
+        const [clients] = await pool.execute(
+            `SELECT * FROM clients ${where} ORDER BY name LIMIT ? OFFSET ?`,
+            [...params, limit, (page - 1) * limit]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                clients,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    total_pages: Math.max(Math.ceil(total / limit), 1)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('List clients error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch clients' });
+    }
+});
+
+// CSV in the import format; archived clients only with include_archived=true
+router.get('/export', authenticateToken, requirePermission('clients:read'), async (req, res) => {
+    try {
+        const includeArchived = req.query.include_archived === 'true';
+        const [clients] = await pool.execute(
+            `SELECT * FROM clients
+             WHERE organization_id = ? ${includeArchived ? '' : 'AND archived_at IS NULL'}
+             ORDER BY name`,
+            [req.user.organization_id]
+        );
+
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': 'attachment; filename="clients.csv"'
+        });
+        res.send(toCsv(CLIENT_EXPORT_COLUMNS, clients));
+    } catch (error) {
+        console.error('Export clients error:', error);
+        res.status(500).json({ success: false, message: 'Failed to export clients' });
+    }
+});
+
+// Upsert clients from CSV keyed on external_code; ?dry_run=true only validates.
+// Nothing is written unless every row is valid.
+router.post('/import', authenticateToken, requirePermission('clients:write'), handleCsvUpload(CLIENT_CSV_HEADERS), async (req, res) => {
+    try {
+        const dryRun = req.query.dry_run === 'true';
+        const { operations, errors } = await planClientImport(req.user.organization_id, req.csvRows);
+        const summary = {
+            dry_run: dryRun,
+            total_rows: req.csvRows.length,
+            created: operations.filter((op) => op.action === 'create').length,
+            updated: operations.filter((op) => op.action === 'update').length,
+            errors
+        };
+
+        if (!dryRun && errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${errors.length} row(s) have errors; nothing was imported`,
+                data: summary
+            });
+        }
+
+        if (!dryRun) {
+            await applyClientImport(auditContext(req), operations);
+        }
+
+        res.json({ success: true, data: summary });
+    } catch (error) {
+        console.error('Import clients error:', error);
+        res.status(500).json({ success: false, message: 'Failed to import clients' });
+    }
+});
+
+router.get('/:id', authenticateToken, requirePermission('clients:read'), async (req, res) => {
+    try {
+        const client = await findClient(req.user.organization_id, req.params.id);
+
+        if (!client) {
+            return res.status(404).json({ success: false, message: 'Client not found' });
+        }
+
+        res.json({ success: true, data: client });
+    } catch (error) {
+        console.error('Get client error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch client' });
+    }
+});
+
+router.post('/', authenticateToken, requirePermission('clients:write'), async (req, res) => {
+    try {
+        const { values, error } = readClientBody(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const duplicate = await findDuplicateName(req.user.organization_id, values.name);
+        if (duplicate) {
+            return res.status(409).json({
+                success: false,
+                message: `A client named "${duplicate.name}" already exists`,
+                data: { id: duplicate.id }
+            });
+        }
+
+        let clientId;
+        try {
+            clientId = await insertClient(req.user.organization_id, values);
+        } catch (error) {
+            if (isUniqueViolation(error)) return duplicateCodeResponse(res);
+            throw error;
+        }
+
+        const client = await findClient(req.user.organization_id, clientId);
+        await recordAudit(auditContext(req), { action: 'client.create', entityId: clientId, after: client });
+
+        res.status(201).json({ success: true, data: client });
+    } catch (error) {
+        console.error('Create client error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create client' });
+    }
+});
+
+router.put('/:id', authenticateToken, requirePermission('clients:write'), async (req, res) => {
+    try {
+        const existing = await findClient(req.user.organization_id, req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Client not found' });
+        }
+
+        // Fields the request leaves out keep their stored values
+        const { values, error } = readClientBody({
+            ...Object.fromEntries(CLIENT_BODY_FIELDS.map((field) => [field, existing[field]])),
+            ...req.body
+        });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const duplicate = existing.archived_at ? null : await findDuplicateName(req.user.organization_id, values.name, existing.id);
+        if (duplicate) {
+            return res.status(409).json({
+                success: false,
+                message: `A client named "${duplicate.name}" already exists`,
+                data: { id: duplicate.id }
+            });
+        }
+
+        try {
+            await updateClient(req.user.organization_id, existing.id, values);
+        } catch (error) {
+            if (isUniqueViolation(error)) return duplicateCodeResponse(res);
+            throw error;
+        }
+
+        const client = await findClient(req.user.organization_id, existing.id);
+        await recordAudit(auditContext(req), {
+            action: 'client.update',
+            entityId: existing.id,
+            before: existing,
+            after: client
+        });
+
+        res.json({ success: true, data: client });
+    } catch (error) {
+        console.error('Update client error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update client' });
+    }
+});
+
+// Archived clients disappear from check-in but keep their visit history
+router.delete('/:id', authenticateToken, requirePermission('clients:write'), async (req, res) => {
+    try {
+        const existing = await findClient(req.user.organization_id, req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Client not found' });
+        }
+
+        if (existing.archived_at) {
+            return res.json({ success: true, data: existing });
+        }
+
+        await pool.execute(
+            "UPDATE clients SET archived_at = datetime('now'), updated_at = datetime('now') WHERE id = ? AND organization_id = ?",
+            [existing.id, req.user.organization_id]
+        );
+
+        const client = await findClient(req.user.organization_id, existing.id);
+        await recordAudit(auditContext(req), {
+            action: 'client.archive',
+            entityId: existing.id,
+            before: existing,
+            after: client
+        });
+
+        res.json({ success: true, data: client });
+    } catch (error) {
+        console.error('Archive client error:', error);
+        res.status(500).json({ success: false, message: 'Failed to archive client' });
+    }
+});
+
+router.post('/:id/restore', authenticateToken, requirePermission('clients:write'), async (req, res) => {
+    try {
+        const existing = await findClient(req.user.organization_id, req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Client not found' });
+        }
+
+        const duplicate = await findDuplicateName(req.user.organization_id, existing.name, existing.id);
+        if (duplicate) {
+            return res.status(409).json({
+                success: false,
+                message: `Rename this client first; "${duplicate.name}" is already in use`,
+                data: { id: duplicate.id }
+            });
+        }
+
+        await pool.execute(
+            "UPDATE clients SET archived_at = NULL, updated_at = datetime('now') WHERE id = ? AND organization_id = ?",
+            [existing.id, req.user.organization_id]
+        );
+
+        const client = await findClient(req.user.organization_id, existing.id);
+        await recordAudit(auditContext(req), {
+            action: 'client.restore',
+            entityId: existing.id,
+            before: existing,
+            after: client
+        });
+
+        res.json({ success: true, data: client });
+    } catch (error) {
+        console.error('Restore client error:', error);
+        res.status(500).json({ success: false, message: 'Failed to restore client' });
+    }
+});
+
+module.exports = router;
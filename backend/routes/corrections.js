@@ -0,0 +1,188 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { inTeamOf } = require('../services/hierarchy');
+const { auditContext, snapshot, recordAudit } = require('../services/audit');
+const { publishCheckinEvent } = require('../services/realtime');
+const {
+    MAX_REASON_LENGTH,
+    parseCorrection,
+    findCorrectionConflict,
+    applyCorrection
+} = require('../services/corrections');
+
+const router = express.Router();
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+const CORRECTION_COLUMNS = `cc.*, u.name AS employee_name, c.name AS client_name, pc.name AS proposed_client_name,
+       oc.name AS original_client_name, ch.checkin_time, ch.checkout_time, ch.notes, ch.status AS checkin_status, r.name AS reviewer_name`;
+
+const CORRECTION_JOINS = `FROM checkin_corrections cc
+     INNER JOIN checkins ch ON cc.checkin_id = ch.id
+     INNER JOIN users u ON cc.requested_by = u.id
+     INNER JOIN clients c ON ch.client_id = c.id
+     LEFT JOIN clients pc ON pc.id = JSON_EXTRACT(cc.changes, '$.client_id')
+     LEFT JOIN clients oc ON oc.id = JSON_EXTRACT(cc.original_values, '$.client_id')
+     LEFT JOIN users r ON cc.reviewed_by = r.id`;
+
+// A correction requested by someone in the manager's reporting tree
+const findTeamCorrection = async (manager, correctionId) => {
+    const [rows] = await pool.execute(
+        `SELECT ${CORRECTION_COLUMNS}
+         ${CORRECTION_JOINS}
+         WHERE cc.id = ? AND cc.organization_id = ? AND ${inTeamOf('cc.requested_by')}`,
+        [correctionId, manager.organization_id, manager.id]
+    );
+    return parseCorrection(rows[0]);
+};
+
+// Optional note from the reviewer, shown to the employee; returns { reviewNote } or { error }
+const readReviewNote = (body) => {
+    const reviewNote = typeof body.review_note === 'string' ? body.review_note.trim() : '';
+
+    if (reviewNote.length > MAX_REASON_LENGTH) {
+        return { error: `review_note may be at most ${MAX_REASON_LENGTH} characters` };
+    }
+    return { reviewNote: reviewNote || null };
+};
+
+// The review queue: the team's correction requests (?status= pending by default, or approved, rejected, all)
+router.get('/', authenticateToken, requirePermission('checkins:edit'), async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+
+        if (status !== 'all' && !STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of ${[...STATUSES, 'all'].join(', ')}`
+            });
+        }
+
+        let query = `SELECT ${CORRECTION_COLUMNS}
+            ${CORRECTION_JOINS}
+            WHERE cc.organization_id = ? AND ${inTeamOf('cc.requested_by')}`;
+        const params = [req.user.organization_id, req.user.id];
+
+        if (status !== 'all') {
+            query += ' AND cc.status = ?';
+            params.push(status);
+        }
+
+        query += status === 'pending' ? ' ORDER BY cc.created_at, cc.id' : ' ORDER BY cc.id DESC';
+
+        const [corrections] = await pool.execute(query, params);
+
+        res.json({ success: true, data: corrections.map(parseCorrection) });
+    } catch (error) {
+        console.error('Correction queue error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch corrections' });
+    }
+});
+
+// Approve a pending correction (optional review_note) and apply it to the check-in
+router.post('/:id/approve', authenticateToken, requirePermission('checkins:edit'), async (req, res) => {
+    try {
+        const { reviewNote, error } = readReviewNote(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const correction = await findTeamCorrection(req.user, req.params.id);
+
+        if (!correction) {
+            return res.status(404).json({ success: false, message: 'Correction not found' });
+        }
+
+        // Re-check, claim and apply in one transaction so a stale request stays pending and untouched
+        const outcome = await pool.transaction(async () => {
+            const conflict = await findCorrectionConflict(correction);
+            if (conflict) {
+                return { conflict };
+            }
+
+            const requested = await snapshot('checkin_correction', correction.id);
+            await pool.execute(
+                `UPDATE checkin_corrections
+                 SET status = 'approved', reviewed_by = ?, review_note = ?, reviewed_at = datetime('now')
+                 WHERE id = ? AND status = 'pending'`,
+                [req.user.id, reviewNote, correction.id]
+            );
+
+            // The check-in's own before/after goes in as checkin.correct
+            const applied = await applyCorrection(auditContext(req), correction);
+            await recordAudit(auditContext(req), {
+                action: 'checkin_correction.approve',
+                entityId: correction.id,
+                before: requested,
+                after: await snapshot('checkin_correction', correction.id)
+            });
+            return applied;
+        });
+
+        if (outcome.conflict) {
+            return res.status(409).json({ success: false, message: outcome.conflict });
+        }
+
+        const { before, after } = outcome;
+
+        if (before.status === 'checked_in' && after.status === 'checked_out') {
+            publishCheckinEvent('checkout', after.id);
+        }
+
+        res.json({
+            success: true,
+            message: 'Correction approved',
+            data: await findTeamCorrection(req.user, correction.id)
+        });
+    } catch (error) {
+        console.error('Correction approve error:', error);
+        res.status(500).json({ success: false, message: 'Failed to approve correction' });
+    }
+});
+
+// Reject a pending correction, optionally explaining why (review_note)
+router.post('/:id/reject', authenticateToken, requirePermission('checkins:edit'), async (req, res) => {
+    try {
+        const { reviewNote, error } = readReviewNote(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const correction = await findTeamCorrection(req.user, req.params.id);
+
+        if (!correction) {
+            return res.status(404).json({ success: false, message: 'Correction not found' });
+        }
+
+        const before = await snapshot('checkin_correction', correction.id);
+        const [update] = await pool.execute(
+            `UPDATE checkin_corrections
+             SET status = 'rejected', reviewed_by = ?, review_note = ?, reviewed_at = datetime('now')
+             WHERE id = ? AND status = 'pending'`,
+            [req.user.id, reviewNote, correction.id]
+        );
+
+        if (update.affectedRows === 0) {
+            return res.status(409).json({ success: false, message: 'This correction has already been reviewed' });
+        }
+
+        await recordAudit(auditContext(req), {
+            action: 'checkin_correction.reject',
+            entityId: correction.id,
+            before,
+            after: await snapshot('checkin_correction', correction.id)
+        });
+
+        res.json({
+            success: true,
+            message: 'Correction rejected',
+            data: await findTeamCorrection(req.user, correction.id)
+        });
+    } catch (error) {
+        console.error('Correction reject error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reject correction' });
+    }
+});
+
+module.exports = router;
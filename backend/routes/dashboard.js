@@ -1,18 +1,27 @@
 const express = require('express');
 const pool = require('../config/database');
-const { authenticateToken, requireManager } = require('../middleware/auth');
+const { authenticateToken, tokenFromQuery, requirePermission, scopeToTeam } = require('../middleware/auth');
+const { subscribeToTeam } = require('../services/realtime');
+const { inTeamOf, listSubTeams } = require('../services/hierarchy');
+const { ACTIVE_ASSIGNMENT } = require('../services/assignments');
+const { fetchVisitCadence } = require('../services/visitFrequency');
 
 const router = express.Router();
 
+const STREAM_HEARTBEAT_MS = 25000;
+const STREAM_RETRY_MS = 5000;
+
 // Get dashboard stats for manager
-router.get('/stats', authenticateToken, requireManager, async (req, res) => {
+router.get('/stats', authenticateToken, requirePermission('team:read'), scopeToTeam, async (req, res) => {
     try {
         const today = new Date().toISOString().split('T')[0];
 
-        // Get team members
+        // Get team members, across every level below the selected manager
         const [teamMembers] = await pool.execute(
-            'SELECT id, name, email FROM users WHERE manager_id = ?',
-            [req.user.id]
+            `SELECT id, name, email, role, manager_id FROM users
+             WHERE organization_id = ? AND ${inTeamOf('id')} AND is_active = 1
+             ORDER BY name`,
+            [req.user.organization_id, req.teamRootId]
         );
 
         // Get today's check-ins for the team
@@ -21,17 +30,26 @@ router.get('/stats', authenticateToken, requireManager, async (req, res) => {
              FROM checkins ch
              INNER JOIN users u ON ch.employee_id = u.id
              INNER JOIN clients c ON ch.client_id = c.id
-             WHERE u.manager_id = ? AND DATE(ch.checkin_time) = ?
+             WHERE ch.organization_id = ? AND ${inTeamOf('u.id')} AND DATE(ch.checkin_time) = ?
              ORDER BY ch.checkin_time DESC`,
-            [req.user.id, today]
+            [req.user.organization_id, req.teamRootId, today]
         );
 
         // Get active check-ins count
         const [activeCount] = await pool.execute(
             `SELECT COUNT(*) as count FROM checkins ch
              INNER JOIN users u ON ch.employee_id = u.id
-             WHERE u.manager_id = ? AND ch.status = 'checked_in'`,
-            [req.user.id]
+             WHERE ch.organization_id = ? AND ${inTeamOf('u.id')} AND ch.status = 'checked_in'`,
+            [req.user.organization_id, req.teamRootId]
+        );
+
+        // Forgotten check-ins the sweeper closed today; their hours need a manager's review
+        const [autoClosedCount] = await pool.execute(
+            `SELECT COUNT(*) as count FROM checkins ch
+             INNER JOIN users u ON ch.employee_id = u.id
+             WHERE ch.organization_id = ? AND ${inTeamOf('u.id')} AND ch.closed_by_system = 1
+               AND DATE(ch.checkout_time) = ?`,
+            [req.user.organization_id, req.teamRootId, today]
         );
 
         res.json({
@@ -40,7 +58,9 @@ router.get('/stats', authenticateToken, requireManager, async (req, res) => {
                 team_size: teamMembers.length,
                 team_members: teamMembers,
                 today_checkins: todayCheckins,
-                active_checkins: activeCount[0].count
+                active_checkins: activeCount[0].count,
+                outside_geofence_today: todayCheckins.filter((ch) => ch.within_geofence === 0).length,
+                auto_closed_today: autoClosedCount[0].count
             }
         });
     } catch (error) {
@@ -49,6 +69,43 @@ router.get('/stats', authenticateToken, requireManager, async (req, res) => {
     }
 });
 
+// Managers below the requester, for filtering team views by sub-team
+router.get('/teams', authenticateToken, requirePermission('team:read'), async (req, res) => {
+    try {
+        const teams = await listSubTeams(req.user.id);
+        res.json({ success: true, data: teams });
+    } catch (error) {
+        console.error('List sub-teams error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch teams' });
+    }
+});
+
+// Live team activity for the manager dashboard (Server-Sent Events)
+router.get('/stream', tokenFromQuery, authenticateToken, requirePermission('team:read'), (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    res.write(`retry: ${STREAM_RETRY_MS}\n`);
+    res.write(`event: ready\ndata: ${JSON.stringify({ manager_id: req.user.id })}\n\n`);
+
+    const unsubscribe = subscribeToTeam(req.user.id, ({ type, data }) => {
+        res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    });
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
 // Get employee dashboard (for employees)
 router.get('/employee', authenticateToken, async (req, res) => {
     try {
@@ -68,10 +125,13 @@ router.get('/employee', authenticateToken, async (req, res) => {
         const [clients] = await pool.execute(
             `SELECT c.* FROM clients c
              INNER JOIN employee_clients ec ON c.id = ec.client_id
-             WHERE ec.employee_id = ?`,
-            [req.user.id]
+             WHERE ec.employee_id = ? AND ec.organization_id = ? AND c.archived_at IS NULL AND ${ACTIVE_ASSIGNMENT}`,
+            [req.user.id, req.user.organization_id]
         );
 
+        // Clients with a visit frequency that are overdue or coming due
+        const cadence = await fetchVisitCadence(req.user.organization_id, { employeeId: req.user.id });
+
         // Get this week's stats
         const [weekStats] = await pool.execute(
             `SELECT COUNT(*) as total_checkins,
@@ -86,6 +146,7 @@ router.get('/employee', authenticateToken, async (req, res) => {
             data: {
                 today_checkins: todayCheckins,
                 assigned_clients: clients,
+                clients_needing_visit: cadence.filter((row) => row.status !== 'on_track'),
                 week_stats: weekStats[0]
             }
         });
@@ -0,0 +1,192 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { FORM_MANAGED_BY, FORM_VISIBLE_TO, parseForm, normalizeFields } = require('../services/visitForms');
+const { ACTIVE_ASSIGNMENT } = require('../services/assignments');
+const { inTeamOf } = require('../services/hierarchy');
+const { auditContext, snapshot, recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+const MAX_VISIT_TYPE_LENGTH = 50;
+
+// Shared validation for create and update; returns { values } or { error }
+const readFormBody = async (organizationId, body) => {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const visitType = typeof body.visit_type === 'string' ? body.visit_type.trim() : '';
+    const clientId = body.client_id === undefined || body.client_id === null || body.client_id === ''
+        ? null
+        : Number(body.client_id);
+
+    if (!name) {
+        return { error: 'Form name is required' };
+    }
+    if (visitType.length > MAX_VISIT_TYPE_LENGTH) {
+        return { error: `visit_type may be at most ${MAX_VISIT_TYPE_LENGTH} characters` };
+    }
+    if (clientId === null && !visitType) {
+        return { error: 'Attach the form to a client, a visit type, or both' };
+    }
+
+    if (clientId !== null) {
+        const [clients] = await pool.execute(
+            'SELECT id FROM clients WHERE id = ? AND organization_id = ?',
+            [clientId, organizationId]
+        );
+        if (clients.length === 0) {
+            return { error: 'Client not found' };
+        }
+    }
+
+    const { fields, error } = normalizeFields(body.fields);
+    if (error) {
+        return { error };
+    }
+
+    return { values: { name, clientId, visitType: visitType || null, fields } };
+};
+
+// A form the manager or someone in their reporting tree set up, so the manager may change it
+const findTeamForm = async (managerId, formId) => {
+    const [forms] = await pool.execute(
+        `SELECT f.*, c.name AS client_name, m.name AS manager_name
+         FROM visit_forms f
+         LEFT JOIN clients c ON f.client_id = c.id
+         LEFT JOIN users m ON f.manager_id = m.id
+         WHERE f.id = ? AND ${FORM_MANAGED_BY}`,
+        [formId, managerId, managerId]
+    );
+    return parseForm(forms[0]);
+};
+
+// Visit forms reaching the manager's team: their own, their reporting tree's, and read-only ones from
+// managers above them (deactivated ones only with ?include_inactive=true)
+router.get('/', authenticateToken, requirePermission('forms:manage'), async (req, res) => {
+    try {
+        const includeInactive = req.query.include_inactive === 'true';
+        const [forms] = await pool.execute(
+            `SELECT f.*, c.name AS client_name, m.name AS manager_name, ${FORM_MANAGED_BY} AS editable
+             FROM visit_forms f
+             LEFT JOIN clients c ON f.client_id = c.id
+             LEFT JOIN users m ON f.manager_id = m.id
+             WHERE ${FORM_VISIBLE_TO} ${includeInactive ? '' : 'AND f.is_active = 1'}
+             ORDER BY f.name`,
+            [req.user.id, req.user.id, req.user.id, req.user.id, req.user.id]
+        );
+
+        res.json({ success: true, data: forms.map(parseForm) });
+    } catch (error) {
+        console.error('List visit forms error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch visit forms' });
+    }
+});
+
+// Clients anyone in the manager's reporting tree is assigned to, for attaching forms
+router.get('/clients', authenticateToken, requirePermission('forms:manage'), async (req, res) => {
+    try {
+        const [clients] = await pool.execute(
+            `SELECT DISTINCT c.id, c.name
+             FROM clients c
+             INNER JOIN employee_clients ec ON c.id = ec.client_id
+             INNER JOIN users u ON ec.employee_id = u.id
+             WHERE ${inTeamOf('u.id')} AND ec.organization_id = ? AND c.archived_at IS NULL AND ${ACTIVE_ASSIGNMENT}
+             ORDER BY c.name`,
+            [req.user.id, req.user.organization_id]
+        );
+
+        res.json({ success: true, data: clients });
+    } catch (error) {
+        console.error('List form clients error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch clients' });
+    }
+});
+
+router.post('/', authenticateToken, requirePermission('forms:manage'), async (req, res) => {
+    try {
+        const { values, error } = await readFormBody(req.user.organization_id, req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const [result] = await pool.execute(
+            `INSERT INTO visit_forms (manager_id, name, client_id, visit_type, fields)
+             VALUES (?, ?, ?, ?, ?)`,
+            [req.user.id, values.name, values.clientId, values.visitType, JSON.stringify(values.fields)]
+        );
+
+        await recordAudit(auditContext(req), {
+            action: 'visit_form.create',
+            entityId: result.insertId,
+            after: await snapshot('visit_form', result.insertId)
+        });
+
+        res.status(201).json({ success: true, data: await findTeamForm(req.user.id, result.insertId) });
+    } catch (error) {
+        console.error('Create visit form error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create visit form' });
+    }
+});
+
+// Editing a form affects visits checked out from now on; stored answers keep their own labels
+router.put('/:id', authenticateToken, requirePermission('forms:manage'), async (req, res) => {
+    try {
+        const existing = await findTeamForm(req.user.id, req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Visit form not found' });
+        }
+        const before = await snapshot('visit_form', existing.id);
+
+        const { values, error } = await readFormBody(req.user.organization_id, req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        await pool.execute(
+            `UPDATE visit_forms
+             SET name = ?, client_id = ?, visit_type = ?, fields = ?, is_active = 1, updated_at = datetime('now')
+             WHERE id = ?`,
+            [values.name, values.clientId, values.visitType, JSON.stringify(values.fields), existing.id]
+        );
+
+        await recordAudit(auditContext(req), {
+            action: 'visit_form.update',
+            entityId: existing.id,
+            before,
+            after: await snapshot('visit_form', existing.id)
+        });
+
+        res.json({ success: true, data: await findTeamForm(req.user.id, existing.id) });
+    } catch (error) {
+        console.error('Update visit form error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update visit form' });
+    }
+});
+
+// Forms are deactivated rather than deleted so past answers still resolve
+router.delete('/:id', authenticateToken, requirePermission('forms:manage'), async (req, res) => {
+    try {
+        const existing = await findTeamForm(req.user.id, req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Visit form not found' });
+        }
+
+        const before = await snapshot('visit_form', existing.id);
+        await pool.execute(
+            "UPDATE visit_forms SET is_active = 0, updated_at = datetime('now') WHERE id = ?",
+            [existing.id]
+        );
+        await recordAudit(auditContext(req), {
+            action: 'visit_form.deactivate',
+            entityId: existing.id,
+            before,
+            after: await snapshot('visit_form', existing.id)
+        });
+
+        res.json({ success: true, message: 'Visit form deactivated' });
+    } catch (error) {
+        console.error('Deactivate visit form error:', error);
+        res.status(500).json({ success: false, message: 'Failed to deactivate visit form' });
+    }
+});
+
+module.exports = router;
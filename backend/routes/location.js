@@ -0,0 +1,205 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { isValidCoordinate, parseAccuracy } = require('../utils/geo');
+const { toSqlDateTime, isValidDate } = require('../utils/datetime');
+const { publishLocationEvent } = require('../services/realtime');
+const { inTeamOf } = require('../services/hierarchy');
+
+const router = express.Router();
+
+const MAX_PINGS_PER_BATCH = 100;
+// Allow for small device clock drift when checking ping timestamps
+const CLOCK_SKEW_SECONDS = 300;
+
+// Record a batch of location breadcrumbs for the active check-in
+router.post('/pings', authenticateToken, requirePermission('checkins:create'), async (req, res) => {
+    try {
+        const { pings } = req.body;
+
+        if (!Array.isArray(pings) || pings.length === 0) {
+            return res.status(400).json({ success: false, message: 'pings must be a non-empty array' });
+        }
+
+        if (pings.length > MAX_PINGS_PER_BATCH) {
+            return res.status(400).json({
+                success: false,
+                message: `A batch may contain at most ${MAX_PINGS_PER_BATCH} pings`
+            });
+        }
+
+        const [activeCheckins] = await pool.execute(
+            `SELECT id, checkin_time FROM checkins
+             WHERE employee_id = ? AND status = 'checked_in'
+             ORDER BY checkin_time DESC LIMIT 1`,
+            [req.user.id]
+        );
+
+        if (activeCheckins.length === 0) {
+            return res.status(409).json({ success: false, message: 'No active check-in to attach pings to' });
+        }
+
+        const active = activeCheckins[0];
+        const [[bounds]] = await pool.execute(
+            `SELECT datetime(?, '-${CLOCK_SKEW_SECONDS} seconds') AS earliest,
+                    datetime('now', '+${CLOCK_SKEW_SECONDS} seconds') AS latest`,
+            [active.checkin_time]
+        );
+
+        const rejected = [];
+        let accepted = 0;
+        let latest = null;
+
+        for (let i = 0; i < pings.length; i++) {
+            const ping = pings[i] || {};
+            const recordedAt = toSqlDateTime(ping.recorded_at);
+
+            if (!isValidCoordinate(ping.latitude, ping.longitude)) {
+                rejected.push({ index: i, reason: 'Invalid coordinates' });
+                continue;
+            }
+
+            if (!recordedAt || recordedAt < bounds.earliest || recordedAt > bounds.latest) {
+                rejected.push({ index: i, reason: 'recorded_at is missing or outside the active visit' });
+                continue;
+            }
+
+            await pool.execute(
+                `INSERT INTO location_pings (employee_id, checkin_id, latitude, longitude, accuracy, recorded_at)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [
+                    req.user.id,
+                    active.id,
+                    Number(ping.latitude),
+                    Number(ping.longitude),
+                    parseAccuracy(ping.accuracy),
+                    recordedAt
+                ]
+            );
+            accepted += 1;
+
+            if (!latest || recordedAt >= latest.recorded_at) {
+                latest = {
+                    checkin_id: active.id,
+                    latitude: Number(ping.latitude),
+                    longitude: Number(ping.longitude),
+                    accuracy: parseAccuracy(ping.accuracy),
+                    recorded_at: recordedAt
+                };
+            }
+        }
+
+        if (latest) {
+            publishLocationEvent(req.user.id, latest);
+        }
+
+        res.status(201).json({
+            success: true,
+            data: {
+                checkin_id: active.id,
+                accepted,
+                rejected
+            }
+        });
+    } catch (error) {
+        console.error('Location pings error:', error);
+        res.status(500).json({ success: false, message: 'Failed to record location pings' });
+    }
+});
+
+// Replay an employee's path for a day: check-ins, breadcrumbs and checkouts in time order
+router.get('/route', authenticateToken, requirePermission('team:read'), async (req, res) => {
+    try {
+        const { employee_id, date } = req.query;
+
+        if (!employee_id) {
+            return res.status(400).json({ success: false, message: 'employee_id is required' });
+        }
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({ success: false, message: 'Invalid or missing date (YYYY-MM-DD required)' });
+        }
+
+        const [employees] = await pool.execute(
+            `SELECT id, name FROM users WHERE id = ? AND organization_id = ? AND ${inTeamOf('id')}`,
+            [employee_id, req.user.organization_id, req.user.id]
+        );
+
+        if (employees.length === 0) {
+            return res.status(404).json({ success: false, message: 'Employee not found in your team' });
+        }
+
+        const [visits] = await pool.execute(
+            `SELECT ch.id, ch.client_id, c.name AS client_name,
+                    c.latitude AS client_lat, c.longitude AS client_lng, c.geofence_radius,
+                    ch.checkin_time, ch.checkout_time,
+                    ch.latitude, ch.longitude, ch.checkout_latitude, ch.checkout_longitude
+             FROM checkins ch
+             INNER JOIN clients c ON ch.client_id = c.id
+             WHERE ch.employee_id = ? AND DATE(ch.checkin_time) = ?
+             ORDER BY ch.checkin_time`,
+            [employee_id, date]
+        );
+
+        const [pings] = await pool.execute(
+            `SELECT id, checkin_id, latitude, longitude, accuracy, recorded_at
+             FROM location_pings
+             WHERE employee_id = ? AND DATE(recorded_at) = ?
+             ORDER BY recorded_at`,
+            [employee_id, date]
+        );
+
+        const points = [];
+
+        visits.forEach((visit) => {
+            if (visit.latitude !== null && visit.longitude !== null) {
+                points.push({
+                    type: 'checkin',
+                    checkin_id: visit.id,
+                    client_name: visit.client_name,
+                    latitude: visit.latitude,
+                    longitude: visit.longitude,
+                    time: visit.checkin_time
+                });
+            }
+            if (visit.checkout_time && visit.checkout_latitude !== null && visit.checkout_longitude !== null) {
+                points.push({
+                    type: 'checkout',
+                    checkin_id: visit.id,
+                    client_name: visit.client_name,
+                    latitude: visit.checkout_latitude,
+                    longitude: visit.checkout_longitude,
+                    time: visit.checkout_time
+                });
+            }
+        });
+
+        pings.forEach((ping) => {
+            points.push({
+                type: 'ping',
+                checkin_id: ping.checkin_id,
+                latitude: ping.latitude,
+                longitude: ping.longitude,
+                accuracy: ping.accuracy,
+                time: ping.recorded_at
+            });
+        });
+
+        points.sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0));
+
+        res.json({
+            success: true,
+            data: {
+                employee: employees[0],
+                date,
+                visits,
+                points
+            }
+        });
+    } catch (error) {
+        console.error('Route replay error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch route' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { findVisibleCheckin } = require('../services/access');
+const storage = require('../services/storage');
+
+const router = express.Router();
+
+// Download a photo (or its thumbnail) if the caller may see the check-in it belongs to
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const [photos] = await pool.execute(
+            'SELECT * FROM checkin_photos WHERE id = ?',
+            [req.params.id]
+        );
+
+        if (photos.length === 0 || !(await findVisibleCheckin(req.user, photos[0].checkin_id))) {
+            return res.status(404).json({ success: false, message: 'Photo not found' });
+        }
+
+        const photo = photos[0];
+        const thumbnail = req.query.variant === 'thumbnail';
+        const stream = await storage.getStream(thumbnail ? photo.thumbnail_key : photo.storage_key);
+
+        res.set({
+            'Content-Type': thumbnail ? 'image/jpeg' : photo.mime_type,
+            'Cache-Control': 'private, max-age=3600'
+        });
+        stream.on('error', (error) => {
+            console.error('Photo stream error:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Photo download error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch photo' });
+    }
+});
+
+module.exports = router;
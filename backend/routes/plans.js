@@ -0,0 +1,384 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { isValidDate, todayDate, addDays } = require('../utils/datetime');
+const { isValidCoordinate } = require('../utils/geo');
+const { optimizeRoute } = require('../utils/route');
+const { inTeamOf } = require('../services/hierarchy');
+const { auditContext, snapshot, recordAudit } = require('../services/audit');
+const {
+    PLAN_STATUSES,
+    PLAN_COLUMNS,
+    PLAN_JOINS,
+    withStatus,
+    readPlannedVisit,
+    matchCheckinToPlan,
+    matchPlanToCheckin
+} = require('../services/plans');
+
+const router = express.Router();
+
+const MAX_VISITS_PER_REQUEST = 100;
+const MAX_RANGE_DAYS = 62;
+
+const findTeamMember = async (manager, employeeId) => {
+    const [rows] = await pool.execute(
+        `SELECT id, name FROM users
+         WHERE id = ? AND organization_id = ? AND ${inTeamOf('id')} AND is_active = 1`,
+        [employeeId, manager.organization_id, manager.id]
+    );
+    return rows[0] || null;
+};
+
+const findTeamPlan = async (manager, planId) => {
+    const [rows] = await pool.execute(
+        `SELECT vp.* FROM visit_plans vp
+         WHERE vp.id = ? AND vp.organization_id = ? AND ${inTeamOf('vp.employee_id')}`,
+        [planId, manager.organization_id, manager.id]
+    );
+    return rows[0] || null;
+};
+
+const findDuplicatePlan = async (employeeId, { clientId, plannedDate }, excludeId = 0) => {
+    const [rows] = await pool.execute(
+        `SELECT id FROM visit_plans
+         WHERE employee_id = ? AND client_id = ? AND planned_date = ? AND id != ?`,
+        [employeeId, clientId, plannedDate, excludeId]
+    );
+    return rows[0] || null;
+};
+
+const fetchPlan = async (planId) => {
+    const [rows] = await pool.execute(
+        `SELECT ${PLAN_COLUMNS}, u.name AS employee_name
+         FROM visit_plans vp
+         ${PLAN_JOINS}
+         INNER JOIN users u ON vp.employee_id = u.id
+         WHERE vp.id = ?`,
+        [planId]
+    );
+    return withStatus(rows[0]);
+};
+
+// The signed-in employee's planned visits for ?date= (default today), in window order
+router.get('/mine', authenticateToken, async (req, res) => {
+    try {
+        const date = req.query.date || todayDate();
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+        }
+
+        const [plans] = await pool.execute(
+            `SELECT ${PLAN_COLUMNS}
+             FROM visit_plans vp
+             ${PLAN_JOINS}
+             WHERE vp.employee_id = ? AND vp.organization_id = ? AND vp.planned_date = ?
+             ORDER BY vp.window_start`,
+            [req.user.id, req.user.organization_id, date]
+        );
+
+        res.json({ success: true, data: plans.map(withStatus) });
+    } catch (error) {
+        console.error('My plan error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch visit plan' });
+    }
+});
+
+// Suggested visiting order for the signed-in employee on ?date= (default today), starting from
+// ?latitude=&longitude=. Uses the day's plans that have not been visited yet, or the clients
+// assigned that day when nothing is planned; clients without coordinates come back unrouted.
+router.get('/route', authenticateToken, async (req, res) => {
+    try {
+        const date = req.query.date || todayDate();
+        const { latitude, longitude } = req.query;
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+        }
+        if (!isValidCoordinate(latitude, longitude)) {
+            return res.status(400).json({ success: false, message: 'A valid starting latitude and longitude are required' });
+        }
+
+        const [planned] = await pool.execute(
+            `SELECT vp.id AS plan_id, vp.window_start, vp.window_end, vp.checkin_id,
+                    c.id AS client_id, c.name AS client_name, c.address AS client_address, c.latitude, c.longitude
+             FROM visit_plans vp
+             INNER JOIN clients c ON vp.client_id = c.id
+             WHERE vp.employee_id = ? AND vp.organization_id = ? AND vp.planned_date = ?
+             ORDER BY vp.window_start`,
+            [req.user.id, req.user.organization_id, date]
+        );
+
+        const source = planned.length > 0 ? 'plan' : 'assigned';
+        let candidates = planned
+            .filter((plan) => !plan.checkin_id)
+            .map(({ checkin_id, ...stop }) => stop);
+
+        if (source === 'assigned') {
+            [candidates] = await pool.execute(
+                `SELECT DISTINCT c.id AS client_id, c.name AS client_name, c.address AS client_address,
+                        c.latitude, c.longitude
+                 FROM clients c
+                 INNER JOIN employee_clients ec ON ec.client_id = c.id
+                 WHERE ec.employee_id = ? AND c.organization_id = ? AND c.archived_at IS NULL
+                   AND ec.assigned_date <= ? AND (ec.end_date IS NULL OR ec.end_date >= ?)
+                 ORDER BY c.name`,
+                [req.user.id, req.user.organization_id, date, date]
+            );
+        }
+
+        const routable = (stop) => isValidCoordinate(stop.latitude, stop.longitude);
+        const stops = candidates.filter(routable);
+        const unrouted = candidates.filter((stop) => !routable(stop));
+
+        const start = { latitude: Number(latitude), longitude: Number(longitude) };
+        const route = optimizeRoute(start, stops);
+
+        res.json({
+            success: true,
+            data: {
+                date,
+                source,
+                start,
+                stops: route.stops,
+                total_distance: route.totalDistance,
+                visited: source === 'plan' ? planned.length - candidates.length : 0,
+                unrouted
+            }
+        });
+    } catch (error) {
+        console.error('Route error:', error);
+        res.status(500).json({ success: false, message: 'Failed to plan route' });
+    }
+});
+
+// Clients a team member is assigned to now or from a later date, for planning their visits
+router.get('/clients', authenticateToken, requirePermission('plans:manage'), async (req, res) => {
+    try {
+        const employee = await findTeamMember(req.user, req.query.employee_id);
+
+        if (!employee) {
+            return res.status(404).json({ success: false, message: 'Employee not found in your team' });
+        }
+
+        const [clients] = await pool.execute(
+            `SELECT DISTINCT c.id, c.name, c.address
+             FROM clients c
+             INNER JOIN employee_clients ec ON ec.client_id = c.id
+             WHERE ec.employee_id = ? AND c.organization_id = ? AND c.archived_at IS NULL
+               AND (ec.end_date IS NULL OR ec.end_date >= DATE('now'))
+             ORDER BY c.name`,
+            [employee.id, req.user.organization_id]
+        );
+
+        res.json({ success: true, data: clients });
+    } catch (error) {
+        console.error('Plan clients error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch clients' });
+    }
+});
+
+// The team's planned visits from start_date through end_date (default: today and the next 6 days),
+// optionally for one employee_id and with one status
+router.get('/', authenticateToken, requirePermission('plans:manage'), async (req, res) => {
+    try {
+        const startDate = req.query.start_date || todayDate();
+        const endDate = req.query.end_date || addDays(startDate, 6);
+        const { employee_id, status } = req.query;
+
+        if (!isValidDate(startDate) || !isValidDate(endDate)) {
+            return res.status(400).json({ success: false, message: 'start_date and end_date must be YYYY-MM-DD' });
+        }
+        if (endDate < startDate || addDays(startDate, MAX_RANGE_DAYS) < endDate) {
+            return res.status(400).json({
+                success: false,
+                message: `end_date must be on or after start_date and at most ${MAX_RANGE_DAYS} days later`
+            });
+        }
+        if (status && !PLAN_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of ${PLAN_STATUSES.join(', ')}`
+            });
+        }
+
+        let query = `
+            SELECT ${PLAN_COLUMNS}, u.name AS employee_name
+            FROM visit_plans vp
+            ${PLAN_JOINS}
+            INNER JOIN users u ON vp.employee_id = u.id
+            WHERE vp.organization_id = ? AND ${inTeamOf('vp.employee_id')}
+              AND vp.planned_date BETWEEN ? AND ?`;
+        const params = [req.user.organization_id, req.user.id, startDate, endDate];
+
+        if (employee_id) {
+            query += ' AND vp.employee_id = ?';
+            params.push(employee_id);
+        }
+
+        query += ' ORDER BY vp.planned_date, u.name, vp.window_start';
+
+        const [plans] = await pool.execute(query, params);
+
+        res.json({
+            success: true,
+            data: plans.map(withStatus).filter((plan) => !status || plan.status === status)
+        });
+    } catch (error) {
+        console.error('List plans error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch visit plans' });
+    }
+});
+
+// Plan a day or a week for one employee: visits is a list of { client_id, planned_date, window_start, window_end }.
+// Nothing is saved unless every visit is valid; a client already planned for that day is reported under skipped.
+router.post('/', authenticateToken, requirePermission('plans:manage'), async (req, res) => {
+    try {
+        const visits = req.body.visits;
+
+        if (!Array.isArray(visits) || visits.length === 0 || visits.length > MAX_VISITS_PER_REQUEST) {
+            return res.status(400).json({
+                success: false,
+                message: `visits must be a list of 1 to ${MAX_VISITS_PER_REQUEST} planned visits`
+            });
+        }
+
+        const employee = await findTeamMember(req.user, req.body.employee_id);
+        if (!employee) {
+            return res.status(403).json({ success: false, message: 'employee_id is not an active member of your team' });
+        }
+
+        const plans = [];
+        const errors = [];
+        for (const [index, visit] of visits.entries()) {
+            const { plan, error } = await readPlannedVisit(req.user.organization_id, employee.id, visit);
+            if (error) {
+                errors.push({ index, message: error });
+            } else {
+                plans.push(plan);
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: errors[0].message, errors });
+        }
+
+        const created = [];
+        const skipped = [];
+        const seen = new Set();
+
+        for (const plan of plans) {
+            const key = `${plan.clientId}:${plan.plannedDate}`;
+            if (seen.has(key) || (await findDuplicatePlan(employee.id, plan))) {
+                skipped.push({
+                    client_id: plan.clientId,
+                    planned_date: plan.plannedDate,
+                    reason: 'Already planned for this day'
+                });
+                continue;
+            }
+            seen.add(key);
+
+            const [result] = await pool.execute(
+                `INSERT INTO visit_plans (organization_id, employee_id, client_id, planned_date,
+                                          window_start, window_end, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    req.user.organization_id,
+                    employee.id,
+                    plan.clientId,
+                    plan.plannedDate,
+                    plan.windowStart,
+                    plan.windowEnd,
+                    req.user.id
+                ]
+            );
+            await matchPlanToCheckin(result.insertId);
+            await recordAudit(auditContext(req), {
+                action: 'visit_plan.create',
+                entityId: result.insertId,
+                after: await snapshot('visit_plan', result.insertId)
+            });
+            created.push(await fetchPlan(result.insertId));
+        }
+
+        res.status(created.length > 0 ? 201 : 200).json({ success: true, data: { created, skipped } });
+    } catch (error) {
+        console.error('Create plans error:', error);
+        res.status(500).json({ success: false, message: 'Failed to save visit plan' });
+    }
+});
+
+// Move a planned visit to another client, day or window; it is matched against check-ins again
+router.put('/:id', authenticateToken, requirePermission('plans:manage'), async (req, res) => {
+    try {
+        const existing = await findTeamPlan(req.user, req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Planned visit not found' });
+        }
+
+        const { plan, error } = await readPlannedVisit(req.user.organization_id, existing.employee_id, {
+            client_id: req.body.client_id ?? existing.client_id,
+            planned_date: req.body.planned_date ?? existing.planned_date,
+            window_start: req.body.window_start ?? `${existing.window_start.replace(' ', 'T')}Z`,
+            window_end: req.body.window_end ?? `${existing.window_end.replace(' ', 'T')}Z`
+        });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        if (await findDuplicatePlan(existing.employee_id, plan, existing.id)) {
+            return res.status(409).json({ success: false, message: 'This client is already planned for that day' });
+        }
+
+        await pool.execute(
+            `UPDATE visit_plans
+             SET client_id = ?, planned_date = ?, window_start = ?, window_end = ?, checkin_id = NULL,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [plan.clientId, plan.plannedDate, plan.windowStart, plan.windowEnd, existing.id]
+        );
+        const matchedCheckinId = await matchPlanToCheckin(existing.id);
+        // The check-in it leaves may count toward another of the employee's plans
+        if (existing.checkin_id && matchedCheckinId !== existing.checkin_id) {
+            await matchCheckinToPlan(existing.checkin_id);
+        }
+        await recordAudit(auditContext(req), {
+            action: 'visit_plan.update',
+            entityId: existing.id,
+            before: existing,
+            after: await snapshot('visit_plan', existing.id)
+        });
+
+        res.json({ success: true, data: await fetchPlan(existing.id) });
+    } catch (error) {
+        console.error('Update plan error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update planned visit' });
+    }
+});
+
+// Remove a planned visit; a check-in matched to it is offered to the employee's other plans
+router.delete('/:id', authenticateToken, requirePermission('plans:manage'), async (req, res) => {
+    try {
+        const existing = await findTeamPlan(req.user, req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Planned visit not found' });
+        }
+
+        await pool.execute('DELETE FROM visit_plans WHERE id = ?', [existing.id]);
+        if (existing.checkin_id) {
+            await matchCheckinToPlan(existing.checkin_id);
+        }
+        await recordAudit(auditContext(req), { action: 'visit_plan.delete', entityId: existing.id, before: existing });
+
+        res.json({ success: true, message: 'Planned visit removed' });
+    } catch (error) {
+        console.error('Delete plan error:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove planned visit' });
+    }
+});
+
+module.exports = router;
@@ -1,10 +1,23 @@
 const express = require("express");
 const pool = require("../config/database");
-const { authenticateToken, requireManager } = require("../middleware/auth");
+const { authenticateToken, requirePermission, scopeToTeam } = require("../middleware/auth");
+const { inTeamOf } = require("../services/hierarchy");
+const { isValidDate, addDays } = require("../utils/datetime");
+const { toCsv } = require("../utils/csv");
+const { FORM_VISIBLE_TO, parseForm } = require("../services/visitForms");
+const { fetchCheckinHistory } = require("../services/checkins");
+const { PLAN_COLUMNS, PLAN_JOINS, withStatus } = require("../services/plans");
+const {
+    DEFAULT_DUE_WITHIN_DAYS,
+    VISIT_CADENCE_STATUSES,
+    fetchVisitCadence,
+} = require("../services/visitFrequency");
+const { TASK_COLUMNS, TASK_JOINS } = require("../services/tasks");
+const { shiftSettings, fetchAttendance } = require("../services/attendance");
 
 const router = express.Router();
 
-router.get("/daily-summary", authenticateToken, requireManager, async (req, res) => {
+router.get("/daily-summary", authenticateToken, requirePermission("reports:read"), scopeToTeam, async (req, res) => {
     try {
         const { date, employee_id } = req.query;
 
@@ -20,6 +33,8 @@ router.get("/daily-summary", authenticateToken, requireManager, async (req, res)
       SELECT 
         u.id AS employee_id,
         u.name AS employee_name,
+        u.manager_id,
+        m.name AS manager_name,
         COUNT(ch.id) AS total_checkins,
         COUNT(DISTINCT ch.client_id) AS clients_visited,
         ROUND(
@@ -30,15 +45,22 @@ router.get("/daily-summary", authenticateToken, requireManager, async (req, res)
             0
           ),
           2
-        ) AS minutes_worked
+        ) AS minutes_worked,
+        IFNULL(SUM(CASE WHEN ch.within_geofence = 0 THEN 1 ELSE 0 END), 0) AS outside_geofence_checkins,
+        IFNULL(SUM(CASE WHEN ch.override_reason IS NOT NULL THEN 1 ELSE 0 END), 0) AS overridden_checkins,
+        IFNULL(SUM(CASE WHEN ch.checkout_within_geofence = 0 THEN 1 ELSE 0 END), 0) AS offsite_checkouts,
+        IFNULL(SUM(ch.closed_by_system), 0) AS auto_closed_checkins,
+        IFNULL(SUM(CASE WHEN ch.corrected_at IS NOT NULL THEN 1 ELSE 0 END), 0) AS corrected_checkins
       FROM users u
+      LEFT JOIN users m ON u.manager_id = m.id
       LEFT JOIN checkins ch
         ON u.id = ch.employee_id
-      WHERE u.manager_id = ?
+      WHERE u.organization_id = ?
+        AND ${inTeamOf("u.id")}
         AND (ch.checkin_time IS NULL OR DATE(ch.checkin_time) = ?)
     `;
 
-        const params = [req.user.id, date];
+        const params = [req.user.organization_id, req.teamRootId, date];
 
         if (employee_id) {
             query += " AND u.id = ?";
@@ -55,6 +77,10 @@ router.get("/daily-summary", authenticateToken, requireManager, async (req, res)
                 acc.total_checkins += e.total_checkins;
                 acc.total_minutes += e.minutes_worked;
                 acc.total_clients += e.clients_visited;
+                acc.total_outside_geofence += e.outside_geofence_checkins;
+                acc.total_offsite_checkouts += e.offsite_checkouts;
+                acc.total_auto_closed += e.auto_closed_checkins;
+                acc.total_corrected += e.corrected_checkins;
                 return acc;
             },
             {
@@ -62,6 +88,10 @@ router.get("/daily-summary", authenticateToken, requireManager, async (req, res)
                 total_checkins: 0,
                 total_minutes: 0,
                 total_clients: 0,
+                total_outside_geofence: 0,
+                total_offsite_checkouts: 0,
+                total_auto_closed: 0,
+                total_corrected: 0,
             }
         );
 
@@ -82,4 +112,736 @@ router.get("/daily-summary", authenticateToken, requireManager, async (req, res)
     }
 });
 
-module.exports = router;
\ No newline at end of file
+const fetchVisits = async (organizationId, managerId, date, employeeId) => {
+    let query = `
+      SELECT
+        ch.*,
+        u.name AS employee_name,
+        c.name AS client_name,
+        (SELECT COUNT(*) FROM checkin_photos p WHERE p.checkin_id = ch.id) AS photo_count
+      FROM checkins ch
+      INNER JOIN users u ON ch.employee_id = u.id
+      INNER JOIN clients c ON ch.client_id = c.id
+      WHERE ch.organization_id = ?
+        AND ${inTeamOf("u.id")}
+        AND DATE(ch.checkin_time) = ?
+    `;
+
+    const params = [organizationId, managerId, date];
+
+    if (employeeId) {
+        query += " AND u.id = ?";
+        params.push(employeeId);
+    }
+
+    query += " ORDER BY ch.checkin_time";
+
+    const [visits] = await pool.execute(query, params);
+    return visits;
+};
+
+const VISIT_EXPORT_COLUMNS = [
+    { header: "Visit ID", value: (v) => v.id },
+    { header: "Employee", value: (v) => v.employee_name },
+    { header: "Client", value: (v) => v.client_name },
+    { header: "Check-in (UTC)", value: (v) => v.checkin_time },
+    { header: "Check-out (UTC)", value: (v) => v.checkout_time },
+    { header: "Distance From Client (m)", value: (v) => (v.distance_from_client === null ? "" : Math.round(v.distance_from_client)) },
+    { header: "Within Geofence", value: (v) => (v.within_geofence === null ? "" : v.within_geofence ? "yes" : "no") },
+    { header: "Notes", value: (v) => v.notes },
+    { header: "Photos", value: (v) => v.photo_count },
+    { header: "Closed By System", value: (v) => (v.closed_by_system ? v.auto_close_reason : "") },
+    { header: "Corrected At (UTC)", value: (v) => v.corrected_at },
+    { header: "Signed By", value: (v) => v.signer_name },
+    { header: "Signer Designation", value: (v) => v.signer_designation },
+    { header: "Signed At (UTC)", value: (v) => v.signed_at },
+    { header: "Signature", value: (v) => (v.signature_key ? `/api/checkin/${v.id}/signature` : "") },
+];
+
+router.get("/visits", authenticateToken, requirePermission("reports:read"), scopeToTeam, async (req, res) => {
+    try {
+        const { date, employee_id } = req.query;
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or missing date (YYYY-MM-DD required)",
+            });
+        }
+
+        const visits = await fetchVisits(req.user.organization_id, req.teamRootId, date, employee_id);
+
+        res.json({
+            success: true,
+            data: {
+                date,
+                visits,
+            },
+        });
+    } catch (error) {
+        console.error("Visits report error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to generate report",
+        });
+    }
+});
+
+router.get("/visits/export", authenticateToken, requirePermission("reports:read"), scopeToTeam, async (req, res) => {
+    try {
+        const { date, employee_id } = req.query;
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or missing date (YYYY-MM-DD required)",
+            });
+        }
+
+        const visits = await fetchVisits(req.user.organization_id, req.teamRootId, date, employee_id);
+
+        res.set({
+            "Content-Type": "text/csv; charset=utf-8",
+            "Content-Disposition": `attachment; filename="visits-${date}.csv"`,
+        });
+        res.send(toCsv(VISIT_EXPORT_COLUMNS, visits));
+    } catch (error) {
+        console.error("Visits export error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to export visits",
+        });
+    }
+});
+
+const emptyAdherence = () => ({ planned: 0, visited: 0, late: 0, missed: 0, upcoming: 0, unplanned: 0 });
+
+// Share of planned visits whose window has passed that were made (on time or late), as a percentage
+const adherenceRate = (counts) => {
+    const due = counts.visited + counts.late + counts.missed;
+    return due === 0 ? null : Math.round(((counts.visited + counts.late) / due) * 1000) / 10;
+};
+
+// Plan vs actual for a date range: planned visits made on time, late or missed, and check-ins with no plan
+router.get("/plan-adherence", authenticateToken, requirePermission("reports:read"), scopeToTeam, async (req, res) => {
+    try {
+        const { start_date, end_date, employee_id } = req.query;
+
+        if (!isValidDate(start_date) || !isValidDate(end_date)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or missing start_date/end_date (YYYY-MM-DD required)",
+            });
+        }
+
+        if (start_date > end_date) {
+            return res.status(400).json({
+                success: false,
+                message: "start_date must not be after end_date",
+            });
+        }
+
+        const employeeFilter = employee_id ? " AND u.id = ?" : "";
+        const employeeParams = employee_id ? [employee_id] : [];
+
+        const [plans] = await pool.execute(
+            `SELECT ${PLAN_COLUMNS}, u.name AS employee_name
+             FROM visit_plans vp
+             ${PLAN_JOINS}
+             INNER JOIN users u ON vp.employee_id = u.id
+             WHERE vp.organization_id = ? AND ${inTeamOf("u.id")}
+               AND vp.planned_date BETWEEN ? AND ?${employeeFilter}
+             ORDER BY vp.planned_date, u.name, vp.window_start`,
+            [req.user.organization_id, req.teamRootId, start_date, end_date, ...employeeParams]
+        );
+
+        const [unplanned] = await pool.execute(
+            `SELECT ch.id, ch.employee_id, u.name AS employee_name, ch.client_id, c.name AS client_name,
+                    ch.checkin_time, ch.checkout_time
+             FROM checkins ch
+             INNER JOIN users u ON ch.employee_id = u.id
+             INNER JOIN clients c ON ch.client_id = c.id
+             WHERE ch.organization_id = ? AND ${inTeamOf("u.id")}
+               AND DATE(ch.checkin_time) BETWEEN ? AND ?${employeeFilter}
+               AND NOT EXISTS (SELECT 1 FROM visit_plans vp WHERE vp.checkin_id = ch.id)
+             ORDER BY ch.checkin_time`,
+            [req.user.organization_id, req.teamRootId, start_date, end_date, ...employeeParams]
+        );
+
+        const byEmployee = {};
+        const countFor = (id, name) => {
+            byEmployee[id] = byEmployee[id] || { employee_id: id, employee_name: name, ...emptyAdherence() };
+            return byEmployee[id];
+        };
+
+        const statusCounter = { planned: "upcoming", visited: "visited", late: "late", missed: "missed" };
+        const visits = plans.map(withStatus);
+        visits.forEach((plan) => {
+            const counts = countFor(plan.employee_id, plan.employee_name);
+            counts.planned += 1;
+            counts[statusCounter[plan.status]] += 1;
+        });
+        unplanned.forEach((visit) => {
+            countFor(visit.employee_id, visit.employee_name).unplanned += 1;
+        });
+
+        const employees = Object.values(byEmployee)
+            .map((counts) => ({ ...counts, adherence_rate: adherenceRate(counts) }))
+            .sort((a, b) => a.employee_name.localeCompare(b.employee_name));
+
+        const totals = employees.reduce((acc, e) => {
+            Object.keys(acc).forEach((key) => {
+                acc[key] += e[key];
+            });
+            return acc;
+        }, emptyAdherence());
+
+        res.json({
+            success: true,
+            data: {
+                start_date,
+                end_date,
+                employees,
+                team_stats: { ...totals, adherence_rate: adherenceRate(totals) },
+                plans: visits,
+                unplanned_visits: unplanned,
+            },
+        });
+    } catch (error) {
+        console.error("Plan adherence error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to generate report",
+        });
+    }
+});
+
+const emptyTaskCounts = () => ({ total: 0, done: 0, failed: 0, open: 0, overdue: 0 });
+
+// Share of tasks that are due (resolved, or open past their due date) that were done, as a percentage
+const completionRate = (counts) => {
+    const due = counts.done + counts.failed + counts.overdue;
+    return due === 0 ? null : Math.round((counts.done / due) * 1000) / 10;
+};
+
+// Visit tasks due from start_date through end_date: done, failed, still open and overdue per employee
+router.get("/task-completion", authenticateToken, requirePermission("reports:read"), scopeToTeam, async (req, res) => {
+    try {
+        const { start_date, end_date, employee_id } = req.query;
+
+        if (!isValidDate(start_date) || !isValidDate(end_date)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or missing start_date/end_date (YYYY-MM-DD required)",
+            });
+        }
+
+        if (start_date > end_date) {
+            return res.status(400).json({
+                success: false,
+                message: "start_date must not be after end_date",
+            });
+        }
+
+        let query = `
+            SELECT ${TASK_COLUMNS}, t.status = 'open' AND t.due_date < DATE('now') AS is_overdue
+            FROM visit_tasks t
+            ${TASK_JOINS}
+            WHERE t.organization_id = ? AND ${inTeamOf("t.assigned_to")} AND t.due_date BETWEEN ? AND ?`;
+        const params = [req.user.organization_id, req.teamRootId, start_date, end_date];
+
+        if (employee_id) {
+            query += " AND t.assigned_to = ?";
+            params.push(employee_id);
+        }
+
+        query += " ORDER BY t.due_date, u.name, c.name";
+
+        const [tasks] = await pool.execute(query, params);
+
+        const byEmployee = {};
+        tasks.forEach((task) => {
+            const counts = byEmployee[task.assigned_to] || {
+                employee_id: task.assigned_to,
+                employee_name: task.assignee_name,
+                ...emptyTaskCounts(),
+            };
+            byEmployee[task.assigned_to] = counts;
+
+            counts.total += 1;
+            counts[task.is_overdue ? "overdue" : task.status] += 1;
+        });
+
+        const employees = Object.values(byEmployee)
+            .map((counts) => ({ ...counts, completion_rate: completionRate(counts) }))
+            .sort((a, b) => a.employee_name.localeCompare(b.employee_name));
+
+        const totals = employees.reduce((acc, e) => {
+            Object.keys(acc).forEach((key) => {
+                acc[key] += e[key];
+            });
+            return acc;
+        }, emptyTaskCounts());
+
+        res.json({
+            success: true,
+            data: {
+                start_date,
+                end_date,
+                employees,
+                team_stats: { ...totals, completion_rate: completionRate(totals) },
+                tasks,
+            },
+        });
+    } catch (error) {
+        console.error("Task completion report error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to generate report",
+        });
+    }
+});
+
+const MAX_ATTENDANCE_DAYS = 62;
+
+// Working days per employee from start_date through end_date: first and last punch, working, on-site and
+// travel time, and starts or finishes outside the configured shift
+router.get("/attendance", authenticateToken, requirePermission("reports:read"), scopeToTeam, async (req, res) => {
+    try {
+        const { start_date, end_date, employee_id } = req.query;
+
+        if (!isValidDate(start_date) || !isValidDate(end_date)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or missing start_date/end_date (YYYY-MM-DD required)",
+            });
+        }
+
+        if (start_date > end_date) {
+            return res.status(400).json({
+                success: false,
+                message: "start_date must not be after end_date",
+            });
+        }
+
+        if (addDays(start_date, MAX_ATTENDANCE_DAYS) < end_date) {
+            return res.status(400).json({
+                success: false,
+                message: `end_date may be at most ${MAX_ATTENDANCE_DAYS} days after start_date`,
+            });
+        }
+
+        const days = await fetchAttendance(req.user.organization_id, {
+            teamRootId: req.teamRootId,
+            employeeId: employee_id,
+            startDate: start_date,
+            endDate: end_date,
+        });
+
+        const totals = days.reduce(
+            (acc, day) => {
+                acc.working_minutes += day.working_minutes;
+                acc.on_site_minutes += day.on_site_minutes;
+                acc.travel_minutes += day.travel_minutes;
+                acc.late_starts += day.late_start ? 1 : 0;
+                acc.early_finishes += day.early_finish ? 1 : 0;
+                acc.missing_punches += day.missing_start_punch || day.missing_end_punch ? 1 : 0;
+                return acc;
+            },
+            {
+                working_minutes: 0,
+                on_site_minutes: 0,
+                travel_minutes: 0,
+                late_starts: 0,
+                early_finishes: 0,
+                missing_punches: 0,
+            }
+        );
+
+        res.json({
+            success: true,
+            data: {
+                start_date,
+                end_date,
+                shift: shiftSettings(start_date),
+                days,
+                team_stats: totals,
+            },
+        });
+    } catch (error) {
+        console.error("Attendance report error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to generate report",
+        });
+    }
+});
+
+// Clients with a visit frequency that are overdue or coming due within ?due_within= days, per assignment.
+// ?status= narrows to overdue, due_soon or on_track (default: overdue and due_soon).
+router.get("/visit-frequency", authenticateToken, requirePermission("reports:read"), scopeToTeam, async (req, res) => {
+    try {
+        const { employee_id, status } = req.query;
+        const dueWithinDays = req.query.due_within === undefined ? DEFAULT_DUE_WITHIN_DAYS : Number(req.query.due_within);
+
+        if (!Number.isInteger(dueWithinDays) || dueWithinDays < 0 || dueWithinDays > 90) {
+            return res.status(400).json({
+                success: false,
+                message: "due_within must be a whole number of days from 0 to 90",
+            });
+        }
+
+        if (status && status !== "all" && !VISIT_CADENCE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of ${VISIT_CADENCE_STATUSES.join(", ")}, all`,
+            });
+        }
+
+        const cadence = await fetchVisitCadence(req.user.organization_id, {
+            teamRootId: req.teamRootId,
+            employeeId: employee_id,
+            dueWithinDays,
+        });
+
+        const summary = Object.fromEntries(VISIT_CADENCE_STATUSES.map((s) => [s, 0]));
+        cadence.forEach((row) => {
+            summary[row.status] += 1;
+        });
+
+        const clients = cadence.filter((row) =>
+            status === "all" ? true : status ? row.status === status : row.status !== "on_track",
+        );
+
+        res.json({
+            success: true,
+            data: {
+                due_within: dueWithinDays,
+                summary,
+                clients,
+            },
+        });
+    } catch (error) {
+        console.error("Visit frequency report error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to generate report",
+        });
+    }
+});
+
+// One team member's check-in history, with the same start_date/end_date filters as /api/checkin/history
+router.get("/employees/:id/checkins", authenticateToken, requirePermission("reports:read"), async (req, res) => {
+    try {
+        const { start_date, end_date } = req.query;
+
+        if ((start_date && !isValidDate(start_date)) || (end_date && !isValidDate(end_date))) {
+            return res.status(400).json({
+                success: false,
+                message: "start_date and end_date must be YYYY-MM-DD",
+            });
+        }
+
+        // Deactivated employees stay reachable so their past visits can still be reviewed
+        const [employees] = await pool.execute(
+            `SELECT u.id, u.name, u.email, u.role, u.is_active, u.manager_id, m.name AS manager_name
+             FROM users u
+             LEFT JOIN users m ON u.manager_id = m.id
+             WHERE u.id = ? AND u.organization_id = ? AND ${inTeamOf("u.id")}`,
+            [req.params.id, req.user.organization_id, req.user.id]
+        );
+
+        if (employees.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "Employee not found in your team",
+            });
+        }
+
+        const checkins = await fetchCheckinHistory(req.user.organization_id, employees[0].id, {
+            startDate: start_date,
+            endDate: end_date,
+        });
+
+        res.json({
+            success: true,
+            data: {
+                employee: employees[0],
+                checkins,
+            },
+        });
+    } catch (error) {
+        console.error("Employee history error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to fetch employee history",
+        });
+    }
+});
+
+router.get("/suspicious-visits", authenticateToken, requirePermission("reports:read"), scopeToTeam, async (req, res) => {
+    try {
+        const { start_date, end_date, employee_id, flag } = req.query;
+
+        if (!isValidDate(start_date) || !isValidDate(end_date)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or missing start_date/end_date (YYYY-MM-DD required)",
+            });
+        }
+
+        if (start_date > end_date) {
+            return res.status(400).json({
+                success: false,
+                message: "start_date must not be after end_date",
+            });
+        }
+
+        let query = `
+      SELECT
+        ch.id,
+        ch.employee_id,
+        u.name AS employee_name,
+        ch.client_id,
+        c.name AS client_name,
+        ch.checkin_time,
+        ch.checkout_time,
+        ch.latitude,
+        ch.longitude,
+        ch.accuracy,
+        ch.distance_from_client,
+        ch.within_geofence,
+        ch.suspicious_flags
+      FROM checkins ch
+      INNER JOIN users u ON ch.employee_id = u.id
+      INNER JOIN clients c ON ch.client_id = c.id
+      WHERE ch.organization_id = ?
+        AND ${inTeamOf("u.id")}
+        AND ch.suspicious_flags IS NOT NULL
+        AND DATE(ch.checkin_time) BETWEEN ? AND ?
+    `;
+
+        const params = [req.user.organization_id, req.teamRootId, start_date, end_date];
+
+        if (employee_id) {
+            query += " AND u.id = ?";
+            params.push(employee_id);
+        }
+
+        query += " ORDER BY ch.checkin_time DESC";
+
+        const [rows] = await pool.execute(query, params);
+
+        const visits = rows
+            .map((row) => ({ ...row, suspicious_flags: JSON.parse(row.suspicious_flags) }))
+            .filter((row) => !flag || row.suspicious_flags.some((f) => f.code === flag));
+
+        const flagCounts = visits.reduce((acc, visit) => {
+            visit.suspicious_flags.forEach((f) => {
+                acc[f.code] = (acc[f.code] || 0) + 1;
+            });
+            return acc;
+        }, {});
+
+        res.json({
+            success: true,
+            data: {
+                start_date,
+                end_date,
+                visits,
+                flag_counts: flagCounts,
+            },
+        });
+    } catch (error) {
+        console.error("Suspicious visits error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to generate report",
+        });
+    }
+});
+
+// Check-ins closed by the sweeper rather than the employee, for reviewing the recorded hours
+router.get("/auto-closed", authenticateToken, requirePermission("reports:read"), scopeToTeam, async (req, res) => {
+    try {
+        const { start_date, end_date, employee_id } = req.query;
+
+        if (!isValidDate(start_date) || !isValidDate(end_date)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or missing start_date/end_date (YYYY-MM-DD required)",
+            });
+        }
+
+        if (start_date > end_date) {
+            return res.status(400).json({
+                success: false,
+                message: "start_date must not be after end_date",
+            });
+        }
+
+        let query = `
+      SELECT
+        ch.id,
+        ch.employee_id,
+        u.name AS employee_name,
+        ch.client_id,
+        c.name AS client_name,
+        ch.checkin_time,
+        ch.checkout_time,
+        ch.auto_close_reason,
+        ROUND((julianday(ch.checkout_time) - julianday(ch.checkin_time)) * 24 * 60, 2) AS minutes_recorded
+      FROM checkins ch
+      INNER JOIN users u ON ch.employee_id = u.id
+      INNER JOIN clients c ON ch.client_id = c.id
+      WHERE ch.organization_id = ?
+        AND ${inTeamOf("u.id")}
+        AND ch.closed_by_system = 1
+        AND DATE(ch.checkin_time) BETWEEN ? AND ?
+    `;
+
+        const params = [req.user.organization_id, req.teamRootId, start_date, end_date];
+
+        if (employee_id) {
+            query += " AND u.id = ?";
+            params.push(employee_id);
+        }
+
+        query += " ORDER BY ch.checkin_time DESC";
+
+        const [visits] = await pool.execute(query, params);
+
+        res.json({
+            success: true,
+            data: {
+                start_date,
+                end_date,
+                visits,
+            },
+        });
+    } catch (error) {
+        console.error("Auto-closed visits error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to generate report",
+        });
+    }
+});
+
+// Visit form answers for a date range, one row per visit; field_key + value narrows to matching answers
+router.get("/form-responses", authenticateToken, requirePermission("reports:read"), scopeToTeam, async (req, res) => {
+    try {
+        const { form_id, start_date, end_date, employee_id, field_key, value } = req.query;
+
+        if (!form_id) {
+            return res.status(400).json({
+                success: false,
+                message: "form_id is required",
+            });
+        }
+
+        if (!isValidDate(start_date) || !isValidDate(end_date)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid or missing start_date/end_date (YYYY-MM-DD required)",
+            });
+        }
+
+        if (start_date > end_date) {
+            return res.status(400).json({
+                success: false,
+                message: "start_date must not be after end_date",
+            });
+        }
+
+        const [forms] = await pool.execute(
+            `SELECT f.* FROM visit_forms f WHERE f.id = ? AND ${FORM_VISIBLE_TO}`,
+            [form_id, req.user.id, req.user.id, req.user.id]
+        );
+
+        if (forms.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: "Visit form not found",
+            });
+        }
+
+        let query = `
+      SELECT
+        ch.id AS checkin_id,
+        u.name AS employee_name,
+        c.name AS client_name,
+        ch.visit_type,
+        ch.checkin_time,
+        ch.checkout_time,
+        r.field_key,
+        r.value
+      FROM visit_form_responses r
+      INNER JOIN checkins ch ON r.checkin_id = ch.id
+      INNER JOIN users u ON ch.employee_id = u.id
+      INNER JOIN clients c ON ch.client_id = c.id
+      WHERE ch.organization_id = ?
+        AND ${inTeamOf("u.id")}
+        AND r.form_id = ?
+        AND DATE(ch.checkin_time) BETWEEN ? AND ?
+    `;
+
+        const params = [req.user.organization_id, req.teamRootId, form_id, start_date, end_date];
+
+        if (employee_id) {
+            query += " AND u.id = ?";
+            params.push(employee_id);
+        }
+
+        if (field_key) {
+            query += ` AND ch.id IN (
+          SELECT checkin_id FROM visit_form_responses
+          WHERE form_id = ? AND field_key = ?${value !== undefined ? " AND value = ?" : ""}
+        )`;
+            params.push(form_id, field_key);
+            if (value !== undefined) params.push(value);
+        }
+
+        query += " ORDER BY ch.checkin_time DESC, r.id";
+
+        const [rows] = await pool.execute(query, params);
+
+        const responses = [];
+        const byCheckin = new Map();
+        rows.forEach((row) => {
+            let entry = byCheckin.get(row.checkin_id);
+            if (!entry) {
+                entry = {
+                    checkin_id: row.checkin_id,
+                    employee_name: row.employee_name,
+                    client_name: row.client_name,
+                    visit_type: row.visit_type,
+                    checkin_time: row.checkin_time,
+                    checkout_time: row.checkout_time,
+                    answers: {},
+                };
+                byCheckin.set(row.checkin_id, entry);
+                responses.push(entry);
+            }
+            entry.answers[row.field_key] = row.value;
+        });
+
+        res.json({
+            success: true,
+            data: {
+                form: parseForm(forms[0]),
+                start_date,
+                end_date,
+                responses,
+            },
+        });
+    } catch (error) {
+        console.error("Form responses report error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to generate report",
+        });
+    }
+});
+
+module.exports = router;
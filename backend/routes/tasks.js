@@ -0,0 +1,312 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { isValidDate } = require('../utils/datetime');
+const { inTeamOf } = require('../services/hierarchy');
+const { auditContext, snapshot, recordAudit } = require('../services/audit');
+const {
+    TASK_STATUSES,
+    TASK_COLUMNS,
+    TASK_JOINS,
+    readTaskBody,
+    readTaskOutcome
+} = require('../services/tasks');
+
+const router = express.Router();
+
+// Filters for ?status=; overdue is an open task whose due date has passed
+const STATUS_CONDITIONS = {
+    ...Object.fromEntries(TASK_STATUSES.map((status) => [status, ` AND t.status = '${status}'`])),
+    overdue: " AND t.status = 'open' AND t.due_date < DATE('now')",
+    all: ''
+};
+
+const findTeamMember = async (manager, employeeId) => {
+    const [rows] = await pool.execute(
+        `SELECT id, name FROM users
+         WHERE id = ? AND organization_id = ? AND ${inTeamOf('id')} AND is_active = 1`,
+        [employeeId, manager.organization_id, manager.id]
+    );
+    return rows[0] || null;
+};
+
+const findTeamTask = async (manager, taskId) => {
+    const [rows] = await pool.execute(
+        `SELECT t.* FROM visit_tasks t
+         WHERE t.id = ? AND t.organization_id = ? AND ${inTeamOf('t.assigned_to')}`,
+        [taskId, manager.organization_id, manager.id]
+    );
+    return rows[0] || null;
+};
+
+const fetchTask = async (taskId) => {
+    const [rows] = await pool.execute(
+        `SELECT ${TASK_COLUMNS} FROM visit_tasks t ${TASK_JOINS} WHERE t.id = ?`,
+        [taskId]
+    );
+    return rows[0] || null;
+};
+
+// Tasks for the client of one of the signed-in employee's check-ins: those still open, and those
+// resolved during that visit
+router.get('/visit/:checkinId', authenticateToken, async (req, res) => {
+    try {
+        const [checkins] = await pool.execute(
+            'SELECT id, client_id FROM checkins WHERE id = ? AND employee_id = ? AND organization_id = ?',
+            [req.params.checkinId, req.user.id, req.user.organization_id]
+        );
+
+        if (checkins.length === 0) {
+            return res.status(404).json({ success: false, message: 'Check-in not found' });
+        }
+
+        const [tasks] = await pool.execute(
+            `SELECT ${TASK_COLUMNS}
+             FROM visit_tasks t
+             ${TASK_JOINS}
+             WHERE t.assigned_to = ? AND t.client_id = ? AND (t.status = 'open' OR t.checkin_id = ?)
+             ORDER BY t.status != 'open', t.due_date, t.id`,
+            [req.user.id, checkins[0].client_id, checkins[0].id]
+        );
+
+        res.json({ success: true, data: tasks });
+    } catch (error) {
+        console.error('Visit tasks error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch tasks' });
+    }
+});
+
+// Mark one of the signed-in employee's tasks done or failed (failed needs a comment). Only possible
+// while checked in at the task's client; the check-in is recorded on the task.
+router.post('/:id/complete', authenticateToken, async (req, res) => {
+    try {
+        const [tasks] = await pool.execute(
+            'SELECT * FROM visit_tasks WHERE id = ? AND assigned_to = ? AND organization_id = ?',
+            [req.params.id, req.user.id, req.user.organization_id]
+        );
+        const task = tasks[0];
+
+        if (!task) {
+            return res.status(404).json({ success: false, message: 'Task not found' });
+        }
+        if (task.status !== 'open') {
+            return res.status(409).json({ success: false, message: `This task is already marked ${task.status}` });
+        }
+
+        const { outcome, comment, error } = readTaskOutcome(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const [active] = await pool.execute(
+            "SELECT id FROM checkins WHERE employee_id = ? AND client_id = ? AND status = 'checked_in'",
+            [req.user.id, task.client_id]
+        );
+        if (active.length === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Check in at this client to complete the task'
+            });
+        }
+
+        const [update] = await pool.execute(
+            `UPDATE visit_tasks
+             SET status = ?, outcome_comment = ?, checkin_id = ?, completed_at = datetime('now'),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND status = 'open'`,
+            [outcome, comment, active[0].id, task.id]
+        );
+
+        if (update.affectedRows === 0) {
+            return res.status(409).json({ success: false, message: 'This task is no longer open' });
+        }
+
+        await recordAudit(auditContext(req), {
+            action: 'visit_task.complete',
+            entityId: task.id,
+            before: task,
+            after: await snapshot('visit_task', task.id)
+        });
+
+        res.json({ success: true, message: `Task marked ${outcome}`, data: await fetchTask(task.id) });
+    } catch (error) {
+        console.error('Complete task error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update task' });
+    }
+});
+
+// Clients a team member is assigned to now or from a later date, for giving them tasks
+router.get('/clients', authenticateToken, requirePermission('tasks:manage'), async (req, res) => {
+    try {
+        const employee = await findTeamMember(req.user, req.query.employee_id);
+
+        if (!employee) {
+            return res.status(404).json({ success: false, message: 'Employee not found in your team' });
+        }
+
+        const [clients] = await pool.execute(
+            `SELECT DISTINCT c.id, c.name, c.address
+             FROM clients c
+             INNER JOIN employee_clients ec ON ec.client_id = c.id
+             WHERE ec.employee_id = ? AND c.organization_id = ? AND c.archived_at IS NULL
+               AND (ec.end_date IS NULL OR ec.end_date >= DATE('now'))
+             ORDER BY c.name`,
+            [employee.id, req.user.organization_id]
+        );
+
+        res.json({ success: true, data: clients });
+    } catch (error) {
+        console.error('Task clients error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch clients' });
+    }
+});
+
+// The team's tasks; status is open (default), done, failed, overdue or all, with optional
+// employee_id, client_id and a start_date/end_date range on the due date
+router.get('/', authenticateToken, requirePermission('tasks:manage'), async (req, res) => {
+    try {
+        const status = req.query.status || 'open';
+        const { employee_id, client_id, start_date, end_date } = req.query;
+
+        if (!(status in STATUS_CONDITIONS)) {
+            return res.status(400).json({
+                success: false,
+                message: `status must be one of ${Object.keys(STATUS_CONDITIONS).join(', ')}`
+            });
+        }
+        if ((start_date && !isValidDate(start_date)) || (end_date && !isValidDate(end_date))) {
+            return res.status(400).json({ success: false, message: 'start_date and end_date must be YYYY-MM-DD' });
+        }
+
+        let query = `
+            SELECT ${TASK_COLUMNS}
+            FROM visit_tasks t
+            ${TASK_JOINS}
+            WHERE t.organization_id = ? AND ${inTeamOf('t.assigned_to')}${STATUS_CONDITIONS[status]}`;
+        const params = [req.user.organization_id, req.user.id];
+
+        if (employee_id) {
+            query += ' AND t.assigned_to = ?';
+            params.push(employee_id);
+        }
+        if (client_id) {
+            query += ' AND t.client_id = ?';
+            params.push(client_id);
+        }
+        if (start_date) {
+            query += ' AND t.due_date >= ?';
+            params.push(start_date);
+        }
+        if (end_date) {
+            query += ' AND t.due_date <= ?';
+            params.push(end_date);
+        }
+
+        query += ' ORDER BY t.due_date, u.name, c.name';
+
+        const [tasks] = await pool.execute(query, params);
+
+        res.json({ success: true, data: tasks });
+    } catch (error) {
+        console.error('List tasks error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch tasks' });
+    }
+});
+
+// Give a team member a task for their next visit to a client: assigned_to, client_id, title,
+// optional description and due_date
+router.post('/', authenticateToken, requirePermission('tasks:manage'), async (req, res) => {
+    try {
+        const employee = await findTeamMember(req.user, req.body.assigned_to);
+        if (!employee) {
+            return res.status(403).json({ success: false, message: 'assigned_to is not an active member of your team' });
+        }
+
+        const { task, error } = await readTaskBody(req.user.organization_id, employee.id, req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const [result] = await pool.execute(
+            `INSERT INTO visit_tasks (organization_id, client_id, assigned_to, title, description, due_date, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [req.user.organization_id, task.clientId, employee.id, task.title, task.description, task.dueDate, req.user.id]
+        );
+        await recordAudit(auditContext(req), {
+            action: 'visit_task.create',
+            entityId: result.insertId,
+            after: await snapshot('visit_task', result.insertId)
+        });
+
+        res.status(201).json({ success: true, data: await fetchTask(result.insertId) });
+    } catch (error) {
+        console.error('Create task error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create task' });
+    }
+});
+
+// Change an open task's client, title, description or due date
+router.put('/:id', authenticateToken, requirePermission('tasks:manage'), async (req, res) => {
+    try {
+        const existing = await findTeamTask(req.user, req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Task not found' });
+        }
+        if (existing.status !== 'open') {
+            return res.status(409).json({ success: false, message: 'Only open tasks can be changed' });
+        }
+
+        const { task, error } = await readTaskBody(req.user.organization_id, existing.assigned_to, {
+            client_id: req.body.client_id ?? existing.client_id,
+            title: req.body.title ?? existing.title,
+            description: req.body.description === undefined ? existing.description : req.body.description,
+            due_date: req.body.due_date ?? existing.due_date
+        });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        await pool.execute(
+            `UPDATE visit_tasks
+             SET client_id = ?, title = ?, description = ?, due_date = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [task.clientId, task.title, task.description, task.dueDate, existing.id]
+        );
+        await recordAudit(auditContext(req), {
+            action: 'visit_task.update',
+            entityId: existing.id,
+            before: existing,
+            after: await snapshot('visit_task', existing.id)
+        });
+
+        res.json({ success: true, data: await fetchTask(existing.id) });
+    } catch (error) {
+        console.error('Update task error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update task' });
+    }
+});
+
+// Withdraw an open task; done and failed tasks are kept for the completion report
+router.delete('/:id', authenticateToken, requirePermission('tasks:manage'), async (req, res) => {
+    try {
+        const existing = await findTeamTask(req.user, req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Task not found' });
+        }
+        if (existing.status !== 'open') {
+            return res.status(409).json({ success: false, message: 'Completed tasks are kept for reporting' });
+        }
+
+        await pool.execute('DELETE FROM visit_tasks WHERE id = ?', [existing.id]);
+        await recordAudit(auditContext(req), { action: 'visit_task.delete', entityId: existing.id, before: existing });
+
+        res.json({ success: true, message: 'Task removed' });
+    } catch (error) {
+        console.error('Delete task error:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove task' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,353 @@
+const express = require('express');
+const pool = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    normalizeEmail,
+    isValidEmail,
+    findActiveManager
+} = require('../services/users');
+const { inTeamOf, isInTeam } = require('../services/hierarchy');
+const { auditContext, snapshot, recordAudit } = require('../services/audit');
+const { ROLES, hasPermission, isTeamLeadRole } = require('../services/permissions');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+
+const USER_COLUMNS = `id, organization_id, name, email, role, manager_id, is_active, must_change_password,
+                      deactivated_at, created_at, updated_at`;
+
+const isUniqueViolation = (error) => error && error.code === 'SQLITE_CONSTRAINT_UNIQUE';
+
+const readPassword = (password) => (typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH
+    ? password
+    : null);
+
+// Any change away from the employee role needs roles:assign; returns { role } or { error, status }
+const readRole = (req, currentRole) => {
+    const role = req.body.role === undefined ? currentRole : req.body.role;
+
+    if (!ROLES.includes(role)) {
+        return { error: `role must be one of ${ROLES.join(', ')}`, status: 400 };
+    }
+    if (role !== currentRole && !hasPermission(req.user, 'roles:assign')) {
+        return { error: 'Permission required: roles:assign', status: 403 };
+    }
+    return { role };
+};
+
+// Shared validation for create and update; returns { values } or { error }
+const readUserBody = (body) => {
+    const name = typeof body.name === 'string' ? body.name.trim().replace(/\s+/g, ' ') : '';
+    const email = normalizeEmail(body.email);
+
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        return { error: `Name is required (at most ${MAX_NAME_LENGTH} characters)` };
+    }
+
+    if (!isValidEmail(email)) {
+        return { error: 'A valid email address is required' };
+    }
+
+    return { values: { name, email } };
+};
+
+// Managers act on everyone in their reporting tree, including deactivated users
+const findTeamMember = async (manager, userId) => {
+    const [rows] = await pool.execute(
+        `SELECT ${USER_COLUMNS} FROM users WHERE id = ? AND organization_id = ? AND ${inTeamOf('id')}`,
+        [userId, manager.organization_id, manager.id]
+    );
+    return rows[0] || null;
+};
+
+// List everyone in the manager's reporting tree; deactivated users only with include_inactive=true
+router.get('/', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const includeInactive = req.query.include_inactive === 'true';
+
+        const [users] = await pool.execute(
+            `SELECT ${USER_COLUMNS} FROM users
+             WHERE organization_id = ? AND ${inTeamOf('id')} ${includeInactive ? '' : 'AND is_active = 1'}
+             ORDER BY is_active DESC, name`,
+            [req.user.organization_id, req.user.id]
+        );
+
+        res.json({ success: true, data: users });
+    } catch (error) {
+        console.error('List users error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch users' });
+    }
+});
+
+// Managers an employee can be moved to
+router.get('/managers', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const [managers] = await pool.execute(
+            `SELECT id, name, email FROM users
+             WHERE organization_id = ? AND ${isTeamLeadRole('role')} AND is_active = 1
+             ORDER BY name`,
+            [req.user.organization_id]
+        );
+
+        res.json({ success: true, data: managers });
+    } catch (error) {
+        console.error('List managers error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch managers' });
+    }
+});
+
+// Create an account (an employee unless the caller can assign roles) with a temporary password
+// the user must change at first login
+router.post('/', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const parsed = readUserBody(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
+
+        const password = readPassword(req.body.password);
+        if (!password) {
+            return res.status(400).json({
+                success: false,
+                message: `Temporary password must be at least ${MIN_PASSWORD_LENGTH} characters`
+            });
+        }
+
+        const { role, error: roleError, status } = readRole(req, 'employee');
+        if (roleError) {
+            return res.status(status).json({ success: false, message: roleError });
+        }
+
+        const managerId = req.body.manager_id ? Number(req.body.manager_id) : req.user.id;
+        if (!(await findActiveManager(req.user.organization_id, managerId))) {
+            return res.status(400).json({ success: false, message: 'manager_id must be an active manager' });
+        }
+        if (managerId !== req.user.id && !(await isInTeam(req.user.id, managerId))) {
+            return res.status(403).json({ success: false, message: 'New users must join your own reporting tree' });
+        }
+
+        const { name, email } = parsed.values;
+        let result;
+        try {
+            [result] = await pool.execute(
+                `INSERT INTO users (organization_id, name, email, password, role, manager_id, must_change_password)
+                 VALUES (?, ?, ?, ?, ?, ?, 1)`,
+                [req.user.organization_id, name, email, await hashPassword(password), role, managerId]
+            );
+        } catch (error) {
+            if (isUniqueViolation(error)) {
+                return res.status(409).json({ success: false, message: 'A user with this email already exists' });
+            }
+            throw error;
+        }
+
+        const [users] = await pool.execute(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [result.insertId]);
+        await recordAudit(auditContext(req), { action: 'user.create', entityId: result.insertId, after: users[0] });
+
+        res.status(201).json({ success: true, data: users[0] });
+    } catch (error) {
+        console.error('Create user error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create user' });
+    }
+});
+
+// Update name, email and role, or move the user to another manager
+router.put('/:id', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const member = await findTeamMember(req.user, req.params.id);
+        if (!member) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const parsed = readUserBody({
+            name: req.body.name === undefined ? member.name : req.body.name,
+            email: req.body.email === undefined ? member.email : req.body.email
+        });
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
+
+        const { role, error: roleError, status } = readRole(req, member.role);
+        if (roleError) {
+            return res.status(status).json({ success: false, message: roleError });
+        }
+
+        // Keep every reporting line pointing at a team lead
+        if (role !== member.role && role === 'employee') {
+            const [reports] = await pool.execute('SELECT COUNT(*) AS count FROM users WHERE manager_id = ?', [member.id]);
+            if (reports[0].count > 0) {
+                return res.status(400).json({ success: false, message: 'Move this user\'s direct reports before changing their role' });
+            }
+        }
+
+        const managerId = req.body.manager_id ? Number(req.body.manager_id) : member.manager_id;
+        if (managerId !== member.manager_id && !(await findActiveManager(req.user.organization_id, managerId))) {
+            return res.status(400).json({ success: false, message: 'manager_id must be an active manager' });
+        }
+        if (managerId !== member.manager_id && managerId !== req.user.id && !(await isInTeam(req.user.id, managerId))) {
+            return res.status(403).json({ success: false, message: 'Users can only be moved within your own reporting tree' });
+        }
+
+        // A manager cannot report to themself or to anyone in their own reporting tree
+        if (managerId === member.id || (managerId !== member.manager_id && (await isInTeam(member.id, managerId)))) {
+            return res.status(400).json({ success: false, message: 'A manager cannot report to someone in their own team' });
+        }
+
+        const { name, email } = parsed.values;
+        try {
+            await pool.execute(
+                `UPDATE users SET name = ?, email = ?, role = ?, manager_id = ?, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [name, email, role, managerId, member.id]
+            );
+        } catch (error) {
+            if (isUniqueViolation(error)) {
+                return res.status(409).json({ success: false, message: 'A user with this email already exists' });
+            }
+            throw error;
+        }
+
+        const [users] = await pool.execute(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [member.id]);
+        await recordAudit(auditContext(req), {
+            action: 'user.update',
+            entityId: member.id,
+            before: member,
+            after: users[0]
+        });
+
+        res.json({
+            success: true,
+            message: managerId === member.manager_id ? 'User updated' : 'User moved to another manager',
+            data: users[0]
+        });
+    } catch (error) {
+        console.error('Update user error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update user' });
+    }
+});
+
+// Set a new temporary password; the employee is asked to change it at next login
+router.post('/:id/reset-password', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const member = await findTeamMember(req.user, req.params.id);
+        if (!member) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const password = readPassword(req.body.password);
+        if (!password) {
+            return res.status(400).json({
+                success: false,
+                message: `Temporary password must be at least ${MIN_PASSWORD_LENGTH} characters`
+            });
+        }
+
+        await pool.execute(
+            `UPDATE users SET password = ?, must_change_password = 1, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [await hashPassword(password), member.id]
+        );
+
+        await recordAudit(auditContext(req), {
+            action: 'user.reset_password',
+            entityId: member.id,
+            before: member,
+            after: await snapshot('user', member.id)
+        });
+
+        res.json({ success: true, message: 'Temporary password set' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reset password' });
+    }
+});
+
+// Deactivate a leaver: they can no longer sign in, but their check-ins stay in reports.
+// Their reports and clients must be moved to someone else first.
+router.delete('/:id', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const member = await findTeamMember(req.user, req.params.id);
+        if (!member) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        if (!member.is_active) {
+            return res.status(400).json({ success: false, message: 'User is already deactivated' });
+        }
+
+        // Checked and written together so no report or assignment is added in between
+        const conflict = await pool.transaction(async () => {
+            const [reports] = await pool.execute(
+                'SELECT COUNT(*) AS count FROM users WHERE manager_id = ? AND is_active = 1',
+                [member.id]
+            );
+            if (reports[0].count > 0) {
+                return `${member.name} still manages ${reports[0].count} active user(s); move them to another manager first`;
+            }
+
+            const [assignments] = await pool.execute(
+                `SELECT COUNT(*) AS count FROM employee_clients
+                 WHERE employee_id = ? AND (end_date IS NULL OR end_date >= DATE('now'))`,
+                [member.id]
+            );
+            if (assignments[0].count > 0) {
+                return `${member.name} still has ${assignments[0].count} open client assignment(s); reassign or end them first`;
+            }
+
+            await pool.execute(
+                `UPDATE users SET is_active = 0, deactivated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [member.id]
+            );
+            return null;
+        });
+
+        if (conflict) {
+            return res.status(409).json({ success: false, message: conflict });
+        }
+
+        await recordAudit(auditContext(req), {
+            action: 'user.deactivate',
+            entityId: member.id,
+            before: member,
+            after: await snapshot('user', member.id)
+        });
+
+        res.json({ success: true, message: 'User deactivated' });
+    } catch (error) {
+        console.error('Deactivate user error:', error);
+        res.status(500).json({ success: false, message: 'Failed to deactivate user' });
+    }
+});
+
+router.post('/:id/reactivate', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const member = await findTeamMember(req.user, req.params.id);
+        if (!member) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        await pool.execute(
+            `UPDATE users SET is_active = 1, deactivated_at = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [member.id]
+        );
+
+        await recordAudit(auditContext(req), {
+            action: 'user.reactivate',
+            entityId: member.id,
+            before: member,
+            after: await snapshot('user', member.id)
+        });
+
+        res.json({ success: true, message: 'User reactivated' });
+    } catch (error) {
+        console.error('Reactivate user error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reactivate user' });
+    }
+});
+
+module.exports = router;
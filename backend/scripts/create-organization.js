@@ -0,0 +1,27 @@
+// Usage: npm run create-org -- "<organization name>" "<admin name>" <admin email> <temporary password>
+const { createOrganization } = require('../services/organizations');
+
+const [name, adminName, adminEmail, adminPassword] = process.argv.slice(2);
+
+if (!name || !adminName || !adminEmail || !adminPassword) {
+    console.error('Usage: npm run create-org -- "<organization name>" "<admin name>" <admin email> <temporary password>');
+    process.exit(1);
+}
+
+createOrganization({
+    name,
+    admin: { name: adminName, email: adminEmail, password: adminPassword }
+})
+    .then(({ organization, admin, error }) => {
+        if (error) {
+            console.error(`❌ ${error}`);
+            process.exit(1);
+        }
+
+        console.log(`✅ Created organization "${organization.name}" (id ${organization.id})`);
+        console.log(`Admin: ${admin.name} <${admin.email}> - must change the password at first login`);
+    })
+    .catch((error) => {
+        console.error('❌ Failed to create organization:', error.message);
+        process.exit(1);
+    });
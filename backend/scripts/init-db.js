@@ -17,34 +17,59 @@ console.log('Initializing database...');
 
 // Create tables
 db.exec(`
+    -- Organizations (tenants); their users and data never see each other
+    CREATE TABLE organizations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
     -- Users table
     CREATE TABLE users (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
         name TEXT NOT NULL,
         email TEXT UNIQUE NOT NULL,
         password TEXT NOT NULL,
-        role TEXT DEFAULT 'employee' CHECK(role IN ('employee', 'manager')),
+        role TEXT DEFAULT 'employee' CHECK(role IN ('employee', 'manager', 'admin')),
         manager_id INTEGER,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        must_change_password INTEGER NOT NULL DEFAULT 0,
+        deactivated_at DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (organization_id) REFERENCES organizations(id)
     );
 
     -- Clients table
     CREATE TABLE clients (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
         name TEXT NOT NULL,
         address TEXT,
         latitude REAL,
         longitude REAL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        geofence_radius REAL NOT NULL DEFAULT 500,
+        require_signature INTEGER NOT NULL DEFAULT 0,
+        external_code TEXT,
+        visit_frequency_days INTEGER,
+        archived_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (organization_id) REFERENCES organizations(id)
     );
 
     -- Employee-Client assignments
     CREATE TABLE employee_clients (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
         employee_id INTEGER NOT NULL,
         client_id INTEGER NOT NULL,
         assigned_date DATE NOT NULL,
+        end_date DATE,
+        visit_frequency_days INTEGER,
+        assigned_by INTEGER,
+        FOREIGN KEY (organization_id) REFERENCES organizations(id),
         FOREIGN KEY (employee_id) REFERENCES users(id),
         FOREIGN KEY (client_id) REFERENCES clients(id)
     );
@@ -53,21 +78,239 @@ db.exec(`
     -- NOTE: latitude/longitude stored correctly as REAL
     CREATE TABLE checkins (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
         employee_id INTEGER NOT NULL,
         client_id INTEGER NOT NULL,
         checkin_time DATETIME DEFAULT CURRENT_TIMESTAMP,
         checkout_time DATETIME,
+        checkin_captured_at DATETIME,
+        checkin_received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        checkin_idempotency_key TEXT,
+        checkout_captured_at DATETIME,
+        checkout_received_at DATETIME,
+        checkout_idempotency_key TEXT,
         latitude REAL,
         longitude REAL,
+        accuracy REAL,
         distance_from_client REAL,
+        within_geofence INTEGER,
+        override_reason TEXT,
+        suspicious_flags TEXT,
+        checkout_latitude REAL,
+        checkout_longitude REAL,
+        checkout_accuracy REAL,
+        checkout_distance_from_client REAL,
+        checkout_within_geofence INTEGER,
+        signature_key TEXT,
+        signer_name TEXT,
+        signer_designation TEXT,
+        signed_at DATETIME,
+        visit_type TEXT,
+        form_id INTEGER,
+        closed_by_system INTEGER NOT NULL DEFAULT 0,
+        auto_close_reason TEXT,
+        corrected_at DATETIME,
         notes TEXT,
         status TEXT DEFAULT 'checked_in' CHECK(status IN ('checked_in', 'checked_out'))
     );
 
+    -- Location breadcrumbs captured during an active visit
+    CREATE TABLE location_pings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_id INTEGER NOT NULL,
+        checkin_id INTEGER NOT NULL,
+        latitude REAL NOT NULL,
+        longitude REAL NOT NULL,
+        accuracy REAL,
+        recorded_at DATETIME NOT NULL,
+        received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_id) REFERENCES users(id),
+        FOREIGN KEY (checkin_id) REFERENCES checkins(id)
+    );
+
+    -- Start and end of an employee's working day, separate from client check-ins
+    CREATE TABLE attendance_punches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
+        employee_id INTEGER NOT NULL,
+        punch_type TEXT NOT NULL CHECK(punch_type IN ('start', 'end')),
+        punch_time DATETIME NOT NULL,
+        captured_at DATETIME,
+        latitude REAL NOT NULL,
+        longitude REAL NOT NULL,
+        accuracy REAL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (organization_id) REFERENCES organizations(id),
+        FOREIGN KEY (employee_id) REFERENCES users(id)
+    );
+
+    -- Proof-of-visit photos; files live in blob storage, keys are recorded here
+    CREATE TABLE checkin_photos (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        checkin_id INTEGER NOT NULL,
+        uploaded_by INTEGER NOT NULL,
+        storage_key TEXT NOT NULL,
+        thumbnail_key TEXT NOT NULL,
+        original_name TEXT,
+        mime_type TEXT NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        width INTEGER,
+        height INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (checkin_id) REFERENCES checkins(id),
+        FOREIGN KEY (uploaded_by) REFERENCES users(id)
+    );
+
+    -- Manager-defined visit forms; fields is a JSON array of { key, label, type, required, options }
+    CREATE TABLE visit_forms (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        manager_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        client_id INTEGER,
+        visit_type TEXT,
+        fields TEXT NOT NULL,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (manager_id) REFERENCES users(id),
+        FOREIGN KEY (client_id) REFERENCES clients(id)
+    );
+
+    -- One row per answered field, with the label and type as they were at checkout
+    CREATE TABLE visit_form_responses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        checkin_id INTEGER NOT NULL,
+        form_id INTEGER NOT NULL,
+        field_key TEXT NOT NULL,
+        field_label TEXT NOT NULL,
+        field_type TEXT NOT NULL,
+        value TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (checkin_id) REFERENCES checkins(id),
+        FOREIGN KEY (form_id) REFERENCES visit_forms(id)
+    );
+
+    -- Planned client visits (beat plans); windows are UTC, planned_date the day the manager planned
+    -- for, and checkin_id the check-in matched to the visit
+    CREATE TABLE visit_plans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
+        employee_id INTEGER NOT NULL,
+        client_id INTEGER NOT NULL,
+        planned_date DATE NOT NULL,
+        window_start DATETIME NOT NULL,
+        window_end DATETIME NOT NULL,
+        checkin_id INTEGER,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (organization_id) REFERENCES organizations(id),
+        FOREIGN KEY (employee_id) REFERENCES users(id),
+        FOREIGN KEY (client_id) REFERENCES clients(id),
+        FOREIGN KEY (checkin_id) REFERENCES checkins(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    -- To-dos for an employee's visit to a client; resolved as done or failed during a check-in,
+    -- which checkin_id records
+    CREATE TABLE visit_tasks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
+        client_id INTEGER NOT NULL,
+        assigned_to INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        due_date DATE NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'done', 'failed')),
+        outcome_comment TEXT,
+        checkin_id INTEGER,
+        completed_at DATETIME,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (organization_id) REFERENCES organizations(id),
+        FOREIGN KEY (client_id) REFERENCES clients(id),
+        FOREIGN KEY (assigned_to) REFERENCES users(id),
+        FOREIGN KEY (checkin_id) REFERENCES checkins(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    -- Employee requests to fix a check-in; changes is a JSON object of the proposed client_id,
+    -- checkin_time, checkout_time and notes, original_values the check-in's values when approved
+    CREATE TABLE checkin_corrections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
+        checkin_id INTEGER NOT NULL,
+        requested_by INTEGER NOT NULL,
+        changes TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'approved', 'rejected')),
+        original_values TEXT,
+        reviewed_by INTEGER,
+        review_note TEXT,
+        reviewed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (organization_id) REFERENCES organizations(id),
+        FOREIGN KEY (checkin_id) REFERENCES checkins(id),
+        FOREIGN KEY (requested_by) REFERENCES users(id),
+        FOREIGN KEY (reviewed_by) REFERENCES users(id)
+    );
+
+    -- Append-only trail of data changes; before/after hold JSON row snapshots
+    CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
+        actor_id INTEGER,
+        action TEXT NOT NULL,
+        entity_type TEXT NOT NULL,
+        entity_id INTEGER NOT NULL,
+        before_values TEXT,
+        after_values TEXT,
+        ip_address TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (organization_id) REFERENCES organizations(id),
+        FOREIGN KEY (actor_id) REFERENCES users(id)
+    );
+
+    CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+    END;
+
+    CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+    END;
+
     -- Create indexes
     CREATE INDEX idx_checkins_employee ON checkins(employee_id);
     CREATE INDEX idx_checkins_date ON checkins(checkin_time);
     CREATE INDEX idx_employee_clients ON employee_clients(employee_id, client_id);
+    CREATE UNIQUE INDEX idx_checkins_checkin_key ON checkins(employee_id, checkin_idempotency_key);
+    CREATE UNIQUE INDEX idx_checkins_checkout_key ON checkins(employee_id, checkout_idempotency_key);
+    CREATE INDEX idx_location_pings_employee ON location_pings(employee_id, recorded_at);
+    CREATE INDEX idx_location_pings_checkin ON location_pings(checkin_id);
+    CREATE INDEX idx_attendance_punches_employee ON attendance_punches(employee_id, punch_time);
+    CREATE INDEX idx_attendance_punches_organization ON attendance_punches(organization_id, punch_time);
+    CREATE INDEX idx_checkin_photos_checkin ON checkin_photos(checkin_id);
+    CREATE INDEX idx_clients_name ON clients(name);
+    CREATE UNIQUE INDEX idx_clients_external_code ON clients(organization_id, external_code);
+    CREATE INDEX idx_users_organization ON users(organization_id);
+    CREATE INDEX idx_clients_organization ON clients(organization_id, archived_at);
+    CREATE INDEX idx_employee_clients_organization ON employee_clients(organization_id);
+    CREATE INDEX idx_checkins_organization ON checkins(organization_id, checkin_time);
+    CREATE INDEX idx_visit_forms_manager ON visit_forms(manager_id, is_active);
+    CREATE UNIQUE INDEX idx_visit_form_responses_field ON visit_form_responses(checkin_id, field_key);
+    CREATE INDEX idx_visit_form_responses_form ON visit_form_responses(form_id, field_key, value);
+    CREATE INDEX idx_visit_plans_employee ON visit_plans(employee_id, planned_date);
+    CREATE INDEX idx_visit_plans_organization ON visit_plans(organization_id, planned_date);
+    CREATE UNIQUE INDEX idx_visit_plans_checkin ON visit_plans(checkin_id);
+    CREATE INDEX idx_visit_tasks_assignee ON visit_tasks(assigned_to, client_id, status);
+    CREATE INDEX idx_visit_tasks_organization ON visit_tasks(organization_id, due_date);
+    CREATE INDEX idx_checkin_corrections_checkin ON checkin_corrections(checkin_id, status);
+    CREATE INDEX idx_checkin_corrections_organization ON checkin_corrections(organization_id, status);
+    CREATE INDEX idx_audit_log_organization ON audit_log(organization_id, created_at);
+    CREATE INDEX idx_audit_log_entity ON audit_log(entity_type, entity_id);
 `);
 
 console.log('Tables created');
@@ -75,34 +318,48 @@ console.log('Tables created');
 // Hash password
 const hashedPassword = bcrypt.hashSync('password123', 10);
 
+// Every sample record belongs to one demo organization
+db.prepare('INSERT INTO organizations (name) VALUES (?)').run('Unolo Demo');
+
+console.log('Organization created');
+
 // Insert users
 const insertUser = db.prepare(`
-    INSERT INTO users (name, email, password, role, manager_id) VALUES (?, ?, ?, ?, ?)
+    INSERT INTO users (organization_id, name, email, password, role, manager_id) VALUES (1, ?, ?, ?, ?, ?)
 `);
 
 insertUser.run('Amit Sharma', 'manager@unolo.com', hashedPassword, 'manager', null);
 insertUser.run('Rahul Kumar', 'rahul@unolo.com', hashedPassword, 'employee', 1);
 insertUser.run('Priya Singh', 'priya@unolo.com', hashedPassword, 'employee', 1);
 insertUser.run('Vikram Patel', 'vikram@unolo.com', hashedPassword, 'employee', 1);
+insertUser.run('Neha Kapoor', 'regional@unolo.com', hashedPassword, 'manager', null);
+insertUser.run('Admin', 'admin@unolo.com', hashedPassword, 'admin', null);
+
+// Regional head above Amit's team, with the admin at the top of the tree
+const setManager = db.prepare('UPDATE users SET manager_id = ? WHERE id = ?');
+setManager.run(5, 1);
+setManager.run(6, 5);
 
 console.log('Users created');
 
 // Insert clients (locations in Gurugram/Delhi NCR)
 const insertClient = db.prepare(`
-    INSERT INTO clients (name, address, latitude, longitude) VALUES (?, ?, ?, ?)
+    INSERT INTO clients (
+        organization_id, name, address, latitude, longitude, require_signature, external_code, visit_frequency_days
+    ) VALUES (1, ?, ?, ?, ?, ?, ?, ?)
 `);
 
-insertClient.run('ABC Corp', 'Cyber City, Gurugram', 28.4946, 77.0887);
-insertClient.run('XYZ Ltd', 'Sector 44, Gurugram', 28.4595, 77.0266);
-insertClient.run('Tech Solutions', 'DLF Phase 3, Gurugram', 28.4947, 77.0952);
-insertClient.run('Global Services', 'Udyog Vihar, Gurugram', 28.5011, 77.0838);
-insertClient.run('Innovate Inc', 'Sector 18, Noida', 28.5707, 77.3219);
+insertClient.run('ABC Corp', 'Cyber City, Gurugram', 28.4946, 77.0887, 0, 'GGN-001', 7);
+insertClient.run('XYZ Ltd', 'Sector 44, Gurugram', 28.4595, 77.0266, 0, 'GGN-002', null);
+insertClient.run('Tech Solutions', 'DLF Phase 3, Gurugram', 28.4947, 77.0952, 1, 'GGN-003', 30);
+insertClient.run('Global Services', 'Udyog Vihar, Gurugram', 28.5011, 77.0838, 0, 'GGN-004', 14);
+insertClient.run('Innovate Inc', 'Sector 18, Noida', 28.5707, 77.3219, 0, 'NOI-001', null);
 
 console.log('Clients created');
 
 // Assign employees to clients
 const insertAssignment = db.prepare(`
-    INSERT INTO employee_clients (employee_id, client_id, assigned_date) VALUES (?, ?, ?)
+    INSERT INTO employee_clients (organization_id, employee_id, client_id, assigned_date) VALUES (1, ?, ?, ?)
 `);
 
 insertAssignment.run(2, 1, '2024-01-01');
@@ -117,8 +374,8 @@ console.log('Assignments created');
 
 // Insert sample checkins
 const insertCheckin = db.prepare(`
-    INSERT INTO checkins (employee_id, client_id, checkin_time, checkout_time, latitude, longitude, notes, status)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO checkins (organization_id, employee_id, client_id, checkin_time, checkout_time, latitude, longitude, notes, status)
+    VALUES (1, ?, ?, ?, ?, ?, ?, ?, ?)
 `);
 
 insertCheckin.run(2, 1, '2024-01-15 09:15:00', '2024-01-15 11:30:00', 28.4946, 77.0887, 'Regular visit', 'checked_out');
@@ -130,6 +387,19 @@ insertCheckin.run(2, 1, '2024-01-16 09:00:00', null, 28.4950, 77.0890, 'Morning
 
 console.log('Sample checkins created');
 
+// Sample visit form for ABC Corp
+db.prepare(`
+    INSERT INTO visit_forms (manager_id, name, client_id, visit_type, fields) VALUES (?, ?, ?, ?, ?)
+`).run(1, 'Store Audit', 1, null, JSON.stringify([
+    { key: 'shelf_share', label: 'Shelf share (%)', type: 'number', required: true },
+    { key: 'stock_status', label: 'Stock status', type: 'select', required: true, options: ['In stock', 'Low', 'Out of stock'] },
+    { key: 'display_ok', label: 'Display set up correctly', type: 'checkbox', required: false },
+    { key: 'next_visit', label: 'Next visit', type: 'date', required: false },
+    { key: 'remarks', label: 'Remarks', type: 'text', required: false }
+]));
+
+console.log('Visit forms created');
+
 db.close();
 console.log('\n✅ Database initialized successfully!');
 console.log('Database file: database.sqlite');
@@ -6,18 +6,42 @@ const authRoutes = require('./routes/auth');
 const checkinRoutes = require('./routes/checkin');
 const dashboardRoutes = require('./routes/dashboard');
 const reportRoutes = require('./routes/report');
+const locationRoutes = require('./routes/location');
+const photoRoutes = require('./routes/photos');
+const formRoutes = require('./routes/forms');
+const clientRoutes = require('./routes/clients');
+const assignmentRoutes = require('./routes/assignments');
+const userRoutes = require('./routes/users');
+const auditRoutes = require('./routes/audit');
+const correctionRoutes = require('./routes/corrections');
+const planRoutes = require('./routes/plans');
+const taskRoutes = require('./routes/tasks');
+const attendanceRoutes = require('./routes/attendance');
+const { startAutoCloseSweeper } = require('./services/autoClose');
 
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Signatures arrive as base64 PNG data URLs, so allow larger JSON bodies than the 100kb default
+app.use(express.json({ limit: '1mb' }));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/checkin', checkinRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/location', locationRoutes);
+app.use('/api/photos', photoRoutes);
+app.use('/api/forms', formRoutes);
+app.use('/api/clients', clientRoutes);
+app.use('/api/assignments', assignmentRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/corrections', correctionRoutes);
+app.use('/api/plans', planRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/attendance', attendanceRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -33,4 +57,5 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
+    startAutoCloseSweeper();
 });
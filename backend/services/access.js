@@ -0,0 +1,25 @@
+const pool = require('../config/database');
+const { isInTeam } = require('./hierarchy');
+const { hasPermission } = require('./permissions');
+
+// A check-in is visible to the employee who made it and to every team lead above them
+const findVisibleCheckin = async (user, checkinId) => {
+    const [rows] = await pool.execute(
+        `SELECT ch.*, u.manager_id
+         FROM checkins ch
+         INNER JOIN users u ON ch.employee_id = u.id
+         WHERE ch.id = ? AND ch.organization_id = ?`,
+        [checkinId, user.organization_id]
+    );
+
+    if (rows.length === 0) return null;
+
+    const checkin = rows[0];
+    if (checkin.employee_id === user.id) return checkin;
+
+    const isManager = hasPermission(user, 'team:read') && (await isInTeam(user.id, checkin.employee_id));
+
+    return isManager ? checkin : null;
+};
+
+module.exports = { findVisibleCheckin };
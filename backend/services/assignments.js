@@ -0,0 +1,228 @@
+const pool = require('../config/database');
+const { addDays, isValidDate } = require('../utils/datetime');
+const { inTeamOf } = require('./hierarchy');
+const { snapshot, recordAudit } = require('./audit');
+
+// SQL condition for an employee_clients row (aliased ec) in effect on the current UTC date
+const ACTIVE_ASSIGNMENT = "ec.assigned_date <= DATE('now') AND (ec.end_date IS NULL OR ec.end_date >= DATE('now'))";
+
+// An open-ended range is represented by a null end date on either side
+const findOverlappingAssignment = async (employeeId, clientId, startDate, endDate, excludeId = 0) => {
+    const [rows] = await pool.execute(
+        `SELECT * FROM employee_clients
+         WHERE employee_id = ? AND client_id = ? AND id != ?
+           AND (? IS NULL OR assigned_date <= ?)
+           AND (end_date IS NULL OR end_date >= ?)
+         LIMIT 1`,
+        [employeeId, clientId, excludeId, endDate, endDate, startDate]
+    );
+    return rows[0] || null;
+};
+
+/**
+ * Assigns a client from startDate (through endDate, or open-ended) on behalf of the
+ * auditContext() `context`, optionally overriding the client's visit frequency.
+ * Returns { id } or { conflict } when an overlapping assignment already exists.
+ */
+const createAssignment = async (context, { employeeId, clientId, startDate, endDate, visitFrequencyDays = null }) => {
+    const conflict = await findOverlappingAssignment(employeeId, clientId, startDate, endDate);
+    if (conflict) return { conflict };
+
+    const [result] = await pool.execute(
+        `INSERT INTO employee_clients (
+            organization_id, employee_id, client_id, assigned_date, end_date, visit_frequency_days, assigned_by
+         ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [context.organizationId, employeeId, clientId, startDate, endDate, visitFrequencyDays, context.actorId]
+    );
+    await recordAudit(context, {
+        action: 'assignment.create',
+        entityId: result.insertId,
+        after: await snapshot('assignment', result.insertId)
+    });
+    return { id: result.insertId };
+};
+
+/**
+ * Ends an assignment so its last effective day is the day before `effectiveDate`.
+ * Assignments that would not have started by then are removed outright.
+ */
+const endAssignment = async (context, assignment, effectiveDate) => {
+    const lastDay = addDays(effectiveDate, -1);
+
+    if (assignment.assigned_date >= effectiveDate) {
+        await pool.execute('DELETE FROM employee_clients WHERE id = ?', [assignment.id]);
+        await recordAudit(context, { action: 'assignment.delete', entityId: assignment.id, before: assignment });
+        return 'removed';
+    }
+
+    if (assignment.end_date !== null && assignment.end_date <= lastDay) {
+        return 'unchanged';
+    }
+
+    await pool.execute('UPDATE employee_clients SET end_date = ? WHERE id = ?', [lastDay, assignment.id]);
+    await recordAudit(context, {
+        action: 'assignment.end',
+        entityId: assignment.id,
+        before: assignment,
+        after: await snapshot('assignment', assignment.id)
+    });
+    return 'ended';
+};
+
+const rangesOverlap = (a, b) => (a.endDate === null || a.endDate >= b.startDate)
+    && (b.endDate === null || b.endDate >= a.startDate);
+
+const ASSIGNMENT_CSV_HEADERS = ['employee_email', 'client_code', 'start_date'];
+
+// Same columns the importer reads; the names are only there to make the sheet readable
+const ASSIGNMENT_EXPORT_COLUMNS = [
+    { header: 'employee_email', value: (a) => a.employee_email },
+    { header: 'employee_name', value: (a) => a.employee_name },
+    { header: 'client_code', value: (a) => a.client_code },
+    { header: 'client_name', value: (a) => a.client_name },
+    { header: 'start_date', value: (a) => a.start_date },
+    { header: 'end_date', value: (a) => a.end_date }
+];
+
+/**
+ * Validates uploaded assignment rows (see middleware/csvUpload) for a manager's team and
+ * organization without writing anything. A row matching an existing assignment's employee, client
+ * and start date updates its end date; any other row creates an assignment. Returns { operations, errors }.
+ */
+const planAssignmentImport = async (manager, rows) => {
+    const [team] = await pool.execute(
+        `SELECT id, email FROM users WHERE organization_id = ? AND ${inTeamOf('id')} AND is_active = 1`,
+        [manager.organization_id, manager.id]
+    );
+    const [clients] = await pool.execute(
+        `SELECT id, external_code FROM clients
+         WHERE organization_id = ? AND external_code IS NOT NULL AND archived_at IS NULL`,
+        [manager.organization_id]
+    );
+    const employeesByEmail = new Map(team.map((user) => [user.email.toLowerCase(), user]));
+    const clientsByCode = new Map(clients.map((client) => [client.external_code, client]));
+    const plannedRanges = new Map();
+    const operations = [];
+    const errors = [];
+
+    for (const { row, values } of rows) {
+        const employee = employeesByEmail.get(values.employee_email.toLowerCase());
+        const client = clientsByCode.get(values.client_code);
+        const startDate = values.start_date;
+        const endDate = values.end_date || null;
+
+        if (!employee) {
+            errors.push({ row, message: `${values.employee_email || 'employee_email'} is not an active member of your team` });
+            continue;
+        }
+        if (!client) {
+            errors.push({ row, message: `No active client has code ${values.client_code || '(blank)'}` });
+            continue;
+        }
+        if (!isValidDate(startDate) || (endDate !== null && !isValidDate(endDate))) {
+            errors.push({ row, message: 'start_date and end_date must be YYYY-MM-DD' });
+            continue;
+        }
+        if (endDate !== null && endDate < startDate) {
+            errors.push({ row, message: 'end_date must not be before start_date' });
+            continue;
+        }
+
+        const pairKey = `${employee.id}:${client.id}`;
+        const range = { startDate, endDate };
+        const planned = plannedRanges.get(pairKey) || [];
+
+        if (planned.some((other) => rangesOverlap(other, range))) {
+            errors.push({ row, message: 'Overlaps another row for the same employee and client' });
+            continue;
+        }
+
+        const [matches] = await pool.execute(
+            'SELECT * FROM employee_clients WHERE employee_id = ? AND client_id = ? AND assigned_date = ?',
+            [employee.id, client.id, startDate]
+        );
+        const existing = matches[0] || null;
+        const conflict = await findOverlappingAssignment(
+            employee.id,
+            client.id,
+            startDate,
+            endDate,
+            existing ? existing.id : 0
+        );
+
+        if (conflict) {
+            errors.push({
+                row,
+                message: `Overlaps the assignment starting ${conflict.assigned_date}` +
+                    (conflict.end_date ? ` and ending ${conflict.end_date}` : '')
+            });
+            continue;
+        }
+
+        planned.push(range);
+        plannedRanges.set(pairKey, planned);
+
+        let action = 'create';
+        if (existing) action = existing.end_date === endDate ? 'unchanged' : 'update';
+
+        operations.push({
+            row,
+            action,
+            id: existing ? existing.id : null,
+            employeeId: employee.id,
+            clientId: client.id,
+            startDate,
+            endDate
+        });
+    }
+
+    return { operations, errors };
+};
+
+// Writes a validated plan in one transaction on behalf of the auditContext() `context`
+const applyAssignmentImport = (context, operations) => pool.transaction(async () => {
+    for (const operation of operations) {
+        if (operation.action === 'create') {
+            const [result] = await pool.execute(
+                `INSERT INTO employee_clients (organization_id, employee_id, client_id, assigned_date, end_date, assigned_by)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [
+                    context.organizationId,
+                    operation.employeeId,
+                    operation.clientId,
+                    operation.startDate,
+                    operation.endDate,
+                    context.actorId
+                ]
+            );
+            await recordAudit(context, {
+                action: 'assignment.import_create',
+                entityId: result.insertId,
+                after: await snapshot('assignment', result.insertId)
+            });
+        } else if (operation.action === 'update') {
+            const before = await snapshot('assignment', operation.id);
+            await pool.execute('UPDATE employee_clients SET end_date = ? WHERE id = ?', [
+                operation.endDate,
+                operation.id
+            ]);
+            await recordAudit(context, {
+                action: 'assignment.import_update',
+                entityId: operation.id,
+                before,
+                after: await snapshot('assignment', operation.id)
+            });
+        }
+    }
+});
+
+module.exports = {
+    ACTIVE_ASSIGNMENT,
+    findOverlappingAssignment,
+    createAssignment,
+    endAssignment,
+    ASSIGNMENT_CSV_HEADERS,
+    ASSIGNMENT_EXPORT_COLUMNS,
+    planAssignmentImport,
+    applyAssignmentImport
+};
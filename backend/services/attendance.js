@@ -0,0 +1,296 @@
+const pool = require('../config/database');
+const { inTeamOf } = require('./hierarchy');
+const { toSqlDateTime, addDays } = require('../utils/datetime');
+const { readNumberSetting } = require('../utils/env');
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// IANA time zone of the shift times and of the dates workdays are filed under
+const resolveTimeZone = (zone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return zone;
+    } catch {
+        console.warn(`Ignoring invalid SHIFT_TIMEZONE "${zone}" (expected e.g. Asia/Kolkata); using UTC`);
+        return 'UTC';
+    }
+};
+const SHIFT_TIMEZONE = resolveTimeZone((process.env.SHIFT_TIMEZONE || 'Asia/Kolkata').trim());
+
+// The expected working day as times of day ("HH:MM") in SHIFT_TIMEZONE; empty disables the late start or
+// early finish check
+const SHIFT_START = (process.env.SHIFT_START ?? '09:00').trim();
+const SHIFT_END = (process.env.SHIFT_END ?? '18:00').trim();
+// Starting or finishing within this many minutes of the shift is not flagged
+const SHIFT_GRACE_MINUTES = readNumberSetting('SHIFT_GRACE_MINUTES', 15, { allowZero: true });
+// A start punch never ended stops counting as on the clock after this many hours
+const MAX_SHIFT_HOURS = readNumberSetting('MAX_SHIFT_HOURS', 16);
+const MAX_SHIFT_MS = MAX_SHIFT_HOURS * 3600000;
+
+const toMs = (sqlDateTime) => new Date(sqlDateTime.replace(' ', 'T') + 'Z').getTime();
+
+const toMinutes = (ms) => Math.round(ms / 60000);
+
+const zoneFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: SHIFT_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+});
+
+// How far SHIFT_TIMEZONE's wall clock is ahead of UTC at an instant
+const zoneOffsetMs = (ms) => {
+    const parts = Object.fromEntries(zoneFormat.formatToParts(ms).map(({ type, value }) => [type, Number(value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - ms;
+};
+
+// The SHIFT_TIMEZONE date ("YYYY-MM-DD") of a UTC datetime, i.e. the workday it falls on
+const workDateOf = (sqlDateTime) => {
+    const ms = toMs(sqlDateTime);
+    return new Date(ms + zoneOffsetMs(ms)).toISOString().slice(0, 10);
+};
+
+const currentWorkDate = () => workDateOf(toSqlDateTime(new Date()));
+
+// A shift time of day on a given date in ms, or null when the setting is empty or malformed
+const shiftTimeMs = (date, timeOfDay) => {
+    const match = timeOfDay.match(TIME_OF_DAY_PATTERN);
+    if (!match) return null;
+
+    // Corrected twice so a time next to a daylight saving change lands on the right offset
+    const wallClock = toMs(`${date} ${match[1]}:${match[2]}:00`);
+    const guess = wallClock - zoneOffsetMs(wallClock);
+    return wallClock - zoneOffsetMs(guess);
+};
+
+// The shift on a date in ms; a SHIFT_END not after SHIFT_START is a night shift ending the next day
+const shiftOn = (date) => {
+    const start = shiftTimeMs(date, SHIFT_START);
+    let end = shiftTimeMs(date, SHIFT_END);
+    if (start !== null && end !== null && end <= start) {
+        end = shiftTimeMs(addDays(date, 1), SHIFT_END);
+    }
+    return { start, end };
+};
+
+// Shift settings, with the shift on `date` as UTC datetimes for display in the viewer's time zone
+const shiftSettings = (date = currentWorkDate()) => {
+    const { start, end } = shiftOn(date);
+    return {
+        start: start !== null ? SHIFT_START : null,
+        end: end !== null ? SHIFT_END : null,
+        time_zone: SHIFT_TIMEZONE,
+        start_at: start !== null ? toSqlDateTime(new Date(start)) : null,
+        end_at: end !== null ? toSqlDateTime(new Date(end)) : null,
+        grace_minutes: SHIFT_GRACE_MINUTES
+    };
+};
+
+// The employee's most recent punch, or null
+const findLastPunch = async (employeeId) => {
+    const [punches] = await pool.execute(
+        'SELECT * FROM attendance_punches WHERE employee_id = ? ORDER BY punch_time DESC, id DESC LIMIT 1',
+        [employeeId]
+    );
+    return punches[0] || null;
+};
+
+// Whether a punch leaves the employee on the clock at `now` (ms): a start within MAX_SHIFT_HOURS, even from
+// before midnight. A punch synced late passes the time it was captured.
+const isPunchedIn = (lastPunch, now = Date.now()) =>
+    Boolean(lastPunch) && lastPunch.punch_type === 'start' && now - toMs(lastPunch.punch_time) < MAX_SHIFT_MS;
+
+const overlapMs = (from, to, intervals) =>
+    intervals.reduce((sum, [start, end]) => sum + Math.max(Math.min(to, end) - Math.max(from, start), 0), 0);
+
+/**
+ * One employee's working day from their punches and visits (both in time order).
+ * Working time runs from each start punch to the next end punch. A start still open counts up to now
+ * within MAX_SHIFT_HOURS; after that it counts up to the last visit activity and is flagged.
+ * Travel time is working time not spent at a client.
+ */
+const summarizeWorkday = (date, punches, visits, now = Date.now()) => {
+    const workSpans = [];
+    let openedAt = null;
+    punches.forEach((punch) => {
+        if (punch.punch_type === 'start' && openedAt === null) {
+            openedAt = toMs(punch.punch_time);
+        } else if (punch.punch_type === 'end' && openedAt !== null) {
+            workSpans.push([openedAt, toMs(punch.punch_time)]);
+            openedAt = null;
+        }
+    });
+
+    const stillWorking = openedAt !== null && now - openedAt < MAX_SHIFT_MS;
+    const missingEndPunch = openedAt !== null && !stillWorking;
+    const visitSpans = visits.map((visit) => [
+        toMs(visit.checkin_time),
+        visit.checkout_time
+            ? toMs(visit.checkout_time)
+            : (stillWorking || date === currentWorkDate()) ? now : toMs(visit.checkin_time)
+    ]);
+
+    if (stillWorking) {
+        workSpans.push([openedAt, now]);
+    } else if (missingEndPunch) {
+        const lastActivity = Math.max(openedAt, ...visitSpans.map(([, end]) => end));
+        workSpans.push([openedAt, lastActivity]);
+    }
+
+    const workingMs = workSpans.reduce((sum, [start, end]) => sum + (end - start), 0);
+    const onSiteMs = visitSpans.reduce((sum, [start, end]) => sum + (end - start), 0);
+    const onSiteWhileWorkingMs = visitSpans.reduce((sum, [start, end]) => sum + overlapMs(start, end, workSpans), 0);
+
+    const firstStart = punches.find((punch) => punch.punch_type === 'start');
+    const lastPunch = punches[punches.length - 1];
+    const graceMs = SHIFT_GRACE_MINUTES * 60000;
+    const { start: shiftStart, end: shiftEnd } = shiftOn(date);
+
+    const lateByMs = firstStart && shiftStart !== null ? toMs(firstStart.punch_time) - shiftStart : 0;
+    const finishedEarly = lastPunch && lastPunch.punch_type === 'end' && shiftEnd !== null;
+    const earlyByMs = finishedEarly ? shiftEnd - toMs(lastPunch.punch_time) : 0;
+
+    return {
+        first_punch: punches.length > 0 ? punches[0].punch_time : null,
+        last_punch: lastPunch ? lastPunch.punch_time : null,
+        punches: punches.map(({ id, punch_type, punch_time, latitude, longitude, accuracy }) => ({
+            id, punch_type, punch_time, latitude, longitude, accuracy
+        })),
+        visits: visits.length,
+        working_minutes: toMinutes(workingMs),
+        on_site_minutes: toMinutes(onSiteMs),
+        travel_minutes: toMinutes(workingMs - onSiteWhileWorkingMs),
+        still_working: stillWorking,
+        missing_start_punch: !firstStart,
+        missing_end_punch: missingEndPunch,
+        late_start: lateByMs > graceMs,
+        late_by_minutes: lateByMs > graceMs ? toMinutes(lateByMs) : 0,
+        early_finish: earlyByMs > graceMs,
+        early_by_minutes: earlyByMs > graceMs ? toMinutes(earlyByMs) : 0
+    };
+};
+
+/**
+ * Assigns each punch and visit the work_date it counts toward. A shift stays one workday across
+ * midnight: its end punch and the visits made during it belong to the day it started.
+ * Both lists are in time order.
+ */
+const assignWorkDates = (punches, visits) => {
+    const shifts = [];
+    const openShifts = {};
+
+    punches.forEach((punch) => {
+        const at = toMs(punch.punch_time);
+        let open = openShifts[punch.employee_id];
+        if (open && at - open.from >= MAX_SHIFT_MS) {
+            open.to = open.from + MAX_SHIFT_MS;
+            open = null;
+            delete openShifts[punch.employee_id];
+        }
+
+        if (punch.punch_type === 'start' && !open) {
+            open = {
+                employeeId: punch.employee_id,
+                date: workDateOf(punch.punch_time),
+                from: at,
+                to: at + MAX_SHIFT_MS
+            };
+            openShifts[punch.employee_id] = open;
+            shifts.push(open);
+        } else if (punch.punch_type === 'end' && open) {
+            open.to = at;
+            delete openShifts[punch.employee_id];
+        }
+        punch.work_date = open ? open.date : workDateOf(punch.punch_time);
+    });
+
+    visits.forEach((visit) => {
+        const at = toMs(visit.checkin_time);
+        const shift = shifts.find((span) => span.employeeId === visit.employee_id && span.from <= at && at < span.to);
+        visit.work_date = shift ? shift.date : workDateOf(visit.checkin_time);
+    });
+};
+
+/**
+ * Attendance per employee and day from startDate through endDate: every day with a punch or a visit.
+ * Scope with teamRootId (a manager's reporting tree) and/or employeeId.
+ */
+const fetchAttendance = async (organizationId, { teamRootId, employeeId, startDate, endDate }) => {
+    const scope = (column) => {
+        let clause = '';
+        const params = [];
+        if (teamRootId) {
+            clause += ` AND ${inTeamOf(column)}`;
+            params.push(teamRootId);
+        }
+        if (employeeId) {
+            clause += ` AND ${column} = ?`;
+            params.push(employeeId);
+        }
+        return { clause, params };
+    };
+
+    // Reach far enough around the range to see whole shifts that cross its first or last midnight, plus a
+    // day for the difference between UTC and SHIFT_TIMEZONE dates
+    const reachDays = Math.ceil(MAX_SHIFT_HOURS / 24) + 1;
+    const reach = [startDate, `-${reachDays} days`, endDate, `+${reachDays} days`];
+
+    const punchScope = scope('p.employee_id');
+    const [punches] = await pool.execute(
+        `SELECT p.*, u.name AS employee_name
+         FROM attendance_punches p
+         INNER JOIN users u ON p.employee_id = u.id
+         WHERE p.organization_id = ? AND DATE(p.punch_time) BETWEEN DATE(?, ?) AND DATE(?, ?)${punchScope.clause}
+         ORDER BY p.punch_time, p.id`,
+        [organizationId, ...reach, ...punchScope.params]
+    );
+
+    const visitScope = scope('ch.employee_id');
+    const [visits] = await pool.execute(
+        `SELECT ch.employee_id, ch.checkin_time, ch.checkout_time, u.name AS employee_name
+         FROM checkins ch
+         INNER JOIN users u ON ch.employee_id = u.id
+         WHERE ch.organization_id = ? AND DATE(ch.checkin_time) BETWEEN DATE(?, ?) AND DATE(?, ?)${visitScope.clause}
+         ORDER BY ch.checkin_time`,
+        [organizationId, ...reach, ...visitScope.params]
+    );
+
+    assignWorkDates(punches, visits);
+
+    const days = {};
+    const dayFor = (row) => {
+        const key = `${row.employee_id}|${row.work_date}`;
+        days[key] = days[key] || {
+            employee_id: row.employee_id,
+            employee_name: row.employee_name,
+            date: row.work_date,
+            punches: [],
+            visits: []
+        };
+        return days[key];
+    };
+    const inRange = (row) => row.work_date >= startDate && row.work_date <= endDate;
+    punches.filter(inRange).forEach((punch) => dayFor(punch).punches.push(punch));
+    visits.filter(inRange).forEach((visit) => dayFor(visit).visits.push(visit));
+
+    const now = Date.now();
+    return Object.values(days)
+        .map(({ punches: dayPunches, visits: dayVisits, ...day }) => ({
+            ...day,
+            ...summarizeWorkday(day.date, dayPunches, dayVisits, now)
+        }))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.employee_name.localeCompare(b.employee_name));
+};
+
+module.exports = {
+    workDateOf,
+    currentWorkDate,
+    shiftSettings,
+    findLastPunch,
+    isPunchedIn,
+    fetchAttendance
+};
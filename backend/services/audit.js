@@ -0,0 +1,68 @@
+const pool = require('../config/database');
+
+// Audited entity types and the table holding them; snapshots never include secrets
+const AUDITED_TABLES = {
+    attendance: 'attendance_punches',
+    checkin: 'checkins',
+    checkin_correction: 'checkin_corrections',
+    client: 'clients',
+    assignment: 'employee_clients',
+    user: 'users',
+    visit_form: 'visit_forms',
+    visit_plan: 'visit_plans',
+    visit_task: 'visit_tasks'
+};
+
+const REDACTED_COLUMNS = ['password'];
+
+// Who made a change and from where; system jobs pass actorId null
+const auditContext = (req) => ({
+    organizationId: req.user.organization_id,
+    actorId: req.user.id,
+    ipAddress: req.ip || null
+});
+
+// Current row for an audited entity, for the before/after values of an entry
+const snapshot = async (entityType, id) => {
+    const [rows] = await pool.execute(`SELECT * FROM ${AUDITED_TABLES[entityType]} WHERE id = ?`, [id]);
+    if (rows.length === 0) return null;
+
+    const row = { ...rows[0] };
+    REDACTED_COLUMNS.forEach((column) => delete row[column]);
+    return row;
+};
+
+/**
+ * Appends an entry to the audit log. `action` is "<entity type>.<verb>", e.g. "client.update";
+ * before/after are row snapshots (null on create and delete). A failed write is logged rather
+ * than thrown, because the change it describes has already been made.
+ */
+const recordAudit = async (context, { action, entityId, before = null, after = null }) => {
+    try {
+        await pool.execute(
+            `INSERT INTO audit_log (organization_id, actor_id, action, entity_type, entity_id,
+                                    before_values, after_values, ip_address)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                context.organizationId,
+                context.actorId,
+                action,
+                action.split('.')[0],
+                entityId,
+                before ? JSON.stringify(before) : null,
+                after ? JSON.stringify(after) : null,
+                context.ipAddress
+            ]
+        );
+    } catch (error) {
+        console.error(`Audit log error (${action} ${entityId}):`, error);
+    }
+};
+
+const parseEntry = (entry) => ({
+    ...entry,
+    before_values: entry.before_values ? JSON.parse(entry.before_values) : null,
+    after_values: entry.after_values ? JSON.parse(entry.after_values) : null
+});
+
+module.exports = { AUDITED_TABLES, auditContext, snapshot, recordAudit, parseEntry };
@@ -0,0 +1,110 @@
+const pool = require('../config/database');
+const { toSqlDateTime } = require('../utils/datetime');
+const { readNumberSetting } = require('../utils/env');
+const { publishCheckinEvent } = require('./realtime');
+const { snapshot, recordAudit } = require('./audit');
+
+// Visits open longer than this are closed at check-in + max duration (0 disables the rule)
+const MAX_VISIT_HOURS = readNumberSetting('AUTO_CLOSE_MAX_HOURS', 12, { allowZero: true });
+// Visits still open at this UTC time of day are closed at it ("HH:MM"; empty disables the rule)
+const END_OF_DAY_CUTOFF = (process.env.AUTO_CLOSE_CUTOFF || '').trim();
+const SWEEP_INTERVAL_MINUTES = readNumberSetting('AUTO_CLOSE_INTERVAL_MINUTES', 10);
+
+const CUTOFF_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const toMs = (sqlDateTime) => new Date(sqlDateTime.replace(' ', 'T') + 'Z').getTime();
+
+// First cutoff at or after the check-in, so a visit started after the cutoff runs to the next day's
+const nextCutoffMs = (checkinMs) => {
+    const match = END_OF_DAY_CUTOFF.match(CUTOFF_PATTERN);
+    if (!match) return null;
+
+    const cutoff = new Date(checkinMs);
+    cutoff.setUTCHours(Number(match[1]), Number(match[2]), 0, 0);
+    if (cutoff.getTime() <= checkinMs) {
+        cutoff.setUTCDate(cutoff.getUTCDate() + 1);
+    }
+    return cutoff.getTime();
+};
+
+// When an open visit should be closed and why, or null if no rule applies
+const plannedClose = (checkinTime) => {
+    const checkinMs = toMs(checkinTime);
+    const candidates = [];
+
+    if (MAX_VISIT_HOURS > 0) {
+        candidates.push({ at: checkinMs + MAX_VISIT_HOURS * 3600000, reason: 'max_duration' });
+    }
+
+    const cutoff = nextCutoffMs(checkinMs);
+    if (cutoff !== null) {
+        candidates.push({ at: cutoff, reason: 'end_of_day' });
+    }
+
+    if (candidates.length === 0) return null;
+    return candidates.reduce((earliest, c) => (c.at < earliest.at ? c : earliest));
+};
+
+/**
+ * Closes check-ins that were left open past the configured limits.
+ * Checkout time is the moment the rule was hit, not the sweep time, so hours are not inflated.
+ */
+const closeForgottenCheckins = async (now = Date.now()) => {
+    const [openCheckins] = await pool.execute(
+        "SELECT id, organization_id, checkin_time FROM checkins WHERE status = 'checked_in'"
+    );
+
+    let closed = 0;
+
+    for (const checkin of openCheckins) {
+        const plan = plannedClose(checkin.checkin_time);
+        if (!plan || plan.at > now) continue;
+
+        const before = await snapshot('checkin', checkin.id);
+        const [update] = await pool.execute(
+            `UPDATE checkins
+             SET checkout_time = ?,
+                 checkout_received_at = datetime('now'),
+                 status = 'checked_out',
+                 closed_by_system = 1,
+                 auto_close_reason = ?
+             WHERE id = ? AND status = 'checked_in'`,
+            [toSqlDateTime(plan.at), plan.reason, checkin.id]
+        );
+
+        if (update.affectedRows > 0) {
+            closed += 1;
+            await recordAudit(
+                { organizationId: checkin.organization_id, actorId: null, ipAddress: null },
+                { action: 'checkin.auto_close', entityId: checkin.id, before, after: await snapshot('checkin', checkin.id) }
+            );
+            publishCheckinEvent('auto_checkout', checkin.id);
+        }
+    }
+
+    return closed;
+};
+
+const startAutoCloseSweeper = () => {
+    if (MAX_VISIT_HOURS <= 0 && !CUTOFF_PATTERN.test(END_OF_DAY_CUTOFF)) {
+        console.log('Auto-close sweeper disabled');
+        return null;
+    }
+
+    if (END_OF_DAY_CUTOFF && !CUTOFF_PATTERN.test(END_OF_DAY_CUTOFF)) {
+        console.warn(`Ignoring invalid AUTO_CLOSE_CUTOFF "${END_OF_DAY_CUTOFF}" (expected HH:MM)`);
+    }
+
+    const sweep = () => closeForgottenCheckins()
+        .then((closed) => {
+            if (closed > 0) console.log(`Auto-closed ${closed} forgotten check-in(s)`);
+        })
+        .catch((error) => console.error('Auto-close sweep error:', error));
+
+    sweep();
+    const timer = setInterval(sweep, Math.max(SWEEP_INTERVAL_MINUTES, 1) * 60000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = { closeForgottenCheckins, startAutoCloseSweeper };
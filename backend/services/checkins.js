@@ -0,0 +1,36 @@
+const pool = require('../config/database');
+
+/**
+ * An employee's check-ins, newest first, with client details, photo counts and the state of
+ * the latest correction request. Optional startDate/endDate filter on the check-in date.
+ */
+const fetchCheckinHistory = async (organizationId, employeeId, { startDate, endDate } = {}) => {
+    let query = `
+        SELECT ch.*, c.name as client_name, c.address as client_address,
+               (SELECT COUNT(*) FROM checkin_photos p WHERE p.checkin_id = ch.id) as photo_count,
+               (SELECT cc.status FROM checkin_corrections cc WHERE cc.checkin_id = ch.id
+                ORDER BY cc.id DESC LIMIT 1) as correction_status,
+               (SELECT cc.review_note FROM checkin_corrections cc WHERE cc.checkin_id = ch.id
+                ORDER BY cc.id DESC LIMIT 1) as correction_review_note
+        FROM checkins ch
+        INNER JOIN clients c ON ch.client_id = c.id
+        WHERE ch.employee_id = ? AND ch.organization_id = ?
+    `;
+    const params = [employeeId, organizationId];
+
+    if (startDate) {
+        query += " AND DATE(ch.checkin_time) >= ?";
+        params.push(startDate);
+    }
+    if (endDate) {
+        query += " AND DATE(ch.checkin_time) <= ?";
+        params.push(endDate);
+    }
+
+    query += ' ORDER BY ch.checkin_time DESC';
+
+    const [checkins] = await pool.execute(query, params);
+    return checkins;
+};
+
+module.exports = { fetchCheckinHistory };
@@ -0,0 +1,275 @@
+const pool = require('../config/database');
+const { recordAudit } = require('./audit');
+const { isValidCoordinate } = require('../utils/geo');
+const { readVisitFrequency } = require('./visitFrequency');
+
+const MAX_NAME_LENGTH = 100;
+const MIN_ADDRESS_LENGTH = 5;
+const MAX_ADDRESS_LENGTH = 255;
+const MIN_GEOFENCE_RADIUS = 25;
+const MAX_GEOFENCE_RADIUS = 10000;
+
+// External codes come from the customer's own systems, so allow their usual separators
+const EXTERNAL_CODE_PATTERN = /^[A-Za-z0-9._/-]{1,50}$/;
+
+// Request fields readClientBody reads, named as the clients columns they fill
+const CLIENT_BODY_FIELDS = [
+    'name',
+    'address',
+    'latitude',
+    'longitude',
+    'geofence_radius',
+    'require_signature',
+    'external_code',
+    'visit_frequency_days'
+];
+
+// Shared validation for create, update and import; returns { values } or { error }
+const readClientBody = (body) => {
+    const name = typeof body.name === 'string' ? body.name.trim().replace(/\s+/g, ' ') : '';
+    const address = typeof body.address === 'string' ? body.address.trim() : '';
+    const externalCode = typeof body.external_code === 'string' && body.external_code.trim() !== ''
+        ? body.external_code.trim()
+        : null;
+
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        return { error: `Name is required (at most ${MAX_NAME_LENGTH} characters)` };
+    }
+
+    if (address.length < MIN_ADDRESS_LENGTH || address.length > MAX_ADDRESS_LENGTH) {
+        return { error: `Address must be ${MIN_ADDRESS_LENGTH}-${MAX_ADDRESS_LENGTH} characters` };
+    }
+
+    if (!isValidCoordinate(body.latitude, body.longitude)) {
+        return { error: 'Valid latitude (-90 to 90) and longitude (-180 to 180) are required' };
+    }
+
+    // 0,0 is what an unset GPS fix or a blank spreadsheet cell turns into
+    if (Number(body.latitude) === 0 && Number(body.longitude) === 0) {
+        return { error: 'Coordinates 0,0 are not a real client location' };
+    }
+
+    const radius = body.geofence_radius === undefined || body.geofence_radius === null || body.geofence_radius === ''
+        ? 500
+        : Number(body.geofence_radius);
+
+    if (!Number.isFinite(radius) || radius < MIN_GEOFENCE_RADIUS || radius > MAX_GEOFENCE_RADIUS) {
+        return { error: `geofence_radius must be between ${MIN_GEOFENCE_RADIUS} and ${MAX_GEOFENCE_RADIUS} meters` };
+    }
+
+    if (externalCode !== null && !EXTERNAL_CODE_PATTERN.test(externalCode)) {
+        return { error: 'external_code must be 1-50 letters, digits or . _ / - characters' };
+    }
+
+    const visitFrequency = readVisitFrequency(body.visit_frequency_days);
+    if (visitFrequency.error) {
+        return { error: visitFrequency.error };
+    }
+
+    return {
+        values: {
+            name,
+            address,
+            latitude: Number(body.latitude),
+            longitude: Number(body.longitude),
+            geofenceRadius: radius,
+            requireSignature: body.require_signature ? 1 : 0,
+            externalCode,
+            visitFrequencyDays: visitFrequency.frequency
+        }
+    };
+};
+
+// Names are unique among an organization's active clients, ignoring case
+const findDuplicateName = async (organizationId, name, excludeId) => {
+    const [rows] = await pool.execute(
+        `SELECT id, name FROM clients
+         WHERE organization_id = ? AND LOWER(name) = LOWER(?) AND archived_at IS NULL AND id != ?`,
+        [organizationId, name, excludeId || 0]
+    );
+    return rows[0] || null;
+};
+
+const findClient = async (organizationId, id) => {
+    const [rows] = await pool.execute('SELECT * FROM clients WHERE id = ? AND organization_id = ?', [id, organizationId]);
+    return rows[0] || null;
+};
+
+const insertClient = async (organizationId, values) => {
+    const [result] = await pool.execute(
+        `INSERT INTO clients (
+            organization_id, name, address, latitude, longitude, geofence_radius, require_signature, external_code,
+            visit_frequency_days
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            organizationId,
+            values.name,
+            values.address,
+            values.latitude,
+            values.longitude,
+            values.geofenceRadius,
+            values.requireSignature,
+            values.externalCode,
+            values.visitFrequencyDays
+        ]
+    );
+    return result.insertId;
+};
+
+const updateClient = async (organizationId, id, values) => {
+    await pool.execute(
+        `UPDATE clients
+         SET name = ?, address = ?, latitude = ?, longitude = ?, geofence_radius = ?, require_signature = ?,
+             external_code = ?, visit_frequency_days = ?, updated_at = datetime('now')
+         WHERE id = ? AND organization_id = ?`,
+        [
+            values.name,
+            values.address,
+            values.latitude,
+            values.longitude,
+            values.geofenceRadius,
+            values.requireSignature,
+            values.externalCode,
+            values.visitFrequencyDays,
+            id,
+            organizationId
+        ]
+    );
+};
+
+// Spreadsheet-friendly booleans; blank means false. Returns null for anything unrecognised.
+const parseCsvFlag = (value) => {
+    const text = (value || '').toLowerCase();
+    if (['', '0', 'no', 'false', 'n'].includes(text)) return false;
+    if (['1', 'yes', 'true', 'y'].includes(text)) return true;
+    return null;
+};
+
+const CLIENT_CSV_HEADERS = ['external_code', 'name', 'address', 'latitude', 'longitude'];
+
+// Same columns the importer reads, so an export can be edited and uploaded again
+const CLIENT_EXPORT_COLUMNS = [
+    { header: 'external_code', value: (c) => c.external_code },
+    { header: 'name', value: (c) => c.name },
+    { header: 'address', value: (c) => c.address },
+    { header: 'latitude', value: (c) => c.latitude },
+    { header: 'longitude', value: (c) => c.longitude },
+    { header: 'geofence_radius', value: (c) => c.geofence_radius },
+    { header: 'require_signature', value: (c) => (c.require_signature ? 'yes' : 'no') },
+    { header: 'visit_frequency_days', value: (c) => c.visit_frequency_days },
+    { header: 'archived', value: (c) => (c.archived_at ? 'yes' : '') }
+];
+
+// Columns an import may leave out; an updated client then keeps its stored value rather than the default
+const OPTIONAL_IMPORT_COLUMNS = ['geofence_radius', 'require_signature', 'visit_frequency_days'];
+
+const withStoredValues = (cells, client) => ({
+    ...Object.fromEntries(
+        OPTIONAL_IMPORT_COLUMNS.filter((column) => !(column in cells)).map((column) => [column, String(client[column] ?? '')])
+    ),
+    ...cells
+});
+
+/**
+ * Validates uploaded client rows (see middleware/csvUpload) without writing anything.
+ * Rows are upserted on external_code within the organization. Returns { operations, errors },
+ * where each operation is { row, action: 'create' | 'update', id, values }.
+ */
+const planClientImport = async (organizationId, rows) => {
+    const [coded] = await pool.execute(
+        'SELECT * FROM clients WHERE organization_id = ? AND external_code IS NOT NULL',
+        [organizationId]
+    );
+    const byCode = new Map(coded.map((client) => [client.external_code, client]));
+    const seenCodes = new Set();
+    const seenNames = new Set();
+    const operations = [];
+    const errors = [];
+
+    for (const { row, values: fileCells } of rows) {
+        const existing = byCode.get(fileCells.external_code);
+        const cells = existing ? withStoredValues(fileCells, existing) : fileCells;
+
+        const requireSignature = parseCsvFlag(cells.require_signature);
+        if (requireSignature === null) {
+            errors.push({ row, message: 'require_signature must be yes or no' });
+            continue;
+        }
+
+        const { values, error } = readClientBody({ ...cells, require_signature: requireSignature });
+        if (error) {
+            errors.push({ row, message: error });
+            continue;
+        }
+
+        if (!values.externalCode) {
+            errors.push({ row, message: 'external_code is required' });
+            continue;
+        }
+
+        if (seenCodes.has(values.externalCode)) {
+            errors.push({ row, message: `external_code ${values.externalCode} appears more than once` });
+            continue;
+        }
+        seenCodes.add(values.externalCode);
+
+        const target = byCode.get(values.externalCode);
+        const nameKey = values.name.toLowerCase();
+
+        if (!target || !target.archived_at) {
+            if (seenNames.has(nameKey)) {
+                errors.push({ row, message: `Name "${values.name}" appears more than once` });
+                continue;
+            }
+            seenNames.add(nameKey);
+
+            const duplicate = await findDuplicateName(organizationId, values.name, target && target.id);
+            if (duplicate) {
+                errors.push({ row, message: `A client named "${duplicate.name}" already exists` });
+                continue;
+            }
+        }
+
+        operations.push({ row, action: target ? 'update' : 'create', id: target ? target.id : null, values });
+    }
+
+    return { operations, errors };
+};
+
+// Writes a validated plan in one transaction, so a failing row leaves nothing applied; `context` comes from
+// auditContext() and names the organization
+const applyClientImport = (context, operations) => pool.transaction(async () => {
+    for (const operation of operations) {
+        if (operation.action === 'create') {
+            const id = await insertClient(context.organizationId, operation.values);
+            await recordAudit(context, {
+                action: 'client.import_create',
+                entityId: id,
+                after: await findClient(context.organizationId, id)
+            });
+        } else {
+            const before = await findClient(context.organizationId, operation.id);
+            await updateClient(context.organizationId, operation.id, operation.values);
+            await recordAudit(context, {
+                action: 'client.import_update',
+                entityId: operation.id,
+                before,
+                after: await findClient(context.organizationId, operation.id)
+            });
+        }
+    }
+});
+
+module.exports = {
+    CLIENT_BODY_FIELDS,
+    readClientBody,
+    findDuplicateName,
+    findClient,
+    insertClient,
+    updateClient,
+    parseCsvFlag,
+    CLIENT_CSV_HEADERS,
+    CLIENT_EXPORT_COLUMNS,
+    planClientImport,
+    applyClientImport
+};
@@ -0,0 +1,193 @@
+const pool = require('../config/database');
+const { toSqlDateTime } = require('../utils/datetime');
+const { getDistanceInMeters, isValidCoordinate } = require('../utils/geo');
+const { snapshot, recordAudit } = require('./audit');
+const { matchCheckinToPlan } = require('./plans');
+
+// Check-in fields an employee may ask to have corrected
+const CORRECTABLE_FIELDS = ['client_id', 'checkin_time', 'checkout_time', 'notes'];
+
+const MAX_REASON_LENGTH = 500;
+const MAX_NOTES_LENGTH = 1000;
+
+const isProvided = (value) => value !== undefined && value !== null && value !== '';
+
+const parseCorrection = (row) => (row ? {
+    ...row,
+    changes: JSON.parse(row.changes),
+    original_values: row.original_values ? JSON.parse(row.original_values) : null
+} : null);
+
+const findPendingCorrection = async (checkinId) => {
+    const [rows] = await pool.execute(
+        "SELECT * FROM checkin_corrections WHERE checkin_id = ? AND status = 'pending'",
+        [checkinId]
+    );
+    return parseCorrection(rows[0]);
+};
+
+/**
+ * Validates an employee's correction request for `checkin`. Only fields that differ from the
+ * check-in are kept; returns { changes, reason } or { error }.
+ */
+const readCorrectionRequest = async (checkin, body) => {
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+    const changes = {};
+
+    if (!reason || reason.length > MAX_REASON_LENGTH) {
+        return { error: `A reason is required (at most ${MAX_REASON_LENGTH} characters)` };
+    }
+
+    if (isProvided(body.client_id) && Number(body.client_id) !== checkin.client_id) {
+        const [clients] = await pool.execute(
+            `SELECT c.id FROM clients c
+             WHERE c.id = ? AND c.organization_id = ? AND c.archived_at IS NULL
+               AND EXISTS (SELECT 1 FROM employee_clients ec WHERE ec.client_id = c.id AND ec.employee_id = ?)`,
+            [Number(body.client_id), checkin.organization_id, checkin.employee_id]
+        );
+        if (clients.length === 0) {
+            return { error: 'The corrected client must be one you are assigned to' };
+        }
+        changes.client_id = clients[0].id;
+    }
+
+    for (const field of ['checkin_time', 'checkout_time']) {
+        if (!isProvided(body[field])) continue;
+
+        const value = toSqlDateTime(body[field]);
+        if (!value) {
+            return { error: `${field} must be an ISO 8601 timestamp` };
+        }
+        if (value > toSqlDateTime(new Date())) {
+            return { error: `${field} cannot be in the future` };
+        }
+        if (value !== checkin[field]) {
+            changes[field] = value;
+        }
+    }
+
+    const checkinTime = changes.checkin_time || checkin.checkin_time;
+    const checkoutTime = changes.checkout_time || checkin.checkout_time;
+    if (checkoutTime && checkoutTime < checkinTime) {
+        return { error: 'checkout_time cannot be before checkin_time' };
+    }
+
+    if (typeof body.notes === 'string') {
+        const notes = body.notes.trim();
+        if (notes.length > MAX_NOTES_LENGTH) {
+            return { error: `Notes may be at most ${MAX_NOTES_LENGTH} characters` };
+        }
+        if ((notes || null) !== checkin.notes) {
+            changes.notes = notes || null;
+        }
+    }
+
+    if (Object.keys(changes).length === 0) {
+        return { error: 'Change the client, times or notes to request a correction' };
+    }
+
+    return { changes, reason };
+};
+
+// Distance and geofence result of a position against a client, or nulls when either is unknown
+const geofenceAgainst = (client, latitude, longitude) => {
+    if (!isValidCoordinate(latitude, longitude) || !isValidCoordinate(client.latitude, client.longitude)) {
+        return { distance: null, within: null };
+    }
+
+    const distance = getDistanceInMeters(Number(latitude), Number(longitude), client.latitude, client.longitude);
+    return { distance, within: distance <= client.geofence_radius ? 1 : 0 };
+};
+
+/**
+ * Why a pending correction can no longer be applied to its check-in as the check-in is now, or null.
+ * Approval re-checks this in the same transaction that applies the correction.
+ */
+const findCorrectionConflict = async (correction) => {
+    const [corrections] = await pool.execute('SELECT status FROM checkin_corrections WHERE id = ?', [correction.id]);
+    if (corrections.length === 0 || corrections[0].status !== 'pending') {
+        return 'This correction has already been reviewed';
+    }
+
+    const [checkins] = await pool.execute('SELECT * FROM checkins WHERE id = ?', [correction.checkin_id]);
+    const checkin = checkins[0];
+
+    if (checkin.corrected_at && checkin.corrected_at > correction.created_at) {
+        return 'The check-in has been corrected since this request was made';
+    }
+    if (correction.changes.checkout_time !== undefined && checkin.checkout_received_at
+        && checkin.checkout_received_at >= correction.created_at) {
+        return 'The visit has been checked out since this request was made';
+    }
+
+    const next = { ...checkin, ...correction.changes };
+    if (next.checkout_time && next.checkout_time < next.checkin_time) {
+        return 'The corrected checkout would be before the check-in';
+    }
+    return null;
+};
+
+/**
+ * Applies an approved correction to its check-in on behalf of the auditContext() `context`.
+ * A new client re-runs the geofence checks against it; a checkout time closes an open visit.
+ * The replaced values are kept on the correction and the full change in the audit log.
+ */
+const applyCorrection = async (context, correction) => {
+    const before = await snapshot('checkin', correction.checkin_id);
+    const next = { ...before, ...correction.changes };
+
+    let checkinGeofence = { distance: before.distance_from_client, within: before.within_geofence };
+    let checkoutGeofence = { distance: before.checkout_distance_from_client, within: before.checkout_within_geofence };
+
+    if (correction.changes.client_id !== undefined) {
+        const [clients] = await pool.execute('SELECT * FROM clients WHERE id = ?', [next.client_id]);
+        checkinGeofence = geofenceAgainst(clients[0], before.latitude, before.longitude);
+        checkoutGeofence = geofenceAgainst(clients[0], before.checkout_latitude, before.checkout_longitude);
+    }
+
+    await pool.execute(
+        `UPDATE checkins
+         SET client_id = ?, checkin_time = ?, checkout_time = ?, notes = ?,
+             distance_from_client = ?, within_geofence = ?,
+             checkout_distance_from_client = ?, checkout_within_geofence = ?,
+             status = ?, corrected_at = datetime('now')
+         WHERE id = ?`,
+        [
+            next.client_id,
+            next.checkin_time,
+            next.checkout_time,
+            next.notes,
+            checkinGeofence.distance,
+            checkinGeofence.within,
+            checkoutGeofence.distance,
+            checkoutGeofence.within,
+            next.checkout_time ? 'checked_out' : before.status,
+            correction.checkin_id
+        ]
+    );
+
+    const originalValues = Object.fromEntries(CORRECTABLE_FIELDS.map((field) => [field, before[field]]));
+    await pool.execute(
+        'UPDATE checkin_corrections SET original_values = ? WHERE id = ?',
+        [JSON.stringify(originalValues), correction.id]
+    );
+
+    // A different client or time can belong to a different planned visit
+    if (correction.changes.client_id !== undefined || correction.changes.checkin_time !== undefined) {
+        await matchCheckinToPlan(correction.checkin_id);
+    }
+
+    const after = await snapshot('checkin', correction.checkin_id);
+    await recordAudit(context, { action: 'checkin.correct', entityId: correction.checkin_id, before, after });
+
+    return { before, after };
+};
+
+module.exports = {
+    MAX_REASON_LENGTH,
+    parseCorrection,
+    findPendingCorrection,
+    readCorrectionRequest,
+    findCorrectionConflict,
+    applyCorrection
+};
@@ -0,0 +1,79 @@
+const pool = require('../config/database');
+const { isTeamLeadRole } = require('./permissions');
+
+/**
+ * SQL condition: `column` is a user reporting to the bound manager id, directly or through
+ * managers below them. Binds one parameter, so it can replace `u.manager_id = ?` in place.
+ * UNION (not UNION ALL) skips users already visited, so a cycle in manager_id cannot loop forever.
+ */
+const inTeamOf = (column) => `${column} IN (
+    WITH RECURSIVE team(id) AS (
+        SELECT id FROM users WHERE manager_id = ?
+        UNION
+        SELECT r.id FROM users r INNER JOIN team ON r.manager_id = team.id
+    )
+    SELECT id FROM team
+)`;
+
+// Deep enough for any real org chart; stops a cycle in manager_id from recursing forever
+const MAX_CHAIN_DEPTH = 50;
+
+/**
+ * SQL subquery: the managers above the bound user id, each with its distance (1 = direct manager).
+ * Binds one parameter.
+ */
+const MANAGER_CHAIN = `(
+    WITH RECURSIVE chain(id, depth) AS (
+        SELECT manager_id, 1 FROM users WHERE id = ?
+        UNION
+        SELECT u.manager_id, chain.depth + 1 FROM users u INNER JOIN chain ON u.id = chain.id
+        WHERE chain.depth < ${MAX_CHAIN_DEPTH}
+    )
+    SELECT id, MIN(depth) AS depth FROM chain WHERE id IS NOT NULL GROUP BY id
+)`;
+
+const isInTeam = async (managerId, userId) => {
+    const [rows] = await pool.execute(
+        `SELECT id FROM users WHERE id = ? AND ${inTeamOf('id')}`,
+        [userId, managerId]
+    );
+    return rows.length > 0;
+};
+
+// Managers above a user, at every level
+const findManagerChain = async (userId) => {
+    const [rows] = await pool.execute(
+        `SELECT id FROM users WHERE id IN (
+            WITH RECURSIVE chain(id) AS (
+                SELECT manager_id FROM users WHERE id = ?
+                UNION
+                SELECT u.manager_id FROM users u INNER JOIN chain ON u.id = chain.id
+            )
+            SELECT id FROM chain
+        )`,
+        [userId]
+    );
+    return rows.map((row) => row.id);
+};
+
+// Managers below managerId, for the sub-team filter; depth 1 reports directly to managerId
+const listSubTeams = async (managerId) => {
+    const [rows] = await pool.execute(
+        `SELECT u.id, u.name, u.manager_id, t.depth
+         FROM (
+            WITH RECURSIVE team(id, depth) AS (
+                SELECT id, 1 FROM users WHERE manager_id = ?
+                UNION
+                SELECT r.id, team.depth + 1 FROM users r INNER JOIN team ON r.manager_id = team.id
+            )
+            SELECT id, MIN(depth) AS depth FROM team GROUP BY id
+         ) t
+         INNER JOIN users u ON u.id = t.id
+         WHERE ${isTeamLeadRole('u.role')} AND u.is_active = 1
+         ORDER BY t.depth, u.name`,
+        [managerId]
+    );
+    return rows;
+};
+
+module.exports = { inTeamOf, MANAGER_CHAIN, isInTeam, findManagerChain, listSubTeams };
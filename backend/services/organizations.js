@@ -0,0 +1,61 @@
+const pool = require('../config/database');
+const { MIN_PASSWORD_LENGTH, hashPassword, normalizeEmail, isValidEmail } = require('./users');
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Creates an organization together with its first admin, who must change the
+ * password at first login. Returns { organization, admin } or { error }.
+ */
+const createOrganization = async ({ name, admin }) => {
+    const organizationName = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+    const adminName = typeof admin.name === 'string' ? admin.name.trim() : '';
+    const adminEmail = normalizeEmail(admin.email);
+
+    if (!organizationName || organizationName.length > MAX_NAME_LENGTH) {
+        return { error: `Organization name is required (at most ${MAX_NAME_LENGTH} characters)` };
+    }
+    if (!adminName || adminName.length > MAX_NAME_LENGTH) {
+        return { error: `Admin name is required (at most ${MAX_NAME_LENGTH} characters)` };
+    }
+    if (!isValidEmail(adminEmail)) {
+        return { error: 'A valid admin email address is required' };
+    }
+    if (typeof admin.password !== 'string' || admin.password.length < MIN_PASSWORD_LENGTH) {
+        return { error: `Admin password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+
+    // Hashed up front: only database calls may be awaited inside the transaction
+    const passwordHash = await hashPassword(admin.password);
+
+    // Both rows or neither, so a failed admin insert never leaves an organization nobody can sign in to
+    return pool.transaction(async () => {
+        const [organizations] = await pool.execute(
+            'SELECT id FROM organizations WHERE LOWER(name) = LOWER(?)',
+            [organizationName]
+        );
+        if (organizations.length > 0) {
+            return { error: 'An organization with this name already exists' };
+        }
+
+        // Emails identify users at login, so they stay unique across organizations
+        const [users] = await pool.execute('SELECT id FROM users WHERE email = ?', [adminEmail]);
+        if (users.length > 0) {
+            return { error: 'A user with this email already exists' };
+        }
+
+        const [organization] = await pool.execute('INSERT INTO organizations (name) VALUES (?)', [organizationName]);
+        const [user] = await pool.execute(
+            `INSERT INTO users (organization_id, name, email, password, role, manager_id, must_change_password)
+             VALUES (?, ?, ?, ?, 'admin', NULL, 1)`,
+            [organization.insertId, adminName, adminEmail, passwordHash]
+        );
+
+        return {
+            organization: { id: organization.insertId, name: organizationName },
+            admin: { id: user.insertId, name: adminName, email: adminEmail }
+        };
+    });
+};
+
+module.exports = { createOrganization };
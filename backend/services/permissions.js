@@ -0,0 +1,51 @@
+// Permissions are granted through roles; users.role names one of the sets below
+const PERMISSIONS = {
+    'checkins:create': 'Check in and out at assigned clients',
+    'checkins:edit': 'Correct check-ins recorded by the team',
+    'team:read': 'See the team dashboard, live activity and route replay',
+    'reports:read': 'View and export team reports',
+    'clients:read': 'View the client list',
+    'clients:write': 'Create, edit, import and archive clients',
+    'assignments:manage': 'Assign clients to employees',
+    'forms:manage': 'Build visit forms',
+    'plans:manage': 'Plan client visits for the team',
+    'tasks:manage': 'Give the team tasks to do on client visits',
+    'users:manage': 'Create, edit and deactivate users in the team',
+    'audit:read': 'Browse the audit log of changes made by the team',
+    'roles:assign': 'Give users a role other than employee'
+};
+
+const MANAGER_PERMISSIONS = [
+    'checkins:create',
+    'checkins:edit',
+    'team:read',
+    'reports:read',
+    'clients:read',
+    'clients:write',
+    'assignments:manage',
+    'forms:manage',
+    'plans:manage',
+    'tasks:manage',
+    'users:manage',
+    'audit:read'
+];
+
+const ROLE_PERMISSIONS = {
+    employee: ['checkins:create'],
+    manager: MANAGER_PERMISSIONS,
+    admin: Object.keys(PERMISSIONS)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (user, permission) => Boolean(user) && permissionsFor(user.role).includes(permission);
+
+// Roles that can lead a team, i.e. have people reporting to them
+const TEAM_LEAD_ROLES = ROLES.filter((role) => permissionsFor(role).includes('team:read'));
+
+// SQL condition limiting `column` to team-lead roles; the list is fixed, so it is inlined
+const isTeamLeadRole = (column) => `${column} IN (${TEAM_LEAD_ROLES.map((role) => `'${role}'`).join(', ')})`;
+
+module.exports = { PERMISSIONS, ROLES, permissionsFor, hasPermission, TEAM_LEAD_ROLES, isTeamLeadRole };
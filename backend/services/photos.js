@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const pool = require('../config/database');
+const storage = require('./storage');
+
+const THUMBNAIL_SIZE = 320;
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp'
+};
+
+const ALLOWED_MIME_TYPES = Object.keys(EXTENSIONS);
+
+// Decodes the upload and renders its JPEG thumbnail; rejects when the file is not a readable image
+const preparePhoto = async (file) => {
+    const metadata = await sharp(file.buffer, { failOn: 'error' }).metadata();
+
+    const thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 75 })
+        .toBuffer();
+
+    return { file, metadata, thumbnail };
+};
+
+// Stores the original upload plus its thumbnail and records both against the check-in
+const savePhoto = async (checkinId, uploadedBy, { file, metadata, thumbnail }) => {
+    const baseKey = `checkins/${checkinId}/${crypto.randomUUID()}`;
+    const storageKey = `${baseKey}.${EXTENSIONS[file.mimetype]}`;
+    const thumbnailKey = `${baseKey}_thumb.jpg`;
+
+    await storage.put(storageKey, file.buffer, file.mimetype);
+    await storage.put(thumbnailKey, thumbnail, 'image/jpeg');
+
+    const [result] = await pool.execute(
+        `INSERT INTO checkin_photos (checkin_id, uploaded_by, storage_key, thumbnail_key, original_name, mime_type, size_bytes, width, height)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            checkinId,
+            uploadedBy,
+            storageKey,
+            thumbnailKey,
+            file.originalname || null,
+            file.mimetype,
+            file.size,
+            metadata.width || null,
+            metadata.height || null
+        ]
+    );
+
+    return result.insertId;
+};
+
+const listPhotos = async (checkinId) => {
+    const [photos] = await pool.execute(
+        `SELECT id, checkin_id, original_name, mime_type, size_bytes, width, height, created_at
+         FROM checkin_photos
+         WHERE checkin_id = ?
+         ORDER BY created_at, id`,
+        [checkinId]
+    );
+    return photos;
+};
+
+module.exports = { ALLOWED_MIME_TYPES, preparePhoto, savePhoto, listPhotos };
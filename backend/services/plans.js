@@ -0,0 +1,147 @@
+const pool = require('../config/database');
+const { isValidDate, toSqlDateTime } = require('../utils/datetime');
+const { readNumberSetting } = require('../utils/env');
+
+// A check-in counts toward a planned visit when it starts this close to the planned window
+const PLAN_MATCH_HOURS = readNumberSetting('PLAN_MATCH_HOURS', 12);
+
+const PLAN_STATUSES = ['planned', 'visited', 'late', 'missed'];
+
+const shiftHours = (sqlDateTime, hours) => toSqlDateTime(
+    new Date(sqlDateTime.replace(' ', 'T') + 'Z').getTime() + hours * 3600000
+);
+
+/**
+ * Where a planned visit stands: visited (checked in by the end of the window), late (after it),
+ * missed (window over with no matching check-in) or planned (still to come).
+ */
+const planStatus = (plan, now = toSqlDateTime(new Date())) => {
+    if (plan.checkin_id) {
+        return plan.actual_checkin_time > plan.window_end ? 'late' : 'visited';
+    }
+    return plan.window_end < now ? 'missed' : 'planned';
+};
+
+const withStatus = (plan) => ({ ...plan, status: planStatus(plan) });
+
+// Columns for listing plans; expects visit_plans aliased vp
+const PLAN_COLUMNS = `vp.*, c.name AS client_name, c.address AS client_address,
+       ch.checkin_time AS actual_checkin_time, ch.checkout_time AS actual_checkout_time`;
+
+const PLAN_JOINS = `INNER JOIN clients c ON vp.client_id = c.id
+     LEFT JOIN checkins ch ON vp.checkin_id = ch.id`;
+
+/**
+ * Validates one planned visit for an employee; windows arrive as ISO timestamps and are
+ * stored in UTC next to the planned_date the manager picked. Returns { plan } or { error }.
+ */
+const readPlannedVisit = async (organizationId, employeeId, visit) => {
+    const plannedDate = visit && visit.planned_date;
+    const windowStart = toSqlDateTime(visit && visit.window_start);
+    const windowEnd = toSqlDateTime(visit && visit.window_end);
+
+    if (!isValidDate(plannedDate)) {
+        return { error: 'planned_date must be YYYY-MM-DD' };
+    }
+    if (!windowStart || !windowEnd) {
+        return { error: 'window_start and window_end must be ISO 8601 timestamps' };
+    }
+    if (windowEnd <= windowStart) {
+        return { error: 'window_end must be after window_start' };
+    }
+
+    // The client must be assigned to the employee on the planned day
+    const [clients] = await pool.execute(
+        `SELECT c.id FROM clients c
+         INNER JOIN employee_clients ec ON ec.client_id = c.id
+         WHERE c.id = ? AND c.organization_id = ? AND c.archived_at IS NULL AND ec.employee_id = ?
+           AND ec.assigned_date <= ? AND (ec.end_date IS NULL OR ec.end_date >= ?)
+         LIMIT 1`,
+        [Number(visit.client_id), organizationId, employeeId, plannedDate, plannedDate]
+    );
+    if (clients.length === 0) {
+        return { error: `The client is not assigned to this employee on ${plannedDate}` };
+    }
+
+    return { plan: { clientId: clients[0].id, plannedDate, windowStart, windowEnd } };
+};
+
+/**
+ * Links a check-in to the open planned visit for the same employee and client whose window is
+ * nearest, within PLAN_MATCH_HOURS. Any earlier link is dropped first, so a corrected check-in
+ * is matched again from scratch, and a plan it leaves is offered to its other check-ins.
+ * Returns the plan id or null.
+ */
+const matchCheckinToPlan = async (checkinId) => {
+    const [checkins] = await pool.execute(
+        'SELECT id, employee_id, client_id, checkin_time FROM checkins WHERE id = ?',
+        [checkinId]
+    );
+    if (checkins.length === 0) return null;
+
+    const checkin = checkins[0];
+    const [previous] = await pool.execute('SELECT id FROM visit_plans WHERE checkin_id = ?', [checkin.id]);
+    await pool.execute('UPDATE visit_plans SET checkin_id = NULL WHERE checkin_id = ?', [checkin.id]);
+
+    const [plans] = await pool.execute(
+        `SELECT id FROM visit_plans
+         WHERE employee_id = ? AND client_id = ? AND checkin_id IS NULL
+           AND window_start <= ? AND window_end >= ?
+         ORDER BY ABS(julianday(window_start) - julianday(?))
+         LIMIT 1`,
+        [
+            checkin.employee_id,
+            checkin.client_id,
+            shiftHours(checkin.checkin_time, PLAN_MATCH_HOURS),
+            shiftHours(checkin.checkin_time, -PLAN_MATCH_HOURS),
+            checkin.checkin_time
+        ]
+    );
+    const planId = plans.length > 0 ? plans[0].id : null;
+    if (planId) {
+        await pool.execute('UPDATE visit_plans SET checkin_id = ? WHERE id = ?', [checkin.id, planId]);
+    }
+
+    for (const plan of previous) {
+        if (plan.id !== planId) {
+            await matchPlanToCheckin(plan.id);
+        }
+    }
+    return planId;
+};
+
+// Links a new or moved planned visit to a check-in already made for it that no other plan claims
+const matchPlanToCheckin = async (planId) => {
+    const [plans] = await pool.execute('SELECT * FROM visit_plans WHERE id = ?', [planId]);
+    if (plans.length === 0 || plans[0].checkin_id) return null;
+
+    const plan = plans[0];
+    const [checkins] = await pool.execute(
+        `SELECT id FROM checkins ch
+         WHERE ch.employee_id = ? AND ch.client_id = ? AND ch.checkin_time >= ? AND ch.checkin_time <= ?
+           AND NOT EXISTS (SELECT 1 FROM visit_plans vp WHERE vp.checkin_id = ch.id)
+         ORDER BY ABS(julianday(ch.checkin_time) - julianday(?))
+         LIMIT 1`,
+        [
+            plan.employee_id,
+            plan.client_id,
+            shiftHours(plan.window_start, -PLAN_MATCH_HOURS),
+            shiftHours(plan.window_end, PLAN_MATCH_HOURS),
+            plan.window_start
+        ]
+    );
+    if (checkins.length === 0) return null;
+
+    await pool.execute('UPDATE visit_plans SET checkin_id = ? WHERE id = ?', [checkins[0].id, plan.id]);
+    return checkins[0].id;
+};
+
+module.exports = {
+    PLAN_STATUSES,
+    PLAN_COLUMNS,
+    PLAN_JOINS,
+    withStatus,
+    readPlannedVisit,
+    matchCheckinToPlan,
+    matchPlanToCheckin
+};
@@ -0,0 +1,46 @@
+const { EventEmitter } = require('events');
+const pool = require('../config/database');
+const { findManagerChain } = require('./hierarchy');
+
+// In-process fan-out of team activity to connected manager dashboards (SSE)
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const managerChannel = (managerId) => `manager:${managerId}`;
+
+const subscribeToTeam = (managerId, listener) => {
+    emitter.on(managerChannel(managerId), listener);
+    return () => emitter.off(managerChannel(managerId), listener);
+};
+
+// Every manager up the reporting chain sees the event, not just the direct manager
+const publishToManagerOf = async (employeeId, type, data) => {
+    const managerIds = await findManagerChain(employeeId);
+
+    managerIds.forEach((managerId) => emitter.emit(managerChannel(managerId), { type, data }));
+};
+
+// Publishing must never break the request that triggered it
+const safely = (promise) => promise.catch((error) => console.error('Realtime publish error:', error));
+
+// Sends the same row shape as /api/dashboard/stats today_checkins
+const publishCheckinEvent = (type, checkinId) => safely((async () => {
+    const [rows] = await pool.execute(
+        `SELECT ch.*, u.name as employee_name, c.name as client_name
+         FROM checkins ch
+         INNER JOIN users u ON ch.employee_id = u.id
+         INNER JOIN clients c ON ch.client_id = c.id
+         WHERE ch.id = ?`,
+        [checkinId]
+    );
+
+    if (rows.length === 0) return;
+
+    await publishToManagerOf(rows[0].employee_id, type, rows[0]);
+})());
+
+const publishLocationEvent = (employeeId, data) => safely(
+    publishToManagerOf(employeeId, 'location', { employee_id: employeeId, ...data })
+);
+
+module.exports = { subscribeToTeam, publishCheckinEvent, publishLocationEvent };
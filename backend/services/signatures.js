@@ -0,0 +1,36 @@
+const sharp = require('sharp');
+const storage = require('./storage');
+
+const MAX_SIGNATURE_BYTES = 512 * 1024;
+const DATA_URL_PATTERN = /^data:image\/png;base64,([A-Za-z0-9+/=]+)$/;
+
+// Decodes a signature-pad PNG data URL; rejects anything that is not a real, reasonably sized PNG
+const decodeSignature = async (dataUrl) => {
+    const match = typeof dataUrl === 'string' ? dataUrl.match(DATA_URL_PATTERN) : null;
+    if (!match) {
+        throw new Error('Signature must be a PNG data URL');
+    }
+
+    const buffer = Buffer.from(match[1], 'base64');
+    if (buffer.length > MAX_SIGNATURE_BYTES) {
+        throw new Error('Signature image is too large');
+    }
+
+    const metadata = await sharp(buffer, { failOn: 'error' }).metadata().catch(() => null);
+    if (!metadata || metadata.format !== 'png') {
+        throw new Error('Signature must be a PNG data URL');
+    }
+
+    return buffer;
+};
+
+// Where a check-in's signature is stored; known before the file is written
+const signatureKey = (checkinId) => `checkins/${checkinId}/signature.png`;
+
+const saveSignature = async (checkinId, buffer) => {
+    const key = signatureKey(checkinId);
+    await storage.put(key, buffer, 'image/png');
+    return key;
+};
+
+module.exports = { decodeSignature, signatureKey, saveSignature };
@@ -0,0 +1,93 @@
+const pool = require('../config/database');
+const { getDistanceInMeters } = require('../utils/geo');
+
+// Faster than this between two visits is treated as impossible for a field rep
+const MAX_TRAVEL_SPEED_KMH = 150;
+// Short hops are ignored so GPS jitter near the same site never trips the speed check
+const MIN_TRAVEL_DISTANCE_METERS = 1000;
+// Mock-location apps commonly report the target's coordinates verbatim
+const EXACT_MATCH_TOLERANCE_DEGREES = 1e-7;
+const POOR_ACCURACY_METERS = 100;
+
+const toMs = (sqlDateTime) => new Date(sqlDateTime.replace(' ', 'T') + 'Z').getTime();
+
+// Last known position before a check-in: the previous visit's checkout if recorded, else its check-in
+const findPreviousPosition = async (employeeId, checkinTime) => {
+    const [rows] = await pool.execute(
+        `SELECT checkin_time, latitude, longitude, checkout_time, checkout_latitude, checkout_longitude
+         FROM checkins
+         WHERE employee_id = ? AND checkin_time <= ?
+         ORDER BY checkin_time DESC, id DESC LIMIT 1`,
+        [employeeId, checkinTime]
+    );
+
+    if (rows.length === 0) return null;
+
+    const previous = rows[0];
+    if (previous.checkout_time && previous.checkout_time <= checkinTime &&
+        previous.checkout_latitude !== null && previous.checkout_longitude !== null) {
+        return {
+            latitude: previous.checkout_latitude,
+            longitude: previous.checkout_longitude,
+            time: previous.checkout_time,
+            source: 'checkout'
+        };
+    }
+
+    if (previous.latitude === null || previous.longitude === null) return null;
+
+    return {
+        latitude: previous.latitude,
+        longitude: previous.longitude,
+        time: previous.checkin_time,
+        source: 'checkin'
+    };
+};
+
+/**
+ * Returns the list of spoofing indicators for a new check-in, empty when nothing looks wrong.
+ * Each flag is { code, detail } so reports can both filter and explain.
+ */
+const detectSuspiciousCheckin = async ({ employeeId, latitude, longitude, accuracy, checkinTime, client }) => {
+    const flags = [];
+
+    const previous = await findPreviousPosition(employeeId, checkinTime);
+    if (previous) {
+        const distance = getDistanceInMeters(previous.latitude, previous.longitude, latitude, longitude);
+        const hours = (toMs(checkinTime) - toMs(previous.time)) / 3600000;
+
+        if (distance >= MIN_TRAVEL_DISTANCE_METERS) {
+            const speedKmh = hours > 0 ? (distance / 1000) / hours : Infinity;
+
+            if (speedKmh > MAX_TRAVEL_SPEED_KMH) {
+                flags.push({
+                    code: 'impossible_travel',
+                    detail: `${(distance / 1000).toFixed(1)} km since previous ${previous.source} at ${previous.time}` +
+                        (Number.isFinite(speedKmh) ? ` (${Math.round(speedKmh)} km/h)` : ' with no elapsed time')
+                });
+            }
+        }
+    }
+
+    if (client.latitude !== null && client.longitude !== null &&
+        Math.abs(latitude - client.latitude) < EXACT_MATCH_TOLERANCE_DEGREES &&
+        Math.abs(longitude - client.longitude) < EXACT_MATCH_TOLERANCE_DEGREES) {
+        flags.push({
+            code: 'exact_client_coordinates',
+            detail: 'Reported position is identical to the client location'
+        });
+    }
+
+    if (accuracy === null) {
+        flags.push({ code: 'missing_accuracy', detail: 'Device did not report GPS accuracy' });
+    } else if (accuracy > POOR_ACCURACY_METERS) {
+        flags.push({
+            code: 'poor_accuracy',
+            detail: `GPS accuracy ${Math.round(accuracy)} m exceeds ${POOR_ACCURACY_METERS} m`
+        });
+    }
+
+    return flags;
+};
+
+module.exports = { detectSuspiciousCheckin };
@@ -0,0 +1,24 @@
+const path = require('path');
+const { createLocalStorage } = require('./localStorage');
+
+/**
+ * Blob storage used for uploaded files. Every driver exposes the same interface:
+ *   put(key, buffer, contentType) -> Promise<void>
+ *   getStream(key)                -> Promise<Readable>  (rejects when the key does not exist)
+ *   remove(key)                   -> Promise<void>
+ * Add an S3 driver here and select it with STORAGE_DRIVER without touching the routes.
+ */
+const createStorage = () => {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+
+    switch (driver) {
+        case 'local':
+            return createLocalStorage(
+                process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads')
+            );
+        default:
+            throw new Error(`Unsupported STORAGE_DRIVER: ${driver}`);
+    }
+};
+
+module.exports = createStorage();
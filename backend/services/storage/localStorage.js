@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores objects as files under a root directory; keys may contain "/" to form folders
+const createLocalStorage = (rootDir) => {
+    const resolveKey = (key) => {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        async put(key, buffer) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+        },
+
+        async getStream(key) {
+            const filePath = resolveKey(key);
+            await fs.promises.access(filePath);
+            return fs.createReadStream(filePath);
+        },
+
+        async remove(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,81 @@
+const pool = require('../config/database');
+const { isValidDate } = require('../utils/datetime');
+
+const TASK_STATUSES = ['open', 'done', 'failed'];
+const TASK_OUTCOMES = ['done', 'failed'];
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_COMMENT_LENGTH = 1000;
+
+// Columns for listing tasks; expects visit_tasks aliased t
+const TASK_COLUMNS = `t.*, c.name AS client_name, c.address AS client_address, u.name AS assignee_name,
+       cb.name AS created_by_name, DATE(ch.checkin_time) AS visit_date`;
+
+const TASK_JOINS = `INNER JOIN clients c ON t.client_id = c.id
+     INNER JOIN users u ON t.assigned_to = u.id
+     LEFT JOIN users cb ON t.created_by = cb.id
+     LEFT JOIN checkins ch ON t.checkin_id = ch.id`;
+
+const trimmed = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Validates a task for an employee: a title, an optional description and a due_date on which
+ * the client is assigned to them. Returns { task } or { error }.
+ */
+const readTaskBody = async (organizationId, employeeId, body) => {
+    const title = trimmed(body.title);
+    const description = trimmed(body.description);
+
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+        return { error: `A title is required (at most ${MAX_TITLE_LENGTH} characters)` };
+    }
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+        return { error: `Description may be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    if (!isValidDate(body.due_date)) {
+        return { error: 'due_date must be YYYY-MM-DD' };
+    }
+
+    const [clients] = await pool.execute(
+        `SELECT c.id FROM clients c
+         INNER JOIN employee_clients ec ON ec.client_id = c.id
+         WHERE c.id = ? AND c.organization_id = ? AND c.archived_at IS NULL AND ec.employee_id = ?
+           AND ec.assigned_date <= ? AND (ec.end_date IS NULL OR ec.end_date >= ?)
+         LIMIT 1`,
+        [Number(body.client_id), organizationId, employeeId, body.due_date, body.due_date]
+    );
+    if (clients.length === 0) {
+        return { error: `The client is not assigned to this employee on ${body.due_date}` };
+    }
+
+    return {
+        task: { clientId: clients[0].id, title, description: description || null, dueDate: body.due_date }
+    };
+};
+
+// Validates an employee's outcome for a task; returns { outcome, comment } or { error }
+const readTaskOutcome = (body) => {
+    const comment = trimmed(body.comment);
+
+    if (!TASK_OUTCOMES.includes(body.status)) {
+        return { error: `status must be one of ${TASK_OUTCOMES.join(', ')}` };
+    }
+    if (comment.length > MAX_COMMENT_LENGTH) {
+        return { error: `Comment may be at most ${MAX_COMMENT_LENGTH} characters` };
+    }
+    // A failed task needs to say why, so the manager can follow up
+    if (body.status === 'failed' && !comment) {
+        return { error: 'Add a comment explaining why the task could not be done' };
+    }
+
+    return { outcome: body.status, comment: comment || null };
+};
+
+module.exports = {
+    TASK_STATUSES,
+    TASK_COLUMNS,
+    TASK_JOINS,
+    readTaskBody,
+    readTaskOutcome
+};
@@ -0,0 +1,26 @@
+const bcrypt = require('bcrypt');
+const pool = require('../config/database');
+const { isTeamLeadRole } = require('./permissions');
+
+const MIN_PASSWORD_LENGTH = 8;
+const BCRYPT_ROUNDS = 10;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const isValidEmail = (email) => email.length <= 100 && EMAIL_PATTERN.test(email);
+
+// Active team leads (managers and admins) in the organization a user can report to
+const findActiveManager = async (organizationId, managerId) => {
+    const [rows] = await pool.execute(
+        `SELECT id, name FROM users
+         WHERE id = ? AND organization_id = ? AND ${isTeamLeadRole('role')} AND is_active = 1`,
+        [managerId, organizationId]
+    );
+    return rows[0] || null;
+};
+
+module.exports = { MIN_PASSWORD_LENGTH, hashPassword, normalizeEmail, isValidEmail, findActiveManager };
@@ -0,0 +1,174 @@
+const pool = require('../config/database');
+const { isValidDate } = require('../utils/datetime');
+const { inTeamOf, MANAGER_CHAIN } = require('./hierarchy');
+
+const FIELD_TYPES = ['text', 'number', 'select', 'checkbox', 'date'];
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const MAX_FIELDS_PER_FORM = 50;
+const MAX_TEXT_ANSWER_LENGTH = 2000;
+
+const parseForm = (row) => (row ? { ...row, fields: JSON.parse(row.fields) } : null);
+
+// SQL condition on visit_forms f: set by the bound manager or anyone in their reporting tree. Binds two parameters.
+const FORM_MANAGED_BY = `(f.manager_id = ? OR ${inTeamOf('f.manager_id')})`;
+
+// ...or by a manager above them, whose forms also reach their team. Binds three parameters.
+const FORM_VISIBLE_TO = `(${FORM_MANAGED_BY} OR f.manager_id IN (SELECT id FROM ${MANAGER_CHAIN}))`;
+
+// Checks a manager-submitted field list; returns { fields } in canonical shape or { error }
+const normalizeFields = (fields) => {
+    if (!Array.isArray(fields) || fields.length === 0) {
+        return { error: 'fields must be a non-empty array' };
+    }
+    if (fields.length > MAX_FIELDS_PER_FORM) {
+        return { error: `A form may have at most ${MAX_FIELDS_PER_FORM} fields` };
+    }
+
+    const seenKeys = new Set();
+    const normalized = [];
+
+    for (const field of fields) {
+        const key = field && typeof field.key === 'string' ? field.key.trim() : '';
+        const label = field && typeof field.label === 'string' ? field.label.trim() : '';
+
+        if (!FIELD_KEY_PATTERN.test(key)) {
+            return { error: `Invalid field key "${key}" (lowercase letters, digits and underscores)` };
+        }
+        if (seenKeys.has(key)) {
+            return { error: `Duplicate field key "${key}"` };
+        }
+        if (!label) {
+            return { error: `Field "${key}" needs a label` };
+        }
+        if (!FIELD_TYPES.includes(field.type)) {
+            return { error: `Field "${key}" has an unknown type; use one of ${FIELD_TYPES.join(', ')}` };
+        }
+
+        const entry = { key, label, type: field.type, required: Boolean(field.required) };
+
+        if (field.type === 'select') {
+            const options = Array.isArray(field.options)
+                ? [...new Set(field.options.map((o) => String(o).trim()).filter(Boolean))]
+                : [];
+            if (options.length === 0) {
+                return { error: `Dropdown field "${key}" needs at least one option` };
+            }
+            entry.options = options;
+        }
+
+        seenKeys.add(key);
+        normalized.push(entry);
+    }
+
+    return { fields: normalized };
+};
+
+/**
+ * Picks the form for a visit from the active forms of every manager above the employee.
+ * Most specific wins: client + visit type, then client only, then visit type only; between equally
+ * specific forms, the nearest manager's wins.
+ */
+const resolveForm = async (employeeId, clientId, visitType) => {
+    const [forms] = await pool.execute(
+        `SELECT f.* FROM visit_forms f
+         INNER JOIN ${MANAGER_CHAIN} chain ON f.manager_id = chain.id
+         WHERE f.is_active = 1
+           AND (f.client_id = ? OR f.client_id IS NULL)
+           AND (f.visit_type = ? OR f.visit_type IS NULL)
+           AND NOT (f.client_id IS NULL AND f.visit_type IS NULL)
+         ORDER BY (f.client_id IS NOT NULL) * 2 + (f.visit_type IS NOT NULL) DESC, chain.depth, f.id DESC
+         LIMIT 1`,
+        [employeeId, clientId, visitType || '']
+    );
+
+    return parseForm(forms[0]);
+};
+
+const findForm = async (formId) => {
+    const [forms] = await pool.execute('SELECT * FROM visit_forms WHERE id = ?', [formId]);
+    return parseForm(forms[0]);
+};
+
+// Validates answers against a form; returns { answers } as [{ field, value }] or { errors }
+const validateAnswers = (form, rawAnswers) => {
+    const input = rawAnswers && typeof rawAnswers === 'object' && !Array.isArray(rawAnswers) ? rawAnswers : {};
+    const errors = [];
+    const answers = [];
+
+    form.fields.forEach((field) => {
+        const raw = input[field.key];
+        const blank = raw === undefined || raw === null || raw === '';
+
+        if (field.type === 'checkbox') {
+            if (!blank && typeof raw !== 'boolean') {
+                errors.push({ field: field.key, message: `${field.label} must be true or false` });
+            } else if (field.required && raw !== true) {
+                errors.push({ field: field.key, message: `${field.label} must be checked` });
+            } else {
+                answers.push({ field, value: raw === true ? 'true' : 'false' });
+            }
+            return;
+        }
+
+        if (blank) {
+            if (field.required) {
+                errors.push({ field: field.key, message: `${field.label} is required` });
+            }
+            return;
+        }
+
+        if (field.type === 'number') {
+            if (!Number.isFinite(Number(raw)) || (typeof raw === 'string' && raw.trim() === '')) {
+                errors.push({ field: field.key, message: `${field.label} must be a number` });
+            } else {
+                answers.push({ field, value: String(Number(raw)) });
+            }
+        } else if (field.type === 'date') {
+            if (!isValidDate(raw)) {
+                errors.push({ field: field.key, message: `${field.label} must be a date (YYYY-MM-DD)` });
+            } else {
+                answers.push({ field, value: raw });
+            }
+        } else if (field.type === 'select') {
+            if (!field.options.includes(String(raw))) {
+                errors.push({ field: field.key, message: `${field.label} must be one of the listed options` });
+            } else {
+                answers.push({ field, value: String(raw) });
+            }
+        } else {
+            const text = String(raw).trim();
+            if (text.length > MAX_TEXT_ANSWER_LENGTH) {
+                errors.push({ field: field.key, message: `${field.label} is too long` });
+            } else if (!text && field.required) {
+                errors.push({ field: field.key, message: `${field.label} is required` });
+            } else if (text) {
+                answers.push({ field, value: text });
+            }
+        }
+    });
+
+    return errors.length > 0 ? { errors } : { answers };
+};
+
+// Labels and types are copied so answers stay readable if the form is edited later
+const saveAnswers = async (checkinId, formId, answers) => {
+    for (const { field, value } of answers) {
+        await pool.execute(
+            `INSERT INTO visit_form_responses (checkin_id, form_id, field_key, field_label, field_type, value)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [checkinId, formId, field.key, field.label, field.type, value]
+        );
+    }
+};
+
+module.exports = {
+    FIELD_TYPES,
+    FORM_MANAGED_BY,
+    FORM_VISIBLE_TO,
+    parseForm,
+    normalizeFields,
+    resolveForm,
+    findForm,
+    validateAnswers,
+    saveAnswers
+};
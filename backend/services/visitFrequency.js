@@ -0,0 +1,94 @@
+const pool = require('../config/database');
+const { inTeamOf } = require('./hierarchy');
+const { addDays, todayDate } = require('../utils/datetime');
+const { ACTIVE_ASSIGNMENT } = require('./assignments');
+
+const MAX_VISIT_FREQUENCY_DAYS = 365;
+
+// Clients whose next visit falls within this many days count as coming due
+const DEFAULT_DUE_WITHIN_DAYS = 3;
+
+const VISIT_CADENCE_STATUSES = ['overdue', 'due_soon', 'on_track'];
+
+/**
+ * Reads an optional visit frequency in days (e.g. 7 for weekly, 30 for monthly).
+ * Blank means no requirement. Returns { frequency } (a number or null) or { error }.
+ */
+const readVisitFrequency = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return { frequency: null };
+    }
+
+    const frequency = Number(value);
+    if (!Number.isInteger(frequency) || frequency < 1 || frequency > MAX_VISIT_FREQUENCY_DAYS) {
+        return { error: `visit_frequency_days must be a whole number from 1 to ${MAX_VISIT_FREQUENCY_DAYS}` };
+    }
+    return { frequency };
+};
+
+const daysBetween = (fromDate, toDate) => Math.round((Date.parse(toDate) - Date.parse(fromDate)) / 86400000);
+
+/**
+ * Where each current assignment with a visit frequency stands today. The frequency set on the
+ * assignment wins over the client's. The clock runs from the client's last visit by anyone in the
+ * organization, or from the assignment's start when it has never been visited.
+ * Scope with teamRootId (a manager's reporting tree) and/or employeeId.
+ */
+const fetchVisitCadence = async (organizationId, { teamRootId, employeeId, dueWithinDays = DEFAULT_DUE_WITHIN_DAYS }) => {
+    let query = `
+        SELECT ec.id AS assignment_id, ec.employee_id, u.name AS employee_name,
+               c.id AS client_id, c.name AS client_name, c.address AS client_address,
+               COALESCE(ec.visit_frequency_days, c.visit_frequency_days) AS frequency_days,
+               CASE WHEN ec.visit_frequency_days IS NOT NULL THEN 'assignment' ELSE 'client' END AS frequency_source,
+               ec.assigned_date,
+               (SELECT MAX(ch.checkin_time) FROM checkins ch WHERE ch.client_id = c.id) AS last_visit_at
+        FROM employee_clients ec
+        INNER JOIN users u ON ec.employee_id = u.id
+        INNER JOIN clients c ON ec.client_id = c.id
+        WHERE ec.organization_id = ? AND ${ACTIVE_ASSIGNMENT} AND c.archived_at IS NULL AND u.is_active = 1
+          AND COALESCE(ec.visit_frequency_days, c.visit_frequency_days) IS NOT NULL`;
+    const params = [organizationId];
+
+    if (teamRootId) {
+        query += ` AND ${inTeamOf('u.id')}`;
+        params.push(teamRootId);
+    }
+    if (employeeId) {
+        query += ' AND ec.employee_id = ?';
+        params.push(employeeId);
+    }
+
+    const [rows] = await pool.execute(query, params);
+    const today = todayDate();
+
+    return rows
+        .map((row) => {
+            const lastVisitDate = row.last_visit_at ? row.last_visit_at.slice(0, 10) : null;
+            const dueDate = addDays(lastVisitDate || row.assigned_date, row.frequency_days);
+            const daysUntilDue = daysBetween(today, dueDate);
+
+            let status = 'on_track';
+            if (daysUntilDue < 0) {
+                status = 'overdue';
+            } else if (daysUntilDue <= dueWithinDays) {
+                status = 'due_soon';
+            }
+
+            return {
+                ...row,
+                days_since_last_visit: lastVisitDate ? daysBetween(lastVisitDate, today) : null,
+                due_date: dueDate,
+                days_overdue: Math.max(-daysUntilDue, 0),
+                status
+            };
+        })
+        .sort((a, b) => a.due_date.localeCompare(b.due_date) || a.client_name.localeCompare(b.client_name));
+};
+
+module.exports = {
+    MAX_VISIT_FREQUENCY_DAYS,
+    DEFAULT_DUE_WITHIN_DAYS,
+    VISIT_CADENCE_STATUSES,
+    readVisitFrequency,
+    fetchVisitCadence
+};
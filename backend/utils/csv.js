@@ -0,0 +1,70 @@
+// Text a spreadsheet would run as a formula; exported with a leading apostrophe so it stays text
+const FORMULA_PATTERN = /^[=+\-@]/;
+
+// Quotes a value for CSV when it contains a delimiter, quote or newline
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'string' && FORMULA_PATTERN.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serializes rows as CSV using columns [{ header, value: (row) => any }]
+const toCsv = (columns, rows) => {
+    const lines = [columns.map((column) => escapeCsvValue(column.header)).join(',')];
+    rows.forEach((row) => {
+        lines.push(columns.map((column) => escapeCsvValue(column.value(row))).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+};
+
+// Undoes the apostrophe escapeCsvValue puts before formula-like text, so an export imports unchanged
+const unescapeFormula = (field) => (field[0] === "'" && FORMULA_PATTERN.test(field.slice(1)) ? field.slice(1) : field);
+
+// Parses RFC 4180 CSV (quoted fields, doubled quotes, CRLF or LF) into arrays of strings
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i += 1;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Spreadsheets often leave trailing blank lines
+    return rows
+        .filter((cells) => cells.some((cell) => cell.trim() !== ''))
+        .map((cells) => cells.map(unescapeFormula));
+};
+
+module.exports = { escapeCsvValue, toCsv, parseCsv };
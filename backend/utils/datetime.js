@@ -0,0 +1,51 @@
+// Normalizes a device timestamp (ISO string or epoch ms) to SQLite's UTC "YYYY-MM-DD HH:MM:SS" format
+const toSqlDateTime = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+
+    const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+    if (Number.isNaN(date.getTime())) return null;
+
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+};
+
+// Device capture times are accepted this far in the future (clock drift) and in the past (offline queue)
+const CAPTURE_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_CAPTURE_AGE_MS = 72 * 60 * 60 * 1000;
+
+// Resolves a device-side capture time to the effective event time, falling back to receipt time
+const resolveCaptureTime = (capturedAt) => {
+    const receivedAt = toSqlDateTime(new Date());
+
+    if (capturedAt === null || capturedAt === undefined || capturedAt === '') {
+        return { captured: null, effective: receivedAt };
+    }
+
+    const captured = toSqlDateTime(capturedAt);
+    if (!captured) {
+        return { error: 'captured_at must be an ISO 8601 timestamp' };
+    }
+
+    const age = Date.now() - new Date(captured.replace(' ', 'T') + 'Z').getTime();
+    if (age < -CAPTURE_CLOCK_SKEW_MS) {
+        return { error: 'captured_at is in the future' };
+    }
+    if (age > MAX_CAPTURE_AGE_MS) {
+        return { error: 'captured_at is too old to be synced' };
+    }
+
+    return { captured, effective: captured > receivedAt ? receivedAt : captured };
+};
+
+const isValidDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Current UTC calendar date as "YYYY-MM-DD", matching SQLite's DATE('now')
+const todayDate = () => new Date().toISOString().slice(0, 10);
+
+// Shifts a "YYYY-MM-DD" date by whole days
+const addDays = (date, days) => {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+};
+
+module.exports = { toSqlDateTime, resolveCaptureTime, isValidDate, todayDate, addDays };
@@ -0,0 +1,17 @@
+/**
+ * A numeric setting from the environment, or `fallback` when it is unset or not a positive number
+ * (0 too when allowZero), so a typo never becomes a NaN interval or a negative limit.
+ */
+const readNumberSetting = (name, fallback, { allowZero = false } = {}) => {
+    const raw = process.env[name];
+    if (raw === undefined || raw.trim() === '') return fallback;
+
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < 0 || (value === 0 && !allowZero)) {
+        console.warn(`Ignoring invalid ${name} "${raw}"; using ${fallback}`);
+        return fallback;
+    }
+    return value;
+};
+
+module.exports = { readNumberSetting };
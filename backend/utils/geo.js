@@ -0,0 +1,41 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRad = (deg) => deg * Math.PI / 180;
+
+// Great-circle distance between two coordinates (haversine), rounded to cm
+const getDistanceInMeters = (lat1, lon1, lat2, lon2) => {
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+
+    const a =
+        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+        Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+    return Math.round(EARTH_RADIUS_METERS * c * 100) / 100;
+};
+
+const isValidCoordinate = (latitude, longitude) => {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+
+    return (
+        latitude !== null && latitude !== undefined && latitude !== '' &&
+        longitude !== null && longitude !== undefined && longitude !== '' &&
+        Number.isFinite(lat) && Number.isFinite(lng) &&
+        lat >= -90 && lat <= 90 &&
+        lng >= -180 && lng <= 180
+    );
+};
+
+// GPS accuracy radius in meters, or null when the device did not report one
+const parseAccuracy = (accuracy) => {
+    if (accuracy === null || accuracy === undefined || accuracy === '') return null;
+
+    const value = Number(accuracy);
+    return Number.isFinite(value) && value >= 0 ? value : null;
+};
+
+module.exports = { getDistanceInMeters, isValidCoordinate, parseAccuracy };
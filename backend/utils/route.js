@@ -0,0 +1,74 @@
+const { getDistanceInMeters } = require('./geo');
+
+// 2-opt passes stop once a pass improves the route by less than this many meters
+const MIN_IMPROVEMENT_METERS = 0.01;
+const MAX_TWO_OPT_PASSES = 50;
+
+const distanceBetween = (a, b) => getDistanceInMeters(a.latitude, a.longitude, b.latitude, b.longitude);
+
+/**
+ * Leg distances of visiting `stops` in the given order from `start` (both { latitude, longitude }).
+ * Returns { stops, totalDistance } with each stop copied and given its leg_distance in meters.
+ */
+const measureRoute = (start, stops) => {
+    let previous = start;
+    let totalDistance = 0;
+
+    const legs = stops.map((stop) => {
+        const legDistance = distanceBetween(previous, stop);
+        totalDistance += legDistance;
+        previous = stop;
+        return { ...stop, leg_distance: legDistance };
+    });
+
+    return { stops: legs, totalDistance: Math.round(totalDistance * 100) / 100 };
+};
+
+/**
+ * Orders `stops` into a short open route from `start` by great-circle distance: a nearest-neighbour
+ * tour improved with 2-opt segment reversals. The route ends at the last stop; there is no return leg.
+ */
+const optimizeRoute = (start, stops) => {
+    const points = [start, ...stops];
+    const dist = points.map((a) => points.map((b) => distanceBetween(a, b)));
+
+    // Nearest neighbour from the start
+    const order = [0];
+    const remaining = new Set(stops.map((_, i) => i + 1));
+    while (remaining.size > 0) {
+        const last = order[order.length - 1];
+        let nearest = null;
+        for (const candidate of remaining) {
+            if (nearest === null || dist[last][candidate] < dist[last][nearest]) {
+                nearest = candidate;
+            }
+        }
+        order.push(nearest);
+        remaining.delete(nearest);
+    }
+
+    // 2-opt: reverse order[i..k] when that shortens the route; the start stays first
+    const n = order.length;
+    for (let pass = 0; pass < MAX_TWO_OPT_PASSES; pass++) {
+        let improved = false;
+
+        for (let i = 1; i < n - 1; i++) {
+            for (let k = i + 1; k < n; k++) {
+                const before = dist[order[i - 1]][order[i]] + (k + 1 < n ? dist[order[k]][order[k + 1]] : 0);
+                const after = dist[order[i - 1]][order[k]] + (k + 1 < n ? dist[order[i]][order[k + 1]] : 0);
+
+                if (before - after > MIN_IMPROVEMENT_METERS) {
+                    const reversed = order.slice(i, k + 1).reverse();
+                    order.splice(i, reversed.length, ...reversed);
+                    improved = true;
+                }
+            }
+        }
+
+        if (!improved) break;
+    }
+
+    return measureRoute(start, order.slice(1).map((index) => points[index]));
+};
+
+module.exports = { measureRoute, optimizeRoute };
@@ -3,34 +3,60 @@
 CREATE DATABASE IF NOT EXISTS unolo_tracker;
 USE unolo_tracker;
 
+-- Organizations (tenants); their users and data never see each other
+CREATE TABLE organizations (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Users table
 CREATE TABLE users (
     id INT PRIMARY KEY AUTO_INCREMENT,
+    organization_id INT NOT NULL,
     name VARCHAR(100) NOT NULL,
     email VARCHAR(100) UNIQUE NOT NULL,
     password VARCHAR(255) NOT NULL,
-    role ENUM('employee', 'manager') DEFAULT 'employee',
+    role ENUM('employee', 'manager', 'admin') DEFAULT 'employee',
     manager_id INT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    must_change_password BOOLEAN NOT NULL DEFAULT FALSE,
+    deactivated_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (organization_id) REFERENCES organizations(id)
 );
 
 -- Clients table
 CREATE TABLE clients (
     id INT PRIMARY KEY AUTO_INCREMENT,
+    organization_id INT NOT NULL,
     name VARCHAR(100) NOT NULL,
     address TEXT,
     latitude DECIMAL(10, 8),
     longitude DECIMAL(11, 8),
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    geofence_radius DECIMAL(10, 2) NOT NULL DEFAULT 500,
+    require_signature BOOLEAN NOT NULL DEFAULT FALSE,
+    external_code VARCHAR(50) NULL,
+    visit_frequency_days INT NULL,
+    archived_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY idx_clients_external_code (organization_id, external_code),
+    FOREIGN KEY (organization_id) REFERENCES organizations(id)
 );
 
 -- Employee-Client assignments
 CREATE TABLE employee_clients (
     id INT PRIMARY KEY AUTO_INCREMENT,
+    organization_id INT NOT NULL,
     employee_id INT NOT NULL,
     client_id INT NOT NULL,
     assigned_date DATE NOT NULL,
+    end_date DATE,
+    visit_frequency_days INT NULL,
+    assigned_by INT,
+    FOREIGN KEY (organization_id) REFERENCES organizations(id),
     FOREIGN KEY (employee_id) REFERENCES users(id),
     FOREIGN KEY (client_id) REFERENCES clients(id)
 );
@@ -38,18 +64,232 @@ CREATE TABLE employee_clients (
 -- Attendance/Check-ins table
 CREATE TABLE checkins (
     id INT PRIMARY KEY AUTO_INCREMENT,
+    organization_id INT NOT NULL,
     employee_id INT NOT NULL,
     client_id INT NOT NULL,
     checkin_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     checkout_time TIMESTAMP NULL,
+    checkin_captured_at TIMESTAMP NULL,
+    checkin_received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    checkin_idempotency_key VARCHAR(100) NULL,
+    checkout_captured_at TIMESTAMP NULL,
+    checkout_received_at TIMESTAMP NULL,
+    checkout_idempotency_key VARCHAR(100) NULL,
     latitude VARCHAR(50),
     longitude VARCHAR(50),
+    accuracy DECIMAL(10, 2) NULL,
     distance_from_client DECIMAL(10, 2) NULL,
+    within_geofence BOOLEAN NULL,
+    override_reason TEXT NULL,
+    suspicious_flags JSON NULL,
+    checkout_latitude DECIMAL(10, 8) NULL,
+    checkout_longitude DECIMAL(11, 8) NULL,
+    checkout_accuracy DECIMAL(10, 2) NULL,
+    checkout_distance_from_client DECIMAL(10, 2) NULL,
+    checkout_within_geofence BOOLEAN NULL,
+    signature_key VARCHAR(255) NULL,
+    signer_name VARCHAR(100) NULL,
+    signer_designation VARCHAR(100) NULL,
+    signed_at TIMESTAMP NULL,
+    visit_type VARCHAR(50) NULL,
+    form_id INT NULL,
+    closed_by_system BOOLEAN NOT NULL DEFAULT FALSE,
+    auto_close_reason VARCHAR(20) NULL,
+    corrected_at TIMESTAMP NULL,
     notes TEXT,
     status ENUM('checked_in', 'checked_out') DEFAULT 'checked_in'
 );
 
+-- Location breadcrumbs captured during an active visit
+CREATE TABLE location_pings (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    employee_id INT NOT NULL,
+    checkin_id INT NOT NULL,
+    latitude DECIMAL(10, 8) NOT NULL,
+    longitude DECIMAL(11, 8) NOT NULL,
+    accuracy DECIMAL(10, 2) NULL,
+    recorded_at TIMESTAMP NOT NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (employee_id) REFERENCES users(id),
+    FOREIGN KEY (checkin_id) REFERENCES checkins(id)
+);
+
+-- Start and end of an employee's working day, separate from client check-ins
+CREATE TABLE attendance_punches (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    organization_id INT NOT NULL,
+    employee_id INT NOT NULL,
+    punch_type ENUM('start', 'end') NOT NULL,
+    punch_time TIMESTAMP NOT NULL,
+    captured_at TIMESTAMP NULL,
+    latitude DECIMAL(10, 8) NOT NULL,
+    longitude DECIMAL(11, 8) NOT NULL,
+    accuracy DECIMAL(10, 2) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (organization_id) REFERENCES organizations(id),
+    FOREIGN KEY (employee_id) REFERENCES users(id)
+);
+
+-- Proof-of-visit photos; files live in blob storage, keys are recorded here
+CREATE TABLE checkin_photos (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    checkin_id INT NOT NULL,
+    uploaded_by INT NOT NULL,
+    storage_key VARCHAR(255) NOT NULL,
+    thumbnail_key VARCHAR(255) NOT NULL,
+    original_name VARCHAR(255) NULL,
+    mime_type VARCHAR(50) NOT NULL,
+    size_bytes INT NOT NULL,
+    width INT NULL,
+    height INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (checkin_id) REFERENCES checkins(id),
+    FOREIGN KEY (uploaded_by) REFERENCES users(id)
+);
+
+-- Manager-defined visit forms; fields is a JSON array of { key, label, type, required, options }
+CREATE TABLE visit_forms (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    manager_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    client_id INT NULL,
+    visit_type VARCHAR(50) NULL,
+    fields JSON NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (manager_id) REFERENCES users(id),
+    FOREIGN KEY (client_id) REFERENCES clients(id)
+);
+
+-- One row per answered field, with the label and type as they were at checkout
+CREATE TABLE visit_form_responses (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    checkin_id INT NOT NULL,
+    form_id INT NOT NULL,
+    field_key VARCHAR(50) NOT NULL,
+    field_label VARCHAR(255) NOT NULL,
+    field_type VARCHAR(20) NOT NULL,
+    value TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (checkin_id) REFERENCES checkins(id),
+    FOREIGN KEY (form_id) REFERENCES visit_forms(id)
+);
+
+-- Planned client visits (beat plans); windows are UTC, planned_date the day the manager planned
+-- for, and checkin_id the check-in matched to the visit
+CREATE TABLE visit_plans (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    organization_id INT NOT NULL,
+    employee_id INT NOT NULL,
+    client_id INT NOT NULL,
+    planned_date DATE NOT NULL,
+    window_start TIMESTAMP NOT NULL,
+    window_end TIMESTAMP NOT NULL,
+    checkin_id INT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (organization_id) REFERENCES organizations(id),
+    FOREIGN KEY (employee_id) REFERENCES users(id),
+    FOREIGN KEY (client_id) REFERENCES clients(id),
+    FOREIGN KEY (checkin_id) REFERENCES checkins(id),
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+-- To-dos for an employee's visit to a client; resolved as done or failed during a check-in,
+-- which checkin_id records
+CREATE TABLE visit_tasks (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    organization_id INT NOT NULL,
+    client_id INT NOT NULL,
+    assigned_to INT NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    due_date DATE NOT NULL,
+    status ENUM('open', 'done', 'failed') NOT NULL DEFAULT 'open',
+    outcome_comment TEXT,
+    checkin_id INT NULL,
+    completed_at TIMESTAMP NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (organization_id) REFERENCES organizations(id),
+    FOREIGN KEY (client_id) REFERENCES clients(id),
+    FOREIGN KEY (assigned_to) REFERENCES users(id),
+    FOREIGN KEY (checkin_id) REFERENCES checkins(id),
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+-- Employee requests to fix a check-in; changes is a JSON object of the proposed client_id,
+-- checkin_time, checkout_time and notes, original_values the check-in's values when approved
+CREATE TABLE checkin_corrections (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    organization_id INT NOT NULL,
+    checkin_id INT NOT NULL,
+    requested_by INT NOT NULL,
+    changes JSON NOT NULL,
+    reason TEXT NOT NULL,
+    status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+    original_values JSON NULL,
+    reviewed_by INT NULL,
+    review_note TEXT NULL,
+    reviewed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (organization_id) REFERENCES organizations(id),
+    FOREIGN KEY (checkin_id) REFERENCES checkins(id),
+    FOREIGN KEY (requested_by) REFERENCES users(id),
+    FOREIGN KEY (reviewed_by) REFERENCES users(id)
+);
+
+-- Append-only trail of data changes; before/after hold JSON row snapshots
+CREATE TABLE audit_log (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    organization_id INT NOT NULL,
+    actor_id INT NULL,
+    action VARCHAR(50) NOT NULL,
+    entity_type VARCHAR(30) NOT NULL,
+    entity_id INT NOT NULL,
+    before_values JSON NULL,
+    after_values JSON NULL,
+    ip_address VARCHAR(45) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (organization_id) REFERENCES organizations(id),
+    FOREIGN KEY (actor_id) REFERENCES users(id)
+);
+
 -- Create indexes for performance
 CREATE INDEX idx_checkins_employee ON checkins(employee_id);
 CREATE INDEX idx_checkins_date ON checkins(checkin_time);
 CREATE INDEX idx_employee_clients ON employee_clients(employee_id, client_id);
+CREATE UNIQUE INDEX idx_checkins_checkin_key ON checkins(employee_id, checkin_idempotency_key);
+CREATE UNIQUE INDEX idx_checkins_checkout_key ON checkins(employee_id, checkout_idempotency_key);
+CREATE INDEX idx_location_pings_employee ON location_pings(employee_id, recorded_at);
+CREATE INDEX idx_location_pings_checkin ON location_pings(checkin_id);
+CREATE INDEX idx_attendance_punches_employee ON attendance_punches(employee_id, punch_time);
+CREATE INDEX idx_attendance_punches_organization ON attendance_punches(organization_id, punch_time);
+CREATE INDEX idx_checkin_photos_checkin ON checkin_photos(checkin_id);
+CREATE INDEX idx_clients_name ON clients(name);
+CREATE INDEX idx_users_organization ON users(organization_id);
+CREATE INDEX idx_clients_organization ON clients(organization_id, archived_at);
+CREATE INDEX idx_employee_clients_organization ON employee_clients(organization_id);
+CREATE INDEX idx_checkins_organization ON checkins(organization_id, checkin_time);
+CREATE INDEX idx_visit_forms_manager ON visit_forms(manager_id, is_active);
+CREATE UNIQUE INDEX idx_visit_form_responses_field ON visit_form_responses(checkin_id, field_key);
+CREATE INDEX idx_visit_form_responses_form ON visit_form_responses(form_id, field_key, value(100));
+CREATE INDEX idx_visit_plans_employee ON visit_plans(employee_id, planned_date);
+CREATE INDEX idx_visit_plans_organization ON visit_plans(organization_id, planned_date);
+CREATE UNIQUE INDEX idx_visit_plans_checkin ON visit_plans(checkin_id);
+CREATE INDEX idx_visit_tasks_assignee ON visit_tasks(assigned_to, client_id, status);
+CREATE INDEX idx_visit_tasks_organization ON visit_tasks(organization_id, due_date);
+CREATE INDEX idx_checkin_corrections_checkin ON checkin_corrections(checkin_id, status);
+CREATE INDEX idx_checkin_corrections_organization ON checkin_corrections(organization_id, status);
+CREATE INDEX idx_audit_log_organization ON audit_log(organization_id, created_at);
+CREATE INDEX idx_audit_log_entity ON audit_log(entity_type, entity_id);
+
+DELIMITER //
+CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only'//
+CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only'//
+DELIMITER ;
@@ -1,36 +1,49 @@
 -- Seed data for Unolo Field Force Tracker
 USE unolo_tracker;
 
+-- Every sample record belongs to one demo organization
+INSERT INTO organizations (name) VALUES ('Unolo Demo');
+
 -- Insert users (password is 'password123' hashed with bcrypt)
-INSERT INTO users (name, email, password, role, manager_id) VALUES
-('Amit Sharma', 'manager@unolo.com', '$2b$10$5QzV5G5X5Y5Z5A5B5C5D5e5f5g5h5i5j5k5l5m5n5o5p5q5r5s5t5', 'manager', NULL),
-('Rahul Kumar', 'rahul@unolo.com', '$2b$10$5QzV5G5X5Y5Z5A5B5C5D5e5f5g5h5i5j5k5l5m5n5o5p5q5r5s5t5', 'employee', 1),
-('Priya Singh', 'priya@unolo.com', '$2b$10$5QzV5G5X5Y5Z5A5B5C5D5e5f5g5h5i5j5k5l5m5n5o5p5q5r5s5t5', 'employee', 1),
-('Vikram Patel', 'vikram@unolo.com', '$2b$10$5QzV5G5X5Y5Z5A5B5C5D5e5f5g5h5i5j5k5l5m5n5o5p5q5r5s5t5', 'employee', 1);
+INSERT INTO users (organization_id, name, email, password, role, manager_id) VALUES
+(1, 'Amit Sharma', 'manager@unolo.com', '$2b$10$5QzV5G5X5Y5Z5A5B5C5D5e5f5g5h5i5j5k5l5m5n5o5p5q5r5s5t5', 'manager', NULL),
+(1, 'Rahul Kumar', 'rahul@unolo.com', '$2b$10$5QzV5G5X5Y5Z5A5B5C5D5e5f5g5h5i5j5k5l5m5n5o5p5q5r5s5t5', 'employee', 1),
+(1, 'Priya Singh', 'priya@unolo.com', '$2b$10$5QzV5G5X5Y5Z5A5B5C5D5e5f5g5h5i5j5k5l5m5n5o5p5q5r5s5t5', 'employee', 1),
+(1, 'Vikram Patel', 'vikram@unolo.com', '$2b$10$5QzV5G5X5Y5Z5A5B5C5D5e5f5g5h5i5j5k5l5m5n5o5p5q5r5s5t5', 'employee', 1),
+(1, 'Neha Kapoor', 'regional@unolo.com', '$2b$10$5QzV5G5X5Y5Z5A5B5C5D5e5f5g5h5i5j5k5l5m5n5o5p5q5r5s5t5', 'manager', NULL),
+(1, 'Admin', 'admin@unolo.com', '$2b$10$5QzV5G5X5Y5Z5A5B5C5D5e5f5g5h5i5j5k5l5m5n5o5p5q5r5s5t5', 'admin', NULL);
+
+-- Regional head above Amit's team, with the admin at the top of the tree
+UPDATE users SET manager_id = 5 WHERE id = 1;
+UPDATE users SET manager_id = 6 WHERE id = 5;
 
 -- Insert clients (locations in Gurugram/Delhi NCR)
-INSERT INTO clients (name, address, latitude, longitude) VALUES
-('ABC Corp', 'Cyber City, Gurugram', 28.4946, 77.0887),
-('XYZ Ltd', 'Sector 44, Gurugram', 28.4595, 77.0266),
-('Tech Solutions', 'DLF Phase 3, Gurugram', 28.4947, 77.0952),
-('Global Services', 'Udyog Vihar, Gurugram', 28.5011, 77.0838),
-('Innovate Inc', 'Sector 18, Noida', 28.5707, 77.3219);
+INSERT INTO clients (organization_id, name, address, latitude, longitude, require_signature, external_code) VALUES
+(1, 'ABC Corp', 'Cyber City, Gurugram', 28.4946, 77.0887, FALSE, 'GGN-001'),
+(1, 'XYZ Ltd', 'Sector 44, Gurugram', 28.4595, 77.0266, FALSE, 'GGN-002'),
+(1, 'Tech Solutions', 'DLF Phase 3, Gurugram', 28.4947, 77.0952, TRUE, 'GGN-003'),
+(1, 'Global Services', 'Udyog Vihar, Gurugram', 28.5011, 77.0838, FALSE, 'GGN-004'),
+(1, 'Innovate Inc', 'Sector 18, Noida', 28.5707, 77.3219, FALSE, 'NOI-001');
 
 -- Assign employees to clients
-INSERT INTO employee_clients (employee_id, client_id, assigned_date) VALUES
-(2, 1, '2024-01-01'),
-(2, 2, '2024-01-01'),
-(2, 3, '2024-01-15'),
-(3, 2, '2024-01-01'),
-(3, 4, '2024-01-01'),
-(4, 1, '2024-01-10'),
-(4, 5, '2024-01-10');
+INSERT INTO employee_clients (organization_id, employee_id, client_id, assigned_date) VALUES
+(1, 2, 1, '2024-01-01'),
+(1, 2, 2, '2024-01-01'),
+(1, 2, 3, '2024-01-15'),
+(1, 3, 2, '2024-01-01'),
+(1, 3, 4, '2024-01-01'),
+(1, 4, 1, '2024-01-10'),
+(1, 4, 5, '2024-01-10');
 
 -- Insert some sample checkins
-INSERT INTO checkins (employee_id, client_id, checkin_time, checkout_time, latitude, longitude, notes, status) VALUES
-(2, 1, '2024-01-15 09:15:00', '2024-01-15 11:30:00', '28.4946', '77.0887', 'Regular visit', 'checked_out'),
-(2, 2, '2024-01-15 12:00:00', '2024-01-15 14:00:00', '28.4595', '77.0266', 'Product demo', 'checked_out'),
-(2, 3, '2024-01-15 15:00:00', '2024-01-15 17:30:00', '28.4947', '77.0952', 'Follow up meeting', 'checked_out'),
-(3, 2, '2024-01-15 09:30:00', '2024-01-15 12:00:00', '28.4595', '77.0266', 'Contract discussion', 'checked_out'),
-(3, 4, '2024-01-15 13:00:00', '2024-01-15 16:00:00', '28.5011', '77.0838', 'New requirements', 'checked_out'),
-(2, 1, '2024-01-16 09:00:00', NULL, '28.4950', '77.0890', 'Morning visit', 'checked_in');
+INSERT INTO checkins (organization_id, employee_id, client_id, checkin_time, checkout_time, latitude, longitude, notes, status) VALUES
+(1, 2, 1, '2024-01-15 09:15:00', '2024-01-15 11:30:00', '28.4946', '77.0887', 'Regular visit', 'checked_out'),
+(1, 2, 2, '2024-01-15 12:00:00', '2024-01-15 14:00:00', '28.4595', '77.0266', 'Product demo', 'checked_out'),
+(1, 2, 3, '2024-01-15 15:00:00', '2024-01-15 17:30:00', '28.4947', '77.0952', 'Follow up meeting', 'checked_out'),
+(1, 3, 2, '2024-01-15 09:30:00', '2024-01-15 12:00:00', '28.4595', '77.0266', 'Contract discussion', 'checked_out'),
+(1, 3, 4, '2024-01-15 13:00:00', '2024-01-15 16:00:00', '28.5011', '77.0838', 'New requirements', 'checked_out'),
+(1, 2, 1, '2024-01-16 09:00:00', NULL, '28.4950', '77.0890', 'Morning visit', 'checked_in');
+
+-- Sample visit form for ABC Corp
+INSERT INTO visit_forms (manager_id, name, client_id, visit_type, fields) VALUES
+(1, 'Store Audit', 1, NULL, '[{"key":"shelf_share","label":"Shelf share (%)","type":"number","required":true},{"key":"stock_status","label":"Stock status","type":"select","required":true,"options":["In stock","Low","Out of stock"]},{"key":"display_ok","label":"Display set up correctly","type":"checkbox","required":false},{"key":"next_visit","label":"Next visit","type":"date","required":false},{"key":"remarks","label":"Remarks","type":"text","required":false}]');
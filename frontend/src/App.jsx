@@ -6,6 +6,18 @@ import Dashboard from "./pages/Dashboard";
 import CheckIn from "./pages/CheckIn";
 import History from "./pages/History";
 import Report from "./pages/Report";
+import RouteReplay from "./pages/RouteReplay";
+import VisitForms from "./pages/VisitForms";
+import Clients from "./pages/Clients";
+import Assignments from "./pages/Assignments";
+import Users from "./pages/Users";
+import ChangePassword from "./pages/ChangePassword";
+import AuditLog from "./pages/AuditLog";
+import Corrections from "./pages/Corrections";
+import EmployeeDetail from "./pages/EmployeeDetail";
+import Plans from "./pages/Plans";
+import MyRoute from "./pages/MyRoute";
+import Tasks from "./pages/Tasks";
 import Layout from "./components/Layout";
 
 function App() {
@@ -32,7 +44,19 @@ function App() {
           <Route path="dashboard" element={<Dashboard />} />
           <Route path="checkin" element={<CheckIn />} />
           <Route path="history" element={<History />} />
+          <Route path="my-route" element={<MyRoute />} />
           <Route path="report" element={<Report />} />
+          <Route path="employees/:id" element={<EmployeeDetail />} />
+          <Route path="route" element={<RouteReplay />} />
+          <Route path="forms" element={<VisitForms />} />
+          <Route path="clients" element={<Clients />} />
+          <Route path="assignments" element={<Assignments />} />
+          <Route path="plans" element={<Plans />} />
+          <Route path="tasks" element={<Tasks />} />
+          <Route path="users" element={<Users />} />
+          <Route path="corrections" element={<Corrections />} />
+          <Route path="audit" element={<AuditLog />} />
+          <Route path="password" element={<ChangePassword />} />
         </Route>
       </Routes>
     </BrowserRouter>
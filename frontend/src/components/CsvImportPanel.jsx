@@ -0,0 +1,109 @@
+import { useState } from "react";
+import api from "../utils/api";
+
+// Upload flow shared by the CSV importers: validate with a dry run, then import
+function CsvImportPanel({ endpoint, columns, onImported, onClose }) {
+  const [file, setFile] = useState(null);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const upload = async (dryRun) => {
+    setBusy(true);
+    setError("");
+
+    const formData = new FormData();
+    formData.append("file", file);
+
+    try {
+      const res = await api.post(
+        `${endpoint}${dryRun ? "?dry_run=true" : ""}`,
+        formData,
+        { headers: { "Content-Type": "multipart/form-data" } },
+      );
+      setResult(res.data.data);
+      if (!dryRun) onImported(res.data.data);
+    } catch (err) {
+      setResult(err.response?.data?.data || null);
+      setError(err.response?.data?.message || "Import failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const validated = result?.dry_run && result.errors.length === 0;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-6 space-y-4">
+      <div className="flex justify-between items-start">
+        <div>
+          <h3 className="font-semibold">Import CSV</h3>
+          <p className="text-sm text-gray-500">Columns: {columns}</p>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-sm text-gray-500 hover:underline"
+        >
+          Close
+        </button>
+      </div>
+
+      <input
+        type="file"
+        accept=".csv,text/csv"
+        onChange={(e) => {
+          setFile(e.target.files[0] || null);
+          setResult(null);
+          setError("");
+        }}
+        className="block text-sm"
+      />
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {result && (
+        <div className="text-sm space-y-2">
+          <p>
+            {result.dry_run ? "Validation" : "Import"}: {result.total_rows}{" "}
+            rows, {result.created} to create, {result.updated} to update
+            {result.unchanged !== undefined &&
+              `, ${result.unchanged} unchanged`}
+            {!result.dry_run && result.errors.length === 0 && " - done"}
+          </p>
+          {result.errors.length > 0 && (
+            <ul className="max-h-48 overflow-y-auto border rounded divide-y">
+              {result.errors.map((e) => (
+                <li key={e.row} className="px-3 py-1 text-red-700">
+                  Row {e.row}: {e.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          onClick={() => upload(true)}
+          disabled={!file || busy}
+          className="px-5 py-2 rounded border hover:bg-gray-50 disabled:text-gray-400"
+        >
+          Validate
+        </button>
+        <button
+          onClick={() => upload(false)}
+          disabled={!validated || busy}
+          className="bg-blue-600 text-white px-5 py-2 rounded hover:bg-blue-700 disabled:bg-blue-400"
+        >
+          {busy ? "Working..." : "Import"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default CsvImportPanel;
@@ -1,29 +1,54 @@
 import { useEffect } from "react";
 import { Outlet, Link, useLocation, useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import { useLocationPings } from "../hooks/useLocationPings";
+import { useOfflineSync } from "../hooks/useOfflineSync";
+import { can } from "../utils/permissions";
+
+// Shown to users holding the permission; items without one are shown to everyone
+const NAV_ITEMS = [
+  { path: "/dashboard", label: "Dashboard" },
+  { path: "/checkin", label: "Check In" },
+  { path: "/my-route", label: "My Route", permission: "checkins:create" },
+  { path: "/history", label: "History", hideWith: "reports:read" },
+  { path: "/report", label: "Reports", permission: "reports:read" },
+  { path: "/route", label: "Route Replay", permission: "team:read" },
+  { path: "/corrections", label: "Corrections", permission: "checkins:edit" },
+  { path: "/users", label: "Team", permission: "users:manage" },
+  { path: "/clients", label: "Clients", permission: "clients:read" },
+  {
+    path: "/assignments",
+    label: "Assignments",
+    permission: "assignments:manage",
+  },
+  { path: "/plans", label: "Visit Plans", permission: "plans:manage" },
+  { path: "/tasks", label: "Tasks", permission: "tasks:manage" },
+  { path: "/forms", label: "Visit Forms", permission: "forms:manage" },
+  { path: "/audit", label: "Audit Log", permission: "audit:read" },
+];
 
 function Layout() {
   const { user, logout } = useAuth();
 
   const location = useLocation();
 
-  const navItems =
-    user?.role === "manager"
-      ? [
-          { path: "/dashboard", label: "Dashboard" },
-          { path: "/checkin", label: "Check In" },
-          { path: "/report", label: "Reports" },
-        ]
-      : [
-          { path: "/dashboard", label: "Dashboard" },
-          { path: "/checkin", label: "Check In" },
-          { path: "/history", label: "History" },
-        ];
+  // The API refuses everything but a password change until a temporary password is replaced
+  const canUseApi = Boolean(user) && !user.must_change_password;
+  useLocationPings(canUseApi);
+  useOfflineSync(canUseApi);
+
+  const navItems = NAV_ITEMS.filter(
+    (item) =>
+      (!item.permission || can(user, item.permission)) &&
+      !(item.hideWith && can(user, item.hideWith)),
+  );
 
   const navigate = useNavigate();
 
   useEffect(() => {
-    if (user?.role === "manager" && location.pathname === "/history") {
+    if (user?.must_change_password && location.pathname !== "/password") {
+      navigate("/password", { replace: true });
+    } else if (can(user, "reports:read") && location.pathname === "/history") {
       navigate("/report", { replace: true });
     }
   }, [user, location.pathname]);
@@ -52,9 +77,18 @@ function Layout() {
             </nav>
           </div>
           <div className="flex items-center space-x-4">
-            <span className="text-sm text-gray-600">
+            {user.organization_name && (
+              <span className="text-sm text-gray-400">
+                {user.organization_name}
+              </span>
+            )}
+            <Link
+              to="/password"
+              className="text-sm text-gray-600 hover:underline"
+              title="Change password"
+            >
               {user.name} ({user.role})
-            </span>
+            </Link>
             <button
               onClick={logout}
               className="px-4 py-2 text-sm text-red-600 hover:bg-red-50 rounded-md"
@@ -0,0 +1,114 @@
+import { useEffect, useState } from "react";
+import api from "../utils/api";
+
+// Photos are behind auth, so they are fetched as blobs rather than linked directly
+async function fetchPhotoUrl(photoId, variant) {
+  const query = variant ? `?variant=${variant}` : "";
+  const res = await api.get(`/photos/${photoId}${query}`, {
+    responseType: "blob",
+  });
+  return URL.createObjectURL(res.data);
+}
+
+function PhotoGallery({ checkinId }) {
+  const [photos, setPhotos] = useState([]);
+  const [thumbnails, setThumbnails] = useState({});
+  const [fullImage, setFullImage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    const urls = [];
+
+    const load = async () => {
+      try {
+        const res = await api.get(`/checkin/${checkinId}/photos`);
+        if (cancelled || !res.data.success) return;
+
+        setPhotos(res.data.data);
+
+        for (const photo of res.data.data) {
+          const url = await fetchPhotoUrl(photo.id, "thumbnail");
+          urls.push(url);
+          if (cancelled) return;
+          setThumbnails((prev) => ({ ...prev, [photo.id]: url }));
+        }
+      } catch {
+        if (!cancelled) setError("Failed to load photos");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+      urls.forEach((url) => URL.revokeObjectURL(url));
+    };
+  }, [checkinId]);
+
+  const openPhoto = async (photo) => {
+    try {
+      const url = await fetchPhotoUrl(photo.id);
+      setFullImage({ url, name: photo.original_name });
+    } catch {
+      setError("Failed to load photo");
+    }
+  };
+
+  const closePhoto = () => {
+    URL.revokeObjectURL(fullImage.url);
+    setFullImage(null);
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading photos...</p>;
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  if (photos.length === 0) {
+    return <p className="text-sm text-gray-500">No photos</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2">
+        {photos.map((photo) => (
+          <button
+            key={photo.id}
+            onClick={() => openPhoto(photo)}
+            className="w-24 h-24 bg-gray-100 rounded overflow-hidden border hover:ring-2 hover:ring-blue-500"
+          >
+            {thumbnails[photo.id] && (
+              <img
+                src={thumbnails[photo.id]}
+                alt={photo.original_name || "Visit photo"}
+                className="w-full h-full object-cover"
+              />
+            )}
+          </button>
+        ))}
+      </div>
+
+      {fullImage && (
+        <div
+          className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50"
+          onClick={closePhoto}
+        >
+          <img
+            src={fullImage.url}
+            alt={fullImage.name || "Visit photo"}
+            className="max-w-[90vw] max-h-[90vh] rounded shadow-lg"
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PhotoGallery;
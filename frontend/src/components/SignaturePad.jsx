@@ -0,0 +1,88 @@
+import { useEffect, useRef, useState } from "react";
+
+// Canvas signature capture; reports a PNG data URL, or null once cleared
+function SignaturePad({ onChange, disabled }) {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+  const [hasInk, setHasInk] = useState(false);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext("2d");
+    ctx.lineWidth = 2;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.strokeStyle = "#111827";
+  }, []);
+
+  const pointFrom = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((e.clientY - rect.top) * canvas.height) / rect.height,
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    if (disabled) return;
+    e.preventDefault();
+    canvasRef.current.setPointerCapture(e.pointerId);
+    const ctx = canvasRef.current.getContext("2d");
+    const { x, y } = pointFrom(e);
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    drawingRef.current = true;
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drawingRef.current) return;
+    e.preventDefault();
+    const ctx = canvasRef.current.getContext("2d");
+    const { x, y } = pointFrom(e);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+    if (!hasInk) setHasInk(true);
+  };
+
+  const handlePointerUp = () => {
+    if (!drawingRef.current) return;
+    drawingRef.current = false;
+    if (hasInk) onChange(canvasRef.current.toDataURL("image/png"));
+  };
+
+  const clear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+    setHasInk(false);
+    onChange(null);
+  };
+
+  return (
+    <div>
+      <canvas
+        ref={canvasRef}
+        width={500}
+        height={160}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+        className="w-full h-40 bg-white border rounded-md touch-none"
+      />
+      <div className="flex justify-between items-center mt-1">
+        <p className="text-xs text-gray-500">Sign inside the box</p>
+        <button
+          type="button"
+          onClick={clear}
+          disabled={disabled || !hasInk}
+          className="text-sm text-blue-700 underline disabled:text-gray-400"
+        >
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SignaturePad;
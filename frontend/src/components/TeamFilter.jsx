@@ -0,0 +1,37 @@
+import { useEffect, useState } from "react";
+import api from "../utils/api";
+
+// Sub-team picker for managers with managers below them; renders nothing for a single-level team
+function TeamFilter({ value, onChange, className = "" }) {
+  const [teams, setTeams] = useState([]);
+
+  useEffect(() => {
+    api
+      .get("/dashboard/teams")
+      .then((res) => setTeams(res.data.data))
+      .catch(() => setTeams([]));
+  }, []);
+
+  if (teams.length === 0) return null;
+
+  return (
+    <div className={className}>
+      <label className="block text-sm text-gray-600">Team</label>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="border px-3 py-2 rounded"
+      >
+        <option value="">Whole organization</option>
+        {teams.map((team) => (
+          <option key={team.id} value={team.id}>
+            {"  ".repeat(team.depth - 1)}
+            {team.name}&apos;s team
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default TeamFilter;
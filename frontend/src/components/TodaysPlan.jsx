@@ -0,0 +1,77 @@
+import { useEffect, useState } from "react";
+import api from "../utils/api";
+import { CHECKIN_CHANGED_EVENT } from "../hooks/useLocationPings";
+import {
+  formatLocalTime,
+  getTodayLocal,
+  parseUtcToLocal,
+} from "../utils/date-helper";
+
+export const PLAN_STATUS_STYLES = {
+  planned: "bg-blue-100 text-blue-800",
+  visited: "bg-green-100 text-green-800",
+  late: "bg-yellow-100 text-yellow-800",
+  missed: "bg-red-100 text-red-800",
+};
+
+export const formatPlanWindow = (plan) =>
+  `${formatLocalTime(parseUtcToLocal(plan.window_start))} - ${formatLocalTime(
+    parseUtcToLocal(plan.window_end),
+  )}`;
+
+// The signed-in employee's planned visits for today; refreshed whenever a visit starts or ends
+function TodaysPlan({ onSelectClient, className = "" }) {
+  const [plans, setPlans] = useState([]);
+
+  useEffect(() => {
+    const fetchPlans = () =>
+      api
+        .get(`/plans/mine?date=${getTodayLocal()}`)
+        .then((res) => setPlans(res.data.data))
+        .catch(() => setPlans([]));
+
+    fetchPlans();
+    window.addEventListener(CHECKIN_CHANGED_EVENT, fetchPlans);
+    return () => window.removeEventListener(CHECKIN_CHANGED_EVENT, fetchPlans);
+  }, []);
+
+  if (plans.length === 0) return null;
+
+  return (
+    <div className={`bg-white rounded-lg shadow ${className}`}>
+      <h3 className="text-lg font-semibold p-4 border-b">Today's Plan</h3>
+      <ul className="divide-y">
+        {plans.map((plan) => (
+          <li
+            key={plan.id}
+            className="p-4 flex justify-between items-center gap-4"
+          >
+            <div>
+              <div className="font-medium">{plan.client_name}</div>
+              <div className="text-sm text-gray-500">
+                {formatPlanWindow(plan)} · {plan.client_address}
+              </div>
+            </div>
+            <div className="flex items-center gap-3">
+              <span
+                className={`px-2 py-0.5 rounded text-xs ${PLAN_STATUS_STYLES[plan.status]}`}
+              >
+                {plan.status}
+              </span>
+              {onSelectClient && plan.status === "planned" && (
+                <button
+                  onClick={() => onSelectClient(String(plan.client_id))}
+                  className="text-sm text-blue-600 hover:underline"
+                >
+                  Select
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default TodaysPlan;
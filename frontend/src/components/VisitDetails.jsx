@@ -0,0 +1,118 @@
+import { Fragment, useEffect, useState } from "react";
+import api from "../utils/api";
+import PhotoGallery from "./PhotoGallery";
+import { formatLocalTime, parseUtcToLocal } from "../utils/date-helper";
+
+// Expanded view of a completed visit: form answers, photos and the client's checkout signature
+function VisitDetails({ visit }) {
+  const [signatureUrl, setSignatureUrl] = useState(null);
+  const [signatureError, setSignatureError] = useState("");
+  const [formResponses, setFormResponses] = useState([]);
+
+  useEffect(() => {
+    if (!visit.form_id) return undefined;
+
+    let cancelled = false;
+    api
+      .get(`/checkin/${visit.id}/form-responses`)
+      .then((res) => {
+        if (!cancelled && res.data.success) setFormResponses(res.data.data);
+      })
+      .catch(() => {
+        // answers are supplementary; the rest of the visit still renders
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [visit.id, visit.form_id]);
+
+  useEffect(() => {
+    if (!visit.signature_key) return undefined;
+
+    let cancelled = false;
+    let url = null;
+
+    api
+      .get(`/checkin/${visit.id}/signature`, { responseType: "blob" })
+      .then((res) => {
+        url = URL.createObjectURL(res.data);
+        if (cancelled) {
+          URL.revokeObjectURL(url);
+        } else {
+          setSignatureUrl(url);
+        }
+      })
+      .catch(() => {
+        if (!cancelled) setSignatureError("Failed to load signature");
+      });
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [visit.id, visit.signature_key]);
+
+  return (
+    <div className="flex flex-wrap gap-6">
+      {formResponses.length > 0 && (
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">
+            {formResponses[0].form_name}
+          </p>
+          <dl className="text-sm grid grid-cols-[auto_1fr] gap-x-4 gap-y-1">
+            {formResponses.map((r) => (
+              <Fragment key={r.field_key}>
+                <dt className="text-gray-500">{r.field_label}</dt>
+                <dd className="text-gray-800">
+                  {r.field_type === "checkbox"
+                    ? r.value === "true"
+                      ? "Yes"
+                      : "No"
+                    : r.value}
+                </dd>
+              </Fragment>
+            ))}
+          </dl>
+        </div>
+      )}
+
+      {visit.photo_count > 0 && (
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">Photos</p>
+          <PhotoGallery checkinId={visit.id} />
+        </div>
+      )}
+
+      {visit.signature_key && (
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">Signature</p>
+          {signatureError ? (
+            <p className="text-sm text-red-600">{signatureError}</p>
+          ) : signatureUrl ? (
+            <img
+              src={signatureUrl}
+              alt={`Signature of ${visit.signer_name}`}
+              className="h-24 bg-white border rounded"
+            />
+          ) : (
+            <p className="text-sm text-gray-500">Loading signature...</p>
+          )}
+          <p className="text-sm text-gray-700 mt-1">
+            {visit.signer_name}
+            {visit.signer_designation && (
+              <span className="text-gray-500">
+                , {visit.signer_designation}
+              </span>
+            )}
+          </p>
+          <p className="text-xs text-gray-500">
+            Signed at {formatLocalTime(parseUtcToLocal(visit.signed_at))}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default VisitDetails;
@@ -0,0 +1,26 @@
+// Where a client with a visit frequency stands: overdue, coming due or on track
+function VisitDueBadge({ client }) {
+  if (client.status === "overdue") {
+    return (
+      <span className="px-2 py-1 rounded text-xs bg-red-100 text-red-800 whitespace-nowrap">
+        Overdue {client.days_overdue} day(s)
+      </span>
+    );
+  }
+
+  if (client.status === "due_soon") {
+    return (
+      <span className="px-2 py-1 rounded text-xs bg-yellow-100 text-yellow-800 whitespace-nowrap">
+        Due {client.due_date}
+      </span>
+    );
+  }
+
+  return (
+    <span className="px-2 py-1 rounded text-xs bg-green-100 text-green-800 whitespace-nowrap">
+      On track
+    </span>
+  );
+}
+
+export default VisitDueBadge;
@@ -0,0 +1,63 @@
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+// Renders a manager-defined visit form; values are keyed by field key
+function VisitFormFields({ fields, values, onChange, errors = {}, disabled }) {
+  const setValue = (key, value) => onChange({ ...values, [key]: value });
+
+  return (
+    <div className="space-y-3">
+      {fields.map((field) => (
+        <div key={field.key}>
+          {field.type === "checkbox" ? (
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={values[field.key] === true}
+                onChange={(e) => setValue(field.key, e.target.checked)}
+                disabled={disabled}
+              />
+              {field.label}
+              {field.required && <span className="text-red-600">*</span>}
+            </label>
+          ) : (
+            <>
+              <label className="block text-gray-700 text-sm font-medium mb-1">
+                {field.label}
+                {field.required && <span className="text-red-600"> *</span>}
+              </label>
+              {field.type === "select" ? (
+                <select
+                  value={values[field.key] ?? ""}
+                  onChange={(e) => setValue(field.key, e.target.value)}
+                  disabled={disabled}
+                  className={inputClass}
+                >
+                  <option value="">Choose...</option>
+                  {field.options.map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type={field.type}
+                  value={values[field.key] ?? ""}
+                  onChange={(e) => setValue(field.key, e.target.value)}
+                  disabled={disabled}
+                  className={inputClass}
+                />
+              )}
+            </>
+          )}
+          {errors[field.key] && (
+            <p className="text-red-600 text-xs mt-1">{errors[field.key]}</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default VisitFormFields;
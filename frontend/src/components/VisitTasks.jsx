@@ -0,0 +1,109 @@
+import { useEffect, useState } from "react";
+import api from "../utils/api";
+
+export const TASK_STATUS_STYLES = {
+  open: "bg-blue-100 text-blue-800",
+  done: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+};
+
+// Tasks the manager set for this visit's client; each is marked done or failed before leaving
+function VisitTasks({ checkinId }) {
+  const [tasks, setTasks] = useState([]);
+  const [comments, setComments] = useState({});
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetchTasks();
+  }, [checkinId]);
+
+  const fetchTasks = async () => {
+    try {
+      const res = await api.get(`/tasks/visit/${checkinId}`);
+      if (res.data.success) {
+        setTasks(res.data.data);
+      }
+    } catch {
+      setTasks([]);
+    }
+  };
+
+  const complete = async (task, status) => {
+    setError("");
+    try {
+      await api.post(`/tasks/${task.id}/complete`, {
+        status,
+        comment: comments[task.id] || "",
+      });
+      fetchTasks();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to update task");
+    }
+  };
+
+  if (tasks.length === 0) return null;
+
+  return (
+    <div className="mt-4">
+      <p className="text-sm font-medium text-blue-800 mb-2">Tasks</p>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      <ul className="space-y-2">
+        {tasks.map((task) => (
+          <li key={task.id} className="bg-white border rounded-md p-3">
+            <div className="flex justify-between items-start gap-2">
+              <div>
+                <div className="font-medium">{task.title}</div>
+                {task.description && (
+                  <div className="text-sm text-gray-600">
+                    {task.description}
+                  </div>
+                )}
+                <div className="text-xs text-gray-500">Due {task.due_date}</div>
+              </div>
+              <span
+                className={`px-2 py-0.5 rounded text-xs ${TASK_STATUS_STYLES[task.status]}`}
+              >
+                {task.status}
+              </span>
+            </div>
+
+            {task.status === "open" ? (
+              <div className="mt-2 flex flex-wrap gap-2">
+                <input
+                  type="text"
+                  maxLength={1000}
+                  placeholder="Comment (required if it could not be done)"
+                  value={comments[task.id] || ""}
+                  onChange={(e) =>
+                    setComments({ ...comments, [task.id]: e.target.value })
+                  }
+                  className="flex-1 min-w-[200px] px-2 py-1 border border-gray-300 rounded text-sm"
+                />
+                <button
+                  onClick={() => complete(task, "done")}
+                  className="px-3 py-1 rounded bg-green-600 text-white text-sm hover:bg-green-700"
+                >
+                  Done
+                </button>
+                <button
+                  onClick={() => complete(task, "failed")}
+                  className="px-3 py-1 rounded bg-red-600 text-white text-sm hover:bg-red-700"
+                >
+                  Could not do
+                </button>
+              </div>
+            ) : (
+              task.outcome_comment && (
+                <p className="mt-1 text-sm text-gray-600">
+                  {task.outcome_comment}
+                </p>
+              )
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default VisitTasks;
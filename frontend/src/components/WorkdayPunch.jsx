@@ -0,0 +1,111 @@
+import { useEffect, useState } from "react";
+import api from "../utils/api";
+import { CHECKIN_CHANGED_EVENT } from "../hooks/useLocationPings";
+import {
+  formatLocalTime,
+  formatMinutes,
+  parseUtcToLocal,
+} from "../utils/date-helper";
+
+// The shift on the shown day, converted from the server's shift time zone to the viewer's
+export const formatShift = (shift) =>
+  shift.start_at && shift.end_at
+    ? `${formatLocalTime(parseUtcToLocal(shift.start_at))} - ${formatLocalTime(parseUtcToLocal(shift.end_at))}`
+    : null;
+
+// Start/End Day punches for the signed-in employee, with today's working, on-site and travel time
+function WorkdayPunch({ location }) {
+  const [today, setToday] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetchToday();
+    window.addEventListener(CHECKIN_CHANGED_EVENT, fetchToday);
+    return () => window.removeEventListener(CHECKIN_CHANGED_EVENT, fetchToday);
+  }, []);
+
+  const fetchToday = async () => {
+    try {
+      const res = await api.get("/attendance/today");
+      if (res.data.success) {
+        setToday(res.data.data);
+      }
+    } catch {
+      setToday(null);
+    }
+  };
+
+  const punch = async () => {
+    setError("");
+    setSubmitting(true);
+    try {
+      await api.post(
+        `/attendance/${today.punched_in ? "end" : "start"}`,
+        location,
+      );
+      fetchToday();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to record punch");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!today) return null;
+
+  const { summary, shift } = today;
+  const shiftLabel = formatShift(shift);
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 mb-6">
+      <div className="flex justify-between items-start gap-4">
+        <div>
+          <h3 className="font-semibold mb-1">Workday</h3>
+          {summary?.first_punch ? (
+            <p className="text-sm text-gray-600">
+              Started {formatLocalTime(parseUtcToLocal(summary.first_punch))}
+              {!today.punched_in &&
+                ` · Ended ${formatLocalTime(parseUtcToLocal(summary.last_punch))}`}
+              {summary.late_start && (
+                <span className="ml-2 px-2 py-0.5 rounded text-xs bg-orange-100 text-orange-800">
+                  Late by {formatMinutes(summary.late_by_minutes)}
+                </span>
+              )}
+            </p>
+          ) : (
+            <p className="text-sm text-gray-500">Not started yet</p>
+          )}
+          {summary?.first_punch && (
+            <p className="text-sm text-gray-600">
+              Worked {formatMinutes(summary.working_minutes)} · On-site{" "}
+              {formatMinutes(summary.on_site_minutes)} · Travel{" "}
+              {formatMinutes(summary.travel_minutes)}
+            </p>
+          )}
+          {shiftLabel && (
+            <p className="text-xs text-gray-500">Shift {shiftLabel}</p>
+          )}
+        </div>
+        <button
+          onClick={punch}
+          disabled={submitting || !location}
+          className={`text-white px-5 py-2 rounded-md disabled:opacity-60 ${
+            today.punched_in
+              ? "bg-gray-700 hover:bg-gray-800"
+              : "bg-green-600 hover:bg-green-700"
+          }`}
+        >
+          {submitting
+            ? "Saving..."
+            : today.punched_in
+              ? "End Day"
+              : "Start Day"}
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+    </div>
+  );
+}
+
+export default WorkdayPunch;
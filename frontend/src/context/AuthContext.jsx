@@ -1,4 +1,5 @@
 import { createContext, useContext, useState, useEffect } from "react";
+import api from "../utils/api";
 
 const AuthContext = createContext(null);
 
@@ -12,6 +13,12 @@ export function AuthProvider({ children }) {
 
     if (token && userData) {
       setUser(JSON.parse(userData));
+
+      // Role and permissions may have changed since the user signed in
+      api
+        .get("/auth/me")
+        .then((res) => updateUser(res.data.data))
+        .catch(() => {});
     }
     setLoading(false);
   }, []);
@@ -22,6 +29,15 @@ export function AuthProvider({ children }) {
     setUser(userData);
   };
 
+  // Merges changes to the signed-in user, e.g. after a forced password change
+  const updateUser = (changes) => {
+    setUser((prev) => {
+      const next = { ...prev, ...changes };
+      localStorage.setItem("user", JSON.stringify(next));
+      return next;
+    });
+  };
+
   const logout = () => {
     localStorage.removeItem("token");
     localStorage.removeItem("user");
@@ -29,7 +45,7 @@ export function AuthProvider({ children }) {
   };
 
   return (
-    <AuthContext.Provider value={{ user, login, logout, loading }}>
+    <AuthContext.Provider value={{ user, login, updateUser, logout, loading }}>
       {children}
     </AuthContext.Provider>
   );
@@ -0,0 +1,97 @@
+import { useEffect, useRef } from "react";
+import api from "../utils/api";
+
+const PING_INTERVAL_MS = 60 * 1000;
+const FLUSH_EVERY_PINGS = 5;
+
+// Fired by the check-in page whenever a visit starts or ends
+export const CHECKIN_CHANGED_EVENT = "checkin-changed";
+
+export function notifyCheckinChanged() {
+  window.dispatchEvent(new Event(CHECKIN_CHANGED_EVENT));
+}
+
+// Samples the device location while a check-in is open and uploads breadcrumbs in batches
+export function useLocationPings(enabled) {
+  const bufferRef = useRef([]);
+  const activeRef = useRef(false);
+
+  useEffect(() => {
+    if (!enabled || !navigator.geolocation) return;
+
+    let cancelled = false;
+
+    const flush = async () => {
+      if (bufferRef.current.length === 0) return;
+
+      const batch = bufferRef.current;
+      bufferRef.current = [];
+
+      try {
+        await api.post("/location/pings", { pings: batch });
+      } catch (err) {
+        if (err.response?.status === 409) {
+          // Visit was closed elsewhere; these points belong to nothing
+          activeRef.current = false;
+        } else if (!err.response) {
+          // Network failure: keep the points for the next attempt
+          bufferRef.current = batch.concat(bufferRef.current);
+        }
+      }
+    };
+
+    const refreshActive = async () => {
+      try {
+        const res = await api.get("/checkin/active");
+        const wasActive = activeRef.current;
+        activeRef.current = Boolean(res.data.success && res.data.data);
+
+        if (wasActive && !activeRef.current) {
+          bufferRef.current = [];
+        }
+      } catch {
+        // keep last known state
+      }
+    };
+
+    const sample = () => {
+      if (!activeRef.current) return;
+
+      navigator.geolocation.getCurrentPosition(
+        (position) => {
+          if (cancelled) return;
+
+          bufferRef.current.push({
+            latitude: position.coords.latitude,
+            longitude: position.coords.longitude,
+            accuracy: position.coords.accuracy,
+            recorded_at: new Date(position.timestamp).toISOString(),
+          });
+
+          if (bufferRef.current.length >= FLUSH_EVERY_PINGS) {
+            flush();
+          }
+        },
+        (err) => console.error("Location ping error:", err),
+        { enableHighAccuracy: true, maximumAge: 30000, timeout: 20000 },
+      );
+    };
+
+    const handleCheckinChanged = async () => {
+      await flush();
+      await refreshActive();
+      sample();
+    };
+
+    refreshActive().then(sample);
+    const interval = setInterval(sample, PING_INTERVAL_MS);
+    window.addEventListener(CHECKIN_CHANGED_EVENT, handleCheckinChanged);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+      window.removeEventListener(CHECKIN_CHANGED_EVENT, handleCheckinChanged);
+      flush();
+    };
+  }, [enabled]);
+}
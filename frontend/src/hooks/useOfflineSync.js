@@ -0,0 +1,30 @@
+import { useEffect } from "react";
+import { getQueue, replayQueue } from "../utils/offlineQueue";
+import { notifyCheckinChanged } from "./useLocationPings";
+
+const RETRY_INTERVAL_MS = 60 * 1000;
+
+// Replays queued check-ins/checkouts when connectivity returns
+export function useOfflineSync(enabled) {
+  useEffect(() => {
+    if (!enabled) return;
+
+    const sync = async () => {
+      if (!navigator.onLine || getQueue().length === 0) return;
+
+      const synced = await replayQueue();
+      if (synced > 0) {
+        notifyCheckinChanged();
+      }
+    };
+
+    sync();
+    window.addEventListener("online", sync);
+    const interval = setInterval(sync, RETRY_INTERVAL_MS);
+
+    return () => {
+      window.removeEventListener("online", sync);
+      clearInterval(interval);
+    };
+  }, [enabled]);
+}
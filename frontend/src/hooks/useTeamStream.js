@@ -0,0 +1,67 @@
+import { useEffect, useRef, useState } from "react";
+
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+// Subscribes to the manager's live team activity stream and reconnects when it drops
+export function useTeamStream(enabled, handlers) {
+  const [connected, setConnected] = useState(false);
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let source = null;
+    let retryTimer = null;
+    let attempt = 0;
+    let stopped = false;
+    let hasConnected = false;
+
+    const connect = () => {
+      const token = localStorage.getItem("token");
+      source = new EventSource(
+        `/api/dashboard/stream?token=${encodeURIComponent(token || "")}`,
+      );
+
+      source.addEventListener("ready", () => {
+        attempt = 0;
+        setConnected(true);
+
+        // Anything that happened while disconnected is picked up by a refetch
+        if (hasConnected) {
+          handlersRef.current.onReconnect?.();
+        }
+        hasConnected = true;
+      });
+
+      ["checkin", "checkout", "auto_checkout", "location"].forEach((type) => {
+        source.addEventListener(type, (e) => {
+          handlersRef.current[type]?.(JSON.parse(e.data));
+        });
+      });
+
+      source.onerror = () => {
+        setConnected(false);
+
+        // The browser retries transient drops itself; a closed stream needs a fresh connection
+        if (source.readyState === EventSource.CLOSED && !stopped) {
+          source.close();
+          const delay = Math.min(1000 * 2 ** attempt, MAX_RECONNECT_DELAY_MS);
+          attempt += 1;
+          retryTimer = setTimeout(connect, delay);
+        }
+      };
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      source?.close();
+      setConnected(false);
+    };
+  }, [enabled]);
+
+  return connected;
+}
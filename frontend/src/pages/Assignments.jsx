@@ -0,0 +1,566 @@
+import { useEffect, useState } from "react";
+import api from "../utils/api";
+import { useAuth } from "../context/AuthContext";
+import { can } from "../utils/permissions";
+import { downloadCsv } from "../utils/downloadCsv";
+import CsvImportPanel from "../components/CsvImportPanel";
+
+const STATUS_OPTIONS = [
+  { value: "active", label: "Active" },
+  { value: "upcoming", label: "Upcoming" },
+  { value: "ended", label: "Ended" },
+  { value: "all", label: "All" },
+];
+
+const inputClass = "border px-3 py-2 rounded w-full";
+
+const today = () => new Date().toISOString().split("T")[0];
+
+const toggleId = (ids, id) =>
+  ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id];
+
+function Assignments() {
+  const { user } = useAuth();
+  const [employees, setEmployees] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [filters, setFilters] = useState({ employee_id: "", status: "active" });
+  const [bulk, setBulk] = useState({
+    employee_ids: [],
+    client_ids: [],
+    start_date: today(),
+    end_date: "",
+    visit_frequency_days: "",
+  });
+  const [reassign, setReassign] = useState({
+    from_employee_id: "",
+    to_employee_id: "",
+    effective_date: today(),
+  });
+  const [editing, setEditing] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  useEffect(() => {
+    fetchEmployees();
+    fetchClients();
+  }, []);
+
+  useEffect(() => {
+    fetchAssignments();
+  }, [filters]);
+
+  const fetchEmployees = async () => {
+    try {
+      const res = await api.get("/dashboard/stats");
+      if (res.data.success) {
+        setEmployees(res.data.data.team_members);
+      }
+    } catch {
+      setError("Failed to load team");
+    }
+  };
+
+  const fetchClients = async () => {
+    try {
+      const res = await api.get("/clients?limit=100");
+      if (res.data.success) {
+        setClients(res.data.data.clients);
+      }
+    } catch {
+      setError("Failed to load clients");
+    }
+  };
+
+  const fetchAssignments = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ status: filters.status });
+      if (filters.employee_id)
+        params.append("employee_id", filters.employee_id);
+
+      const res = await api.get(`/assignments?${params.toString()}`);
+      if (res.data.success) {
+        setAssignments(res.data.data);
+      }
+    } catch {
+      setError("Failed to load assignments");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const exportAssignments = async () => {
+    try {
+      await downloadCsv("/assignments/export", "assignments.csv");
+    } catch {
+      setError("Failed to export assignments");
+    }
+  };
+
+  const resetMessages = () => {
+    setError("");
+    setSuccess("");
+  };
+
+  const assignClients = async (e) => {
+    e.preventDefault();
+    resetMessages();
+
+    try {
+      const res = await api.post("/assignments", {
+        ...bulk,
+        end_date: bulk.end_date || null,
+        visit_frequency_days: bulk.visit_frequency_days || null,
+      });
+      if (res.data.success) {
+        const { created, skipped } = res.data.data;
+        setSuccess(
+          `${created.length} assignment(s) created` +
+            (skipped.length ? `, ${skipped.length} already assigned` : ""),
+        );
+        setBulk({ ...bulk, employee_ids: [], client_ids: [] });
+        fetchAssignments();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to assign clients");
+    }
+  };
+
+  const reassignClients = async (e) => {
+    e.preventDefault();
+    resetMessages();
+
+    try {
+      const res = await api.post("/assignments/reassign", reassign);
+      if (res.data.success) {
+        setSuccess(`${res.data.data.moved.length} client(s) reassigned`);
+        fetchAssignments();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to reassign clients");
+    }
+  };
+
+  const saveAssignment = async (e) => {
+    e.preventDefault();
+    resetMessages();
+
+    try {
+      await api.put(`/assignments/${editing.id}`, {
+        start_date: editing.start_date,
+        end_date: editing.end_date || null,
+        visit_frequency_days: editing.visit_frequency_days || null,
+      });
+      setSuccess("Assignment updated");
+      setEditing(null);
+      fetchAssignments();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to update assignment");
+    }
+  };
+
+  const unassign = async (assignment) => {
+    if (
+      !window.confirm(
+        `Unassign ${assignment.client_name} from ${assignment.employee_name} starting today?`,
+      )
+    ) {
+      return;
+    }
+
+    resetMessages();
+    try {
+      const res = await api.delete(`/assignments/${assignment.id}`);
+      setSuccess(res.data.message);
+      fetchAssignments();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to unassign client");
+    }
+  };
+
+  if (!can(user, "assignments:manage")) {
+    return (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+        Unauthorized access
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold">Client Assignments</h2>
+        <div className="flex gap-2">
+          <button
+            onClick={exportAssignments}
+            className="text-sm bg-gray-100 text-gray-800 px-4 py-2 rounded hover:bg-gray-200"
+          >
+            Export CSV
+          </button>
+          <button
+            onClick={() => setImporting(true)}
+            className="text-sm bg-gray-100 text-gray-800 px-4 py-2 rounded hover:bg-gray-200"
+          >
+            Import CSV
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {success}
+        </div>
+      )}
+
+      {importing && (
+        <CsvImportPanel
+          endpoint="/assignments/import"
+          columns="employee_email, client_code, start_date, end_date (blank for open-ended)"
+          onImported={fetchAssignments}
+          onClose={() => setImporting(false)}
+        />
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        <form
+          onSubmit={assignClients}
+          className="bg-white rounded-lg shadow p-6 space-y-4"
+        >
+          <h3 className="font-semibold">Assign Clients</h3>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <p className="text-sm text-gray-600 mb-1">Employees</p>
+              <div className="border rounded p-2 h-40 overflow-y-auto space-y-1">
+                {employees.map((e) => (
+                  <label key={e.id} className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={bulk.employee_ids.includes(e.id)}
+                      onChange={() =>
+                        setBulk({
+                          ...bulk,
+                          employee_ids: toggleId(bulk.employee_ids, e.id),
+                        })
+                      }
+                    />
+                    {e.name}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600 mb-1">Clients</p>
+              <div className="border rounded p-2 h-40 overflow-y-auto space-y-1">
+                {clients.map((c) => (
+                  <label key={c.id} className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={bulk.client_ids.includes(c.id)}
+                      onChange={() =>
+                        setBulk({
+                          ...bulk,
+                          client_ids: toggleId(bulk.client_ids, c.id),
+                        })
+                      }
+                    />
+                    {c.name}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm text-gray-600">Starts</label>
+              <input
+                type="date"
+                value={bulk.start_date}
+                onChange={(e) =>
+                  setBulk({ ...bulk, start_date: e.target.value })
+                }
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-600">
+                Ends (optional)
+              </label>
+              <input
+                type="date"
+                value={bulk.end_date}
+                onChange={(e) => setBulk({ ...bulk, end_date: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div className="col-span-2">
+              <label className="block text-sm text-gray-600">
+                Visit at least every (days, optional)
+              </label>
+              <input
+                type="number"
+                min="1"
+                max="365"
+                placeholder="Client's own target"
+                value={bulk.visit_frequency_days}
+                onChange={(e) =>
+                  setBulk({ ...bulk, visit_frequency_days: e.target.value })
+                }
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={
+              bulk.employee_ids.length === 0 || bulk.client_ids.length === 0
+            }
+            className="bg-blue-600 text-white px-5 py-2 rounded hover:bg-blue-700 disabled:bg-blue-400"
+          >
+            Assign
+          </button>
+        </form>
+
+        <form
+          onSubmit={reassignClients}
+          className="bg-white rounded-lg shadow p-6 space-y-4"
+        >
+          <h3 className="font-semibold">Reassign Territory</h3>
+          <p className="text-sm text-gray-500">
+            Moves every current and upcoming client of one employee to another
+            from the effective date.
+          </p>
+
+          <div>
+            <label className="block text-sm text-gray-600">From</label>
+            <select
+              value={reassign.from_employee_id}
+              onChange={(e) =>
+                setReassign({ ...reassign, from_employee_id: e.target.value })
+              }
+              className={inputClass}
+              required
+            >
+              <option value="">Select employee</option>
+              {employees.map((e) => (
+                <option key={e.id} value={e.id}>
+                  {e.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600">To</label>
+            <select
+              value={reassign.to_employee_id}
+              onChange={(e) =>
+                setReassign({ ...reassign, to_employee_id: e.target.value })
+              }
+              className={inputClass}
+              required
+            >
+              <option value="">Select employee</option>
+              {employees
+                .filter((e) => String(e.id) !== reassign.from_employee_id)
+                .map((e) => (
+                  <option key={e.id} value={e.id}>
+                    {e.name}
+                  </option>
+                ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600">Effective</label>
+            <input
+              type="date"
+              value={reassign.effective_date}
+              onChange={(e) =>
+                setReassign({ ...reassign, effective_date: e.target.value })
+              }
+              className={inputClass}
+              required
+            />
+          </div>
+
+          <button
+            type="submit"
+            className="bg-blue-600 text-white px-5 py-2 rounded hover:bg-blue-700"
+          >
+            Reassign
+          </button>
+        </form>
+      </div>
+
+      {editing && (
+        <form
+          onSubmit={saveAssignment}
+          className="bg-white rounded-lg shadow p-6 mb-6 flex flex-wrap gap-4 items-end"
+        >
+          <div className="flex-1 min-w-[200px]">
+            <p className="font-semibold">
+              {editing.employee_name} &middot; {editing.client_name}
+            </p>
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600">Starts</label>
+            <input
+              type="date"
+              value={editing.start_date}
+              onChange={(e) =>
+                setEditing({ ...editing, start_date: e.target.value })
+              }
+              className="border px-3 py-2 rounded"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600">Ends</label>
+            <input
+              type="date"
+              value={editing.end_date || ""}
+              onChange={(e) =>
+                setEditing({ ...editing, end_date: e.target.value })
+              }
+              className="border px-3 py-2 rounded"
+            />
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600">
+              Visit every (days)
+            </label>
+            <input
+              type="number"
+              min="1"
+              max="365"
+              placeholder={
+                editing.client_visit_frequency_days
+                  ? `Client: ${editing.client_visit_frequency_days}`
+                  : "No target"
+              }
+              value={editing.visit_frequency_days ?? ""}
+              onChange={(e) =>
+                setEditing({ ...editing, visit_frequency_days: e.target.value })
+              }
+              className="border px-3 py-2 rounded w-36"
+            />
+          </div>
+          <button
+            type="submit"
+            className="bg-blue-600 text-white px-5 py-2 rounded hover:bg-blue-700"
+          >
+            Save
+          </button>
+          <button
+            type="button"
+            onClick={() => setEditing(null)}
+            className="px-5 py-2 rounded border hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-wrap gap-4">
+        <select
+          value={filters.employee_id}
+          onChange={(e) =>
+            setFilters({ ...filters, employee_id: e.target.value })
+          }
+          className="border px-3 py-2 rounded"
+        >
+          <option value="">All employees</option>
+          {employees.map((e) => (
+            <option key={e.id} value={e.id}>
+              {e.name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.status}
+          onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+          className="border px-3 py-2 rounded"
+        >
+          {STATUS_OPTIONS.map((s) => (
+            <option key={s.value} value={s.value}>
+              {s.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        {loading && assignments.length === 0 ? (
+          <p className="p-6 text-gray-500">Loading...</p>
+        ) : assignments.length === 0 ? (
+          <p className="p-6 text-gray-500">No assignments found</p>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50 text-sm text-gray-600">
+              <tr>
+                <th className="p-3 text-left">Employee</th>
+                <th className="p-3 text-left">Client</th>
+                <th className="p-3 text-left">Starts</th>
+                <th className="p-3 text-left">Ends</th>
+                <th className="p-3 text-left">Visit every</th>
+                <th className="p-3 text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {assignments.map((a) => (
+                <tr key={a.id} className="border-t">
+                  <td className="p-3">{a.employee_name}</td>
+                  <td className="p-3">
+                    {a.client_name}
+                    {a.client_archived_at && (
+                      <span className="ml-2 px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-600">
+                        Archived
+                      </span>
+                    )}
+                  </td>
+                  <td className="p-3 text-sm">{a.start_date}</td>
+                  <td className="p-3 text-sm">{a.end_date || "-"}</td>
+                  <td className="p-3 text-sm">
+                    {a.visit_frequency_days
+                      ? `${a.visit_frequency_days} days`
+                      : a.client_visit_frequency_days
+                        ? `${a.client_visit_frequency_days} days (client)`
+                        : "-"}
+                  </td>
+                  <td className="p-3 text-right space-x-3">
+                    <button
+                      onClick={() => {
+                        resetMessages();
+                        setEditing(a);
+                      }}
+                      className="text-blue-600 hover:underline"
+                    >
+                      Edit
+                    </button>
+                    {(!a.end_date || a.end_date >= today()) && (
+                      <button
+                        onClick={() => unassign(a)}
+                        className="text-red-600 hover:underline"
+                      >
+                        Unassign
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Assignments;
@@ -0,0 +1,320 @@
+import { Fragment, useEffect, useState } from "react";
+import api from "../utils/api";
+import { useAuth } from "../context/AuthContext";
+import { can } from "../utils/permissions";
+import {
+  formatLocalDate,
+  formatLocalTime,
+  parseUtcToLocal,
+} from "../utils/date-helper";
+
+const PAGE_SIZE = 50;
+
+const ENTITY_TYPES = [
+  { value: "attendance", label: "Attendance punches" },
+  { value: "checkin", label: "Check-ins" },
+  { value: "checkin_correction", label: "Check-in corrections" },
+  { value: "client", label: "Clients" },
+  { value: "assignment", label: "Assignments" },
+  { value: "user", label: "Users" },
+  { value: "visit_form", label: "Visit forms" },
+  { value: "visit_plan", label: "Visit plans" },
+  { value: "visit_task", label: "Visit tasks" },
+];
+
+const emptyFilters = {
+  entity_type: "",
+  entity_id: "",
+  actor_id: "",
+  start_date: "",
+  end_date: "",
+};
+
+const formatValue = (value) =>
+  value === null || value === undefined
+    ? "-"
+    : typeof value === "object"
+      ? JSON.stringify(value)
+      : String(value);
+
+// Fields whose value differs between the before and after snapshots
+const changedFields = (before, after) => {
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  return [...keys].filter(
+    (key) =>
+      JSON.stringify(before?.[key] ?? null) !==
+      JSON.stringify(after?.[key] ?? null),
+  );
+};
+
+function AuditLog() {
+  const { user } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [actors, setActors] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetchActors();
+  }, []);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [page, filters]);
+
+  const fetchActors = async () => {
+    try {
+      const res = await api.get("/users?include_inactive=true");
+      if (res.data.success) {
+        setActors(res.data.data);
+      }
+    } catch {
+      // The actor filter still offers "You" and "System"
+    }
+  };
+
+  const fetchEntries = async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const params = new URLSearchParams({ page, limit: PAGE_SIZE });
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const res = await api.get(`/audit?${params.toString()}`);
+      if (res.data.success) {
+        setEntries(res.data.data.entries);
+        setPagination(res.data.data.pagination);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load audit log");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setPage(1);
+  };
+
+  if (!can(user, "audit:read")) {
+    return (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+        Unauthorized access
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold mb-6">Audit Log</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-wrap gap-4 items-end">
+        <div>
+          <label className="block text-sm text-gray-600">Entity</label>
+          <select
+            value={filters.entity_type}
+            onChange={(e) => updateFilter("entity_type", e.target.value)}
+            className="border px-3 py-2 rounded"
+          >
+            <option value="">All</option>
+            {ENTITY_TYPES.map((type) => (
+              <option key={type.value} value={type.value}>
+                {type.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600">Entity ID</label>
+          <input
+            type="number"
+            min="1"
+            value={filters.entity_id}
+            onChange={(e) => updateFilter("entity_id", e.target.value)}
+            className="border px-3 py-2 rounded w-28"
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600">Changed by</label>
+          <select
+            value={filters.actor_id}
+            onChange={(e) => updateFilter("actor_id", e.target.value)}
+            className="border px-3 py-2 rounded"
+          >
+            <option value="">Anyone</option>
+            <option value={user.id}>You</option>
+            <option value="system">System</option>
+            {actors.map((actor) => (
+              <option key={actor.id} value={actor.id}>
+                {actor.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600">From</label>
+          <input
+            type="date"
+            value={filters.start_date}
+            onChange={(e) => updateFilter("start_date", e.target.value)}
+            className="border px-3 py-2 rounded"
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600">To</label>
+          <input
+            type="date"
+            value={filters.end_date}
+            onChange={(e) => updateFilter("end_date", e.target.value)}
+            className="border px-3 py-2 rounded"
+          />
+        </div>
+        <button
+          onClick={() => {
+            setFilters(emptyFilters);
+            setPage(1);
+          }}
+          className="px-4 py-2 rounded border hover:bg-gray-50"
+        >
+          Clear
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        {loading && entries.length === 0 ? (
+          <p className="p-6 text-gray-500">Loading...</p>
+        ) : entries.length === 0 ? (
+          <p className="p-6 text-gray-500">No changes recorded</p>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50 text-sm text-gray-600">
+              <tr>
+                <th className="p-3 text-left">When</th>
+                <th className="p-3 text-left">Changed by</th>
+                <th className="p-3 text-left">Action</th>
+                <th className="p-3 text-left">Entity</th>
+                <th className="p-3 text-left">IP</th>
+                <th className="p-3 text-right"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => {
+                const createdAt = parseUtcToLocal(entry.created_at);
+                const fields = changedFields(
+                  entry.before_values,
+                  entry.after_values,
+                );
+
+                return (
+                  <Fragment key={entry.id}>
+                    <tr className="border-t text-sm">
+                      <td className="p-3">
+                        {formatLocalDate(createdAt)}{" "}
+                        {formatLocalTime(createdAt)}
+                      </td>
+                      <td className="p-3">{entry.actor_name || "System"}</td>
+                      <td className="p-3 font-mono">{entry.action}</td>
+                      <td className="p-3">
+                        {entry.entity_type} #{entry.entity_id}
+                      </td>
+                      <td className="p-3 text-gray-500">
+                        {entry.ip_address || "-"}
+                      </td>
+                      <td className="p-3 text-right">
+                        {fields.length > 0 && (
+                          <button
+                            onClick={() =>
+                              setExpanded(
+                                expanded === entry.id ? null : entry.id,
+                              )
+                            }
+                            className="text-blue-600 hover:underline"
+                          >
+                            {expanded === entry.id
+                              ? "Hide"
+                              : `${fields.length} field(s)`}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {expanded === entry.id && (
+                      <tr className="bg-gray-50 text-sm">
+                        <td colSpan={6} className="p-3">
+                          <table className="w-full">
+                            <thead className="text-gray-600">
+                              <tr>
+                                <th className="p-1 text-left">Field</th>
+                                <th className="p-1 text-left">Before</th>
+                                <th className="p-1 text-left">After</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {fields.map((key) => (
+                                <tr key={key}>
+                                  <td className="p-1 font-mono">{key}</td>
+                                  <td className="p-1 text-red-700 break-all">
+                                    {formatValue(entry.before_values?.[key])}
+                                  </td>
+                                  <td className="p-1 text-green-700 break-all">
+                                    {formatValue(entry.after_values?.[key])}
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {pagination && pagination.total_pages > 1 && (
+        <div className="flex justify-between items-center mt-4 text-sm">
+          <span className="text-gray-600">
+            Page {pagination.page} of {pagination.total_pages} (
+            {pagination.total} entries)
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage((p) => p - 1)}
+              disabled={pagination.page <= 1}
+              className="px-4 py-2 rounded border bg-white hover:bg-gray-50 disabled:text-gray-400"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage((p) => p + 1)}
+              disabled={pagination.page >= pagination.total_pages}
+              className="px-4 py-2 rounded border bg-white hover:bg-gray-50 disabled:text-gray-400"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AuditLog;
@@ -0,0 +1,106 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import api from "../utils/api";
+import { useAuth } from "../context/AuthContext";
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const inputClass = "border px-3 py-2 rounded w-full";
+
+function ChangePassword() {
+  const { user, updateUser } = useAuth();
+  const navigate = useNavigate();
+  const [form, setForm] = useState({ current: "", next: "", confirm: "" });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (form.next !== form.confirm) {
+      setError("New passwords do not match");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await api.post("/auth/change-password", {
+        current_password: form.current,
+        new_password: form.next,
+      });
+      updateUser({ must_change_password: false });
+      navigate("/dashboard", { replace: true });
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to change password");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-white rounded-lg shadow p-6">
+      <h2 className="text-2xl font-bold mb-2">Change Password</h2>
+      {user?.must_change_password && (
+        <p className="text-sm text-gray-600 mb-4">
+          Your account uses a temporary password. Choose a new one to continue.
+        </p>
+      )}
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="block text-sm text-gray-600">
+            Current password
+          </label>
+          <input
+            type="password"
+            value={form.current}
+            onChange={(e) => setForm({ ...form, current: e.target.value })}
+            className={inputClass}
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600">New password</label>
+          <input
+            type="password"
+            minLength={MIN_PASSWORD_LENGTH}
+            value={form.next}
+            onChange={(e) => setForm({ ...form, next: e.target.value })}
+            className={inputClass}
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600">
+            Confirm new password
+          </label>
+          <input
+            type="password"
+            minLength={MIN_PASSWORD_LENGTH}
+            value={form.confirm}
+            onChange={(e) => setForm({ ...form, confirm: e.target.value })}
+            className={inputClass}
+            required
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="w-full bg-blue-600 text-white py-2 rounded hover:bg-blue-700 disabled:bg-blue-400"
+        >
+          {saving ? "Saving..." : "Change Password"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default ChangePassword;
@@ -1,5 +1,26 @@
 import { useState, useEffect, useMemo } from "react";
 import api from "../utils/api";
+import {
+  CHECKIN_CHANGED_EVENT,
+  notifyCheckinChanged,
+} from "../hooks/useLocationPings";
+import {
+  OFFLINE_QUEUE_CHANGED_EVENT,
+  clearFailures,
+  enqueue,
+  getFailures,
+  getQueue,
+  isNetworkError,
+  newIdempotencyKey,
+  replayQueue,
+  sendAction,
+} from "../utils/offlineQueue";
+import PhotoGallery from "../components/PhotoGallery";
+import SignaturePad from "../components/SignaturePad";
+import VisitFormFields from "../components/VisitFormFields";
+import TodaysPlan from "../components/TodaysPlan";
+import VisitTasks from "../components/VisitTasks";
+import WorkdayPunch from "../components/WorkdayPunch";
 import {
   formatDistance,
   getDistanceInMeters,
@@ -8,17 +29,62 @@ import {
 function CheckIn() {
   const [clients, setClients] = useState([]);
   const [selectedClient, setSelectedClient] = useState("");
+  const [visitType, setVisitType] = useState("");
   const [notes, setNotes] = useState("");
+  const [overrideReason, setOverrideReason] = useState("");
+  const [photos, setPhotos] = useState([]);
+  const [photoInputKey, setPhotoInputKey] = useState(0);
+  const [galleryVersion, setGalleryVersion] = useState(0);
+  const [signature, setSignature] = useState(null);
+  const [signerName, setSignerName] = useState("");
+  const [signerDesignation, setSignerDesignation] = useState("");
+  const [signaturePadKey, setSignaturePadKey] = useState(0);
+  const [formAnswers, setFormAnswers] = useState({});
+  const [formErrors, setFormErrors] = useState({});
   const [location, setLocation] = useState(null);
-  const [activeCheckin, setActiveCheckin] = useState(null);
+  const [serverActiveCheckin, setActiveCheckin] = useState(null);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
+  const [queue, setQueue] = useState(getQueue);
+  const [failures, setFailures] = useState(getFailures);
+
+  // Queued actions take precedence over the server's view until they sync
+  const activeCheckin = useMemo(() => {
+    let pending;
+    queue.forEach((item) => {
+      if (item.type === "checkin") {
+        pending = {
+          ...item.meta,
+          checkin_time: item.body.captured_at,
+          pending: true,
+        };
+      } else if (item.type === "checkout") {
+        pending = null;
+      }
+    });
+    return pending === undefined ? serverActiveCheckin : pending;
+  }, [queue, serverActiveCheckin]);
 
   useEffect(() => {
     fetchData();
     getCurrentLocation();
+
+    const handleQueueChanged = () => {
+      setQueue(getQueue());
+      setFailures(getFailures());
+    };
+    window.addEventListener(OFFLINE_QUEUE_CHANGED_EVENT, handleQueueChanged);
+    window.addEventListener(CHECKIN_CHANGED_EVENT, fetchData);
+
+    return () => {
+      window.removeEventListener(
+        OFFLINE_QUEUE_CHANGED_EVENT,
+        handleQueueChanged,
+      );
+      window.removeEventListener(CHECKIN_CHANGED_EVENT, fetchData);
+    };
   }, []);
 
   const fetchData = async () => {
@@ -30,17 +96,55 @@ function CheckIn() {
 
       if (clientsRes.data.success) {
         setClients(clientsRes.data.data);
+        localStorage.setItem(
+          "cachedClients",
+          JSON.stringify(clientsRes.data.data),
+        );
       }
       if (activeRes.data.success) {
         setActiveCheckin(activeRes.data.data);
       }
     } catch (err) {
-      setError("Failed to load data");
+      // Offline: fall back to the last known client list so visits can still be queued
+      const cached = JSON.parse(
+        localStorage.getItem("cachedClients") || "null",
+      );
+      if (isNetworkError(err) && cached) {
+        setClients(cached);
+      } else {
+        setError("Failed to load data");
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  // Sends immediately when possible; otherwise queues with the device-side capture time
+  const submitAction = async (type, body, meta) => {
+    const payload = {
+      ...body,
+      captured_at: new Date().toISOString(),
+      idempotency_key: newIdempotencyKey(),
+    };
+
+    // Keep replay order: nothing may overtake an action that is still queued
+    if (!navigator.onLine || getQueue().length > 0) {
+      enqueue(type, payload, meta);
+      replayQueue();
+      return null;
+    }
+
+    try {
+      return await sendAction(type, payload, payload.idempotency_key);
+    } catch (err) {
+      if (isNetworkError(err)) {
+        enqueue(type, payload, meta);
+        return null;
+      }
+      throw err;
+    }
+  };
+
   const getCurrentLocation = () => {
     if (navigator.geolocation) {
       navigator.geolocation.getCurrentPosition(
@@ -48,6 +152,7 @@ function CheckIn() {
           setLocation({
             latitude: position.coords.latitude,
             longitude: position.coords.longitude,
+            accuracy: position.coords.accuracy,
           });
         },
         (err) => {
@@ -59,6 +164,40 @@ function CheckIn() {
     }
   };
 
+  const uploadPhotos = async (checkinId, files) => {
+    const formData = new FormData();
+    files.forEach((file) => formData.append("photos", file));
+
+    await api.post(`/checkin/${checkinId}/photos`, formData, {
+      headers: { "Content-Type": "multipart/form-data" },
+    });
+    setGalleryVersion((v) => v + 1);
+  };
+
+  const resetPhotos = () => {
+    setPhotos([]);
+    setPhotoInputKey((k) => k + 1);
+  };
+
+  const handleAddPhotos = async (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length === 0) return;
+
+    setError("");
+    setSuccess("");
+    setSubmitting(true);
+
+    try {
+      await uploadPhotos(activeCheckin.id, files);
+      setSuccess("Photos uploaded!");
+    } catch (err) {
+      setError(err.response?.data?.message || "Photo upload failed");
+    } finally {
+      setSubmitting(false);
+      e.target.value = "";
+    }
+  };
+
   const handleCheckIn = async (e) => {
     e.preventDefault();
     setError("");
@@ -66,18 +205,62 @@ function CheckIn() {
     setSubmitting(true);
 
     try {
-      const response = await api.post("/checkin", {
-        client_id: selectedClient,
-        latitude: location?.latitude,
-        longitude: location?.longitude,
-        distance_from_client: distanceMeters,
-        notes: notes,
-      });
+      const response = await submitAction(
+        "checkin",
+        {
+          client_id: selectedClient,
+          latitude: location?.latitude,
+          longitude: location?.longitude,
+          accuracy: location?.accuracy,
+          visit_type: visitType || undefined,
+          notes: notes,
+          override_reason: outsideGeofence ? overrideReason : undefined,
+        },
+        {
+          client_name: selectedClientObj?.name,
+          client_lat: selectedClientObj?.latitude,
+          client_lng: selectedClientObj?.longitude,
+          geofence_radius: selectedClientObj?.geofence_radius,
+          require_signature: selectedClientObj?.require_signature,
+        },
+      );
+
+      if (!response) {
+        setSuccess(
+          photos.length > 0
+            ? "You appear to be offline. Check-in saved on this device and will sync automatically. Photos cannot be stored offline; add them once you are back online."
+            : "You appear to be offline. Check-in saved on this device and will sync automatically.",
+        );
+        setSelectedClient("");
+        setVisitType("");
+        setNotes("");
+        setOverrideReason("");
+        resetPhotos();
+      } else if (response.data.success) {
+        setSuccess(
+          response.data.data.within_geofence === 0
+            ? "Checked in outside the client geofence. Your manager will see this visit flagged."
+            : "Checked in successfully!",
+        );
+
+        if (photos.length > 0) {
+          try {
+            await uploadPhotos(response.data.data.id, photos);
+          } catch (err) {
+            setError(
+              `Checked in, but the photos were not uploaded: ${
+                err.response?.data?.message || "upload failed"
+              }. You can add them from the active check-in.`,
+            );
+          }
+        }
 
-      if (response.data.success) {
-        setSuccess("Checked in successfully!");
         setSelectedClient("");
+        setVisitType("");
         setNotes("");
+        setOverrideReason("");
+        resetPhotos();
+        notifyCheckinChanged();
         fetchData();
         getCurrentLocation();
       } else {
@@ -90,22 +273,69 @@ function CheckIn() {
     }
   };
 
+  const resetCheckoutInputs = () => {
+    setSignature(null);
+    setSignerName("");
+    setSignerDesignation("");
+    setSignaturePadKey((k) => k + 1);
+    setFormAnswers({});
+    setFormErrors({});
+  };
+
   const handleCheckOut = async () => {
     setError("");
     setSuccess("");
+    setFormErrors({});
+
+    if (activeCheckin.require_signature && !signature) {
+      setError("This client requires a signature before checking out.");
+      return;
+    }
+    if (signature && !signerName.trim()) {
+      setError("Enter the name of the person who signed.");
+      return;
+    }
+
     setSubmitting(true);
 
     try {
-      const response = await api.put("/checkin/checkout");
+      const response = await submitAction("checkout", {
+        latitude: location?.latitude,
+        longitude: location?.longitude,
+        accuracy: location?.accuracy,
+        signature: signature || undefined,
+        signer_name: signature ? signerName.trim() : undefined,
+        signer_designation: signature
+          ? signerDesignation.trim() || undefined
+          : undefined,
+        form_answers: activeCheckin.form ? formAnswers : undefined,
+      });
 
-      if (response.data.success) {
-        setSuccess("Checked out successfully!");
+      if (!response) {
+        setSuccess(
+          "You appear to be offline. Checkout saved on this device and will sync automatically.",
+        );
+        resetCheckoutInputs();
+      } else if (response.data.success) {
+        resetCheckoutInputs();
+        setSuccess(
+          response.data.data?.checkout_within_geofence === 0
+            ? "Checked out away from the client location. Your manager will see this checkout flagged."
+            : "Checked out successfully!",
+        );
+        notifyCheckinChanged();
         fetchData();
         getCurrentLocation();
       } else {
         setError(response.data.message);
       }
     } catch (err) {
+      const fieldErrors = err.response?.data?.errors;
+      if (fieldErrors) {
+        setFormErrors(
+          Object.fromEntries(fieldErrors.map((e) => [e.field, e.message])),
+        );
+      }
       setError(err.response?.data?.message || "Checkout failed");
     } finally {
       setSubmitting(false);
@@ -137,6 +367,16 @@ function CheckIn() {
     return getDistanceInMeters(employeeLat, employeeLng, targetLat, targetLng);
   }, [location, activeCheckin, selectedClientObj]);
 
+  const geofenceRadius = activeCheckin
+    ? activeCheckin.geofence_radius
+    : selectedClientObj?.geofence_radius;
+
+  // Advisory only: the server recomputes the distance and decides
+  const outsideGeofence =
+    distanceMeters !== null &&
+    geofenceRadius !== undefined &&
+    distanceMeters > geofenceRadius;
+
   if (loading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -161,6 +401,36 @@ function CheckIn() {
         </div>
       )}
 
+      {queue.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded mb-4">
+          {queue.length} check-in/checkout action
+          {queue.length === 1 ? " is" : "s are"} waiting to sync. They will be
+          sent automatically when you are back online.
+        </div>
+      )}
+
+      {failures.length > 0 && (
+        <div className="bg-red-50 border border-red-300 text-red-800 px-4 py-3 rounded mb-4">
+          <p className="font-medium mb-1">
+            Some offline actions were rejected when syncing:
+          </p>
+          <ul className="list-disc ml-5 text-sm">
+            {failures.map((f) => (
+              <li key={f.key}>
+                {f.type === "checkin" ? "Check-in" : "Checkout"} from{" "}
+                {new Date(f.body.captured_at).toLocaleString()}: {f.message}
+              </li>
+            ))}
+          </ul>
+          <button
+            onClick={clearFailures}
+            className="mt-2 text-sm text-red-700 underline"
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
       {/* Current Location Card */}
       <div className="bg-white rounded-lg shadow p-6 mb-6">
         <h3 className="font-semibold mb-2">Your Current Location</h3>
@@ -174,6 +444,8 @@ function CheckIn() {
         )}
       </div>
 
+      <WorkdayPunch location={location} />
+
       {/* Active Check-in Card */}
       {activeCheckin && (
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-6 mb-6">
@@ -181,6 +453,11 @@ function CheckIn() {
           <p className="text-blue-700">
             You are currently checked in at{" "}
             <strong>{activeCheckin.client_name}</strong>
+            {activeCheckin.pending && (
+              <span className="ml-2 px-2 py-0.5 rounded text-xs bg-yellow-100 text-yellow-800">
+                Waiting to sync
+              </span>
+            )}
           </p>
           {(distanceMeters || activeCheckin?.distance_from_client) && (
             <div className="mb-4 p-4 rounded-md bg-gray-50 border">
@@ -196,8 +473,9 @@ function CheckIn() {
                   </p>
 
                   {(location
-                    ? distanceMeters > 500
-                    : activeCheckin.distance_from_client > 500) && (
+                    ? distanceMeters > activeCheckin.geofence_radius
+                    : activeCheckin.distance_from_client >
+                      activeCheckin.geofence_radius) && (
                     <p className="text-red-500 text-sm mt-1">
                       You are far from the client location
                     </p>
@@ -219,9 +497,87 @@ function CheckIn() {
           <p className="text-sm text-blue-600 mt-1">
             Since: {new Date(activeCheckin.checkin_time).toLocaleString()}
           </p>
+
+          {!activeCheckin.pending && (
+            <div className="mt-4">
+              <p className="text-sm font-medium text-blue-800 mb-2">
+                Visit photos
+              </p>
+              <PhotoGallery
+                key={`${activeCheckin.id}-${galleryVersion}`}
+                checkinId={activeCheckin.id}
+              />
+              <label className="inline-block mt-2 text-sm text-blue-700 underline cursor-pointer">
+                Add photos
+                <input
+                  type="file"
+                  accept="image/jpeg,image/png,image/webp"
+                  capture="environment"
+                  multiple
+                  onChange={handleAddPhotos}
+                  disabled={submitting}
+                  className="hidden"
+                />
+              </label>
+            </div>
+          )}
+
+          {!activeCheckin.pending && (
+            <VisitTasks checkinId={activeCheckin.id} />
+          )}
+
+          {activeCheckin.form && (
+            <div className="mt-4 bg-white border rounded-md p-4">
+              <p className="text-sm font-medium text-blue-800 mb-3">
+                {activeCheckin.form.name}
+              </p>
+              <VisitFormFields
+                fields={activeCheckin.form.fields}
+                values={formAnswers}
+                onChange={setFormAnswers}
+                errors={formErrors}
+                disabled={submitting}
+              />
+            </div>
+          )}
+
+          <div className="mt-4">
+            <p className="text-sm font-medium text-blue-800 mb-2">
+              Client signature
+              {activeCheckin.require_signature ? (
+                <span className="text-red-600"> (required)</span>
+              ) : (
+                <span className="text-blue-600 font-normal"> (optional)</span>
+              )}
+            </p>
+            <SignaturePad
+              key={signaturePadKey}
+              onChange={setSignature}
+              disabled={submitting}
+            />
+            {signature && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mt-2">
+                <input
+                  type="text"
+                  value={signerName}
+                  onChange={(e) => setSignerName(e.target.value)}
+                  placeholder="Signer name"
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <input
+                  type="text"
+                  value={signerDesignation}
+                  onChange={(e) => setSignerDesignation(e.target.value)}
+                  placeholder="Designation (optional)"
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            )}
+          </div>
+
           <button
             onClick={handleCheckOut}
-            disabled={submitting}
+            disabled={submitting || !location}
             className="mt-4 bg-red-600 text-white px-6 py-2 rounded-md hover:bg-red-700 disabled:bg-red-400"
           >
             {submitting ? "Processing..." : "Check Out"}
@@ -229,6 +585,16 @@ function CheckIn() {
         </div>
       )}
 
+      {!activeCheckin && (
+        <TodaysPlan
+          className="mb-6"
+          onSelectClient={(clientId) => {
+            setSelectedClient(clientId);
+            setVisitType("");
+          }}
+        />
+      )}
+
       {/* Check-in Form */}
       {!activeCheckin && (
         <div className="bg-white rounded-lg shadow p-6">
@@ -241,7 +607,10 @@ function CheckIn() {
               </label>
               <select
                 value={selectedClient}
-                onChange={(e) => setSelectedClient(e.target.value)}
+                onChange={(e) => {
+                  setSelectedClient(e.target.value);
+                  setVisitType("");
+                }}
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 required
               >
@@ -253,12 +622,60 @@ function CheckIn() {
                 ))}
               </select>
             </div>
+
+            {selectedClientObj?.visit_types?.length > 0 && (
+              <div className="mb-4">
+                <label className="block text-gray-700 text-sm font-medium mb-2">
+                  Visit Type
+                </label>
+                <select
+                  value={visitType}
+                  onChange={(e) => setVisitType(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">General visit</option>
+                  {selectedClientObj.visit_types.map((type) => (
+                    <option key={type} value={type}>
+                      {type}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {selectedClient && location && (
               <div className="mb-4 p-3 rounded-md bg-gray-50 border">
                 <p className="text-sm">
                   Distance from client:{" "}
                   <strong>{formatDistance(distanceMeters)}</strong>
+                  {geofenceRadius !== undefined && (
+                    <span className="text-gray-500">
+                      {" "}
+                      (allowed radius {formatDistance(geofenceRadius)})
+                    </span>
+                  )}
                 </p>
+                {outsideGeofence && (
+                  <p className="text-red-500 text-sm mt-1">
+                    You are outside the client geofence. This check-in will be
+                    flagged for your manager.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {outsideGeofence && (
+              <div className="mb-4">
+                <label className="block text-gray-700 text-sm font-medium mb-2">
+                  Reason for checking in off-site
+                </label>
+                <input
+                  type="text"
+                  value={overrideReason}
+                  onChange={(e) => setOverrideReason(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="e.g. Client asked to meet at their other office"
+                />
               </div>
             )}
 
@@ -275,6 +692,26 @@ function CheckIn() {
               />
             </div>
 
+            <div className="mb-4">
+              <label className="block text-gray-700 text-sm font-medium mb-2">
+                Photos (Optional)
+              </label>
+              <input
+                key={photoInputKey}
+                type="file"
+                accept="image/jpeg,image/png,image/webp"
+                capture="environment"
+                multiple
+                onChange={(e) => setPhotos(Array.from(e.target.files || []))}
+                className="w-full text-sm text-gray-600"
+              />
+              {photos.length > 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  {photos.length} photo{photos.length === 1 ? "" : "s"} selected
+                </p>
+              )}
+            </div>
+
             <button
               type="submit"
               disabled={submitting || !selectedClient || !location}
@@ -0,0 +1,524 @@
+import { useEffect, useState } from "react";
+import api from "../utils/api";
+import { useAuth } from "../context/AuthContext";
+import { can } from "../utils/permissions";
+import { downloadCsv } from "../utils/downloadCsv";
+import CsvImportPanel from "../components/CsvImportPanel";
+
+const PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE_MS = 300;
+
+const inputClass = "border px-3 py-2 rounded w-full";
+
+const emptyClient = () => ({
+  id: null,
+  external_code: "",
+  name: "",
+  address: "",
+  latitude: "",
+  longitude: "",
+  geofence_radius: 500,
+  require_signature: false,
+  visit_frequency_days: "",
+});
+
+function Clients() {
+  const { user } = useAuth();
+  const [clients, setClients] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [includeArchived, setIncludeArchived] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(search.trim());
+      setPage(1);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    fetchClients();
+  }, [page, debouncedSearch, includeArchived]);
+
+  const fetchClients = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page, limit: PAGE_SIZE });
+      if (debouncedSearch) params.append("search", debouncedSearch);
+      if (includeArchived) params.append("include_archived", "true");
+
+      const res = await api.get(`/clients?${params.toString()}`);
+      if (res.data.success) {
+        setClients(res.data.data.clients);
+        setPagination(res.data.data.pagination);
+      }
+    } catch {
+      setError("Failed to load clients");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startEditing = (client) => {
+    setError("");
+    setSuccess("");
+    setEditing(
+      client
+        ? {
+            ...client,
+            external_code: client.external_code || "",
+            require_signature: client.require_signature === 1,
+            visit_frequency_days: client.visit_frequency_days ?? "",
+          }
+        : emptyClient(),
+    );
+  };
+
+  // Prefills the form with the manager's current position, for adding a client on site
+  const fillCurrentLocation = () => {
+    if (!navigator.geolocation) {
+      setError("Geolocation is not supported by your browser");
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) =>
+        setEditing((prev) => ({
+          ...prev,
+          latitude: position.coords.latitude.toFixed(6),
+          longitude: position.coords.longitude.toFixed(6),
+        })),
+      () => setError("Unable to get your location"),
+    );
+  };
+
+  const saveClient = async (e) => {
+    e.preventDefault();
+    setError("");
+    setSuccess("");
+    setSaving(true);
+
+    const payload = {
+      external_code: editing.external_code,
+      name: editing.name,
+      address: editing.address,
+      latitude: editing.latitude,
+      longitude: editing.longitude,
+      geofence_radius: editing.geofence_radius,
+      require_signature: editing.require_signature,
+      visit_frequency_days: editing.visit_frequency_days || null,
+    };
+
+    try {
+      const res = editing.id
+        ? await api.put(`/clients/${editing.id}`, payload)
+        : await api.post("/clients", payload);
+
+      if (res.data.success) {
+        setSuccess(editing.id ? "Client updated" : "Client created");
+        setEditing(null);
+        fetchClients();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to save client");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const exportClients = async () => {
+    try {
+      await downloadCsv(
+        `/clients/export${includeArchived ? "?include_archived=true" : ""}`,
+        "clients.csv",
+      );
+    } catch {
+      setError("Failed to export clients");
+    }
+  };
+
+  const archiveClient = async (client) => {
+    if (
+      !window.confirm(
+        `Archive "${client.name}"? It will no longer be available for check-in.`,
+      )
+    ) {
+      return;
+    }
+
+    setError("");
+    setSuccess("");
+    try {
+      await api.delete(`/clients/${client.id}`);
+      setSuccess("Client archived");
+      fetchClients();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to archive client");
+    }
+  };
+
+  const restoreClient = async (client) => {
+    setError("");
+    setSuccess("");
+    try {
+      await api.post(`/clients/${client.id}/restore`);
+      setSuccess("Client restored");
+      fetchClients();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to restore client");
+    }
+  };
+
+  if (!can(user, "clients:read")) {
+    return (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+        Unauthorized access
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold">Clients</h2>
+        <div className="flex gap-2">
+          <button
+            onClick={exportClients}
+            className="text-sm bg-gray-100 text-gray-800 px-4 py-2 rounded hover:bg-gray-200"
+          >
+            Export CSV
+          </button>
+          <button
+            onClick={() => setImporting(true)}
+            className="text-sm bg-gray-100 text-gray-800 px-4 py-2 rounded hover:bg-gray-200"
+          >
+            Import CSV
+          </button>
+          {!editing && (
+            <button
+              onClick={() => startEditing(null)}
+              className="bg-blue-600 text-white px-5 py-2 rounded hover:bg-blue-700"
+            >
+              New Client
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {success}
+        </div>
+      )}
+
+      {importing && (
+        <CsvImportPanel
+          endpoint="/clients/import"
+          columns="external_code, name, address, latitude, longitude, geofence_radius, require_signature (yes/no), visit_frequency_days (blank for none). Rows update the client with the same external_code."
+          onImported={fetchClients}
+          onClose={() => setImporting(false)}
+        />
+      )}
+
+      {editing && (
+        <form
+          onSubmit={saveClient}
+          className="bg-white rounded-lg shadow p-6 mb-6 space-y-4"
+        >
+          <h3 className="font-semibold">
+            {editing.id ? "Edit Client" : "New Client"}
+          </h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm text-gray-600">Name</label>
+              <input
+                type="text"
+                value={editing.name}
+                onChange={(e) =>
+                  setEditing({ ...editing, name: e.target.value })
+                }
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-600">
+                External code
+              </label>
+              <input
+                type="text"
+                value={editing.external_code}
+                onChange={(e) =>
+                  setEditing({ ...editing, external_code: e.target.value })
+                }
+                className={inputClass}
+                placeholder="Optional, e.g. GGN-001"
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-600">Address</label>
+              <input
+                type="text"
+                value={editing.address}
+                onChange={(e) =>
+                  setEditing({ ...editing, address: e.target.value })
+                }
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-600">Latitude</label>
+              <input
+                type="number"
+                step="any"
+                min="-90"
+                max="90"
+                value={editing.latitude}
+                onChange={(e) =>
+                  setEditing({ ...editing, latitude: e.target.value })
+                }
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-600">Longitude</label>
+              <input
+                type="number"
+                step="any"
+                min="-180"
+                max="180"
+                value={editing.longitude}
+                onChange={(e) =>
+                  setEditing({ ...editing, longitude: e.target.value })
+                }
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-600">
+                Geofence radius (m)
+              </label>
+              <input
+                type="number"
+                min="25"
+                max="10000"
+                value={editing.geofence_radius}
+                onChange={(e) =>
+                  setEditing({ ...editing, geofence_radius: e.target.value })
+                }
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-600">
+                Visit at least every (days)
+              </label>
+              <input
+                type="number"
+                min="1"
+                max="365"
+                placeholder="No target"
+                value={editing.visit_frequency_days}
+                onChange={(e) =>
+                  setEditing({
+                    ...editing,
+                    visit_frequency_days: e.target.value,
+                  })
+                }
+                className={inputClass}
+              />
+            </div>
+            <div className="flex items-end">
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={editing.require_signature}
+                  onChange={(e) =>
+                    setEditing({
+                      ...editing,
+                      require_signature: e.target.checked,
+                    })
+                  }
+                />
+                Require client signature at checkout
+              </label>
+            </div>
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-blue-600 text-white px-5 py-2 rounded hover:bg-blue-700 disabled:bg-blue-400"
+            >
+              {saving ? "Saving..." : "Save Client"}
+            </button>
+            <button
+              type="button"
+              onClick={fillCurrentLocation}
+              className="px-5 py-2 rounded border hover:bg-gray-50"
+            >
+              Use My Location
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="px-5 py-2 rounded border hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-wrap gap-4 items-center">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by name, address or code"
+          className="border px-3 py-2 rounded flex-1 min-w-[200px]"
+        />
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={includeArchived}
+            onChange={(e) => {
+              setIncludeArchived(e.target.checked);
+              setPage(1);
+            }}
+          />
+          Show archived
+        </label>
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        {loading && clients.length === 0 ? (
+          <p className="p-6 text-gray-500">Loading...</p>
+        ) : clients.length === 0 ? (
+          <p className="p-6 text-gray-500">No clients found</p>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50 text-sm text-gray-600">
+              <tr>
+                <th className="p-3 text-left">Name</th>
+                <th className="p-3 text-left">Code</th>
+                <th className="p-3 text-left">Address</th>
+                <th className="p-3 text-left">Coordinates</th>
+                <th className="p-3 text-center">Radius</th>
+                <th className="p-3 text-center">Signature</th>
+                <th className="p-3 text-center">Visit every</th>
+                <th className="p-3 text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {clients.map((client) => (
+                <tr
+                  key={client.id}
+                  className={`border-t ${
+                    client.archived_at ? "text-gray-400" : ""
+                  }`}
+                >
+                  <td className="p-3">
+                    {client.name}
+                    {client.archived_at && (
+                      <span className="ml-2 px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-600">
+                        Archived
+                      </span>
+                    )}
+                  </td>
+                  <td className="p-3 text-sm">{client.external_code || "-"}</td>
+                  <td className="p-3 text-sm">{client.address}</td>
+                  <td className="p-3 text-sm">
+                    {client.latitude}, {client.longitude}
+                  </td>
+                  <td className="p-3 text-center">
+                    {client.geofence_radius} m
+                  </td>
+                  <td className="p-3 text-center">
+                    {client.require_signature ? "Required" : "-"}
+                  </td>
+                  <td className="p-3 text-center">
+                    {client.visit_frequency_days
+                      ? `${client.visit_frequency_days} days`
+                      : "-"}
+                  </td>
+                  <td className="p-3 text-right space-x-3">
+                    {client.archived_at ? (
+                      <button
+                        onClick={() => restoreClient(client)}
+                        className="text-blue-600 hover:underline"
+                      >
+                        Restore
+                      </button>
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => startEditing(client)}
+                          className="text-blue-600 hover:underline"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => archiveClient(client)}
+                          className="text-red-600 hover:underline"
+                        >
+                          Archive
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {pagination && pagination.total_pages > 1 && (
+        <div className="flex justify-between items-center mt-4 text-sm">
+          <span className="text-gray-600">
+            Page {pagination.page} of {pagination.total_pages} (
+            {pagination.total} clients)
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage((p) => p - 1)}
+              disabled={pagination.page <= 1}
+              className="px-4 py-2 rounded border bg-white hover:bg-gray-50 disabled:text-gray-400"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage((p) => p + 1)}
+              disabled={pagination.page >= pagination.total_pages}
+              className="px-4 py-2 rounded border bg-white hover:bg-gray-50 disabled:text-gray-400"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Clients;
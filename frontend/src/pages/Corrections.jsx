@@ -0,0 +1,243 @@
+import { useEffect, useState } from "react";
+import api from "../utils/api";
+import { useAuth } from "../context/AuthContext";
+import { can } from "../utils/permissions";
+import {
+  formatLocalDate,
+  formatLocalTime,
+  parseUtcToLocal,
+} from "../utils/date-helper";
+
+const STATUS_OPTIONS = [
+  { value: "pending", label: "Waiting for approval" },
+  { value: "approved", label: "Approved" },
+  { value: "rejected", label: "Rejected" },
+  { value: "all", label: "All" },
+];
+
+const STATUS_STYLES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  approved: "bg-green-100 text-green-800",
+  rejected: "bg-gray-100 text-gray-800",
+};
+
+const FIELD_LABELS = {
+  client_id: "Client",
+  checkin_time: "Check-in",
+  checkout_time: "Check-out",
+  notes: "Notes",
+};
+
+const formatDateTime = (utcString) => {
+  const date = parseUtcToLocal(utcString);
+  return date ? `${formatLocalDate(date)} ${formatLocalTime(date)}` : "-";
+};
+
+// Current (or, once approved, original) and requested value of each changed field
+const describeChanges = (correction) => {
+  const from = correction.original_values
+    ? {
+        ...correction.original_values,
+        client_id: correction.original_client_name,
+      }
+    : {
+        client_id: correction.client_name,
+        checkin_time: correction.checkin_time,
+        checkout_time: correction.checkout_time,
+        notes: correction.notes,
+      };
+
+  return Object.entries(correction.changes).map(([field, value]) => {
+    const isTime = field === "checkin_time" || field === "checkout_time";
+    const show = (v) => (isTime ? formatDateTime(v) : v || "-");
+
+    return {
+      field,
+      label: FIELD_LABELS[field],
+      from: show(from[field]),
+      to: field === "client_id" ? correction.proposed_client_name : show(value),
+    };
+  });
+};
+
+function Corrections() {
+  const { user } = useAuth();
+  const [corrections, setCorrections] = useState([]);
+  const [status, setStatus] = useState("pending");
+  const [notes, setNotes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    fetchCorrections();
+  }, [status]);
+
+  const fetchCorrections = async () => {
+    setLoading(true);
+    try {
+      const res = await api.get(`/corrections?status=${status}`);
+      if (res.data.success) {
+        setCorrections(res.data.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load corrections");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const review = async (correction, decision) => {
+    setError("");
+    setMessage("");
+    try {
+      const res = await api.post(`/corrections/${correction.id}/${decision}`, {
+        review_note: notes[correction.id] || "",
+      });
+      setMessage(res.data.message);
+      fetchCorrections();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to review correction");
+    }
+  };
+
+  if (!can(user, "checkins:edit")) {
+    return (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+        Unauthorized access
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold">Check-in Corrections</h2>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="border px-3 py-2 rounded"
+        >
+          {STATUS_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {message}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow">
+        {loading ? (
+          <p className="p-6 text-gray-500">Loading...</p>
+        ) : corrections.length === 0 ? (
+          <p className="p-6 text-gray-500">No correction requests</p>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50 text-sm text-gray-600">
+              <tr>
+                <th className="p-3 text-left">Requested</th>
+                <th className="p-3 text-left">Employee</th>
+                <th className="p-3 text-left">Visit</th>
+                <th className="p-3 text-left">Changes</th>
+                <th className="p-3 text-left">Reason</th>
+                <th className="p-3 text-left">Review</th>
+              </tr>
+            </thead>
+            <tbody>
+              {corrections.map((correction) => (
+                <tr key={correction.id} className="border-t text-sm align-top">
+                  <td className="p-3">
+                    {formatDateTime(correction.created_at)}
+                  </td>
+                  <td className="p-3">{correction.employee_name}</td>
+                  <td className="p-3">
+                    <div>{correction.client_name}</div>
+                    <div className="text-xs text-gray-500">
+                      #{correction.checkin_id} ·{" "}
+                      {formatDateTime(correction.checkin_time)}
+                    </div>
+                  </td>
+                  <td className="p-3">
+                    {describeChanges(correction).map((change) => (
+                      <div key={change.field}>
+                        <span className="text-gray-600">{change.label}:</span>{" "}
+                        <span className="text-red-700 line-through">
+                          {change.from}
+                        </span>{" "}
+                        → <span className="text-green-700">{change.to}</span>
+                      </div>
+                    ))}
+                  </td>
+                  <td className="p-3 text-gray-600">{correction.reason}</td>
+                  <td className="p-3">
+                    {correction.status === "pending" ? (
+                      <div className="space-y-2">
+                        <input
+                          type="text"
+                          placeholder="Note to employee (optional)"
+                          maxLength={500}
+                          value={notes[correction.id] || ""}
+                          onChange={(e) =>
+                            setNotes({
+                              ...notes,
+                              [correction.id]: e.target.value,
+                            })
+                          }
+                          className="w-full border px-2 py-1 rounded"
+                        />
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => review(correction, "approve")}
+                            className="px-3 py-1 rounded bg-green-600 text-white hover:bg-green-700"
+                          >
+                            Approve
+                          </button>
+                          <button
+                            onClick={() => review(correction, "reject")}
+                            className="px-3 py-1 rounded bg-red-600 text-white hover:bg-red-700"
+                          >
+                            Reject
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <div>
+                        <span
+                          className={`px-2 py-0.5 rounded text-xs ${STATUS_STYLES[correction.status]}`}
+                        >
+                          {correction.status}
+                        </span>
+                        <div className="text-xs text-gray-500 mt-1">
+                          {correction.reviewer_name} ·{" "}
+                          {formatDateTime(correction.reviewed_at)}
+                        </div>
+                        {correction.review_note && (
+                          <div className="text-xs text-gray-600 mt-1">
+                            {correction.review_note}
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Corrections;
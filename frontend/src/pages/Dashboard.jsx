@@ -1,22 +1,86 @@
 import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
 import api from "../utils/api";
 import { formatLocalTime, parseUtcToLocal } from "../utils/date-helper";
 import { useAuth } from "../context/AuthContext";
+import { can } from "../utils/permissions";
+import { formatDistance } from "../utils/calculateDistance";
+import { useTeamStream } from "../hooks/useTeamStream";
+import TeamFilter from "../components/TeamFilter";
+import TodaysPlan from "../components/TodaysPlan";
+import VisitDueBadge from "../components/VisitDueBadge";
 
 function Dashboard() {
   const { user } = useAuth();
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const [lastLocations, setLastLocations] = useState({});
+  const [teamId, setTeamId] = useState("");
 
   useEffect(() => {
     fetchDashboardData();
-  }, []);
+  }, [teamId]);
+
+  // The stream covers the manager's whole reporting tree; skip employees outside the sub-team being viewed
+  const inView = (prev, checkin) =>
+    prev && prev.team_members.some((m) => m.id === checkin.employee_id);
+
+  const live = useTeamStream(can(user, "team:read"), {
+    checkin: (checkin) => {
+      setStats((prev) => {
+        if (
+          !inView(prev, checkin) ||
+          prev.today_checkins.some((c) => c.id === checkin.id)
+        ) {
+          return prev;
+        }
+        return {
+          ...prev,
+          today_checkins: [checkin, ...prev.today_checkins],
+          active_checkins: prev.active_checkins + 1,
+          outside_geofence_today:
+            prev.outside_geofence_today +
+            (checkin.within_geofence === 0 ? 1 : 0),
+        };
+      });
+    },
+    checkout: (checkin) => {
+      setStats((prev) => {
+        if (!inView(prev, checkin)) return prev;
+        return {
+          ...prev,
+          today_checkins: prev.today_checkins.map((c) =>
+            c.id === checkin.id ? checkin : c,
+          ),
+          active_checkins: Math.max(prev.active_checkins - 1, 0),
+        };
+      });
+    },
+    auto_checkout: (checkin) => {
+      setStats((prev) => {
+        if (!inView(prev, checkin)) return prev;
+        return {
+          ...prev,
+          today_checkins: prev.today_checkins.map((c) =>
+            c.id === checkin.id ? checkin : c,
+          ),
+          active_checkins: Math.max(prev.active_checkins - 1, 0),
+          auto_closed_today: prev.auto_closed_today + 1,
+        };
+      });
+    },
+    location: (ping) => {
+      setLastLocations((prev) => ({ ...prev, [ping.employee_id]: ping }));
+    },
+    onReconnect: () => fetchDashboardData(),
+  });
 
   const fetchDashboardData = async () => {
     try {
-      const endpoint =
-        user.role === "manager" ? "/dashboard/stats" : "/dashboard/employee";
+      const endpoint = can(user, "team:read")
+        ? `/dashboard/stats${teamId ? `?team_id=${teamId}` : ""}`
+        : "/dashboard/employee";
 
       const response = await api.get(endpoint);
 
@@ -48,12 +112,31 @@ function Dashboard() {
   }
 
   // Manager Dashboard
-  if (user.role === "manager") {
+  if (can(user, "team:read")) {
     return (
       <div>
-        <h2 className="text-2xl font-bold mb-6">Manager Dashboard</h2>
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold">Manager Dashboard</h2>
+          <TeamFilter
+            value={teamId}
+            onChange={setTeamId}
+            className="ml-auto mr-6 flex items-center gap-2"
+          />
+          <span
+            className={`flex items-center gap-2 text-sm ${
+              live ? "text-green-700" : "text-gray-500"
+            }`}
+          >
+            <span
+              className={`inline-block w-2 h-2 rounded-full ${
+                live ? "bg-green-500" : "bg-gray-400"
+              }`}
+            />
+            {live ? "Live" : "Reconnecting..."}
+          </span>
+        </div>
 
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-6 mb-8">
           <div className="bg-white p-6 rounded-lg shadow">
             <h3 className="text-gray-500 text-sm">Team Size</h3>
             <p className="text-3xl font-bold text-blue-600">
@@ -72,6 +155,18 @@ function Dashboard() {
               {stats?.today_checkins?.length || 0}
             </p>
           </div>
+          <div className="bg-white p-6 rounded-lg shadow">
+            <h3 className="text-gray-500 text-sm">Outside Geofence Today</h3>
+            <p className="text-3xl font-bold text-red-600">
+              {stats?.outside_geofence_today || 0}
+            </p>
+          </div>
+          <div className="bg-white p-6 rounded-lg shadow">
+            <h3 className="text-gray-500 text-sm">Auto-closed Today</h3>
+            <p className="text-3xl font-bold text-orange-600">
+              {stats?.auto_closed_today || 0}
+            </p>
+          </div>
         </div>
 
         <div className="bg-white rounded-lg shadow">
@@ -87,6 +182,8 @@ function Dashboard() {
                     <th className="pb-3">Client</th>
                     <th className="pb-3">Check-in Time</th>
                     <th className="pb-3">Status</th>
+                    <th className="pb-3">Geofence</th>
+                    <th className="pb-3">Last Location</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -94,7 +191,18 @@ function Dashboard() {
                     const checkInTime = parseUtcToLocal(checkin.checkin_time);
                     return (
                       <tr key={checkin.id} className="border-t">
-                        <td className="py-3">{checkin.employee_name}</td>
+                        <td className="py-3">
+                          {can(user, "reports:read") ? (
+                            <Link
+                              to={`/employees/${checkin.employee_id}`}
+                              className="text-blue-600 hover:underline"
+                            >
+                              {checkin.employee_name}
+                            </Link>
+                          ) : (
+                            checkin.employee_name
+                          )}
+                        </td>
                         <td className="py-3">{checkin.client_name}</td>
                         <td className="py-3">{formatLocalTime(checkInTime)}</td>
                         <td className="py-3">
@@ -107,6 +215,26 @@ function Dashboard() {
                           >
                             {checkin.status}
                           </span>
+                          {checkin.closed_by_system === 1 && (
+                            <span className="ml-2 px-2 py-1 rounded text-xs bg-orange-100 text-orange-800">
+                              auto-closed
+                            </span>
+                          )}
+                        </td>
+                        <td className="py-3">
+                          <GeofenceBadge checkin={checkin} />
+                        </td>
+                        <td className="py-3 text-sm text-gray-600">
+                          {checkin.status === "checked_in" &&
+                          lastLocations[checkin.employee_id]?.checkin_id ===
+                            checkin.id
+                            ? formatLocalTime(
+                                parseUtcToLocal(
+                                  lastLocations[checkin.employee_id]
+                                    .recorded_at,
+                                ),
+                              )
+                            : "-"}
                         </td>
                       </tr>
                     );
@@ -148,6 +276,35 @@ function Dashboard() {
         </div>
       </div>
 
+      <TodaysPlan className="mb-8" />
+
+      {stats?.clients_needing_visit?.length > 0 && (
+        <div className="bg-white rounded-lg shadow mb-8">
+          <h3 className="text-lg font-semibold p-4 border-b">
+            Clients Needing a Visit
+          </h3>
+          <ul className="divide-y">
+            {stats.clients_needing_visit.map((client) => (
+              <li
+                key={client.assignment_id}
+                className="p-4 flex justify-between items-center gap-4"
+              >
+                <div>
+                  <div className="font-medium">{client.client_name}</div>
+                  <div className="text-sm text-gray-500">
+                    Every {client.frequency_days} days ·{" "}
+                    {client.days_since_last_visit === null
+                      ? "Never visited"
+                      : `Last visit ${client.days_since_last_visit} day(s) ago`}
+                  </div>
+                </div>
+                <VisitDueBadge client={client} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div className="bg-white rounded-lg shadow">
         <h3 className="text-lg font-semibold p-4 border-b">My Clients</h3>
         <div className="p-4">
@@ -169,4 +326,30 @@ function Dashboard() {
   );
 }
 
+function GeofenceBadge({ checkin }) {
+  if (
+    checkin.within_geofence === null ||
+    checkin.within_geofence === undefined
+  ) {
+    return <span className="text-gray-400 text-xs">-</span>;
+  }
+
+  if (checkin.within_geofence) {
+    return (
+      <span className="px-2 py-1 rounded text-xs bg-green-100 text-green-800">
+        On-site
+      </span>
+    );
+  }
+
+  return (
+    <span
+      className="px-2 py-1 rounded text-xs bg-red-100 text-red-800"
+      title={checkin.override_reason || "No reason given"}
+    >
+      Outside ({formatDistance(checkin.distance_from_client)})
+    </span>
+  );
+}
+
 export default Dashboard;
@@ -0,0 +1,296 @@
+import { Fragment, useEffect, useMemo, useState } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import api from "../utils/api";
+import { useAuth } from "../context/AuthContext";
+import { can } from "../utils/permissions";
+import {
+  formatDuration,
+  formatLocalDate,
+  formatLocalTime,
+  formatMinutes,
+  getTodayLocal,
+  parseUtcToLocal,
+} from "../utils/date-helper";
+import { formatDistance } from "../utils/calculateDistance";
+import VisitDetails from "../components/VisitDetails";
+
+// A team member's visits over a date range; opened from the report table and the dashboard
+function EmployeeDetail() {
+  const { user } = useAuth();
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const today = getTodayLocal();
+  const [startDate, setStartDate] = useState(
+    searchParams.get("start_date") || today,
+  );
+  const [endDate, setEndDate] = useState(searchParams.get("end_date") || today);
+  const [employee, setEmployee] = useState(null);
+  const [checkins, setCheckins] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetchHistory();
+  }, [id]);
+
+  const fetchHistory = async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const params = new URLSearchParams();
+      if (startDate) params.append("start_date", startDate);
+      if (endDate) params.append("end_date", endDate);
+
+      const res = await api.get(
+        `/reports/employees/${id}/checkins?${params.toString()}`,
+      );
+      if (res.data.success) {
+        setEmployee(res.data.data.employee);
+        setCheckins(res.data.data.checkins);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load visits");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilter = (e) => {
+    e.preventDefault();
+    if (startDate && endDate && startDate > endDate) {
+      setError("Start date must not be after end date");
+      return;
+    }
+    fetchHistory();
+  };
+
+  const rows = useMemo(
+    () =>
+      checkins.map((checkin) => {
+        const checkinTime = parseUtcToLocal(checkin.checkin_time);
+        const checkoutTime = parseUtcToLocal(checkin.checkout_time);
+
+        return {
+          id: checkin.id,
+          date: formatLocalDate(checkinTime),
+          clientName: checkin.client_name,
+          clientAddress: checkin.client_address,
+          checkinTime: formatLocalTime(checkinTime),
+          checkoutTime: checkoutTime ? formatLocalTime(checkoutTime) : "-",
+          minutes: checkoutTime ? (checkoutTime - checkinTime) / 60000 : 0,
+          duration: formatDuration(checkinTime, checkoutTime),
+          distance:
+            checkin.distance_from_client !== null
+              ? formatDistance(checkin.distance_from_client)
+              : "-",
+          checkoutDistance:
+            checkin.checkout_distance_from_client !== null
+              ? formatDistance(checkin.checkout_distance_from_client)
+              : null,
+          outsideGeofence: checkin.within_geofence === 0,
+          notes: checkin.notes || "-",
+          closedBySystem: checkin.closed_by_system === 1,
+          corrected: Boolean(checkin.corrected_at),
+          hasDetails:
+            checkin.photo_count > 0 ||
+            Boolean(checkin.signature_key) ||
+            (Boolean(checkin.form_id) && checkin.status === "checked_out"),
+          photoCount: checkin.photo_count,
+          visit: checkin,
+        };
+      }),
+    [checkins],
+  );
+
+  const totals = useMemo(
+    () => ({
+      visits: rows.length,
+      minutes: rows.reduce((sum, row) => sum + row.minutes, 0),
+      clients: new Set(checkins.map((c) => c.client_id)).size,
+      outsideGeofence: rows.filter((row) => row.outsideGeofence).length,
+    }),
+    [rows, checkins],
+  );
+
+  if (!can(user, "reports:read")) {
+    return (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+        Unauthorized access
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <Link to="/report" className="text-sm text-blue-600 hover:underline">
+        ← Back to reports
+      </Link>
+      <h2 className="text-2xl font-bold mt-2">
+        {employee ? employee.name : "Employee"}
+      </h2>
+      {employee && (
+        <p className="text-sm text-gray-500 mb-6">
+          {employee.email}
+          {employee.manager_name && ` · Reports to ${employee.manager_name}`}
+          {!employee.is_active && " · Deactivated"}
+        </p>
+      )}
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6">
+        <form
+          onSubmit={handleFilter}
+          className="flex flex-wrap gap-4 items-end"
+        >
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">
+              Start Date
+            </label>
+            <input
+              type="date"
+              value={startDate}
+              max={today}
+              onChange={(e) => setStartDate(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">End Date</label>
+            <input
+              type="date"
+              value={endDate}
+              min={startDate || ""}
+              max={today}
+              onChange={(e) => setEndDate(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </div>
+          <button
+            type="submit"
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            Filter
+          </button>
+        </form>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-6 mb-6">
+        <Stat title="Visits" value={totals.visits} />
+        <Stat title="Time at Clients" value={formatMinutes(totals.minutes)} />
+        <Stat title="Clients Visited" value={totals.clients} />
+        <Stat title="Outside Geofence" value={totals.outsideGeofence} />
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {loading ? (
+          <p className="p-6 text-gray-500">Loading...</p>
+        ) : rows.length === 0 ? (
+          <p className="p-8 text-center text-gray-500">
+            No visits in this period
+          </p>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50 text-sm text-gray-600">
+              <tr>
+                <th className="p-3 text-left">Date</th>
+                <th className="p-3 text-left">Client</th>
+                <th className="p-3 text-left">Check-in</th>
+                <th className="p-3 text-left">Check-out</th>
+                <th className="p-3 text-left">Duration</th>
+                <th className="p-3 text-left">Distance from client</th>
+                <th className="p-3 text-left">Notes</th>
+                <th className="p-3 text-left">Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <Fragment key={row.id}>
+                  <tr className="border-t">
+                    <td className="p-3">{row.date}</td>
+                    <td className="p-3">
+                      <div>{row.clientName}</div>
+                      <div className="text-xs text-gray-500">
+                        {row.clientAddress}
+                      </div>
+                    </td>
+                    <td className="p-3">{row.checkinTime}</td>
+                    <td className="p-3">
+                      <div>{row.checkoutTime}</div>
+                      {row.closedBySystem && (
+                        <span className="inline-block mt-1 px-2 py-0.5 rounded text-xs bg-orange-100 text-orange-800">
+                          Closed automatically
+                        </span>
+                      )}
+                      {row.corrected && (
+                        <span className="inline-block mt-1 px-2 py-0.5 rounded text-xs bg-purple-100 text-purple-800">
+                          Corrected
+                        </span>
+                      )}
+                    </td>
+                    <td className="p-3">{row.duration}</td>
+                    <td className="p-3">
+                      <div
+                        className={
+                          row.outsideGeofence
+                            ? "text-red-600 font-semibold"
+                            : ""
+                        }
+                      >
+                        {row.distance}
+                      </div>
+                      {row.checkoutDistance && (
+                        <div className="text-xs text-gray-500">
+                          At checkout: {row.checkoutDistance}
+                        </div>
+                      )}
+                    </td>
+                    <td className="p-3 text-sm text-gray-600">{row.notes}</td>
+                    <td className="p-3 text-sm">
+                      {row.hasDetails ? (
+                        <button
+                          onClick={() =>
+                            setExpandedId(expandedId === row.id ? null : row.id)
+                          }
+                          className="text-blue-600 hover:underline"
+                        >
+                          {expandedId === row.id ? "Hide" : "View"}
+                          {row.photoCount > 0 && ` (${row.photoCount} photos)`}
+                        </button>
+                      ) : (
+                        "-"
+                      )}
+                    </td>
+                  </tr>
+                  {expandedId === row.id && (
+                    <tr className="bg-gray-50">
+                      <td colSpan="8" className="p-3">
+                        <VisitDetails visit={row.visit} />
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Stat({ title, value }) {
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <h3 className="text-gray-500 text-sm">{title}</h3>
+      <p className="text-2xl font-bold">{value}</p>
+    </div>
+  );
+}
+
+export default EmployeeDetail;
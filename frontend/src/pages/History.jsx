@@ -1,4 +1,4 @@
-import { useState, useEffect, useMemo } from "react";
+import { Fragment, useState, useEffect, useMemo } from "react";
 import api from "../utils/api";
 import {
   formatDuration,
@@ -8,6 +8,15 @@ import {
   parseUtcToLocal,
 } from "../utils/date-helper";
 import { formatDistance } from "../utils/calculateDistance";
+import VisitDetails from "../components/VisitDetails";
+
+// "YYYY-MM-DD HH:MM:SS" UTC to the value of a datetime-local input, in local time
+const toLocalInput = (utcString) => {
+  const date = parseUtcToLocal(utcString);
+  if (!date) return "";
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
 
 function History() {
   const [checkins, setCheckins] = useState([]);
@@ -15,8 +24,17 @@ function History() {
   const [error, setError] = useState("");
   const [startDate, setStartDate] = useState("");
   const [endDate, setEndDate] = useState("");
+  const [expandedId, setExpandedId] = useState(null);
+  const [clients, setClients] = useState([]);
+  const [correcting, setCorrecting] = useState(null);
+  const [correctionError, setCorrectionError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
   useEffect(() => {
     fetchHistory();
+    api
+      .get("/checkin/clients")
+      .then((res) => res.data.success && setClients(res.data.data))
+      .catch(() => {});
   }, []);
   const fetchHistory = async () => {
     try {
@@ -42,6 +60,53 @@ function History() {
     }
   };
 
+  const startCorrection = (visit) => {
+    const initial = {
+      client_id: String(visit.client_id),
+      checkin_time: toLocalInput(visit.checkin_time),
+      checkout_time: toLocalInput(visit.checkout_time),
+      notes: visit.notes || "",
+    };
+    setCorrecting({ id: visit.id, initial, form: { ...initial, reason: "" } });
+    setCorrectionError("");
+    setExpandedId(null);
+  };
+
+  const updateCorrection = (key, value) =>
+    setCorrecting({
+      ...correcting,
+      form: { ...correcting.form, [key]: value },
+    });
+
+  // Only fields the employee changed are sent, so unchanged times keep their seconds
+  const submitCorrection = async (e) => {
+    e.preventDefault();
+    const { initial, form } = correcting;
+    const body = { reason: form.reason };
+
+    if (form.client_id !== initial.client_id) body.client_id = form.client_id;
+    ["checkin_time", "checkout_time"].forEach((key) => {
+      if (form[key] && form[key] !== initial[key]) {
+        body[key] = new Date(form[key]).toISOString();
+      }
+    });
+    if (form.notes !== initial.notes) body.notes = form.notes;
+
+    setSubmitting(true);
+    setCorrectionError("");
+    try {
+      await api.post(`/checkin/${correcting.id}/corrections`, body);
+      setCorrecting(null);
+      fetchHistory();
+    } catch (err) {
+      setCorrectionError(
+        err.response?.data?.message || "Failed to request correction",
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
   const handleFilter = (e) => {
     e.preventDefault();
 
@@ -87,6 +152,20 @@ function History() {
           ? formatDistance(checkin.distance_from_client)
           : "-",
         notes: checkin.notes || "-",
+        photoCount: checkin.photo_count || 0,
+        signed: Boolean(checkin.signature_key),
+        hasForm: Boolean(checkin.form_id) && checkin.status === "checked_out",
+        visit: checkin,
+        checkedOutOffsite: checkin.checkout_within_geofence === 0,
+        closedBySystem: checkin.closed_by_system === 1,
+        corrected: Boolean(checkin.corrected_at),
+        correctionStatus: checkin.correction_status,
+        correctionNote: checkin.correction_review_note,
+        checkoutDistance:
+          checkin.checkout_distance_from_client !== null &&
+          checkin.checkout_distance_from_client !== undefined
+            ? formatDistance(checkin.checkout_distance_from_client)
+            : null,
       };
     });
   }, [checkins]);
@@ -227,37 +306,233 @@ function History() {
                 <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">
                   Notes
                 </th>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-600">
+                  Details
+                </th>
               </tr>
             </thead>
             <tbody>
               {rows.map((row) => {
                 return (
-                  <tr key={row.id} className="border-t hover:bg-gray-50">
-                    <td className="px-4 py-3">{row.checkinTime}</td>
-                    <td className="px-4 py-3">
-                      <div>{row.clientName}</div>
-                      <div className="text-xs text-gray-500">
-                        {row.clientAddress}
-                      </div>
-                    </td>
-                    <td className="px-4 py-3">{row.checkinTime}</td>
-                    <td className="px-4 py-3">{row.checkoutTime}</td>
-                    <td className="px-4 py-3">{row.distance}</td>
-                    <td className="px-4 py-3">
-                      <span
-                        className={`px-2 py-1 rounded text-xs ${
-                          row.duration === "Active"
-                            ? "bg-green-100 text-green-800"
-                            : "bg-gray-100 text-gray-800"
-                        }`}
-                      >
-                        {row.duration}
-                      </span>
-                    </td>
-                    <td className="px-4 py-3 text-sm text-gray-600">
-                      {row.notes || "-"}
-                    </td>
-                  </tr>
+                  <Fragment key={row.id}>
+                    <tr className="border-t hover:bg-gray-50">
+                      <td className="px-4 py-3">{row.checkinTime}</td>
+                      <td className="px-4 py-3">
+                        <div>{row.clientName}</div>
+                        <div className="text-xs text-gray-500">
+                          {row.clientAddress}
+                        </div>
+                      </td>
+                      <td className="px-4 py-3">{row.checkinTime}</td>
+                      <td className="px-4 py-3">
+                        <div>{row.checkoutTime}</div>
+                        {row.checkedOutOffsite && (
+                          <span className="inline-block mt-1 px-2 py-0.5 rounded text-xs bg-red-100 text-red-800">
+                            Checked out off-site
+                          </span>
+                        )}
+                        {row.closedBySystem && (
+                          <span className="inline-block mt-1 px-2 py-0.5 rounded text-xs bg-orange-100 text-orange-800">
+                            Closed automatically
+                          </span>
+                        )}
+                        {row.corrected && (
+                          <span className="inline-block mt-1 px-2 py-0.5 rounded text-xs bg-purple-100 text-purple-800">
+                            Corrected
+                          </span>
+                        )}
+                        {row.correctionStatus === "pending" && (
+                          <span className="inline-block mt-1 px-2 py-0.5 rounded text-xs bg-yellow-100 text-yellow-800">
+                            Correction pending
+                          </span>
+                        )}
+                        {row.correctionStatus === "rejected" && (
+                          <span
+                            title={row.correctionNote || undefined}
+                            className="inline-block mt-1 px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-800"
+                          >
+                            Correction rejected
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3">
+                        <div>{row.distance}</div>
+                        {row.checkoutDistance && (
+                          <div className="text-xs text-gray-500">
+                            At checkout: {row.checkoutDistance}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3">
+                        <span
+                          className={`px-2 py-1 rounded text-xs ${
+                            row.duration === "Active"
+                              ? "bg-green-100 text-green-800"
+                              : "bg-gray-100 text-gray-800"
+                          }`}
+                        >
+                          {row.duration}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">
+                        {row.notes || "-"}
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        {row.photoCount > 0 || row.signed || row.hasForm ? (
+                          <button
+                            onClick={() =>
+                              setExpandedId(
+                                expandedId === row.id ? null : row.id,
+                              )
+                            }
+                            className="text-blue-600 hover:underline"
+                          >
+                            {expandedId === row.id ? "Hide" : "View"}
+                            {row.photoCount > 0 &&
+                              ` (${row.photoCount} photos)`}
+                            {row.signed && " · Signed"}
+                          </button>
+                        ) : (
+                          "-"
+                        )}
+                        {row.correctionStatus !== "pending" && (
+                          <button
+                            onClick={() =>
+                              correcting?.id === row.id
+                                ? setCorrecting(null)
+                                : startCorrection(row.visit)
+                            }
+                            className="block mt-1 text-gray-600 hover:underline"
+                          >
+                            {correcting?.id === row.id
+                              ? "Cancel correction"
+                              : "Request correction"}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {correcting?.id === row.id && (
+                      <tr className="bg-gray-50">
+                        <td colSpan="8" className="px-4 py-3">
+                          <form
+                            onSubmit={submitCorrection}
+                            className="grid grid-cols-1 md:grid-cols-3 gap-4"
+                          >
+                            <div>
+                              <label className="block text-sm text-gray-600 mb-1">
+                                Client
+                              </label>
+                              <select
+                                value={correcting.form.client_id}
+                                onChange={(e) =>
+                                  updateCorrection("client_id", e.target.value)
+                                }
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                              >
+                                <option value={correcting.initial.client_id}>
+                                  {row.clientName}
+                                </option>
+                                {clients
+                                  .filter(
+                                    (c) =>
+                                      String(c.id) !==
+                                      correcting.initial.client_id,
+                                  )
+                                  .map((c) => (
+                                    <option key={c.id} value={c.id}>
+                                      {c.name}
+                                    </option>
+                                  ))}
+                              </select>
+                            </div>
+                            <div>
+                              <label className="block text-sm text-gray-600 mb-1">
+                                Check-in time
+                              </label>
+                              <input
+                                type="datetime-local"
+                                value={correcting.form.checkin_time}
+                                onChange={(e) =>
+                                  updateCorrection(
+                                    "checkin_time",
+                                    e.target.value,
+                                  )
+                                }
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                              />
+                            </div>
+                            <div>
+                              <label className="block text-sm text-gray-600 mb-1">
+                                Check-out time
+                              </label>
+                              <input
+                                type="datetime-local"
+                                value={correcting.form.checkout_time}
+                                onChange={(e) =>
+                                  updateCorrection(
+                                    "checkout_time",
+                                    e.target.value,
+                                  )
+                                }
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                              />
+                            </div>
+                            <div className="md:col-span-3">
+                              <label className="block text-sm text-gray-600 mb-1">
+                                Notes
+                              </label>
+                              <input
+                                type="text"
+                                value={correcting.form.notes}
+                                onChange={(e) =>
+                                  updateCorrection("notes", e.target.value)
+                                }
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                              />
+                            </div>
+                            <div className="md:col-span-3">
+                              <label className="block text-sm text-gray-600 mb-1">
+                                Reason for the correction
+                              </label>
+                              <input
+                                type="text"
+                                required
+                                maxLength={500}
+                                value={correcting.form.reason}
+                                onChange={(e) =>
+                                  updateCorrection("reason", e.target.value)
+                                }
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                              />
+                            </div>
+                            {correctionError && (
+                              <div className="md:col-span-3 text-sm text-red-600">
+                                {correctionError}
+                              </div>
+                            )}
+                            <div className="md:col-span-3">
+                              <button
+                                type="submit"
+                                disabled={submitting}
+                                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+                              >
+                                {submitting
+                                  ? "Sending..."
+                                  : "Send for approval"}
+                              </button>
+                            </div>
+                          </form>
+                        </td>
+                      </tr>
+                    )}
+                    {expandedId === row.id && (
+                      <tr className="bg-gray-50">
+                        <td colSpan="8" className="px-4 py-3">
+                          <VisitDetails visit={row.visit} />
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
                 );
               })}
             </tbody>
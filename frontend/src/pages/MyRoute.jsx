@@ -0,0 +1,207 @@
+import { useEffect, useMemo, useState } from "react";
+import api from "../utils/api";
+import { getTodayLocal } from "../utils/date-helper";
+import {
+  formatDistance,
+  getDistanceInMeters,
+} from "../utils/calculateDistance";
+import { formatPlanWindow } from "../components/TodaysPlan";
+
+// Leg distances for the stops in their current order, starting from `start`
+const measure = (start, stops) => {
+  let previous = start;
+  return stops.map((stop) => {
+    const legDistance = getDistanceInMeters(
+      previous.latitude,
+      previous.longitude,
+      stop.latitude,
+      stop.longitude,
+    );
+    previous = stop;
+    return { ...stop, leg_distance: legDistance };
+  });
+};
+
+// Suggested order for the employee's visits on a day; stops can be moved before setting off
+function MyRoute() {
+  const today = getTodayLocal();
+  const [date, setDate] = useState(today);
+  const [location, setLocation] = useState(null);
+  const [route, setRoute] = useState(null);
+  const [order, setOrder] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!navigator.geolocation) {
+      setError("Location is not available on this device");
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) =>
+        setLocation({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+        }),
+      () =>
+        setError("Allow location access to plan a route from where you are"),
+      { enableHighAccuracy: true, timeout: 10000 },
+    );
+  }, []);
+
+  useEffect(() => {
+    if (location) fetchRoute();
+  }, [location, date]);
+
+  const fetchRoute = async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const params = new URLSearchParams({
+        date,
+        latitude: location.latitude,
+        longitude: location.longitude,
+      });
+      const res = await api.get(`/plans/route?${params.toString()}`);
+      if (res.data.success) {
+        setRoute(res.data.data);
+        setOrder(res.data.data.stops);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to plan route");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const move = (index, offset) => {
+    const next = [...order];
+    const [stop] = next.splice(index, 1);
+    next.splice(index + offset, 0, stop);
+    setOrder(next);
+  };
+
+  const legs = useMemo(
+    () => (route ? measure(route.start, order) : []),
+    [route, order],
+  );
+  const totalDistance = legs.reduce((sum, stop) => sum + stop.leg_distance, 0);
+  const reordered = route && order !== route.stops;
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold mb-6">My Route</h2>
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-wrap gap-4 items-end">
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Date</label>
+          <input
+            type="date"
+            value={date}
+            min={today}
+            onChange={(e) => setDate(e.target.value)}
+            className="border px-3 py-2 rounded"
+          />
+        </div>
+        {reordered && (
+          <button
+            onClick={() => setOrder(route.stops)}
+            className="px-4 py-2 bg-gray-100 text-gray-800 rounded hover:bg-gray-200"
+          >
+            Reset to suggested order
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {!location && !error && (
+        <p className="text-gray-500">Getting location...</p>
+      )}
+      {loading && <p className="text-gray-500">Loading...</p>}
+
+      {route && !loading && (
+        <div className="bg-white rounded-lg shadow">
+          <div className="flex justify-between items-center p-4 border-b">
+            <div>
+              <h3 className="text-lg font-semibold">
+                {route.source === "plan"
+                  ? "Planned visits"
+                  : "Assigned clients"}
+              </h3>
+              {route.visited > 0 && (
+                <p className="text-sm text-gray-500">
+                  {route.visited} planned visit(s) already done
+                </p>
+              )}
+            </div>
+            <div className="text-right">
+              <div className="text-sm text-gray-500">Total distance</div>
+              <div className="text-xl font-bold">
+                {formatDistance(totalDistance)}
+              </div>
+            </div>
+          </div>
+
+          {legs.length === 0 ? (
+            <p className="p-6 text-gray-500">No visits left for this day</p>
+          ) : (
+            <ol className="divide-y">
+              {legs.map((stop, index) => (
+                <li
+                  key={stop.plan_id || stop.client_id}
+                  className="p-4 flex items-center gap-4"
+                >
+                  <span className="w-8 h-8 rounded-full bg-blue-600 text-white flex items-center justify-center font-semibold">
+                    {index + 1}
+                  </span>
+                  <div className="flex-1">
+                    <div className="font-medium">{stop.client_name}</div>
+                    <div className="text-sm text-gray-500">
+                      {stop.client_address}
+                      {stop.window_start && ` · ${formatPlanWindow(stop)}`}
+                    </div>
+                  </div>
+                  <div className="text-sm text-gray-600 w-24 text-right">
+                    +{formatDistance(stop.leg_distance)}
+                  </div>
+                  <div className="flex flex-col">
+                    <button
+                      onClick={() => move(index, -1)}
+                      disabled={index === 0}
+                      className="px-2 text-gray-600 hover:text-blue-600 disabled:opacity-30"
+                      aria-label="Move earlier"
+                    >
+                      ▲
+                    </button>
+                    <button
+                      onClick={() => move(index, 1)}
+                      disabled={index === legs.length - 1}
+                      className="px-2 text-gray-600 hover:text-blue-600 disabled:opacity-30"
+                      aria-label="Move later"
+                    >
+                      ▼
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {route.unrouted.length > 0 && (
+            <p className="p-4 border-t text-sm text-gray-500">
+              Not routed (no location on file):{" "}
+              {route.unrouted.map((stop) => stop.client_name).join(", ")}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MyRoute;
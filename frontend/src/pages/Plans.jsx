@@ -0,0 +1,332 @@
+import { useEffect, useState } from "react";
+import api from "../utils/api";
+import { useAuth } from "../context/AuthContext";
+import { can } from "../utils/permissions";
+import { getTodayLocal } from "../utils/date-helper";
+import { PLAN_STATUS_STYLES, formatPlanWindow } from "../components/TodaysPlan";
+
+const inputClass = "border px-3 py-2 rounded w-full";
+
+// YYYY-MM-DD `days` after a local YYYY-MM-DD date
+const shiftDate = (date, days) => {
+  const next = new Date(`${date}T00:00:00`);
+  next.setDate(next.getDate() + days);
+  return [
+    next.getFullYear(),
+    String(next.getMonth() + 1).padStart(2, "0"),
+    String(next.getDate()).padStart(2, "0"),
+  ].join("-");
+};
+
+// Local date and time picked in the form, as the UTC instant the API expects
+const toIso = (date, time) => new Date(`${date}T${time}`).toISOString();
+
+function Plans() {
+  const { user } = useAuth();
+  const [employees, setEmployees] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [plans, setPlans] = useState([]);
+  const [employeeId, setEmployeeId] = useState("");
+  const [weekStart, setWeekStart] = useState(getTodayLocal());
+  const [visit, setVisit] = useState({
+    client_id: "",
+    planned_date: getTodayLocal(),
+    start_time: "10:00",
+    end_time: "11:00",
+    whole_week: false,
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  useEffect(() => {
+    fetchEmployees();
+  }, []);
+
+  useEffect(() => {
+    fetchClients();
+  }, [employeeId]);
+
+  useEffect(() => {
+    fetchPlans();
+  }, [employeeId, weekStart]);
+
+  const fetchEmployees = async () => {
+    try {
+      const res = await api.get("/dashboard/stats");
+      if (res.data.success) {
+        setEmployees(res.data.data.team_members);
+      }
+    } catch {
+      setError("Failed to load team");
+    }
+  };
+
+  const fetchClients = async () => {
+    setClients([]);
+    if (!employeeId) return;
+    try {
+      const res = await api.get(`/plans/clients?employee_id=${employeeId}`);
+      if (res.data.success) {
+        setClients(res.data.data);
+      }
+    } catch {
+      setError("Failed to load clients");
+    }
+  };
+
+  const fetchPlans = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({
+        start_date: weekStart,
+        end_date: shiftDate(weekStart, 6),
+      });
+      if (employeeId) params.append("employee_id", employeeId);
+
+      const res = await api.get(`/plans?${params.toString()}`);
+      if (res.data.success) {
+        setPlans(res.data.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load visit plans");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetMessages = () => {
+    setError("");
+    setSuccess("");
+  };
+
+  const addVisit = async (e) => {
+    e.preventDefault();
+    resetMessages();
+
+    const days = visit.whole_week ? 7 : 1;
+    const visits = Array.from({ length: days }, (_, i) => {
+      const date = shiftDate(visit.planned_date, i);
+      return {
+        client_id: Number(visit.client_id),
+        planned_date: date,
+        window_start: toIso(date, visit.start_time),
+        window_end: toIso(date, visit.end_time),
+      };
+    });
+
+    try {
+      const res = await api.post("/plans", {
+        employee_id: Number(employeeId),
+        visits,
+      });
+      if (res.data.success) {
+        const { created, skipped } = res.data.data;
+        setSuccess(
+          `${created.length} visit(s) planned` +
+            (skipped.length ? `, ${skipped.length} already planned` : ""),
+        );
+        fetchPlans();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to plan visit");
+    }
+  };
+
+  const removePlan = async (plan) => {
+    if (!window.confirm(`Remove the planned visit to ${plan.client_name}?`)) {
+      return;
+    }
+    resetMessages();
+
+    try {
+      await api.delete(`/plans/${plan.id}`);
+      setSuccess("Planned visit removed");
+      fetchPlans();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to remove visit");
+    }
+  };
+
+  if (!can(user, "plans:manage")) {
+    return (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+        Unauthorized access
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold mb-6">Visit Plans</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {success}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-wrap gap-4 items-end">
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Employee</label>
+          <select
+            value={employeeId}
+            onChange={(e) => setEmployeeId(e.target.value)}
+            className="border px-3 py-2 rounded"
+          >
+            <option value="">Whole team</option>
+            {employees.map((employee) => (
+              <option key={employee.id} value={employee.id}>
+                {employee.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600 mb-1">Week from</label>
+          <input
+            type="date"
+            value={weekStart}
+            onChange={(e) => setWeekStart(e.target.value)}
+            className="border px-3 py-2 rounded"
+          />
+        </div>
+      </div>
+
+      {employeeId && (
+        <form
+          onSubmit={addVisit}
+          className="bg-white rounded-lg shadow p-4 mb-6 grid grid-cols-1 md:grid-cols-5 gap-4 items-end"
+        >
+          <div className="md:col-span-2">
+            <label className="block text-sm text-gray-600 mb-1">Client</label>
+            <select
+              value={visit.client_id}
+              onChange={(e) =>
+                setVisit({ ...visit, client_id: e.target.value })
+              }
+              className={inputClass}
+              required
+            >
+              <option value="">Choose a client...</option>
+              {clients.map((client) => (
+                <option key={client.id} value={client.id}>
+                  {client.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">Date</label>
+            <input
+              type="date"
+              value={visit.planned_date}
+              onChange={(e) =>
+                setVisit({ ...visit, planned_date: e.target.value })
+              }
+              className={inputClass}
+              required
+            />
+          </div>
+          <div className="flex gap-2">
+            <div>
+              <label className="block text-sm text-gray-600 mb-1">From</label>
+              <input
+                type="time"
+                value={visit.start_time}
+                onChange={(e) =>
+                  setVisit({ ...visit, start_time: e.target.value })
+                }
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-600 mb-1">To</label>
+              <input
+                type="time"
+                value={visit.end_time}
+                onChange={(e) =>
+                  setVisit({ ...visit, end_time: e.target.value })
+                }
+                className={inputClass}
+                required
+              />
+            </div>
+          </div>
+          <div>
+            <label className="flex items-center gap-2 text-sm text-gray-600 mb-2">
+              <input
+                type="checkbox"
+                checked={visit.whole_week}
+                onChange={(e) =>
+                  setVisit({ ...visit, whole_week: e.target.checked })
+                }
+              />
+              Repeat for 7 days
+            </label>
+            <button
+              type="submit"
+              className="w-full px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+            >
+              Add to plan
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-white rounded-lg shadow">
+        {loading ? (
+          <p className="p-6 text-gray-500">Loading...</p>
+        ) : plans.length === 0 ? (
+          <p className="p-6 text-gray-500">No visits planned for this week</p>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50 text-sm text-gray-600">
+              <tr>
+                <th className="p-3 text-left">Date</th>
+                <th className="p-3 text-left">Window</th>
+                <th className="p-3 text-left">Employee</th>
+                <th className="p-3 text-left">Client</th>
+                <th className="p-3 text-left">Status</th>
+                <th className="p-3 text-left"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {plans.map((plan) => (
+                <tr key={plan.id} className="border-t text-sm">
+                  <td className="p-3">{plan.planned_date}</td>
+                  <td className="p-3">{formatPlanWindow(plan)}</td>
+                  <td className="p-3">{plan.employee_name}</td>
+                  <td className="p-3">{plan.client_name}</td>
+                  <td className="p-3">
+                    <span
+                      className={`px-2 py-0.5 rounded text-xs ${PLAN_STATUS_STYLES[plan.status]}`}
+                    >
+                      {plan.status}
+                    </span>
+                  </td>
+                  <td className="p-3 text-right">
+                    <button
+                      onClick={() => removePlan(plan)}
+                      className="text-red-600 hover:underline"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Plans;
@@ -1,26 +1,59 @@
-import React, { useEffect, useState, useMemo } from "react";
+import React, { Fragment, useEffect, useState, useMemo } from "react";
+import { Link } from "react-router-dom";
 import api from "../utils/api";
-import { formatMinutes, getTodayLocal } from "../utils/date-helper";
+import { downloadCsv } from "../utils/downloadCsv";
+import {
+  formatLocalDate,
+  formatLocalTime,
+  formatMinutes,
+  getTodayLocal,
+  parseUtcToLocal,
+} from "../utils/date-helper";
 import { useAuth } from "../context/AuthContext";
+import { can } from "../utils/permissions";
+import VisitDetails from "../components/VisitDetails";
+import TeamFilter from "../components/TeamFilter";
+import VisitDueBadge from "../components/VisitDueBadge";
+import { formatShift } from "../components/WorkdayPunch";
 
 function Report() {
   const today = getTodayLocal();
   const { user } = useAuth();
   const [date, setDate] = useState(today);
   const [employeeId, setEmployeeId] = useState("");
+  const [teamId, setTeamId] = useState("");
   const [employees, setEmployees] = useState([]);
   const [report, setReport] = useState(null);
+  const [suspicious, setSuspicious] = useState(null);
+  const [visits, setVisits] = useState([]);
+  const [autoClosed, setAutoClosed] = useState([]);
+  const [adherence, setAdherence] = useState(null);
+  const [dueClients, setDueClients] = useState([]);
+  const [taskReport, setTaskReport] = useState(null);
+  const [attendance, setAttendance] = useState(null);
+  const [expandedVisitId, setExpandedVisitId] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
 
   useEffect(() => {
-    fetchTeam();
     fetchReport(); // default load for today
   }, []);
 
+  useEffect(() => {
+    fetchTeam();
+  }, [teamId]);
+
+  // Adds the sub-team filter to a request's query string
+  const withTeam = (params) => {
+    if (teamId) params.append("team_id", teamId);
+    return params;
+  };
+
   const fetchTeam = async () => {
     try {
-      const res = await api.get("/dashboard/stats");
+      const res = await api.get(
+        `/dashboard/stats?${withTeam(new URLSearchParams()).toString()}`,
+      );
       if (res.data.success) {
         setEmployees(res.data.data.team_members);
       }
@@ -35,6 +68,7 @@ function Report() {
 
       params.append("date", date);
       if (employeeId) params.append("employee_id", employeeId);
+      withTeam(params);
 
       if (params.toString()) {
         url += "?" + params.toString();
@@ -43,18 +77,88 @@ function Report() {
       setLoading(true);
       setError("");
 
-      const response = await api.get(url);
-      console.log(response.data);
+      const suspiciousParams = new URLSearchParams({
+        start_date: date,
+        end_date: date,
+      });
+      if (employeeId) suspiciousParams.append("employee_id", employeeId);
+      withTeam(suspiciousParams);
+
+      const visitParams = new URLSearchParams({ date });
+      if (employeeId) visitParams.append("employee_id", employeeId);
+      withTeam(visitParams);
+
+      const frequencyParams = new URLSearchParams();
+      if (employeeId) frequencyParams.append("employee_id", employeeId);
+      withTeam(frequencyParams);
+
+      const [
+        response,
+        suspiciousRes,
+        visitsRes,
+        autoClosedRes,
+        adherenceRes,
+        frequencyRes,
+        tasksRes,
+        attendanceRes,
+      ] = await Promise.all([
+        api.get(url),
+        api.get(`/reports/suspicious-visits?${suspiciousParams.toString()}`),
+        api.get(`/reports/visits?${visitParams.toString()}`),
+        api.get(`/reports/auto-closed?${suspiciousParams.toString()}`),
+        api.get(`/reports/plan-adherence?${suspiciousParams.toString()}`),
+        api.get(`/reports/visit-frequency?${frequencyParams.toString()}`),
+        api.get(`/reports/task-completion?${suspiciousParams.toString()}`),
+        api.get(`/reports/attendance?${suspiciousParams.toString()}`),
+      ]);
 
       if (response.data.success) {
         setReport(response.data.data);
       }
+      if (suspiciousRes.data.success) {
+        setSuspicious(suspiciousRes.data.data);
+      }
+      if (visitsRes.data.success) {
+        setVisits(visitsRes.data.data.visits);
+        setExpandedVisitId(null);
+      }
+      if (autoClosedRes.data.success) {
+        setAutoClosed(autoClosedRes.data.data.visits);
+      }
+      if (adherenceRes.data.success) {
+        setAdherence(adherenceRes.data.data);
+      }
+      if (frequencyRes.data.success) {
+        setDueClients(frequencyRes.data.data.clients);
+      }
+      if (tasksRes.data.success) {
+        setTaskReport(tasksRes.data.data);
+      }
+      if (attendanceRes.data.success) {
+        setAttendance(attendanceRes.data.data);
+      }
     } catch {
       setError("Failed to load report");
     } finally {
       setLoading(false);
     }
   };
+  // Auth header is required, so the CSV is fetched as a blob and saved via a temporary link
+  const exportVisits = async () => {
+    try {
+      const params = new URLSearchParams({ date });
+      if (employeeId) params.append("employee_id", employeeId);
+      withTeam(params);
+
+      await downloadCsv(
+        `/reports/visits/export?${params.toString()}`,
+        `visits-${date}.csv`,
+      );
+    } catch {
+      setError("Failed to export visits");
+    }
+  };
+
   // Heavy formatting memoized
   const rows = useMemo(() => {
     if (!report) return [];
@@ -64,10 +168,14 @@ function Report() {
       checkins: e.total_checkins,
       time: formatMinutes(e.minutes_worked),
       clients: e.clients_visited,
+      outsideGeofence: e.outside_geofence_checkins,
+      offsiteCheckouts: e.offsite_checkouts,
+      autoClosed: e.auto_closed_checkins,
+      corrected: e.corrected_checkins,
     }));
   }, [report]);
 
-  if (!user || user.role !== "manager") {
+  if (!can(user, "reports:read")) {
     return (
       <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
         Unauthorized access
@@ -92,6 +200,14 @@ function Report() {
           />
         </div>
 
+        <TeamFilter
+          value={teamId}
+          onChange={(value) => {
+            setTeamId(value);
+            setEmployeeId("");
+          }}
+        />
+
         <div>
           <label className="block text-sm text-gray-600">Employee</label>
           <select
@@ -128,7 +244,7 @@ function Report() {
       {report && report.employees.length > 0 && (
         <>
           {/* Team cards */}
-          <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+          <div className="grid grid-cols-1 md:grid-cols-4 lg:grid-cols-8 gap-6 mb-8">
             <Stat
               title="Employees Active"
               value={report.team_stats.total_employees}
@@ -138,13 +254,26 @@ function Report() {
               value={report.team_stats.total_checkins}
             />
             <Stat
-              title="Total Time Worked"
+              title="Total Time On-site"
               value={formatMinutes(report.team_stats.total_minutes)}
             />
             <Stat
               title="Clients Visited"
               value={report.team_stats.total_clients}
             />
+            <Stat
+              title="Outside Geofence"
+              value={report.team_stats.total_outside_geofence}
+            />
+            <Stat
+              title="Off-site Checkouts"
+              value={report.team_stats.total_offsite_checkouts}
+            />
+            <Stat
+              title="Auto-closed"
+              value={report.team_stats.total_auto_closed}
+            />
+            <Stat title="Corrected" value={report.team_stats.total_corrected} />
           </div>
 
           {/* Table */}
@@ -154,17 +283,56 @@ function Report() {
                 <tr>
                   <th className="p-3 text-left">Employee</th>
                   <th className="p-3 text-center">Check-ins</th>
-                  <th className="p-3 text-center">Time Worked</th>
+                  <th className="p-3 text-center">Time On-site</th>
                   <th className="p-3 text-center">Clients</th>
+                  <th className="p-3 text-center">Outside Geofence</th>
+                  <th className="p-3 text-center">Off-site Checkouts</th>
+                  <th className="p-3 text-center">Auto-closed</th>
+                  <th className="p-3 text-center">Corrected</th>
                 </tr>
               </thead>
               <tbody>
                 {rows.map((row) => (
                   <tr key={row.id} className="border-t">
-                    <td className="p-3">{row.name}</td>
+                    <td className="p-3">
+                      <Link
+                        to={`/employees/${row.id}?start_date=${date}&end_date=${date}`}
+                        className="text-blue-600 hover:underline"
+                      >
+                        {row.name}
+                      </Link>
+                    </td>
                     <td className="p-3 text-center">{row.checkins}</td>
                     <td className="p-3 text-center">{row.time}</td>
                     <td className="p-3 text-center">{row.clients}</td>
+                    <td
+                      className={`p-3 text-center ${
+                        row.outsideGeofence > 0
+                          ? "text-red-600 font-semibold"
+                          : ""
+                      }`}
+                    >
+                      {row.outsideGeofence}
+                    </td>
+                    <td
+                      className={`p-3 text-center ${
+                        row.offsiteCheckouts > 0
+                          ? "text-red-600 font-semibold"
+                          : ""
+                      }`}
+                    >
+                      {row.offsiteCheckouts}
+                    </td>
+                    <td
+                      className={`p-3 text-center ${
+                        row.autoClosed > 0
+                          ? "text-orange-600 font-semibold"
+                          : ""
+                      }`}
+                    >
+                      {row.autoClosed}
+                    </td>
+                    <td className="p-3 text-center">{row.corrected}</td>
                   </tr>
                 ))}
               </tbody>
@@ -172,10 +340,421 @@ function Report() {
           </div>
         </>
       )}
+
+      {attendance && attendance.days.length > 0 && (
+        <div className="bg-white rounded-lg shadow mt-8">
+          <div className="p-4 border-b flex justify-between items-baseline">
+            <h3 className="text-lg font-semibold">Attendance</h3>
+            {formatShift(attendance.shift) && (
+              <span className="text-sm text-gray-500">
+                Shift {formatShift(attendance.shift)}
+              </span>
+            )}
+          </div>
+          <table className="w-full">
+            <thead className="bg-gray-50 text-sm text-gray-600">
+              <tr>
+                <th className="p-3 text-left">Employee</th>
+                <th className="p-3 text-center">First Punch</th>
+                <th className="p-3 text-center">Last Punch</th>
+                <th className="p-3 text-center">Working</th>
+                <th className="p-3 text-center">On-site</th>
+                <th className="p-3 text-center">Travel</th>
+                <th className="p-3 text-left">Flags</th>
+              </tr>
+            </thead>
+            <tbody>
+              {attendance.days.map((day) => (
+                <tr key={day.employee_id} className="border-t">
+                  <td className="p-3">{day.employee_name}</td>
+                  <td className="p-3 text-center">
+                    {formatLocalTime(parseUtcToLocal(day.first_punch))}
+                  </td>
+                  <td className="p-3 text-center">
+                    {day.still_working
+                      ? "Working"
+                      : formatLocalTime(parseUtcToLocal(day.last_punch))}
+                  </td>
+                  <td className="p-3 text-center">
+                    {formatMinutes(day.working_minutes)}
+                  </td>
+                  <td className="p-3 text-center">
+                    {formatMinutes(day.on_site_minutes)}
+                  </td>
+                  <td className="p-3 text-center">
+                    {formatMinutes(day.travel_minutes)}
+                  </td>
+                  <td className="p-3 text-sm">
+                    <div className="flex flex-wrap gap-1">
+                      {day.late_start && (
+                        <span className="px-2 py-0.5 rounded text-xs bg-orange-100 text-orange-800">
+                          Late {formatMinutes(day.late_by_minutes)}
+                        </span>
+                      )}
+                      {day.early_finish && (
+                        <span className="px-2 py-0.5 rounded text-xs bg-orange-100 text-orange-800">
+                          Left early {formatMinutes(day.early_by_minutes)}
+                        </span>
+                      )}
+                      {day.missing_start_punch && (
+                        <span className="px-2 py-0.5 rounded text-xs bg-red-100 text-red-800">
+                          No start punch
+                        </span>
+                      )}
+                      {day.missing_end_punch && (
+                        <span className="px-2 py-0.5 rounded text-xs bg-red-100 text-red-800">
+                          No end punch
+                        </span>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {adherence && adherence.employees.length > 0 && (
+        <div className="bg-white rounded-lg shadow mt-8">
+          <h3 className="text-lg font-semibold p-4 border-b">Plan Adherence</h3>
+          <table className="w-full">
+            <thead className="bg-gray-50 text-sm text-gray-600">
+              <tr>
+                <th className="p-3 text-left">Employee</th>
+                <th className="p-3 text-center">Planned</th>
+                <th className="p-3 text-center">Visited</th>
+                <th className="p-3 text-center">Late</th>
+                <th className="p-3 text-center">Missed</th>
+                <th className="p-3 text-center">Upcoming</th>
+                <th className="p-3 text-center">Unplanned</th>
+                <th className="p-3 text-center">Adherence</th>
+              </tr>
+            </thead>
+            <tbody>
+              {adherence.employees.map((row) => (
+                <tr key={row.employee_id} className="border-t">
+                  <td className="p-3">{row.employee_name}</td>
+                  <td className="p-3 text-center">{row.planned}</td>
+                  <td className="p-3 text-center">{row.visited}</td>
+                  <td
+                    className={`p-3 text-center ${
+                      row.late > 0 ? "text-orange-600 font-semibold" : ""
+                    }`}
+                  >
+                    {row.late}
+                  </td>
+                  <td
+                    className={`p-3 text-center ${
+                      row.missed > 0 ? "text-red-600 font-semibold" : ""
+                    }`}
+                  >
+                    {row.missed}
+                  </td>
+                  <td className="p-3 text-center">{row.upcoming}</td>
+                  <td className="p-3 text-center">{row.unplanned}</td>
+                  <td className="p-3 text-center">
+                    {row.adherence_rate === null
+                      ? "-"
+                      : `${row.adherence_rate}%`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {taskReport && taskReport.employees.length > 0 && (
+        <div className="bg-white rounded-lg shadow mt-8">
+          <h3 className="text-lg font-semibold p-4 border-b">
+            Task Completion
+          </h3>
+          <table className="w-full">
+            <thead className="bg-gray-50 text-sm text-gray-600">
+              <tr>
+                <th className="p-3 text-left">Employee</th>
+                <th className="p-3 text-center">Tasks Due</th>
+                <th className="p-3 text-center">Done</th>
+                <th className="p-3 text-center">Could Not Do</th>
+                <th className="p-3 text-center">Open</th>
+                <th className="p-3 text-center">Overdue</th>
+                <th className="p-3 text-center">Completion</th>
+              </tr>
+            </thead>
+            <tbody>
+              {taskReport.employees.map((row) => (
+                <tr key={row.employee_id} className="border-t">
+                  <td className="p-3">{row.employee_name}</td>
+                  <td className="p-3 text-center">{row.total}</td>
+                  <td className="p-3 text-center">{row.done}</td>
+                  <td
+                    className={`p-3 text-center ${
+                      row.failed > 0 ? "text-orange-600 font-semibold" : ""
+                    }`}
+                  >
+                    {row.failed}
+                  </td>
+                  <td className="p-3 text-center">{row.open}</td>
+                  <td
+                    className={`p-3 text-center ${
+                      row.overdue > 0 ? "text-red-600 font-semibold" : ""
+                    }`}
+                  >
+                    {row.overdue}
+                  </td>
+                  <td className="p-3 text-center">
+                    {row.completion_rate === null
+                      ? "-"
+                      : `${row.completion_rate}%`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {taskReport.tasks.some((task) => task.status === "failed") && (
+            <div className="p-4 border-t text-sm">
+              <p className="font-medium mb-1">Could not be done</p>
+              <ul className="list-disc ml-5 text-gray-600">
+                {taskReport.tasks
+                  .filter((task) => task.status === "failed")
+                  .map((task) => (
+                    <li key={task.id}>
+                      {task.assignee_name} · {task.client_name} · {task.title}:{" "}
+                      {task.outcome_comment}
+                    </li>
+                  ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      {dueClients.length > 0 && (
+        <div className="bg-white rounded-lg shadow mt-8">
+          <h3 className="text-lg font-semibold p-4 border-b">
+            Clients Needing a Visit ({dueClients.length})
+          </h3>
+          <table className="w-full">
+            <thead className="bg-gray-50 text-sm text-gray-600">
+              <tr>
+                <th className="p-3 text-left">Client</th>
+                <th className="p-3 text-left">Employee</th>
+                <th className="p-3 text-center">Visit every</th>
+                <th className="p-3 text-center">Days since last visit</th>
+                <th className="p-3 text-left">Due</th>
+              </tr>
+            </thead>
+            <tbody>
+              {dueClients.map((client) => (
+                <tr key={client.assignment_id} className="border-t">
+                  <td className="p-3">{client.client_name}</td>
+                  <td className="p-3">{client.employee_name}</td>
+                  <td className="p-3 text-center">
+                    {client.frequency_days} days
+                  </td>
+                  <td className="p-3 text-center">
+                    {client.days_since_last_visit ?? "Never visited"}
+                  </td>
+                  <td className="p-3">
+                    <VisitDueBadge client={client} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {visits.length > 0 && (
+        <div className="bg-white rounded-lg shadow mt-8">
+          <div className="flex justify-between items-center p-4 border-b">
+            <h3 className="text-lg font-semibold">Visits</h3>
+            <button
+              onClick={exportVisits}
+              className="text-sm bg-gray-100 text-gray-800 px-4 py-2 rounded hover:bg-gray-200"
+            >
+              Export CSV
+            </button>
+          </div>
+          <table className="w-full">
+            <thead className="bg-gray-50 text-sm text-gray-600">
+              <tr>
+                <th className="p-3 text-left">Employee</th>
+                <th className="p-3 text-left">Client</th>
+                <th className="p-3 text-left">Check-in</th>
+                <th className="p-3 text-left">Check-out</th>
+                <th className="p-3 text-left">Notes</th>
+                <th className="p-3 text-left">Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visits.map((visit) => (
+                <Fragment key={visit.id}>
+                  <tr className="border-t">
+                    <td className="p-3">
+                      <Link
+                        to={`/employees/${visit.employee_id}?start_date=${date}&end_date=${date}`}
+                        className="text-blue-600 hover:underline"
+                      >
+                        {visit.employee_name}
+                      </Link>
+                    </td>
+                    <td className="p-3">{visit.client_name}</td>
+                    <td className="p-3">
+                      {formatLocalTime(parseUtcToLocal(visit.checkin_time))}
+                    </td>
+                    <td className="p-3">
+                      {formatLocalTime(parseUtcToLocal(visit.checkout_time))}
+                      {visit.corrected_at && (
+                        <span
+                          title={`Corrected ${formatLocalDate(parseUtcToLocal(visit.corrected_at))}`}
+                          className="ml-2 px-2 py-0.5 rounded text-xs bg-purple-100 text-purple-800"
+                        >
+                          Corrected
+                        </span>
+                      )}
+                    </td>
+                    <td className="p-3 text-sm text-gray-600">
+                      {visit.notes || "-"}
+                    </td>
+                    <td className="p-3 text-sm">
+                      {visit.photo_count > 0 ||
+                      visit.signature_key ||
+                      (visit.form_id && visit.checkout_time) ? (
+                        <button
+                          onClick={() =>
+                            setExpandedVisitId(
+                              expandedVisitId === visit.id ? null : visit.id,
+                            )
+                          }
+                          className="text-blue-600 hover:underline"
+                        >
+                          {expandedVisitId === visit.id ? "Hide" : "View"}
+                          {visit.photo_count > 0 &&
+                            ` (${visit.photo_count} photos)`}
+                          {visit.signature_key && " · Signed"}
+                        </button>
+                      ) : (
+                        "-"
+                      )}
+                    </td>
+                  </tr>
+                  {expandedVisitId === visit.id && (
+                    <tr className="bg-gray-50">
+                      <td colSpan="6" className="p-3">
+                        <VisitDetails visit={visit} />
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {autoClosed.length > 0 && (
+        <div className="bg-white rounded-lg shadow mt-8">
+          <h3 className="text-lg font-semibold p-4 border-b text-orange-700">
+            Auto-closed Visits ({autoClosed.length})
+          </h3>
+          <p className="px-4 pt-3 text-sm text-gray-600">
+            These check-ins were never checked out and were closed by the
+            system. Review the recorded hours with the employee.
+          </p>
+          <table className="w-full">
+            <thead className="bg-gray-50 text-sm text-gray-600">
+              <tr>
+                <th className="p-3 text-left">Employee</th>
+                <th className="p-3 text-left">Client</th>
+                <th className="p-3 text-left">Check-in</th>
+                <th className="p-3 text-left">Closed At</th>
+                <th className="p-3 text-left">Recorded</th>
+                <th className="p-3 text-left">Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {autoClosed.map((visit) => (
+                <tr key={visit.id} className="border-t">
+                  <td className="p-3">{visit.employee_name}</td>
+                  <td className="p-3">{visit.client_name}</td>
+                  <td className="p-3">
+                    {formatLocalTime(parseUtcToLocal(visit.checkin_time))}
+                  </td>
+                  <td className="p-3">
+                    {formatLocalTime(parseUtcToLocal(visit.checkout_time))}
+                  </td>
+                  <td className="p-3">
+                    {formatMinutes(visit.minutes_recorded)}
+                  </td>
+                  <td className="p-3 text-sm text-gray-600">
+                    {AUTO_CLOSE_REASONS[visit.auto_close_reason] ||
+                      visit.auto_close_reason}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {suspicious && suspicious.visits.length > 0 && (
+        <div className="bg-white rounded-lg shadow mt-8">
+          <h3 className="text-lg font-semibold p-4 border-b text-red-700">
+            Suspicious Visits ({suspicious.visits.length})
+          </h3>
+          <table className="w-full">
+            <thead className="bg-gray-50 text-sm text-gray-600">
+              <tr>
+                <th className="p-3 text-left">Employee</th>
+                <th className="p-3 text-left">Client</th>
+                <th className="p-3 text-left">Check-in</th>
+                <th className="p-3 text-left">Flags</th>
+              </tr>
+            </thead>
+            <tbody>
+              {suspicious.visits.map((visit) => (
+                <tr key={visit.id} className="border-t align-top">
+                  <td className="p-3">{visit.employee_name}</td>
+                  <td className="p-3">{visit.client_name}</td>
+                  <td className="p-3">
+                    {formatLocalTime(parseUtcToLocal(visit.checkin_time))}
+                  </td>
+                  <td className="p-3">
+                    <ul className="space-y-1">
+                      {visit.suspicious_flags.map((f) => (
+                        <li key={f.code} className="text-sm">
+                          <span className="px-2 py-0.5 rounded text-xs bg-red-100 text-red-800 mr-2">
+                            {FLAG_LABELS[f.code] || f.code}
+                          </span>
+                          <span className="text-gray-600">{f.detail}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
     </div>
   );
 }
 
+const FLAG_LABELS = {
+  impossible_travel: "Impossible travel",
+  exact_client_coordinates: "Exact client coordinates",
+  missing_accuracy: "No GPS accuracy",
+  poor_accuracy: "Poor GPS accuracy",
+};
+
+const AUTO_CLOSE_REASONS = {
+  max_duration: "Exceeded maximum visit length",
+  end_of_day: "Still open at end of day",
+};
+
 const Stat = React.memo(function Stat({ title, value }) {
   return (
     <div className="bg-white p-5 rounded-lg shadow">
@@ -0,0 +1,354 @@
+import { useState, useEffect, useMemo } from "react";
+import api from "../utils/api";
+import {
+  formatLocalTime,
+  getTodayLocal,
+  parseUtcToLocal,
+} from "../utils/date-helper";
+import { useAuth } from "../context/AuthContext";
+import { can } from "../utils/permissions";
+import TeamFilter from "../components/TeamFilter";
+
+const MAP_WIDTH = 800;
+const MAP_HEIGHT = 480;
+const MAP_PADDING = 30;
+const REPLAY_STEP_MS = 700;
+
+const POINT_STYLES = {
+  checkin: { fill: "#16a34a", r: 7, label: "Check-in" },
+  checkout: { fill: "#dc2626", r: 7, label: "Checkout" },
+  ping: { fill: "#2563eb", r: 3, label: "Location ping" },
+};
+
+function RouteReplay() {
+  const today = getTodayLocal();
+  const { user } = useAuth();
+  const [date, setDate] = useState(today);
+  const [employeeId, setEmployeeId] = useState("");
+  const [teamId, setTeamId] = useState("");
+  const [employees, setEmployees] = useState([]);
+  const [route, setRoute] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  useEffect(() => {
+    fetchTeam();
+  }, [teamId]);
+
+  useEffect(() => {
+    if (!playing || !route) return;
+
+    const interval = setInterval(() => {
+      setPosition((p) => {
+        if (p >= route.points.length - 1) {
+          setPlaying(false);
+          return p;
+        }
+        return p + 1;
+      });
+    }, REPLAY_STEP_MS);
+
+    return () => clearInterval(interval);
+  }, [playing, route]);
+
+  const fetchTeam = async () => {
+    try {
+      const res = await api.get(
+        `/dashboard/stats${teamId ? `?team_id=${teamId}` : ""}`,
+      );
+      if (res.data.success) {
+        setEmployees(res.data.data.team_members);
+      }
+    } catch {
+      // silent fail; page still works
+    }
+  };
+
+  const fetchRoute = async () => {
+    if (!employeeId) {
+      setError("Please select an employee");
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError("");
+      setPlaying(false);
+
+      const params = new URLSearchParams({ employee_id: employeeId, date });
+      const response = await api.get(`/location/route?${params.toString()}`);
+
+      if (response.data.success) {
+        setRoute(response.data.data);
+        setPosition(Math.max(response.data.data.points.length - 1, 0));
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load route");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Simple equirectangular projection into the SVG viewport
+  const projection = useMemo(() => {
+    if (!route) return null;
+
+    const coords = [
+      ...route.points.map((p) => [p.latitude, p.longitude]),
+      ...route.visits
+        .filter((v) => v.client_lat !== null && v.client_lng !== null)
+        .map((v) => [v.client_lat, v.client_lng]),
+    ];
+    if (coords.length === 0) return null;
+
+    const lats = coords.map((c) => c[0]);
+    const lngs = coords.map((c) => c[1]);
+    const minLat = Math.min(...lats);
+    const maxLat = Math.max(...lats);
+    const minLng = Math.min(...lngs);
+    const maxLng = Math.max(...lngs);
+
+    const midLat = ((minLat + maxLat) / 2) * (Math.PI / 180);
+    const spanX = Math.max((maxLng - minLng) * Math.cos(midLat), 1e-6);
+    const spanY = Math.max(maxLat - minLat, 1e-6);
+    const scale = Math.min(
+      (MAP_WIDTH - MAP_PADDING * 2) / spanX,
+      (MAP_HEIGHT - MAP_PADDING * 2) / spanY,
+    );
+
+    return (lat, lng) => ({
+      x: MAP_PADDING + (lng - minLng) * Math.cos(midLat) * scale,
+      y: MAP_HEIGHT - MAP_PADDING - (lat - minLat) * scale,
+    });
+  }, [route]);
+
+  const projectedPoints = useMemo(() => {
+    if (!route || !projection) return [];
+    return route.points.map((p) => ({
+      ...p,
+      ...projection(p.latitude, p.longitude),
+    }));
+  }, [route, projection]);
+
+  if (!can(user, "team:read")) {
+    return (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+        Unauthorized access
+      </div>
+    );
+  }
+
+  const travelled = projectedPoints.slice(0, position + 1);
+  const current = projectedPoints[position];
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold mb-6">Route Replay</h2>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow p-4 mb-6 flex gap-4 items-end">
+        <TeamFilter
+          value={teamId}
+          onChange={(value) => {
+            setTeamId(value);
+            setEmployeeId("");
+          }}
+        />
+
+        <div>
+          <label className="block text-sm text-gray-600">Employee</label>
+          <select
+            value={employeeId}
+            onChange={(e) => setEmployeeId(e.target.value)}
+            className="border px-3 py-2 rounded"
+          >
+            <option value="">Select employee...</option>
+            {employees.map((e) => (
+              <option key={e.id} value={e.id}>
+                {e.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm text-gray-600">Date</label>
+          <input
+            type="date"
+            value={date}
+            max={today}
+            onChange={(e) => setDate(e.target.value)}
+            className="border px-3 py-2 rounded"
+          />
+        </div>
+
+        <button
+          onClick={fetchRoute}
+          className="bg-blue-600 text-white px-5 py-2 rounded hover:bg-blue-700"
+        >
+          Load Route
+        </button>
+      </div>
+
+      {loading && <p className="text-gray-500">Loading...</p>}
+      {error && <p className="text-red-600">{error}</p>}
+
+      {route && route.points.length === 0 && (
+        <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-6 rounded text-center">
+          No location data for {route.employee.name} on {route.date}
+        </div>
+      )}
+
+      {route && route.points.length > 0 && (
+        <>
+          <div className="bg-white rounded-lg shadow p-4 mb-6">
+            <svg
+              viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+              className="w-full bg-gray-50 rounded"
+            >
+              {route.visits.map((v) => {
+                if (v.client_lat === null || v.client_lng === null) return null;
+                const { x, y } = projection(v.client_lat, v.client_lng);
+                return (
+                  <g key={`client-${v.id}`}>
+                    <rect
+                      x={x - 6}
+                      y={y - 6}
+                      width="12"
+                      height="12"
+                      fill="#f59e0b"
+                    />
+                    <text x={x + 10} y={y + 4} fontSize="12" fill="#92400e">
+                      {v.client_name}
+                    </text>
+                  </g>
+                );
+              })}
+
+              <polyline
+                points={projectedPoints.map((p) => `${p.x},${p.y}`).join(" ")}
+                fill="none"
+                stroke="#cbd5e1"
+                strokeWidth="2"
+              />
+              <polyline
+                points={travelled.map((p) => `${p.x},${p.y}`).join(" ")}
+                fill="none"
+                stroke="#2563eb"
+                strokeWidth="3"
+              />
+
+              {projectedPoints.map((p, i) => (
+                <circle
+                  key={i}
+                  cx={p.x}
+                  cy={p.y}
+                  r={POINT_STYLES[p.type].r}
+                  fill={POINT_STYLES[p.type].fill}
+                  opacity={i <= position ? 1 : 0.3}
+                />
+              ))}
+
+              {current && (
+                <circle
+                  cx={current.x}
+                  cy={current.y}
+                  r="10"
+                  fill="none"
+                  stroke="#111827"
+                  strokeWidth="2"
+                />
+              )}
+            </svg>
+
+            <div className="flex items-center gap-4 mt-4">
+              <button
+                onClick={() => {
+                  if (position >= route.points.length - 1) setPosition(0);
+                  setPlaying(!playing);
+                }}
+                className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
+              >
+                {playing ? "Pause" : "Play"}
+              </button>
+              <input
+                type="range"
+                min="0"
+                max={route.points.length - 1}
+                value={position}
+                onChange={(e) => {
+                  setPlaying(false);
+                  setPosition(Number(e.target.value));
+                }}
+                className="flex-1"
+              />
+              <span className="text-sm text-gray-600 w-40 text-right">
+                {current &&
+                  `${POINT_STYLES[current.type].label} · ${formatLocalTime(
+                    parseUtcToLocal(current.time),
+                  )}`}
+              </span>
+            </div>
+
+            <div className="flex gap-6 mt-3 text-xs text-gray-500">
+              {Object.entries(POINT_STYLES).map(([type, style]) => (
+                <span key={type} className="flex items-center gap-1">
+                  <span
+                    className="inline-block w-3 h-3 rounded-full"
+                    style={{ backgroundColor: style.fill }}
+                  />
+                  {style.label}
+                </span>
+              ))}
+              <span className="flex items-center gap-1">
+                <span className="inline-block w-3 h-3 bg-amber-500" />
+                Client
+              </span>
+            </div>
+          </div>
+
+          {/* Timeline */}
+          <div className="bg-white rounded-lg shadow">
+            <table className="w-full">
+              <thead className="bg-gray-50 text-sm text-gray-600">
+                <tr>
+                  <th className="p-3 text-left">Time</th>
+                  <th className="p-3 text-left">Event</th>
+                  <th className="p-3 text-left">Client</th>
+                  <th className="p-3 text-left">Coordinates</th>
+                </tr>
+              </thead>
+              <tbody>
+                {route.points.map((p, i) => (
+                  <tr
+                    key={i}
+                    onClick={() => {
+                      setPlaying(false);
+                      setPosition(i);
+                    }}
+                    className={`border-t cursor-pointer ${
+                      i === position ? "bg-blue-50" : "hover:bg-gray-50"
+                    }`}
+                  >
+                    <td className="p-3">
+                      {formatLocalTime(parseUtcToLocal(p.time))}
+                    </td>
+                    <td className="p-3">{POINT_STYLES[p.type].label}</td>
+                    <td className="p-3">{p.client_name || "-"}</td>
+                    <td className="p-3 text-sm text-gray-600">
+                      {p.latitude.toFixed(5)}, {p.longitude.toFixed(5)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default RouteReplay;
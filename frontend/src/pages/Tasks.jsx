@@ -0,0 +1,361 @@
+import { useEffect, useState } from "react";
+import api from "../utils/api";
+import { useAuth } from "../context/AuthContext";
+import { can } from "../utils/permissions";
+import {
+  formatLocalDate,
+  getTodayLocal,
+  parseUtcToLocal,
+} from "../utils/date-helper";
+import { TASK_STATUS_STYLES } from "../components/VisitTasks";
+
+const STATUS_OPTIONS = [
+  { value: "open", label: "Open" },
+  { value: "overdue", label: "Overdue" },
+  { value: "done", label: "Done" },
+  { value: "failed", label: "Could not be done" },
+  { value: "all", label: "All" },
+];
+
+const inputClass = "border px-3 py-2 rounded w-full";
+
+const emptyTask = () => ({
+  assigned_to: "",
+  client_id: "",
+  title: "",
+  description: "",
+  due_date: getTodayLocal(),
+});
+
+function Tasks() {
+  const { user } = useAuth();
+  const [employees, setEmployees] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [tasks, setTasks] = useState([]);
+  const [filters, setFilters] = useState({ employee_id: "", status: "open" });
+  const [draft, setDraft] = useState(emptyTask());
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  useEffect(() => {
+    fetchEmployees();
+  }, []);
+
+  useEffect(() => {
+    fetchTasks();
+  }, [filters]);
+
+  useEffect(() => {
+    fetchClients();
+  }, [draft.assigned_to]);
+
+  const fetchEmployees = async () => {
+    try {
+      const res = await api.get("/dashboard/stats");
+      if (res.data.success) {
+        setEmployees(res.data.data.team_members);
+      }
+    } catch {
+      setError("Failed to load team");
+    }
+  };
+
+  const fetchClients = async () => {
+    setClients([]);
+    if (!draft.assigned_to) return;
+    try {
+      const res = await api.get(
+        `/tasks/clients?employee_id=${draft.assigned_to}`,
+      );
+      if (res.data.success) {
+        setClients(res.data.data);
+      }
+    } catch {
+      setError("Failed to load clients");
+    }
+  };
+
+  const fetchTasks = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ status: filters.status });
+      if (filters.employee_id)
+        params.append("employee_id", filters.employee_id);
+
+      const res = await api.get(`/tasks?${params.toString()}`);
+      if (res.data.success) {
+        setTasks(res.data.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load tasks");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetMessages = () => {
+    setError("");
+    setSuccess("");
+  };
+
+  const createTask = async (e) => {
+    e.preventDefault();
+    resetMessages();
+
+    try {
+      const res = await api.post("/tasks", {
+        ...draft,
+        assigned_to: Number(draft.assigned_to),
+        client_id: Number(draft.client_id),
+      });
+      if (res.data.success) {
+        setSuccess(`Task given to ${res.data.data.assignee_name}`);
+        setDraft({ ...emptyTask(), assigned_to: draft.assigned_to });
+        fetchTasks();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to create task");
+    }
+  };
+
+  const removeTask = async (task) => {
+    if (!window.confirm(`Remove the task "${task.title}"?`)) return;
+    resetMessages();
+
+    try {
+      await api.delete(`/tasks/${task.id}`);
+      setSuccess("Task removed");
+      fetchTasks();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to remove task");
+    }
+  };
+
+  if (!can(user, "tasks:manage")) {
+    return (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+        Unauthorized access
+      </div>
+    );
+  }
+
+  const today = getTodayLocal();
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold mb-6">Visit Tasks</h2>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {success}
+        </div>
+      )}
+
+      <form
+        onSubmit={createTask}
+        className="bg-white rounded-lg shadow p-6 mb-6 space-y-4"
+      >
+        <h3 className="font-semibold">New Task</h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm text-gray-600">Employee</label>
+            <select
+              value={draft.assigned_to}
+              onChange={(e) =>
+                setDraft({
+                  ...draft,
+                  assigned_to: e.target.value,
+                  client_id: "",
+                })
+              }
+              className={inputClass}
+              required
+            >
+              <option value="">Choose an employee...</option>
+              {employees.map((employee) => (
+                <option key={employee.id} value={employee.id}>
+                  {employee.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600">Client</label>
+            <select
+              value={draft.client_id}
+              onChange={(e) =>
+                setDraft({ ...draft, client_id: e.target.value })
+              }
+              className={inputClass}
+              disabled={!draft.assigned_to}
+              required
+            >
+              <option value="">Choose a client...</option>
+              {clients.map((client) => (
+                <option key={client.id} value={client.id}>
+                  {client.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600">Due</label>
+            <input
+              type="date"
+              value={draft.due_date}
+              min={today}
+              onChange={(e) => setDraft({ ...draft, due_date: e.target.value })}
+              className={inputClass}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm text-gray-600">Task</label>
+            <input
+              type="text"
+              maxLength={200}
+              placeholder="e.g. Collect payment"
+              value={draft.title}
+              onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+              className={inputClass}
+              required
+            />
+          </div>
+          <div className="md:col-span-2">
+            <label className="block text-sm text-gray-600">
+              Details (optional)
+            </label>
+            <input
+              type="text"
+              maxLength={1000}
+              value={draft.description}
+              onChange={(e) =>
+                setDraft({ ...draft, description: e.target.value })
+              }
+              className={inputClass}
+            />
+          </div>
+        </div>
+        <button
+          type="submit"
+          className="bg-blue-600 text-white px-5 py-2 rounded hover:bg-blue-700"
+        >
+          Add Task
+        </button>
+      </form>
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-wrap gap-4 items-end">
+        <div>
+          <label className="block text-sm text-gray-600">Employee</label>
+          <select
+            value={filters.employee_id}
+            onChange={(e) =>
+              setFilters({ ...filters, employee_id: e.target.value })
+            }
+            className="border px-3 py-2 rounded"
+          >
+            <option value="">Whole team</option>
+            {employees.map((employee) => (
+              <option key={employee.id} value={employee.id}>
+                {employee.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600">Status</label>
+          <select
+            value={filters.status}
+            onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+            className="border px-3 py-2 rounded"
+          >
+            {STATUS_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        {loading ? (
+          <p className="p-6 text-gray-500">Loading...</p>
+        ) : tasks.length === 0 ? (
+          <p className="p-6 text-gray-500">No tasks</p>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50 text-sm text-gray-600">
+              <tr>
+                <th className="p-3 text-left">Due</th>
+                <th className="p-3 text-left">Task</th>
+                <th className="p-3 text-left">Employee</th>
+                <th className="p-3 text-left">Client</th>
+                <th className="p-3 text-left">Status</th>
+                <th className="p-3 text-right"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {tasks.map((task) => (
+                <tr key={task.id} className="border-t text-sm align-top">
+                  <td
+                    className={`p-3 ${
+                      task.status === "open" && task.due_date < today
+                        ? "text-red-600 font-semibold"
+                        : ""
+                    }`}
+                  >
+                    {task.due_date}
+                  </td>
+                  <td className="p-3">
+                    <div className="font-medium">{task.title}</div>
+                    {task.description && (
+                      <div className="text-gray-500">{task.description}</div>
+                    )}
+                  </td>
+                  <td className="p-3">{task.assignee_name}</td>
+                  <td className="p-3">{task.client_name}</td>
+                  <td className="p-3">
+                    <span
+                      className={`px-2 py-0.5 rounded text-xs ${TASK_STATUS_STYLES[task.status]}`}
+                    >
+                      {task.status}
+                    </span>
+                    {task.completed_at && (
+                      <div className="text-xs text-gray-500 mt-1">
+                        {formatLocalDate(parseUtcToLocal(task.completed_at))}
+                      </div>
+                    )}
+                    {task.outcome_comment && (
+                      <div className="text-xs text-gray-600 mt-1">
+                        {task.outcome_comment}
+                      </div>
+                    )}
+                  </td>
+                  <td className="p-3 text-right">
+                    {task.status === "open" && (
+                      <button
+                        onClick={() => removeTask(task)}
+                        className="text-red-600 hover:underline"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Tasks;
@@ -0,0 +1,425 @@
+import { useEffect, useState } from "react";
+import api from "../utils/api";
+import { useAuth } from "../context/AuthContext";
+import { can } from "../utils/permissions";
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const ROLES = ["employee", "manager", "admin"];
+
+const inputClass = "border px-3 py-2 rounded w-full";
+
+const emptyUser = (managerId) => ({
+  id: null,
+  name: "",
+  email: "",
+  password: "",
+  role: "employee",
+  manager_id: managerId,
+});
+
+function Users() {
+  const { user } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [managers, setManagers] = useState([]);
+  const [includeInactive, setIncludeInactive] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [resetting, setResetting] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  useEffect(() => {
+    fetchManagers();
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [includeInactive]);
+
+  const fetchUsers = async () => {
+    setLoading(true);
+    try {
+      const res = await api.get(
+        `/users${includeInactive ? "?include_inactive=true" : ""}`,
+      );
+      if (res.data.success) {
+        setUsers(res.data.data);
+      }
+    } catch {
+      setError("Failed to load team");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchManagers = async () => {
+    try {
+      const res = await api.get("/users/managers");
+      if (res.data.success) {
+        setManagers(res.data.data);
+      }
+    } catch {
+      setError("Failed to load managers");
+    }
+  };
+
+  const resetMessages = () => {
+    setError("");
+    setSuccess("");
+  };
+
+  const startEditing = (member) => {
+    resetMessages();
+    setResetting(null);
+    setEditing(member ? { ...member, password: "" } : emptyUser(user.id));
+  };
+
+  const saveUser = async (e) => {
+    e.preventDefault();
+    resetMessages();
+    setSaving(true);
+
+    const payload = {
+      name: editing.name,
+      email: editing.email,
+      manager_id: editing.manager_id,
+      ...(can(user, "roles:assign") && { role: editing.role }),
+    };
+
+    try {
+      const res = editing.id
+        ? await api.put(`/users/${editing.id}`, payload)
+        : await api.post("/users", { ...payload, password: editing.password });
+
+      if (res.data.success) {
+        setSuccess(res.data.message || "Employee created");
+        setEditing(null);
+        fetchUsers();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to save employee");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const savePassword = async (e) => {
+    e.preventDefault();
+    resetMessages();
+
+    try {
+      await api.post(`/users/${resetting.id}/reset-password`, {
+        password: resetting.password,
+      });
+      setSuccess(`Temporary password set for ${resetting.name}`);
+      setResetting(null);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to reset password");
+    }
+  };
+
+  const deactivateUser = async (member) => {
+    if (
+      !window.confirm(
+        `Deactivate ${member.name}? They will no longer be able to sign in. Their visit history is kept.`,
+      )
+    ) {
+      return;
+    }
+
+    resetMessages();
+    try {
+      await api.delete(`/users/${member.id}`);
+      setSuccess("Employee deactivated");
+      fetchUsers();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to deactivate employee");
+    }
+  };
+
+  const reactivateUser = async (member) => {
+    resetMessages();
+    try {
+      await api.post(`/users/${member.id}/reactivate`);
+      setSuccess("Employee reactivated");
+      fetchUsers();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to reactivate employee");
+    }
+  };
+
+  if (!can(user, "users:manage")) {
+    return (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+        Unauthorized access
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold">Team</h2>
+        {!editing && (
+          <button
+            onClick={() => startEditing(null)}
+            className="bg-blue-600 text-white px-5 py-2 rounded hover:bg-blue-700"
+          >
+            New Employee
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {success}
+        </div>
+      )}
+
+      {editing && (
+        <form
+          onSubmit={saveUser}
+          className="bg-white rounded-lg shadow p-6 mb-6 space-y-4"
+        >
+          <h3 className="font-semibold">
+            {editing.id ? "Edit Employee" : "New Employee"}
+          </h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm text-gray-600">Name</label>
+              <input
+                type="text"
+                value={editing.name}
+                onChange={(e) =>
+                  setEditing({ ...editing, name: e.target.value })
+                }
+                className={inputClass}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-600">Email</label>
+              <input
+                type="email"
+                value={editing.email}
+                onChange={(e) =>
+                  setEditing({ ...editing, email: e.target.value })
+                }
+                className={inputClass}
+                required
+              />
+            </div>
+            {!editing.id && (
+              <div>
+                <label className="block text-sm text-gray-600">
+                  Temporary password
+                </label>
+                <input
+                  type="text"
+                  minLength={MIN_PASSWORD_LENGTH}
+                  value={editing.password}
+                  onChange={(e) =>
+                    setEditing({ ...editing, password: e.target.value })
+                  }
+                  className={inputClass}
+                  required
+                />
+              </div>
+            )}
+            <div>
+              <label className="block text-sm text-gray-600">Manager</label>
+              <select
+                value={editing.manager_id}
+                onChange={(e) =>
+                  setEditing({ ...editing, manager_id: Number(e.target.value) })
+                }
+                className={inputClass}
+              >
+                {managers.map((m) => (
+                  <option key={m.id} value={m.id}>
+                    {m.name}
+                    {m.id === user.id ? " (you)" : ""}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {can(user, "roles:assign") && (
+              <div>
+                <label className="block text-sm text-gray-600">Role</label>
+                <select
+                  value={editing.role}
+                  onChange={(e) =>
+                    setEditing({ ...editing, role: e.target.value })
+                  }
+                  className={`${inputClass} capitalize`}
+                >
+                  {ROLES.map((role) => (
+                    <option key={role} value={role}>
+                      {role}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-blue-600 text-white px-5 py-2 rounded hover:bg-blue-700 disabled:bg-blue-400"
+            >
+              {saving ? "Saving..." : "Save Employee"}
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="px-5 py-2 rounded border hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {resetting && (
+        <form
+          onSubmit={savePassword}
+          className="bg-white rounded-lg shadow p-6 mb-6 flex flex-wrap gap-4 items-end"
+        >
+          <div className="flex-1 min-w-[200px]">
+            <label className="block text-sm text-gray-600">
+              New temporary password for {resetting.name}
+            </label>
+            <input
+              type="text"
+              minLength={MIN_PASSWORD_LENGTH}
+              value={resetting.password}
+              onChange={(e) =>
+                setResetting({ ...resetting, password: e.target.value })
+              }
+              className={inputClass}
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            className="bg-blue-600 text-white px-5 py-2 rounded hover:bg-blue-700"
+          >
+            Set Password
+          </button>
+          <button
+            type="button"
+            onClick={() => setResetting(null)}
+            className="px-5 py-2 rounded border hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={includeInactive}
+            onChange={(e) => setIncludeInactive(e.target.checked)}
+          />
+          Show deactivated
+        </label>
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        {loading && users.length === 0 ? (
+          <p className="p-6 text-gray-500">Loading...</p>
+        ) : users.length === 0 ? (
+          <p className="p-6 text-gray-500">No employees found</p>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50 text-sm text-gray-600">
+              <tr>
+                <th className="p-3 text-left">Name</th>
+                <th className="p-3 text-left">Email</th>
+                <th className="p-3 text-left">Role</th>
+                <th className="p-3 text-left">Status</th>
+                <th className="p-3 text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((member) => (
+                <tr
+                  key={member.id}
+                  className={`border-t ${
+                    member.is_active ? "" : "text-gray-400"
+                  }`}
+                >
+                  <td className="p-3">{member.name}</td>
+                  <td className="p-3 text-sm">{member.email}</td>
+                  <td className="p-3 text-sm capitalize">{member.role}</td>
+                  <td className="p-3 text-sm">
+                    {!member.is_active ? (
+                      <span className="px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-600">
+                        Deactivated
+                      </span>
+                    ) : member.must_change_password ? (
+                      <span className="px-2 py-0.5 rounded text-xs bg-yellow-100 text-yellow-700">
+                        Temporary password
+                      </span>
+                    ) : (
+                      "Active"
+                    )}
+                  </td>
+                  <td className="p-3 text-right space-x-3">
+                    {member.is_active ? (
+                      <>
+                        <button
+                          onClick={() => startEditing(member)}
+                          className="text-blue-600 hover:underline"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => {
+                            resetMessages();
+                            setEditing(null);
+                            setResetting({ ...member, password: "" });
+                          }}
+                          className="text-blue-600 hover:underline"
+                        >
+                          Reset Password
+                        </button>
+                        <button
+                          onClick={() => deactivateUser(member)}
+                          className="text-red-600 hover:underline"
+                        >
+                          Deactivate
+                        </button>
+                      </>
+                    ) : (
+                      <button
+                        onClick={() => reactivateUser(member)}
+                        className="text-blue-600 hover:underline"
+                      >
+                        Reactivate
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Users;
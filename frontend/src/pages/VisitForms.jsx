@@ -0,0 +1,626 @@
+import { useEffect, useState } from "react";
+import api from "../utils/api";
+import {
+  formatLocalDate,
+  formatLocalTime,
+  getTodayLocal,
+  parseUtcToLocal,
+} from "../utils/date-helper";
+import { useAuth } from "../context/AuthContext";
+import { can } from "../utils/permissions";
+
+const FIELD_TYPES = [
+  { value: "text", label: "Text" },
+  { value: "number", label: "Number" },
+  { value: "select", label: "Dropdown" },
+  { value: "checkbox", label: "Checkbox" },
+  { value: "date", label: "Date" },
+];
+
+const inputClass = "border px-3 py-2 rounded";
+
+const emptyField = () => ({
+  key: "",
+  label: "",
+  type: "text",
+  required: false,
+  options: "",
+});
+
+const emptyForm = () => ({
+  id: null,
+  name: "",
+  client_id: "",
+  visit_type: "",
+  fields: [emptyField()],
+});
+
+// Field keys are what reports filter on, so they default to a slug of the label
+const slugify = (label) =>
+  label
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .replace(/^(\d)/, "f_$1")
+    .slice(0, 50);
+
+const formatAnswer = (field, value) => {
+  if (value === undefined || value === null) return "-";
+  if (field.type === "checkbox") return value === "true" ? "Yes" : "No";
+  return value;
+};
+
+function VisitForms() {
+  const today = getTodayLocal();
+  const { user } = useAuth();
+  const [forms, setForms] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  const [reportFormId, setReportFormId] = useState("");
+  const [startDate, setStartDate] = useState(today);
+  const [endDate, setEndDate] = useState(today);
+  const [filterField, setFilterField] = useState("");
+  const [filterValue, setFilterValue] = useState("");
+  const [responses, setResponses] = useState(null);
+  const [loadingResponses, setLoadingResponses] = useState(false);
+
+  useEffect(() => {
+    fetchForms();
+    fetchClients();
+  }, []);
+
+  const fetchForms = async () => {
+    try {
+      const res = await api.get("/forms");
+      if (res.data.success) {
+        setForms(res.data.data);
+      }
+    } catch {
+      setError("Failed to load visit forms");
+    }
+  };
+
+  const fetchClients = async () => {
+    try {
+      const res = await api.get("/forms/clients");
+      if (res.data.success) {
+        setClients(res.data.data);
+      }
+    } catch {
+      // silent fail; forms can still target visit types
+    }
+  };
+
+  const startEditing = (form) => {
+    setError("");
+    setSuccess("");
+    setEditing(
+      form
+        ? {
+            id: form.id,
+            name: form.name,
+            client_id: form.client_id ?? "",
+            visit_type: form.visit_type ?? "",
+            fields: form.fields.map((f) => ({
+              ...f,
+              options: (f.options || []).join(", "),
+            })),
+          }
+        : emptyForm(),
+    );
+  };
+
+  const updateField = (index, changes) => {
+    setEditing((prev) => ({
+      ...prev,
+      fields: prev.fields.map((f, i) =>
+        i === index ? { ...f, ...changes } : f,
+      ),
+    }));
+  };
+
+  const moveField = (index, delta) => {
+    setEditing((prev) => {
+      const fields = [...prev.fields];
+      const target = index + delta;
+      if (target < 0 || target >= fields.length) return prev;
+      [fields[index], fields[target]] = [fields[target], fields[index]];
+      return { ...prev, fields };
+    });
+  };
+
+  const removeField = (index) => {
+    setEditing((prev) => ({
+      ...prev,
+      fields: prev.fields.filter((_, i) => i !== index),
+    }));
+  };
+
+  const saveForm = async (e) => {
+    e.preventDefault();
+    setError("");
+    setSuccess("");
+    setSaving(true);
+
+    const payload = {
+      name: editing.name,
+      client_id: editing.client_id || null,
+      visit_type: editing.visit_type,
+      fields: editing.fields.map((f) => ({
+        key: f.key || slugify(f.label),
+        label: f.label,
+        type: f.type,
+        required: f.required,
+        options:
+          f.type === "select"
+            ? f.options
+                .split(",")
+                .map((o) => o.trim())
+                .filter(Boolean)
+            : undefined,
+      })),
+    };
+
+    try {
+      const res = editing.id
+        ? await api.put(`/forms/${editing.id}`, payload)
+        : await api.post("/forms", payload);
+
+      if (res.data.success) {
+        setSuccess(editing.id ? "Form updated" : "Form created");
+        setEditing(null);
+        fetchForms();
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to save form");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deactivateForm = async (form) => {
+    if (!window.confirm(`Deactivate "${form.name}"? Past answers are kept.`)) {
+      return;
+    }
+
+    setError("");
+    setSuccess("");
+    try {
+      await api.delete(`/forms/${form.id}`);
+      setSuccess("Form deactivated");
+      if (editing?.id === form.id) setEditing(null);
+      fetchForms();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to deactivate form");
+    }
+  };
+
+  const fetchResponses = async () => {
+    if (!reportFormId) return;
+
+    setLoadingResponses(true);
+    setError("");
+    try {
+      const params = new URLSearchParams({
+        form_id: reportFormId,
+        start_date: startDate,
+        end_date: endDate,
+      });
+      if (filterField) {
+        params.append("field_key", filterField);
+        if (filterValue !== "") params.append("value", filterValue);
+      }
+
+      const res = await api.get(`/reports/form-responses?${params.toString()}`);
+      if (res.data.success) {
+        setResponses(res.data.data);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load responses");
+    } finally {
+      setLoadingResponses(false);
+    }
+  };
+
+  if (!can(user, "forms:manage")) {
+    return (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+        Unauthorized access
+      </div>
+    );
+  }
+
+  const reportForm = forms.find((f) => f.id === Number(reportFormId));
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold">Visit Forms</h2>
+        {!editing && (
+          <button
+            onClick={() => startEditing(null)}
+            className="bg-blue-600 text-white px-5 py-2 rounded hover:bg-blue-700"
+          >
+            New Form
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {success}
+        </div>
+      )}
+
+      {editing && (
+        <form
+          onSubmit={saveForm}
+          className="bg-white rounded-lg shadow p-6 mb-6 space-y-4"
+        >
+          <h3 className="font-semibold">
+            {editing.id ? "Edit Form" : "New Form"}
+          </h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm text-gray-600">Name</label>
+              <input
+                type="text"
+                value={editing.name}
+                onChange={(e) =>
+                  setEditing({ ...editing, name: e.target.value })
+                }
+                className={`${inputClass} w-full`}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-600">Client</label>
+              <select
+                value={editing.client_id}
+                onChange={(e) =>
+                  setEditing({ ...editing, client_id: e.target.value })
+                }
+                className={`${inputClass} w-full`}
+              >
+                <option value="">Any client</option>
+                {clients.map((c) => (
+                  <option key={c.id} value={c.id}>
+                    {c.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm text-gray-600">Visit type</label>
+              <input
+                type="text"
+                value={editing.visit_type}
+                onChange={(e) =>
+                  setEditing({ ...editing, visit_type: e.target.value })
+                }
+                placeholder="e.g. Store Audit (optional)"
+                className={`${inputClass} w-full`}
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            The most specific form wins at check-in: client and visit type, then
+            client only, then visit type only.
+          </p>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Fields</p>
+            <div className="space-y-2">
+              {editing.fields.map((field, index) => (
+                <div
+                  key={index}
+                  className="flex flex-wrap gap-2 items-center border rounded p-2"
+                >
+                  <input
+                    type="text"
+                    value={field.label}
+                    onChange={(e) =>
+                      updateField(index, { label: e.target.value })
+                    }
+                    placeholder="Label"
+                    className={inputClass}
+                    required
+                  />
+                  <input
+                    type="text"
+                    value={field.key}
+                    onChange={(e) =>
+                      updateField(index, { key: e.target.value })
+                    }
+                    placeholder={slugify(field.label) || "key"}
+                    className={`${inputClass} w-40`}
+                  />
+                  <select
+                    value={field.type}
+                    onChange={(e) =>
+                      updateField(index, { type: e.target.value })
+                    }
+                    className={inputClass}
+                  >
+                    {FIELD_TYPES.map((t) => (
+                      <option key={t.value} value={t.value}>
+                        {t.label}
+                      </option>
+                    ))}
+                  </select>
+                  {field.type === "select" && (
+                    <input
+                      type="text"
+                      value={field.options}
+                      onChange={(e) =>
+                        updateField(index, { options: e.target.value })
+                      }
+                      placeholder="Options, comma separated"
+                      className={`${inputClass} flex-1`}
+                      required
+                    />
+                  )}
+                  <label className="flex items-center gap-1 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={field.required}
+                      onChange={(e) =>
+                        updateField(index, { required: e.target.checked })
+                      }
+                    />
+                    Required
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => moveField(index, -1)}
+                    className="text-sm text-gray-600 px-1"
+                    title="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveField(index, 1)}
+                    className="text-sm text-gray-600 px-1"
+                    title="Move down"
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => removeField(index)}
+                    disabled={editing.fields.length === 1}
+                    className="text-sm text-red-600 hover:underline disabled:text-gray-400"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() =>
+                setEditing({
+                  ...editing,
+                  fields: [...editing.fields, emptyField()],
+                })
+              }
+              className="mt-2 text-sm text-blue-600 hover:underline"
+            >
+              + Add field
+            </button>
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-blue-600 text-white px-5 py-2 rounded hover:bg-blue-700 disabled:bg-blue-400"
+            >
+              {saving ? "Saving..." : "Save Form"}
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="px-5 py-2 rounded border hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-white rounded-lg shadow mb-8">
+        {forms.length === 0 ? (
+          <p className="p-6 text-gray-500">No visit forms yet</p>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50 text-sm text-gray-600">
+              <tr>
+                <th className="p-3 text-left">Name</th>
+                <th className="p-3 text-left">Client</th>
+                <th className="p-3 text-left">Visit Type</th>
+                <th className="p-3 text-center">Fields</th>
+                <th className="p-3 text-left">Set By</th>
+                <th className="p-3 text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {forms.map((form) => (
+                <tr key={form.id} className="border-t">
+                  <td className="p-3">{form.name}</td>
+                  <td className="p-3">{form.client_name || "Any"}</td>
+                  <td className="p-3">{form.visit_type || "Any"}</td>
+                  <td className="p-3 text-center">{form.fields.length}</td>
+                  <td className="p-3">
+                    {form.manager_id === user.id ? "You" : form.manager_name}
+                  </td>
+                  <td className="p-3 text-right space-x-3">
+                    {form.editable ? (
+                      <>
+                        <button
+                          onClick={() => startEditing(form)}
+                          className="text-blue-600 hover:underline"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => deactivateForm(form)}
+                          className="text-red-600 hover:underline"
+                        >
+                          Deactivate
+                        </button>
+                      </>
+                    ) : (
+                      <span className="text-sm text-gray-400">Read only</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <h3 className="text-lg font-semibold mb-4">Responses</h3>
+      <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-wrap gap-4 items-end">
+        <div>
+          <label className="block text-sm text-gray-600">Form</label>
+          <select
+            value={reportFormId}
+            onChange={(e) => {
+              setReportFormId(e.target.value);
+              setFilterField("");
+              setFilterValue("");
+              setResponses(null);
+            }}
+            className={inputClass}
+          >
+            <option value="">Choose a form...</option>
+            {forms.map((f) => (
+              <option key={f.id} value={f.id}>
+                {f.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600">From</label>
+          <input
+            type="date"
+            value={startDate}
+            max={endDate}
+            onChange={(e) => setStartDate(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-600">To</label>
+          <input
+            type="date"
+            value={endDate}
+            min={startDate}
+            max={today}
+            onChange={(e) => setEndDate(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        {reportForm && (
+          <>
+            <div>
+              <label className="block text-sm text-gray-600">Where</label>
+              <select
+                value={filterField}
+                onChange={(e) => {
+                  setFilterField(e.target.value);
+                  setFilterValue("");
+                }}
+                className={inputClass}
+              >
+                <option value="">Any answer</option>
+                {reportForm.fields.map((f) => (
+                  <option key={f.key} value={f.key}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {filterField && (
+              <div>
+                <label className="block text-sm text-gray-600">Equals</label>
+                <input
+                  type="text"
+                  value={filterValue}
+                  onChange={(e) => setFilterValue(e.target.value)}
+                  placeholder="Leave blank for any value"
+                  className={inputClass}
+                />
+              </div>
+            )}
+          </>
+        )}
+        <button
+          onClick={fetchResponses}
+          disabled={!reportFormId || loadingResponses}
+          className="bg-blue-600 text-white px-5 py-2 rounded hover:bg-blue-700 disabled:bg-blue-400"
+        >
+          {loadingResponses ? "Loading..." : "View Responses"}
+        </button>
+      </div>
+
+      {responses && responses.responses.length === 0 && (
+        <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-6 rounded text-center">
+          No responses for this period
+        </div>
+      )}
+
+      {responses && responses.responses.length > 0 && (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50 text-sm text-gray-600">
+              <tr>
+                <th className="p-3 text-left">Employee</th>
+                <th className="p-3 text-left">Client</th>
+                <th className="p-3 text-left">Check-in</th>
+                {responses.form.fields.map((f) => (
+                  <th key={f.key} className="p-3 text-left">
+                    {f.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {responses.responses.map((r) => (
+                <tr key={r.checkin_id} className="border-t">
+                  <td className="p-3">{r.employee_name}</td>
+                  <td className="p-3">{r.client_name}</td>
+                  <td className="p-3">
+                    {formatLocalDate(parseUtcToLocal(r.checkin_time))}{" "}
+                    {formatLocalTime(parseUtcToLocal(r.checkin_time))}
+                  </td>
+                  {responses.form.fields.map((f) => (
+                    <td key={f.key} className="p-3 text-sm">
+                      {formatAnswer(f, r.answers[f.key])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default VisitForms;
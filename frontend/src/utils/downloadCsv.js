@@ -0,0 +1,12 @@
+import api from "./api";
+
+// Fetches an authenticated CSV export and hands it to the browser as a file download
+export async function downloadCsv(path, filename) {
+  const res = await api.get(path, { responseType: "blob" });
+  const url = URL.createObjectURL(res.data);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,133 @@
+import api from "./api";
+
+const QUEUE_PREFIX = "offlineQueue";
+const FAILURES_PREFIX = "offlineQueueFailures";
+
+export const OFFLINE_QUEUE_CHANGED_EVENT = "offline-queue-changed";
+
+const ENDPOINTS = {
+  checkin: { method: "post", url: "/checkin" },
+  checkout: { method: "put", url: "/checkin/checkout" },
+};
+
+// Queued actions belong to the signed-in user, so they are never replayed under someone else's token
+// and survive a logout until that user signs in again
+function storageKey(prefix) {
+  try {
+    const user = JSON.parse(localStorage.getItem("user"));
+    return user?.id ? `${prefix}:${user.id}` : null;
+  } catch {
+    return null;
+  }
+}
+
+function read(key) {
+  if (!key) return [];
+  try {
+    return JSON.parse(localStorage.getItem(key)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function write(key, value) {
+  if (!key) return;
+  localStorage.setItem(key, JSON.stringify(value));
+  window.dispatchEvent(new Event(OFFLINE_QUEUE_CHANGED_EVENT));
+}
+
+export function newIdempotencyKey() {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+export function getQueue() {
+  return read(storageKey(QUEUE_PREFIX));
+}
+
+export function getFailures() {
+  return read(storageKey(FAILURES_PREFIX));
+}
+
+export function clearFailures() {
+  write(storageKey(FAILURES_PREFIX), []);
+}
+
+// A request that never reached the server (offline, DNS, timeout) is safe to retry
+export function isNetworkError(err) {
+  return !err.response;
+}
+
+export function enqueue(type, body, meta = {}) {
+  const item = {
+    key: body.idempotency_key || newIdempotencyKey(),
+    type,
+    body,
+    meta,
+    queued_at: new Date().toISOString(),
+  };
+  write(storageKey(QUEUE_PREFIX), [...getQueue(), item]);
+  return item;
+}
+
+// Sends a check-in/checkout, keeping the same idempotency key across retries
+export function sendAction(type, body, key) {
+  const { method, url } = ENDPOINTS[type];
+  return api[method](url, body, { headers: { "Idempotency-Key": key } });
+}
+
+let replaying = null;
+
+// Responses after which the action may still succeed later: the server is down, or the session
+// expired and the user has to sign in again. A 403 is a lasting refusal, like any other 4xx.
+const isRetryable = (err) =>
+  isNetworkError(err) ||
+  err.response.status === 401 ||
+  err.response.status >= 500;
+
+// Replays queued actions in order; stops at the first one that cannot be delivered yet
+export function replayQueue() {
+  if (replaying) return replaying;
+
+  // Fixed up front: a 401 signs the user out part way through
+  const queueKey = storageKey(QUEUE_PREFIX);
+  const failuresKey = storageKey(FAILURES_PREFIX);
+
+  replaying = (async () => {
+    let synced = 0;
+
+    while (read(queueKey).length > 0) {
+      const [item] = read(queueKey);
+
+      try {
+        await sendAction(item.type, item.body, item.key);
+        synced += 1;
+      } catch (err) {
+        if (isRetryable(err)) {
+          break;
+        }
+        // The server refused it for good (e.g. already checked in); keep a record for the user
+        write(failuresKey, [
+          ...read(failuresKey),
+          {
+            ...item,
+            message: err.response.data?.message || "Rejected by server",
+          },
+        ]);
+      }
+
+      write(
+        queueKey,
+        read(queueKey).filter((queued) => queued.key !== item.key),
+      );
+    }
+
+    return synced;
+  })().finally(() => {
+    replaying = null;
+  });
+
+  return replaying;
+}
@@ -0,0 +1,3 @@
+// Mirrors backend/services/permissions.js; the server sends each user's list at login and from /auth/me
+export const can = (user, permission) =>
+  Boolean(user?.permissions?.includes(permission));